@@ -0,0 +1,67 @@
+/**
+ * Seed MongoDB from the JSON files in data/ (was scripts/migrate_to_mongo.js)
+ * Only collections that are still empty are filled, so on a database that was imported
+ * by the old script this just records the migration as applied.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+export const description = 'Import data/*.json into empty collections';
+
+// file -> collection, and how the file's content becomes documents
+const SOURCES = [
+  { file: 'games.json', collection: 'games', toDocs: splitByCategory },
+  { file: 'movies.json', collection: 'movies', toDocs: splitByCategory },
+  { file: 'bundles.json', collection: 'bundles' },
+  { file: 'news.json', collection: 'news' },
+  { file: 'upcomingGames.json', collection: 'upcoming_games' },
+  {
+    file: 'subscribers.json',
+    collection: 'subscribers',
+    // Older files store plain email strings
+    toDocs: (list) => list
+      .filter(email => typeof email === 'string' && email.length > 0)
+      .map(email => ({ email, createdAt: new Date().toISOString() }))
+  }
+];
+
+function splitByCategory(content) {
+  return Object.entries(content).flatMap(([category, list]) =>
+    (Array.isArray(list) ? list.map(doc => ({ ...doc, category })) : [])
+  );
+}
+
+async function readJson(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function up({ db, dryRun, log, dataDir }) {
+  const imported = {};
+
+  for (const { file, collection, toDocs = (list) => list } of SOURCES) {
+    const content = await readJson(join(dataDir, file));
+    if (!content) continue;
+
+    const existing = await db.collection(collection).estimatedDocumentCount();
+    if (existing > 0) {
+      log(`${collection}: already has ${existing} documents - skipped`);
+      continue;
+    }
+
+    const docs = toDocs(content);
+    if (docs.length === 0) continue;
+    if (!dryRun) await db.collection(collection).insertMany(docs);
+    imported[collection] = docs.length;
+    log(`${collection}: ${dryRun ? 'would import' : 'imported'} ${docs.length} from ${file}`);
+  }
+
+  return { imported };
+}
+
+// No down(): removing the imported documents would also remove everything added since
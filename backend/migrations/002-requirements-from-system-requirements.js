@@ -0,0 +1,44 @@
+/**
+ * Fill `requirements` from `systemRequirements.minimum` (was scripts/fix-missing-requirements.js)
+ * The compatibility checker reads `requirements`; games imported with only
+ * systemRequirements showed "N/A" everywhere.
+ */
+
+export const description = 'Copy systemRequirements.minimum into missing requirements';
+
+const SOURCE = 'systemRequirements-migration';
+
+const MISSING_REQUIREMENTS = {
+  $or: [
+    { requirements: { $exists: false } },
+    { requirements: null },
+    { requirements: {} }
+  ],
+  systemRequirements: { $exists: true }
+};
+
+export async function up({ db, dryRun, log }) {
+  const games = db.collection('games');
+  const missing = await games.find(MISSING_REQUIREMENTS, { projection: { id: 1, name: 1, systemRequirements: 1 } }).toArray();
+
+  const updatedAt = new Date().toISOString();
+  const operations = missing.map(game => {
+    const minimum = game.systemRequirements?.minimum || {};
+    const requirements = Object.fromEntries(['cpu', 'gpu', 'ram', 'storage', 'os'].map(field => [field, minimum[field] || 'N/A']));
+    log(`${game.name} (${game.id})`);
+    return { updateOne: { filter: { _id: game._id }, update: { $set: { requirements, requirementsSource: SOURCE, updatedAt } } } };
+  });
+
+  if (operations.length && !dryRun) await games.bulkWrite(operations);
+  return { updated: operations.length };
+}
+
+// Only games this migration filled are reverted (requirementsSource marks them)
+export async function down({ db, dryRun, log }) {
+  const games = db.collection('games');
+  const filter = { requirementsSource: SOURCE };
+  const count = await games.countDocuments(filter);
+  log(`${dryRun ? 'would clear' : 'clearing'} requirements on ${count} games`);
+  if (count && !dryRun) await games.updateMany(filter, { $unset: { requirements: '', requirementsSource: '' } });
+  return { reverted: count };
+}
@@ -0,0 +1,118 @@
+/**
+ * Apply, roll back and inspect database migrations (backend/migrations)
+ *
+ * Usage:
+ *   npm run migrate                          apply every pending migration
+ *   npm run migrate -- up --to 002           apply pending migrations up to 002
+ *   npm run migrate -- down                  roll back the last applied migration
+ *   npm run migrate -- down --to 001         roll back everything applied after 001 (--to 0: all)
+ *   npm run migrate -- status                list applied and pending migrations
+ *   npm run migrate -- create add-game-slugs new migration file from a template
+ *   add --dry-run to up/down to see what would change without writing anything
+ */
+
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadMigrations, getMigrationStatus, runMigrations } from '../utils/migrations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const MIGRATIONS_DIR = join(__dirname, '../migrations');
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, '../data');
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+const dryRun = args.includes('--dry-run');
+
+const TEMPLATE = `/**
+ * TODO: what this migration changes and why
+ */
+
+export const description = 'TODO';
+
+export async function up({ db, dryRun, log }) {
+  // Count/log what would change; only write when !dryRun
+  return {};
+}
+
+export async function down({ db, dryRun, log }) {
+  return {};
+}
+`;
+
+async function createMigration(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) {
+    console.error('❌ Usage: npm run migrate -- create <name>');
+    process.exit(1);
+  }
+  const migrations = await loadMigrations(MIGRATIONS_DIR);
+  const last = migrations.length ? Number(migrations[migrations.length - 1].version) : 0;
+  const file = `${String(last + 1).padStart(3, '0')}-${slug}.js`;
+  await fs.writeFile(join(MIGRATIONS_DIR, file), TEMPLATE, { flag: 'wx' });
+  console.log(`✅ Created migrations/${file}`);
+}
+
+async function printStatus(db, migrations) {
+  const { migrations: status, pending, unknown } = await getMigrationStatus(db, migrations);
+  for (const migration of status) {
+    const mark = migration.status === 'applied' ? '✅' : '⏳';
+    const notes = [
+      migration.appliedAt && `applied ${migration.appliedAt}`,
+      migration.edited && '⚠️ file changed since it was applied',
+      !migration.reversible && 'no down()'
+    ].filter(Boolean);
+    console.log(`${mark} ${migration.version}-${migration.name}: ${migration.description}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+  }
+  unknown.forEach(record => console.warn(`⚠️ ${record.version}-${record.name} is recorded as applied but its file is missing`));
+  console.log(`\n📊 ${status.length - pending.length} applied, ${pending.length} pending`);
+}
+
+async function run() {
+  if (command === 'create') return createMigration(args[1]);
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(`❌ Unknown command "${command}" (use up, down, status or create)`);
+    process.exit(1);
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not defined in .env file');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    const db = client.db(process.env.MONGODB_DB || 'bta3al3ab');
+    const migrations = await loadMigrations(MIGRATIONS_DIR);
+
+    if (command === 'status') {
+      await printStatus(db, migrations);
+      return;
+    }
+
+    const results = await runMigrations(db, migrations, { direction: command, to: getArg('--to'), dryRun, dataDir: DATA_DIR });
+    if (results.length === 0) {
+      console.log(command === 'up' ? '✅ Nothing to migrate - the database is up to date' : '✅ Nothing to roll back');
+    } else {
+      console.log(`\n✅ ${dryRun ? 'Dry run: ' : ''}${results.length} migration(s) ${command === 'up' ? 'applied' : 'rolled back'}${dryRun ? ' (nothing was written)' : ''}`);
+    }
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+run();
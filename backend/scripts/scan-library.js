@@ -0,0 +1,109 @@
+/**
+ * Scan the shop's disks and reconcile folder sizes with the catalog
+ *
+ * Usage:
+ *   npm run scan-library
+ *   npm run scan-library -- --roots "HDD-1=D:\Games;HDD-2=E:\Movies" --tolerance 3
+ *   npm run scan-library -- --json --no-save
+ *
+ * Roots default to LIBRARY_ROOTS from .env. The report is saved to `library_scans`
+ * (unless --no-save) so the fixes can be applied from the Dashboard.
+ */
+
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_TOLERANCE_PERCENT, parseLibraryRoots, scanLibrary, toLibraryRecords, reconcileLibrary } from '../utils/libraryScanner.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const roots = parseLibraryRoots(getArg('--roots') ?? process.env.LIBRARY_ROOTS);
+const tolerancePercent = parseFloat(getArg('--tolerance') ?? DEFAULT_TOLERANCE_PERCENT);
+const asJson = args.includes('--json');
+const save = !args.includes('--no-save');
+
+const printSection = (title, entries, format) => {
+  if (entries.length === 0) return;
+  console.log(`\n${title} (${entries.length}):`);
+  entries.forEach(entry => console.log(`  - ${format(entry)}`));
+};
+
+async function run() {
+  if (roots.length === 0) {
+    console.error('❌ No library roots. Set LIBRARY_ROOTS in .env or pass --roots "LABEL=path;LABEL=path"');
+    process.exit(1);
+  }
+  if (isNaN(tolerancePercent) || tolerancePercent < 0) {
+    console.error('❌ --tolerance must be a number >= 0');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    const db = client.db(process.env.MONGODB_DB || 'bta3al3ab');
+
+    const startedAt = new Date().toISOString();
+    if (!asJson) console.log(`🔍 Scanning ${roots.map(root => `${root.diskLabel} (${root.path})`).join(', ')}...`);
+    const { folders, errors } = await scanLibrary(roots, ({ folder, done }) => {
+      if (!asJson && process.stdout.isTTY) process.stdout.write(`\r   ${done} folders - ${folder.slice(0, 60).padEnd(60)}`);
+    });
+    if (!asJson && process.stdout.isTTY) process.stdout.write('\n');
+
+    const [games, movies] = await Promise.all([
+      db.collection('games').find({}).toArray(),
+      db.collection('movies').find({}).toArray()
+    ]);
+    const report = reconcileLibrary(folders, toLibraryRecords(games, movies), { tolerancePercent });
+
+    const scan = {
+      id: Date.now(),
+      status: 'done',
+      roots,
+      startedBy: 'cli',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      errors,
+      report,
+      fixed: []
+    };
+    if (save) await db.collection('library_scans').insertOne(scan);
+
+    if (asJson) {
+      const { _id, ...output } = scan;
+      console.log(JSON.stringify(output, null, 2));
+      return;
+    }
+
+    errors.forEach(error => console.warn(`⚠️ ${error}`));
+    const { summary } = report;
+    console.log(`\n📊 ${summary.folders} folders, ${summary.records} catalog items, ${summary.matched} matched`);
+    printSection('📏 Size mismatches', report.sizeMismatches,
+      e => `${e.name}: catalog ${e.size || '?'} → disk ${e.suggestedSize}${e.diffPercent !== null ? ` (${e.diffPercent}%)` : ''}`);
+    printSection('📁 Location updates', report.locationUpdates,
+      e => `${e.name} → [${e.suggestedDiskLabel}] ${e.suggestedFolderPath}`);
+    printSection('❓ Catalog items without a folder', report.missingFolders,
+      e => `${e.name} (${e.category})${e.reason === 'path_not_found' ? ` - saved path not found: ${e.folderPath}` : ''}`);
+    printSection('➕ Folders not in the catalog', report.untrackedFolders,
+      e => `[${e.diskLabel}] ${e.path} (${e.suggestedSize})`);
+
+    console.log(save ? `\n✅ Report saved (scan ${scan.id}) - open the Dashboard library tab to apply fixes` : '\n✅ Done (not saved)');
+  } catch (err) {
+    console.error('❌ Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+run();
@@ -0,0 +1,225 @@
+/**
+ * Copy catalog changes between environments, record by record, after reviewing the diff
+ * (replaces sync-to-production.js and pull-from-production.js)
+ *
+ * Usage:
+ *   npm run sync -- --from local --to https://bta3-al3ab-backend.onrender.com
+ *   npm run sync -- --from https://bta3-al3ab-backend.onrender.com --to local --entities games,bundles
+ *   npm run sync -- --from local --to <url> --interactive              approve each record (y/n/a/q)
+ *   npm run sync -- --from local --to <url> --approve added,changed    approve by kind (conflicts need --include-conflicts)
+ *   npm run sync -- --from local --to <url> --out sync-plan.json       save the diff to review/edit
+ *   npm run sync -- --plan sync-plan.json                              apply the records marked "approved": true
+ *
+ * Endpoints: an API URL, a MongoDB URI (mongodb://, mongodb+srv://), json:<folder>, or "local"
+ * (this .env: MONGODB_URI, or DATA_DIR with STORAGE_DRIVER=json).
+ * Entities: games, movies, bundles, news, upcoming (default: all).
+ * Without --interactive, --approve or --plan nothing is written. Writing to an API needs
+ * SYNC_TOKEN, or SYNC_USERNAME and SYNC_PASSWORD of an owner/editor account on the target.
+ */
+
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { promises as fs } from 'fs';
+import { createInterface } from 'readline/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { SYNC_ENTITIES, CHANGE_KINDS, diffRecords, createApiEndpoint, createStorageEndpoint } from '../utils/envSync.js';
+import { isSameValue } from '../utils/collectionSync.js';
+import { resolveStorageDriver, createStorage } from '../utils/storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+const getList = (name) => getArg(name)?.split(',').map(value => value.trim()).filter(Boolean);
+
+const KIND_MARKS = { added: '➕', changed: '✏️', removed: '➖' };
+
+// "local", an API URL, a MongoDB URI or json:<folder> -> endpoint
+async function openEndpoint(spec, { writable = false } = {}) {
+  if (spec === 'local') {
+    const local = resolveStorageDriver(process.env.STORAGE_DRIVER) === 'json'
+      ? `json:${process.env.DATA_DIR || join(__dirname, '../data')}`
+      : process.env.MONGODB_URI;
+    if (!local) throw new Error('"local" needs MONGODB_URI (or STORAGE_DRIVER=json) in .env');
+    return openEndpoint(local, { writable });
+  }
+  if (/^https?:\/\//.test(spec)) {
+    return createApiEndpoint(spec, writable ? {
+      token: process.env.SYNC_TOKEN,
+      username: process.env.SYNC_USERNAME,
+      password: process.env.SYNC_PASSWORD
+    } : {});
+  }
+  if (spec.startsWith('json:')) {
+    const dir = spec.slice('json:'.length);
+    return createStorageEndpoint(createStorage('json', { dataDir: dir }), { label: `json:${dir}` });
+  }
+  if (/^mongodb(\+srv)?:\/\//.test(spec)) {
+    const client = new MongoClient(spec);
+    await client.connect();
+    const db = client.db(getArg('--db') || process.env.MONGODB_DB || 'bta3al3ab');
+    const storage = createStorage('mongodb', { client, getDb: () => db });
+    // Never print the password in the URI
+    return createStorageEndpoint(storage, { label: spec.replace(/\/\/[^@/]+@/, '//***@'), close: () => client.close() });
+  }
+  throw new Error(`Unknown endpoint "${spec}" (use local, an http(s) URL, a mongodb:// URI or json:<folder>)`);
+}
+
+const shorten = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (text === undefined) return '∅';
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+function describeChange(change) {
+  const header = `${KIND_MARKS[change.kind]} [${change.entity}] ${change.name} (${change.id})`;
+  if (change.kind !== 'changed') return header;
+  const fields = change.fields.map(field => `${field}: ${shorten(change.target[field])} → ${shorten(change.source[field])}`);
+  const conflict = change.conflict ? `\n     ⚠️ edited on the target after the source (${change.targetUpdatedAt} > ${change.sourceUpdatedAt || 'never'})` : '';
+  return `${header}${conflict}\n     ${fields.join('\n     ')}`;
+}
+
+async function computeDiff(source, target, entities) {
+  const changes = [];
+  for (const entity of entities) {
+    const [sourceRecords, targetRecords] = await Promise.all([source.read(entity), target.read(entity)]);
+    changes.push(...diffRecords(entity, sourceRecords, targetRecords));
+  }
+  return changes;
+}
+
+async function askForApproval(changes) {
+  const prompt = createInterface({ input: process.stdin, output: process.stdout });
+  const approved = [];
+  try {
+    for (let i = 0; i < changes.length; i++) {
+      console.log(`\n${describeChange(changes[i])}`);
+      const answer = (await prompt.question(`Apply? [y]es / [n]o / [a]ll remaining / [q]uit (${i + 1}/${changes.length}) `)).trim().toLowerCase();
+      if (answer === 'y') approved.push(changes[i]);
+      if (answer === 'a') {
+        approved.push(...changes.slice(i));
+        break;
+      }
+      if (answer === 'q') break;
+    }
+  } finally {
+    prompt.close();
+  }
+  return approved;
+}
+
+// Approved plan entries that still match the live diff (neither side changed since the plan)
+function approvedFromPlan(plan, changes) {
+  const live = new Map(changes.map(change => [change.key, change]));
+  const approved = [];
+  for (const entry of plan.changes.filter(change => change.approved)) {
+    const current = live.get(entry.key);
+    if (current && current.kind === entry.kind && isSameValue(current.source, entry.source) && isSameValue(current.target, entry.target)) {
+      approved.push(current);
+    } else {
+      console.warn(`⚠️ Skipping ${entry.key} (${entry.name}): changed since the plan was made`);
+    }
+  }
+  return approved;
+}
+
+async function applyChanges(target, approved) {
+  let failed = 0;
+  for (const entity of Object.keys(SYNC_ENTITIES)) {
+    const changes = approved.filter(change => change.entity === entity);
+    if (changes.length === 0) continue;
+    try {
+      await target.apply(entity, changes);
+      console.log(`✅ ${entity}: ${changes.length} change(s) applied`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${entity}: ${error.message}`);
+    }
+  }
+  return failed;
+}
+
+async function run() {
+  const planFile = getArg('--plan');
+  const plan = planFile ? JSON.parse(await fs.readFile(planFile, 'utf8')) : null;
+  const from = getArg('--from') || plan?.from;
+  const to = getArg('--to') || plan?.to;
+  const entities = getList('--entities') || plan?.entities || Object.keys(SYNC_ENTITIES);
+  const approveKinds = getList('--approve') || [];
+
+  if (!from || !to) {
+    console.error('❌ Usage: npm run sync -- --from <endpoint> --to <endpoint> (see the top of scripts/sync-data.js)');
+    process.exit(1);
+  }
+  const unknown = entities.filter(entity => !SYNC_ENTITIES[entity]);
+  const badKinds = approveKinds.filter(kind => !CHANGE_KINDS.includes(kind));
+  if (unknown.length || badKinds.length) {
+    console.error(`❌ Unknown ${unknown.length ? `entities: ${unknown.join(', ')} (use ${Object.keys(SYNC_ENTITIES).join(', ')})` : `--approve kinds: ${badKinds.join(', ')} (use ${CHANGE_KINDS.join(', ')})`}`);
+    process.exit(1);
+  }
+
+  const endpoints = [];
+  try {
+    const source = await openEndpoint(from);
+    endpoints.push(source);
+    const target = await openEndpoint(to, { writable: true });
+    endpoints.push(target);
+
+    console.log(`🔍 Comparing ${source.label} → ${target.label} (${entities.join(', ')})`);
+    const changes = await computeDiff(source, target, entities);
+    if (changes.length === 0) {
+      console.log('✅ Already in sync');
+      return;
+    }
+
+    if (!args.includes('--interactive')) changes.forEach(change => console.log(describeChange(change)));
+    const counts = CHANGE_KINDS.map(kind => `${changes.filter(change => change.kind === kind).length} ${kind}`).join(', ');
+    const conflicts = changes.filter(change => change.conflict).length;
+    console.log(`\n📊 ${counts}${conflicts ? `, ${conflicts} conflict(s)` : ''}`);
+
+    const out = getArg('--out');
+    if (out) {
+      const saved = changes.map(({ key, entity, kind, id, name, fields, conflict, source: record, target: current }) => ({
+        key, entity, kind, id, name, fields, conflict, approved: false, source: record, target: current
+      }));
+      await fs.writeFile(out, JSON.stringify({ from, to, entities, createdAt: new Date().toISOString(), changes: saved }, null, 2));
+      console.log(`💾 Plan saved to ${out} - set "approved": true on the records to copy, then run with --plan ${out}`);
+      return;
+    }
+
+    let approved;
+    if (plan) {
+      approved = approvedFromPlan(plan, changes);
+    } else if (args.includes('--interactive')) {
+      approved = await askForApproval(changes);
+    } else if (approveKinds.length) {
+      approved = changes.filter(change => approveKinds.includes(change.kind) && (!change.conflict || args.includes('--include-conflicts')));
+      const held = changes.filter(change => approveKinds.includes(change.kind) && change.conflict && !approved.includes(change));
+      if (held.length) console.warn(`⚠️ ${held.length} conflict(s) not applied (add --include-conflicts to overwrite them)`);
+    } else {
+      console.log('ℹ️ Nothing written - use --interactive, --approve <kinds> or --out/--plan to apply changes');
+      return;
+    }
+
+    if (approved.length === 0) {
+      console.log('ℹ️ No changes approved');
+      return;
+    }
+    console.log(`\n📤 Applying ${approved.length} change(s) to ${target.label}...`);
+    if (await applyChanges(target, approved)) process.exitCode = 1;
+  } catch (err) {
+    console.error('❌ Error:', err.response?.data?.error || err.message);
+    process.exitCode = 1;
+  } finally {
+    await Promise.all(endpoints.map(endpoint => endpoint.close()));
+  }
+}
+
+run();
@@ -9,6 +9,25 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { parseRequirements } from './utils/parseRequirements.js';
 import * as igdb from './utils/igdb.js';
+import { ROLES, hashPassword, verifyPassword, getRolePermissions, issueToken, createAuthMiddleware, createLoginThrottle } from './utils/auth.js';
+import { buildAuditEntry, buildAuditQuery } from './utils/audit.js';
+import { DEFAULT_PRICING, GAME_CATEGORIES, MEDIA_CATEGORIES, normalizePricingConfig, calculateQuote } from './utils/pricing.js';
+import { normalizePromoCode, normalizePromotion, evaluatePromotion, applyPromotion, promotionClaimFilter } from './utils/promotions.js';
+import { MANIFEST_FORMATS, buildManifest, renderManifestHtml, renderManifestCsv, renderCopyScript } from './utils/manifest.js';
+import { ANALYTICS_INTERVALS, buildOrderMatch, salesPipeline, formatSalesResult, topTitlesPipeline, categoriesPipeline, formatCategoriesResult } from './utils/salesAnalytics.js';
+import { DEFAULT_TOLERANCE_PERCENT, parseLibraryRoots, scanLibrary, toLibraryRecords, reconcileLibrary } from './utils/libraryScanner.js';
+import { SEARCH_TYPES, buildSearchIndex, searchCatalog } from './utils/search.js';
+import { CATALOG_VIEWS, parseCatalogQuery, listProjection, toListRecord, decodeStoredImage, queryCatalogList, listCatalogRecords } from './utils/catalogQuery.js';
+import { readCatalogVersion, bumpCatalogVersion, catalogEtag, isNotModified } from './utils/catalogVersion.js';
+import { parseCacheTtl, createCatalogCache } from './utils/catalogCache.js';
+import { resolveStorageDriver, createStorage } from './utils/storage.js';
+import { ensureDatabaseSchema, describeWriteError } from './utils/dbSchema.js';
+import { loadMigrations, getMigrationStatus } from './utils/migrations.js';
+import { parseBackupSettings, createBackupService } from './utils/backups.js';
+import { scheduleFromEnv, createJobScheduler } from './utils/jobs.js';
+import { getRequirementsForGame } from './utils/fetchRequirements.js';
+import { generateCartCode, buildCart, checkCart } from './utils/carts.js';
+import { ORDER_STATUSES, generateOrderCode, normalizeOrderCode, resolveSelection, buildOrder, toPublicOrder } from './utils/orders.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -18,15 +37,35 @@ const frontendBuildPath = join(__dirname, '../frontend/dist');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy (Render, nginx) req.ip is the proxy's address unless Express trusts it:
+// TRUST_PROXY=1 trusts one hop, "true" every hop, or a list of addresses/subnets
+const trustProxy = process.env.TRUST_PROXY?.trim();
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
 // MongoDB Connection
 const uri = process.env.MONGODB_URI;
 if (!uri) {
   console.error("❌ MONGODB_URI is not defined in .env file");
 }
 
-const client = new MongoClient(uri);
+// No client without a URI (new MongoClient(undefined) throws), e.g. with STORAGE_DRIVER=json
+const client = uri ? new MongoClient(uri) : null;
 let db;
 
+// Catalog storage: MongoDB, or JSON files in DATA_DIR with STORAGE_DRIVER=json (works offline)
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'data');
+const STORAGE_DRIVER = resolveStorageDriver(process.env.STORAGE_DRIVER);
+const storage = createStorage(STORAGE_DRIVER, {
+  client,
+  getDb: () => {
+    if (!db) throw new Error("Database not initialized");
+    return db;
+  },
+  dataDir: DATA_DIR
+});
+
 async function connectToMongo() {
   try {
     if (db) return;
@@ -46,11 +85,87 @@ async function connectToMongo() {
 
 
 // Helper to get collection
+// (only for MongoDB aggregations: analytics and catalog list pages; everything else goes through `storage`)
 const getCollection = (name) => {
+  if (!db && STORAGE_DRIVER === 'json') throw new Error(`${name} aggregation needs MongoDB (STORAGE_DRIVER=mongodb)`);
   if (!db) throw new Error("Database not initialized");
   return db.collection(name);
 }
 
+// Admin users (Dashboard accounts)
+const findAdminUser = async (id) => {
+  return storage.collection('admin_users').findOne({ id: String(id) });
+};
+
+// Strip the password hash before sending an admin user to the client
+const toPublicAdminUser = ({ _id, passwordHash, ...user }) => ({
+  ...user,
+  permissions: getRolePermissions(user.role)
+});
+
+// Admin user as the audit log keeps it: never the hash, only whether the password was changed
+const toAuditAdminUser = ({ passwordHash, ...user }, passwordChanged = false) => ({
+  ...user,
+  ...(passwordChanged ? { passwordChanged: true } : {})
+});
+
+// Create the first owner account from ADMIN_PASSWORD when no accounts exist yet
+const ensureOwnerAccount = async () => {
+  try {
+    const users = storage.collection('admin_users');
+    if (await users.countDocuments({}) > 0) return;
+
+    if (!process.env.ADMIN_PASSWORD) {
+      console.warn('⚠️ No admin accounts and ADMIN_PASSWORD is not defined - Dashboard login is disabled');
+      return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    await users.insertOne({
+      id: String(Date.now()),
+      username,
+      role: 'owner',
+      passwordHash: hashPassword(process.env.ADMIN_PASSWORD),
+      createdAt: new Date().toISOString()
+    });
+    console.log(`✅ Created initial owner account: ${username}`);
+  } catch (error) {
+    console.error('❌ Error creating initial owner account:', error.message);
+  }
+};
+
+const { requireAuth, requirePermission } = createAuthMiddleware({ findUser: (id) => findAdminUser(id) });
+
+// Record a write in the audit log. Never throws: a failed audit must not fail the write itself.
+const recordAudit = async (req, change) => {
+  try {
+    await storage.collection('audit_log').insertOne(buildAuditEntry(req, change));
+  } catch (error) {
+    console.error(`❌ [AUDIT] Failed to record ${change.action} on ${change.entity}:`, error.message);
+  }
+};
+
+// Validator and unique-index rejections are the client's mistake: answer 400/409 with readable details
+// instead of a 500. Returns false (nothing sent) for any other error.
+const rejectInvalidWrite = (res, error) => {
+  const rejection = describeWriteError(error);
+  if (!rejection) return false;
+  res.status(rejection.status).json({ error: rejection.error, details: rejection.details });
+  return true;
+};
+
+// Update for a catalog PUT body: fields sent as null are removed ($unset) instead of stored as null,
+// which the validators reject for lists, flags and enums (npm run sync clears fields this way)
+const buildPutUpdate = (fields) => {
+  const $set = {};
+  const $unset = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) $unset[field] = '';
+    else $set[field] = value;
+  }
+  return Object.keys($unset).length ? { $set, $unset } : { $set };
+};
+
 // ============ MIDDLEWARE ============
 const allowedOrigins = [
   'http://localhost:3000',
@@ -252,7 +367,7 @@ const generateEmailHtml = (title, message, imageUrl, link, ctaText = 'تصفح 
 };
 
 // GET Subscribers
-app.get('/api/subscribers', async (req, res) => {
+app.get('/api/subscribers', requirePermission('subscribers:manage'), async (req, res) => {
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
   res.set('Pragma', 'no-cache');
   res.set('Expires', '0');
@@ -361,85 +476,1349 @@ const sendBundleEmail = async (bundleTitle, image, type, description, items) =>
     let emailHtmlImage = image;
     const attachments = [];
 
-    // Check if image is Base64
-    if (image && image.startsWith('data:')) {
-      emailHtmlImage = 'cid:bundleImage'; // Reference by CID
-      attachments.push({
-        filename: 'bundle-image.png',
-        path: image,
-        cid: 'bundleImage'
-      });
+    // Check if image is Base64
+    if (image && image.startsWith('data:')) {
+      emailHtmlImage = 'cid:bundleImage'; // Reference by CID
+      attachments.push({
+        filename: 'bundle-image.png',
+        path: image,
+        cid: 'bundleImage'
+      });
+    }
+
+    const html = generateEmailHtml(
+      `📦 باقة جديدة: ${bundleTitle}`,
+      message,
+      emailHtmlImage, // Use CID or URL
+      'https://bta3al3ab.online/',
+      'شوف الباقة'
+    );
+
+    // Send to each subscriber via API
+    for (const email of subscribers) {
+      sendEmailViaBrevoAPI(
+        email,
+        `📦 باقة جديدة وصلت: ${bundleTitle}`,
+        html,
+        attachments
+      );
+    }
+
+  } catch (error) {
+    console.error("❌ Error broadcasting bundle email:", error);
+  }
+};
+
+// ============ EMAIL ROUTES ============
+// POST /api/subscribe
+app.post('/api/subscribe', async (req, res) => {
+  const { email } = req.body;
+
+  // A string, not an object: it goes straight into a filter
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  // 0. Save subscriber: one upsert per email, so concurrent signups can't overwrite each other
+  try {
+    const result = await storage.collection('subscribers').updateOne(
+      { email },
+      { $setOnInsert: { email, createdAt: new Date() } },
+      { upsert: true }
+    );
+    if (result.upsertedCount) {
+      await recordAudit(req, { entity: 'subscribers', entityId: email, action: 'create', after: { email } });
+      console.log(`✅ New subscriber added: ${email}`);
+    } else {
+      console.log(`ℹ️ Subscriber already exists: ${email}`);
+    }
+  } catch (error) {
+    // Two signups with the same email at once: the other one inserted it
+    if (error.code === 11000) {
+      console.log(`ℹ️ Subscriber already exists: ${email}`);
+    } else {
+      const rejection = describeWriteError(error);
+      if (rejection) return res.status(400).json({ error: 'Invalid email', details: rejection.details });
+      console.error('❌ Error saving subscriber:', error);
+      return res.status(500).json({ error: 'Failed to subscribe' });
+    }
+  }
+
+  // 1. Send Welcome Email (Non-blocking)
+  console.log(`📧 Sending welcome email to: ${email}...`);
+  sendWelcomeEmail(email)
+    .then(sent => console.log(`📧 Welcome email result for ${email}: ${sent ? 'Sent' : 'Failed'}`))
+    .catch(err => console.error(`❌ Error sending welcome email to ${email}:`, err));
+
+  // 2. Respond to client immediately
+  res.json({ success: true, message: 'Subscribed successfully' });
+});
+
+// Error handling middleware for JSON parsing
+// Error handling middleware for JSON parsing
+app.use((err, req, res, next) => {
+  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+    console.error('❌ JSON parsing error:', err.message);
+    return res.status(400).json({
+      error: 'Invalid JSON',
+      message: 'Request body must be valid JSON',
+      details: err.message
+    });
+  }
+  next();
+});
+
+// ============ AUTH ROUTES ============
+
+// Failed logins back off per client IP and per username (utils/auth.js); an office behind one
+// IP gets more attempts than a single account
+const loginThrottleByIp = createLoginThrottle({ freeAttempts: 20 });
+const loginThrottleByUsername = createLoginThrottle({ freeAttempts: 5 });
+
+// POST /api/auth/login → Exchange username/password for a signed session token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const cleanUsername = typeof username === 'string' ? username.trim() : '';
+    if (!cleanUsername || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const waitMs = Math.max(loginThrottleByIp.retryAfter(req.ip), loginThrottleByUsername.retryAfter(cleanUsername));
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed login attempts, try again later', retryAfter });
+    }
+
+    const user = await storage.collection('admin_users').findOne({ username: cleanUsername });
+
+    if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) {
+      loginThrottleByIp.fail(req.ip);
+      const lockedMs = loginThrottleByUsername.fail(cleanUsername);
+      console.warn(`⚠️ Failed Dashboard login attempt for "${cleanUsername}" from ${req.ip}${lockedMs ? ` (locked for ${Math.ceil(lockedMs / 1000)}s)` : ''}`);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Only the account's own counter: a valid login must not clear the IP's record
+    loginThrottleByUsername.reset(cleanUsername);
+    const { token, expiresAt } = issueToken({ sub: user.id });
+    console.log(`🔓 Dashboard login: ${user.username} (${user.role}) from ${req.ip}`);
+    res.json({ token, expiresAt, user: toPublicAdminUser(user) });
+  } catch (error) {
+    console.error('❌ Error in POST /auth/login:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// GET /api/auth/me → Validate the current session token and return the logged-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  const { exp, ...user } = req.admin;
+  res.json({ authenticated: true, user, expiresAt: new Date(exp).toISOString() });
+});
+
+// ============ ADMIN USERS ROUTES (owner only) ============
+
+// GET all admin users
+app.get('/api/admin-users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await storage.collection('admin_users').find({}, { sort: { createdAt: 1 } });
+    res.json(users.map(toPublicAdminUser));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch admin users' });
+  }
+});
+
+// POST admin user
+app.post('/api/admin-users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const cleanUsername = String(username || '').trim();
+
+    if (!cleanUsername || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const users = storage.collection('admin_users');
+    if (await users.findOne({ username: cleanUsername })) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const newUser = {
+      id: String(Date.now()),
+      username: cleanUsername,
+      role,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString(),
+      createdBy: req.admin.username
+    };
+    await users.insertOne(newUser);
+    await recordAudit(req, { entity: 'admin_users', entityId: newUser.id, action: 'create', after: toAuditAdminUser(newUser) });
+
+    res.status(201).json(toPublicAdminUser(newUser));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT admin user (role and/or password)
+app.put('/api/admin-users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, password } = req.body || {};
+    const users = storage.collection('admin_users');
+
+    const existing = await users.findOne({ id });
+    if (!existing) return res.status(404).json({ error: 'Admin user not found' });
+
+    const update = { updatedAt: new Date().toISOString() };
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+      }
+      if (existing.role === 'owner' && role !== 'owner' && await users.countDocuments({ role: 'owner' }) <= 1) {
+        return res.status(400).json({ error: 'Cannot demote the last owner' });
+      }
+      update.role = role;
+    }
+    if (password) update.passwordHash = hashPassword(password);
+
+    await users.updateOne({ id }, { $set: update });
+    await recordAudit(req, {
+      entity: 'admin_users',
+      entityId: id,
+      action: 'update',
+      before: toAuditAdminUser(existing),
+      after: toAuditAdminUser({ ...existing, ...update }, Boolean(password))
+    });
+    res.json(toPublicAdminUser({ ...existing, ...update }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE admin user
+app.delete('/api/admin-users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const users = storage.collection('admin_users');
+
+    if (id === req.admin.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const existing = await users.findOne({ id });
+    if (!existing) return res.status(404).json({ error: 'Admin user not found' });
+    if (existing.role === 'owner' && await users.countDocuments({ role: 'owner' }) <= 1) {
+      return res.status(400).json({ error: 'Cannot delete the last owner' });
+    }
+
+    await users.deleteOne({ id });
+    await recordAudit(req, { entity: 'admin_users', entityId: id, action: 'delete', before: toAuditAdminUser(existing) });
+    res.json({ status: 'ok' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ AUDIT LOG ROUTES ============
+
+// GET /api/audit?entity=games&id=123&actor=admin&from=2026-01-01&to=2026-01-31&page=1&limit=50
+app.get('/api/audit', requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Invalid date. Use ISO format, e.g. 2026-01-31' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const filter = buildAuditQuery(req.query);
+    const auditCol = storage.collection('audit_log');
+
+    const [entries, total] = await Promise.all([
+      auditCol.find(filter, { projection: { _id: 0 }, sort: { timestamp: -1 }, skip: (page - 1) * limit, limit }),
+      auditCol.countDocuments(filter)
+    ]);
+
+    res.json({ entries, total, page, limit });
+  } catch (error) {
+    console.error('❌ Error in GET /audit:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// ============ PRICING ROUTES ============
+
+// Helper: current pricing config (defaults until an admin saves one)
+const readPricingConfig = async () => {
+  try {
+    const saved = await storage.collection('pricing').findOne({ id: 'default' });
+    return saved ? normalizePricingConfig(saved).config : DEFAULT_PRICING;
+  } catch (error) {
+    console.error(`❌ Error reading pricing config: ${error.message}`);
+    return DEFAULT_PRICING;
+  }
+};
+
+// Helper: resolve client-sent game ids / media unique ids against the catalog
+const resolveCatalogSelection = async ({ games = [], items = [] }) => {
+  const [gamesData, moviesData] = await Promise.all([readGamesData(), readMoviesData()]);
+  return resolveSelection({ games, items }, { games: gamesData, movies: moviesData });
+};
+
+// Helper: quote a selection, applying a promo code when one is given and valid
+const quoteSelection = async ({ games = [], items = [], promoCode }) => {
+  const resolved = await resolveCatalogSelection({ games, items });
+  const baseQuote = calculateQuote(resolved, await readPricingConfig());
+  if (!promoCode) return { resolved, baseQuote, quote: baseQuote, promotion: null, promotionResult: null };
+
+  const promotion = await storage.collection('promotions').findOne({ code: normalizePromoCode(promoCode) });
+  const promotionResult = evaluatePromotion(promotion, baseQuote);
+  const quote = promotionResult.valid ? applyPromotion(baseQuote, promotion, promotionResult) : baseQuote;
+  return { resolved, baseQuote, quote, promotion, promotionResult };
+};
+
+// GET /api/pricing - Current pricing config for the Dashboard editor
+app.get('/api/pricing', requireAuth, async (req, res) => {
+  try {
+    res.json(await readPricingConfig());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch pricing config' });
+  }
+});
+
+// PUT /api/pricing - Replace the pricing config
+app.put('/api/pricing', requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const { config, errors } = normalizePricingConfig(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid pricing config', details: errors });
+    }
+
+    const pricingCol = storage.collection('pricing');
+    const before = await pricingCol.findOne({ id: 'default' });
+    const doc = { id: 'default', ...config, updatedAt: new Date().toISOString(), updatedBy: req.admin.username };
+    await pricingCol.updateOne({ id: 'default' }, { $set: doc }, { upsert: true });
+    await recordAudit(req, { entity: 'pricing', entityId: 'default', action: before ? 'update' : 'create', before, after: doc });
+
+    res.json(config);
+  } catch (error) {
+    console.error('❌ Error in PUT /pricing:', error);
+    res.status(500).json({ error: 'Failed to save pricing config' });
+  }
+});
+
+// POST /api/pricing/quote - Public: price a selection ({ games: [id], items: ["movies-123"], promoCode? })
+app.post('/api/pricing/quote', async (req, res) => {
+  try {
+    const { games = [], items = [], promoCode } = req.body || {};
+    if (!Array.isArray(games) || !Array.isArray(items)) {
+      return res.status(400).json({ error: 'games and items must be arrays' });
+    }
+    if (games.length + items.length > 500) {
+      return res.status(400).json({ error: 'Too many items' });
+    }
+
+    const { resolved, quote, promotionResult } = await quoteSelection({ games, items, promoCode });
+    res.json({ ...quote, missing: resolved.missing, promotionError: promotionResult?.reason || null });
+  } catch (error) {
+    console.error('❌ Error in POST /pricing/quote:', error);
+    res.status(500).json({ error: 'Failed to calculate quote' });
+  }
+});
+
+// ============ PROMOTIONS ROUTES ============
+
+// POST /api/promotions/validate - Public: check a promo code against a selection
+// Body: { code: "EID2026", games: [gameId], items: ["movies-123"] }
+app.post('/api/promotions/validate', async (req, res) => {
+  try {
+    const { code, games = [], items = [] } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'code is required' });
+    if (!Array.isArray(games) || !Array.isArray(items) || games.length + items.length > 500) {
+      return res.status(400).json({ error: 'games and items must be arrays of at most 500 entries' });
+    }
+
+    const { quote, promotion, promotionResult } = await quoteSelection({ games, items, promoCode: code });
+    res.json({
+      valid: promotionResult.valid,
+      reason: promotionResult.reason,
+      discount: promotionResult.discount,
+      promotion: promotionResult.valid
+        ? { code: promotion.code, description: promotion.description, type: promotion.type, value: promotion.value }
+        : null,
+      quote
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /promotions/validate:', error);
+    res.status(500).json({ error: 'Failed to validate promotion' });
+  }
+});
+
+// GET /api/promotions - Dashboard list
+app.get('/api/promotions', requireAuth, async (req, res) => {
+  try {
+    const promotions = await storage.collection('promotions').find({}, { projection: { _id: 0 }, sort: { createdAt: -1 } });
+    res.json(promotions);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+});
+
+// POST /api/promotions - Create a promo code
+app.post('/api/promotions', requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const { promotion, errors } = normalizePromotion(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid promotion', details: errors });
+
+    const promotionsCol = storage.collection('promotions');
+    if (await promotionsCol.findOne({ code: promotion.code })) {
+      return res.status(409).json({ error: `Promo code ${promotion.code} already exists` });
+    }
+
+    const now = new Date().toISOString();
+    const doc = { id: Date.now(), ...promotion, usedCount: 0, createdAt: now, updatedAt: now };
+    await promotionsCol.insertOne(doc);
+    await recordAudit(req, { entity: 'promotions', entityId: doc.id, action: 'create', after: doc });
+
+    const { _id, ...created } = doc;
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('❌ Error in POST /promotions:', error);
+    res.status(500).json({ error: 'Failed to create promotion' });
+  }
+});
+
+// PUT /api/promotions/:id - Update a promo code (usage count is kept)
+app.put('/api/promotions/:id', requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const promotionsCol = storage.collection('promotions');
+    const before = await promotionsCol.findOne({ id: buildIdQuery(req.params.id) });
+    if (!before) return res.status(404).json({ error: 'Promotion not found' });
+
+    const { promotion, errors } = normalizePromotion({ ...before, ...req.body });
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid promotion', details: errors });
+    if (promotion.code !== before.code && await promotionsCol.findOne({ code: promotion.code })) {
+      return res.status(409).json({ error: `Promo code ${promotion.code} already exists` });
+    }
+
+    await promotionsCol.updateOne(
+      { id: before.id },
+      { $set: { ...promotion, updatedAt: new Date().toISOString() } }
+    );
+    const after = await promotionsCol.findOne({ id: before.id }, { projection: { _id: 0 } });
+    await recordAudit(req, { entity: 'promotions', entityId: before.id, action: 'update', before, after });
+
+    res.json(after);
+  } catch (error) {
+    console.error('❌ Error in PUT /promotions/:id:', error);
+    res.status(500).json({ error: 'Failed to update promotion' });
+  }
+});
+
+// DELETE /api/promotions/:id
+app.delete('/api/promotions/:id', requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const promotionsCol = storage.collection('promotions');
+    const before = await promotionsCol.findOne({ id: buildIdQuery(req.params.id) });
+    if (!before) return res.status(404).json({ error: 'Promotion not found' });
+
+    await promotionsCol.deleteOne({ id: before.id });
+    await recordAudit(req, { entity: 'promotions', entityId: before.id, action: 'delete', before });
+    res.json({ status: 'ok' });
+  } catch (error) {
+    console.error('❌ Error in DELETE /promotions/:id:', error);
+    res.status(500).json({ error: 'Failed to delete promotion' });
+  }
+});
+
+// ============ SHARED CARTS ROUTES ============
+
+// POST /api/carts - Public: save a selection and get a short link
+// Body: { games: [gameId], items: ["movies-123"] }
+app.post('/api/carts', async (req, res) => {
+  try {
+    const { games = [], items = [] } = req.body || {};
+    if (!Array.isArray(games) || !Array.isArray(items) || games.length + items.length === 0) {
+      return res.status(400).json({ error: 'Select at least one game or movie' });
+    }
+    if (games.length + items.length > 500) {
+      return res.status(400).json({ error: 'Too many items' });
+    }
+
+    const resolved = await resolveCatalogSelection({ games, items });
+    if (resolved.games.length + resolved.media.length === 0) {
+      return res.status(400).json({ error: 'None of the selected items exist', missing: resolved.missing });
+    }
+
+    const cartsCol = storage.collection('carts');
+    let code = generateCartCode();
+    while (await cartsCol.findOne({ code })) code = generateCartCode();
+
+    const cart = buildCart({ games, items }, resolved, code);
+    await cartsCol.insertOne(cart);
+
+    res.status(201).json({ code, path: `/cart/${code}`, missing: resolved.missing });
+  } catch (error) {
+    console.error('❌ Error in POST /carts:', error);
+    res.status(500).json({ error: 'Failed to save cart' });
+  }
+});
+
+// GET /api/carts/:code - Public: restore a saved selection, flagging items removed since
+app.get('/api/carts/:code', async (req, res) => {
+  try {
+    const code = String(req.params.code || '').toLowerCase();
+    const cart = await storage.collection('carts').findOne({ code });
+    if (!cart) return res.status(404).json({ error: 'Cart not found' });
+
+    const resolved = await resolveCatalogSelection({ games: cart.games, items: cart.items });
+    res.json(checkCart(cart, resolved));
+  } catch (error) {
+    console.error('❌ Error in GET /carts/:code:', error);
+    res.status(500).json({ error: 'Failed to load cart' });
+  }
+});
+
+// ============ ORDERS ROUTES ============
+
+// POST /api/orders - Public: customer submits the SelectionBar selection
+// Body: { games: [gameId], items: ["movies-123"], customer: { name, phone }, channel: 'whatsapp'|'messenger' }
+app.post('/api/orders', async (req, res) => {
+  try {
+    const { games = [], items = [], customer = {}, channel, notes, promoCode } = req.body || {};
+    if (!Array.isArray(games) || !Array.isArray(items) || games.length + items.length === 0) {
+      return res.status(400).json({ error: 'Select at least one game or movie' });
+    }
+    if (games.length + items.length > 500) {
+      return res.status(400).json({ error: 'Too many items in one order' });
+    }
+
+    const { resolved, baseQuote, quote: promoQuote, promotion, promotionResult } = await quoteSelection({ games, items, promoCode });
+    if (resolved.games.length + resolved.media.length === 0) {
+      return res.status(400).json({ error: 'None of the selected items exist anymore', missing: resolved.missing });
+    }
+
+    // Claim one use of the promo code atomically so usage limits hold under concurrent orders;
+    // if it ran out in the meantime the order is still created at the normal price
+    let quote = baseQuote;
+    let promotionError = promotionResult?.reason || null;
+    if (promotionResult?.valid) {
+      const claim = await storage.collection('promotions').updateOne(promotionClaimFilter(promotion), { $inc: { usedCount: 1 } });
+      if (claim.modifiedCount === 1) quote = promoQuote;
+      else promotionError = 'usage_limit';
+    }
+
+    const ordersCol = storage.collection('orders');
+    let code = generateOrderCode();
+    while (await ordersCol.findOne({ code })) code = generateOrderCode();
+
+    const order = buildOrder(resolved, quote, { code, customer, channel, notes });
+    await ordersCol.insertOne(order);
+    console.log(`✅ [ORDERS] Created order ${code} (${order.items.length} items, ${order.totalSizeGB} GB, ${order.price} EGP)`);
+
+    const { _id, ...publicOrder } = order;
+    res.status(201).json({ ...publicOrder, missing: resolved.missing, promotionError });
+  } catch (error) {
+    console.error('❌ Error in POST /orders:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
+
+// Open /api/orders/:code/events streams, keyed by order code
+const orderWatchers = new Map();
+
+// Push the latest public order state to every customer watching it
+const notifyOrderWatchers = (order) => {
+  const watchers = orderWatchers.get(order.code);
+  if (!watchers) return;
+  const payload = `data: ${JSON.stringify(toPublicOrder(order))}\n\n`;
+  for (const watcher of watchers) {
+    watcher.write(payload);
+    watcher.flush?.();
+  }
+};
+
+// GET /api/orders/:code/status - Public: one order's items, totals and status history
+app.get('/api/orders/:code/status', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const order = await storage.collection('orders').findOne({ code: normalizeOrderCode(req.params.code) });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.json(toPublicOrder(order));
+  } catch (error) {
+    console.error('❌ Error in GET /orders/:code/status:', error);
+    res.status(500).json({ error: 'Failed to fetch order status' });
+  }
+});
+
+// GET /api/orders/:code/events - Public: Server-Sent Events stream of status changes
+app.get('/api/orders/:code/events', async (req, res) => {
+  const code = normalizeOrderCode(req.params.code);
+  try {
+    const order = await storage.collection('orders').findOne({ code });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`data: ${JSON.stringify(toPublicOrder(order))}\n\n`);
+    res.flush?.();
+
+    if (!orderWatchers.has(code)) orderWatchers.set(code, new Set());
+    orderWatchers.get(code).add(res);
+
+    // Comment line keeps proxies (Railway, Cloudflare) from closing an idle stream
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      res.flush?.();
+    }, 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const watchers = orderWatchers.get(code);
+      watchers?.delete(res);
+      if (watchers?.size === 0) orderWatchers.delete(code);
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /orders/:code/events:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to open order stream' });
+  }
+});
+
+// GET /api/orders?status=new - Dashboard list, newest first
+app.get('/api/orders', requireAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!ORDER_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `Invalid status. Use one of: ${ORDER_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const orders = await storage.collection('orders').find(filter, {
+      projection: { _id: 0 },
+      sort: { createdAt: -1 },
+      limit: Math.min(500, Math.max(1, parseInt(req.query.limit) || 200))
+    });
+    res.json(orders);
+  } catch (error) {
+    console.error('❌ Error in GET /orders:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// PUT /api/orders/:code/status - Move an order through new → copying → ready → delivered (or cancelled)
+app.put('/api/orders/:code/status', requirePermission('orders:manage'), async (req, res) => {
+  try {
+    const code = normalizeOrderCode(req.params.code);
+    const { status, note } = req.body || {};
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Use one of: ${ORDER_STATUSES.join(', ')}` });
+    }
+
+    const ordersCol = storage.collection('orders');
+    const before = await ordersCol.findOne({ code });
+    if (!before) return res.status(404).json({ error: 'Order not found' });
+    if (before.status === status) {
+      const { _id, ...unchanged } = before;
+      return res.json(unchanged);
+    }
+
+    const now = new Date().toISOString();
+    const historyEntry = { status, at: now, by: req.admin.username };
+    if (note) historyEntry.note = String(note).slice(0, 500);
+
+    await ordersCol.updateOne(
+      { code },
+      { $set: { status, updatedAt: now }, $push: { statusHistory: historyEntry } }
+    );
+    const after = await ordersCol.findOne({ code }, { projection: { _id: 0 } });
+    await recordAudit(req, { entity: 'orders', entityId: code, action: 'update', before, after });
+    notifyOrderWatchers(after);
+
+    res.json(after);
+  } catch (error) {
+    console.error('❌ Error in PUT /orders/:code/status:', error);
+    res.status(500).json({ error: 'Failed to update order status' });
+  }
+});
+
+// ============ COPY MANIFEST ROUTES ============
+
+// Helper: send a manifest in the requested format (html | csv | sh | robocopy)
+const sendManifest = (res, resolved, { format = 'html', title, fileName }) => {
+  const manifest = buildManifest(resolved);
+  res.set('Cache-Control', 'no-store');
+
+  if (format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.type('text/csv; charset=utf-8').send(renderManifestCsv(manifest));
+  }
+  if (format === 'sh') {
+    res.set('Content-Disposition', `attachment; filename="${fileName}.sh"`);
+    return res.type('text/x-shellscript; charset=utf-8').send(renderCopyScript(manifest, 'sh', title));
+  }
+  if (format === 'robocopy') {
+    res.set('Content-Disposition', `attachment; filename="${fileName}.bat"`);
+    return res.type('application/x-bat; charset=utf-8').send(renderCopyScript(manifest, 'robocopy', title));
+  }
+  return res.type('text/html; charset=utf-8').send(renderManifestHtml(manifest, title));
+};
+
+// POST /api/manifest?format=html - Manifest for an ad-hoc selection ({ games: [id], items: ["movies-123"] })
+app.post('/api/manifest', requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format || req.body?.format || 'html';
+    if (!MANIFEST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${MANIFEST_FORMATS.join(', ')}` });
+    }
+    const { games = [], items = [] } = req.body || {};
+    if (!Array.isArray(games) || !Array.isArray(items) || games.length + items.length === 0) {
+      return res.status(400).json({ error: 'Select at least one game or movie' });
+    }
+
+    const resolved = await resolveCatalogSelection({ games, items });
+    sendManifest(res, resolved, { format, title: 'قائمة النسخ', fileName: 'copy-manifest' });
+  } catch (error) {
+    console.error('❌ Error in POST /manifest:', error);
+    res.status(500).json({ error: 'Failed to build manifest' });
+  }
+});
+
+// GET /api/orders/:code/manifest?format=html - Manifest for a stored order (current storage locations)
+app.get('/api/orders/:code/manifest', requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!MANIFEST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${MANIFEST_FORMATS.join(', ')}` });
+    }
+
+    const order = await storage.collection('orders').findOne({ code: normalizeOrderCode(req.params.code) });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const resolved = await resolveCatalogSelection({
+      games: order.items.filter(item => item.type === 'game').map(item => item.id),
+      items: order.items.filter(item => item.type !== 'game').map(item => `${item.type}-${item.id}`)
+    });
+    sendManifest(res, resolved, { format, title: `طلب ${order.code}`, fileName: `order-${order.code}` });
+  } catch (error) {
+    console.error('❌ Error in GET /orders/:code/manifest:', error);
+    res.status(500).json({ error: 'Failed to build manifest' });
+  }
+});
+
+// ============ CATALOG VERSION ROUTES ============
+
+// Catalog reads (readGamesData(), search index, ...) are cached in memory; see /api/debug/cache
+const catalogCache = createCatalogCache({ ttlMs: parseCacheTtl(process.env.CATALOG_CACHE_TTL_SECONDS) });
+
+// Call after any catalog write; never fails the write itself (clients just revalidate later)
+const markCatalogChanged = async (entity) => {
+  catalogCache.invalidate(entity);
+  try {
+    await bumpCatalogVersion(storage.collection('catalog_meta'), entity);
+  } catch (error) {
+    console.error(`⚠️ Failed to bump catalog version: ${error.message}`);
+  }
+};
+
+// Conditional GET for catalog reads: ETag/Last-Modified from the catalog version, 304 when unchanged.
+// `Cache-Control: no-cache` lets browsers keep the response but makes them revalidate every time.
+const catalogConditionalGet = async (req, res, next) => {
+  try {
+    const { version, updatedAt } = await readCatalogVersion(storage.collection('catalog_meta'));
+    const etag = catalogEtag(version);
+    res.set('Cache-Control', 'no-cache');
+    res.set('ETag', etag);
+    res.set('Last-Modified', new Date(updatedAt).toUTCString());
+    if (isNotModified(req.headers, etag, updatedAt)) return res.status(304).end();
+  } catch (error) {
+    // Without a version the response is simply served uncached
+    console.error(`⚠️ Catalog version unavailable: ${error.message}`);
+    res.set('Cache-Control', 'no-store');
+  }
+  next();
+};
+
+// GET /api/catalog/version → { version, updatedAt } - lets the frontend check its localStorage copy cheaply
+app.get('/api/catalog/version', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    res.json(await readCatalogVersion(storage.collection('catalog_meta')));
+  } catch (error) {
+    console.error('❌ Error in GET /catalog/version:', error);
+    res.status(500).json({ error: 'Failed to read catalog version' });
+  }
+});
+
+// ============ SEARCH ROUTES ============
+
+// Fields the search index needs; keeps long descriptions/requirements out of the query
+const SEARCH_PROJECTION = { _id: 0, id: 1, name: 1, title: 1, aliases: 1, category: 1, image: 1, size: 1, year: 1 };
+
+// Search index of one collection (games, movies or bundles), rebuilt only when the collection changes
+const getSearchIndex = (collectionName) => catalogCache.wrap(collectionName, 'search', async () => {
+  const records = await storage.collection(collectionName).find({}, { projection: SEARCH_PROJECTION });
+  return buildSearchIndex({ [collectionName]: records });
+});
+
+// Ids of one category's items matching `q` in the typo-tolerant search, best match first
+// (used by ?q= on the catalog list endpoints)
+const searchCategoryIds = async (collectionName, category, q) => {
+  const index = (await getSearchIndex(collectionName)).filter(entry => entry.category === category);
+  const types = [collectionName === 'games' ? 'games' : category];
+  return searchCatalog(index, q, { types, limit: index.length }).map(result => result.id);
+};
+
+// GET /api/search?q=assasins creed&types=games,movies&limit=20 - Typo-tolerant, ranked catalog search (public)
+app.get('/api/search', catalogConditionalGet, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q is required' });
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : SEARCH_TYPES;
+    const invalidTypes = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (invalidTypes.length) {
+      return res.status(400).json({ error: `Invalid types: ${invalidTypes.join(', ')}. Use: ${SEARCH_TYPES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+
+    const needsMovies = types.some(type => MEDIA_CATEGORIES.includes(type));
+    const indexes = await Promise.all([
+      types.includes('games') ? getSearchIndex('games') : [],
+      needsMovies ? getSearchIndex('movies') : [],
+      types.includes('bundles') ? getSearchIndex('bundles') : []
+    ]);
+
+    const results = searchCatalog(indexes.flat(), q, { types, limit });
+    res.json({ query: q, results });
+  } catch (error) {
+    console.error('❌ Error in GET /search:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// ============ LIBRARY SCANNER ROUTES ============
+
+// Only one scan runs at a time; its progress lives in memory, finished reports go to `library_scans`
+let activeLibraryScan = null;
+
+const getLibraryRoots = () => parseLibraryRoots(process.env.LIBRARY_ROOTS);
+
+const runLibraryScan = async (scan, { tolerancePercent }) => {
+  try {
+    const { folders, errors } = await scanLibrary(scan.roots, ({ folder, done }) => {
+      scan.progress = { done, current: folder };
+    });
+    // Catalog is read after the (slow) scan so the report reflects edits made meanwhile
+    const [games, movies] = await Promise.all([
+      storage.collection('games').find({}),
+      storage.collection('movies').find({})
+    ]);
+    scan.report = reconcileLibrary(folders, toLibraryRecords(games, movies), { tolerancePercent });
+    scan.errors = errors;
+    scan.status = 'done';
+    console.log(`✅ Library scan ${scan.id} done: ${folders.length} folders, ${scan.report.summary.sizeMismatches} size mismatches`);
+  } catch (error) {
+    console.error('❌ Library scan failed:', error);
+    scan.status = 'failed';
+    scan.errors = [error.message];
+  }
+
+  const { progress, ...finished } = scan;
+  finished.finishedAt = new Date().toISOString();
+  try {
+    await storage.collection('library_scans').insertOne(finished);
+  } catch (error) {
+    console.error('❌ Failed to save library scan:', error);
+  } finally {
+    activeLibraryScan = null;
+  }
+};
+
+// GET /api/library/scan - Configured roots, the running scan (if any) and the latest report
+app.get('/api/library/scan', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const [latest] = await storage.collection('library_scans').find({}, { projection: { _id: 0 }, sort: { id: -1 }, limit: 1 });
+
+    res.json({
+      roots: getLibraryRoots(),
+      running: activeLibraryScan
+        ? { id: activeLibraryScan.id, startedAt: activeLibraryScan.startedAt, progress: activeLibraryScan.progress }
+        : null,
+      latest: latest || null
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /library/scan:', error);
+    res.status(500).json({ error: 'Failed to load library scan' });
+  }
+});
+
+// POST /api/library/scan - Start a scan of LIBRARY_ROOTS in the background
+app.post('/api/library/scan', requirePermission('catalog:write'), async (req, res) => {
+  const roots = getLibraryRoots();
+  if (roots.length === 0) {
+    return res.status(400).json({ error: 'LIBRARY_ROOTS is not configured on the server' });
+  }
+  if (activeLibraryScan) {
+    return res.status(409).json({ error: 'A library scan is already running', id: activeLibraryScan.id });
+  }
+
+  const tolerancePercent = req.body?.tolerancePercent === undefined
+    ? DEFAULT_TOLERANCE_PERCENT
+    : parseFloat(req.body.tolerancePercent);
+  if (isNaN(tolerancePercent) || tolerancePercent < 0) {
+    return res.status(400).json({ error: 'tolerancePercent must be a number >= 0' });
+  }
+
+  activeLibraryScan = {
+    id: Date.now(),
+    status: 'running',
+    roots,
+    startedBy: req.admin.username,
+    startedAt: new Date().toISOString(),
+    progress: { done: 0, current: null },
+    fixed: []
+  };
+  runLibraryScan(activeLibraryScan, { tolerancePercent });
+  res.status(202).json({ id: activeLibraryScan.id, status: 'running' });
+});
+
+// Helper: find a report entry and the catalog change that fixes it
+const LIBRARY_FIXES = {
+  size: { list: 'sizeMismatches', changes: (entry) => ({ size: entry.suggestedSize }) },
+  location: { list: 'locationUpdates', changes: (entry) => ({ diskLabel: entry.suggestedDiskLabel, folderPath: entry.suggestedFolderPath }) },
+  clearLocation: { list: 'missingFolders', changes: () => ({ diskLabel: '', folderPath: '' }) }
+};
+
+// POST /api/library/fixes - Apply one suggestion from a scan report
+// Body: { scanId, action: "size" | "location" | "clearLocation", key: "game-123" }
+app.post('/api/library/fixes', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { scanId, action, key } = req.body || {};
+    const fix = LIBRARY_FIXES[action];
+    if (!fix) return res.status(400).json({ error: `Invalid action. Use one of: ${Object.keys(LIBRARY_FIXES).join(', ')}` });
+
+    const scans = storage.collection('library_scans');
+    const scan = await scans.findOne({ id: Number(scanId) });
+    if (!scan?.report) return res.status(404).json({ error: 'Scan not found' });
+
+    const entry = scan.report[fix.list].find(item => item.key === key);
+    if (!entry) return res.status(404).json({ error: 'Report entry not found' });
+
+    const entity = entry.type === 'game' ? 'games' : 'movies';
+    const collection = storage.collection(entity);
+    const before = await collection.findOne({ id: buildIdQuery(entry.id) });
+    if (!before) return res.status(404).json({ error: 'Catalog item no longer exists' });
+
+    await collection.updateOne(
+      { id: buildIdQuery(entry.id) },
+      { $set: { ...fix.changes(entry), updatedAt: new Date().toISOString() } }
+    );
+    const after = await collection.findOne({ id: buildIdQuery(entry.id) });
+    await recordAudit(req, { entity, entityId: entry.id, action: 'update', before, after });
+    await markCatalogChanged(entity);
+    await scans.updateOne({ id: scan.id }, { $addToSet: { fixed: `${action}:${key}` } });
+
+    res.json({ fixed: `${action}:${key}`, item: after });
+  } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
+    console.error('❌ Error in POST /library/fixes:', error);
+    res.status(500).json({ error: 'Failed to apply fix' });
+  }
+});
+
+// POST /api/library/untracked - Add a folder found on disk to the catalog
+// Body: { scanId, path, category, name? }
+app.post('/api/library/untracked', requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { scanId, path, category, name } = req.body || {};
+    const isGame = GAME_CATEGORIES.includes(category);
+    if (!isGame && !MEDIA_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: 'Invalid category' });
+    }
+
+    const scans = storage.collection('library_scans');
+    const scan = await scans.findOne({ id: Number(scanId) });
+    if (!scan?.report) return res.status(404).json({ error: 'Scan not found' });
+
+    const folder = scan.report.untrackedFolders.find(item => item.path === path);
+    if (!folder) return res.status(404).json({ error: 'Folder not found in this scan' });
+
+    const entity = isGame ? 'games' : 'movies';
+    const newItem = {
+      id: Date.now(),
+      name: String(name || folder.name).trim(),
+      size: folder.suggestedSize,
+      diskLabel: folder.diskLabel,
+      folderPath: folder.path,
+      category,
+      createdAt: new Date().toISOString()
+    };
+
+    await storage.collection(entity).insertOne(newItem);
+    await recordAudit(req, { entity, entityId: newItem.id, action: 'create', after: newItem });
+    await markCatalogChanged(entity);
+    await scans.updateOne({ id: scan.id }, { $addToSet: { fixed: `add:${path}` } });
+
+    const { _id, ...item } = newItem;
+    res.status(201).json({ fixed: `add:${path}`, item });
+  } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
+    console.error('❌ Error in POST /library/untracked:', error);
+    res.status(500).json({ error: 'Failed to add folder to catalog' });
+  }
+});
+
+// ============ BACKUP ROUTES ============
+
+// Snapshots of every collection in BACKUP_DIR; scheduled ones are the "backup" job (see SCHEDULED JOBS)
+const BACKUP_DIR = process.env.BACKUP_DIR || join(__dirname, 'backups');
+const backupSettings = parseBackupSettings(process.env);
+const backups = createBackupService({
+  getDb: () => {
+    if (!db) throw Object.assign(new Error('Backups need MongoDB, which is not connected'), { status: 503 });
+    return db;
+  },
+  dir: BACKUP_DIR,
+  settings: backupSettings
+});
+
+// Catalog collections whose caches and version must follow a restore
+const CATALOG_COLLECTIONS = ['games', 'movies', 'bundles', 'news', 'upcoming_games'];
+
+// ?collections=games,movies or { collections: [...] }; undefined means the whole snapshot
+const parseCollectionsParam = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const list = (Array.isArray(value) ? value : String(value).split(',')).map(name => String(name).trim()).filter(Boolean);
+  return list.length ? list : undefined;
+};
+
+// Snapshots are read from and restored into MongoDB; the JSON storage has no backups
+const requireMongoBackups = (req, res, next) => {
+  if (STORAGE_DRIVER === 'json') {
+    return res.status(503).json({ error: 'Backups need MongoDB (STORAGE_DRIVER=mongodb)' });
+  }
+  next();
+};
+
+// Service errors carry an HTTP status (404 unknown snapshot, 400 collection not in it, 503 no database)
+const sendBackupError = (res, error, route, message) => {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(`❌ Error in ${route}:`, error);
+  res.status(500).json({ error: message, details: [error.message] });
+};
+
+// GET /api/backups - Snapshots (newest first), the retention settings and the "backup" job's schedule
+app.get('/api/backups', requirePermission('system:manage'), requireMongoBackups, async (req, res) => {
+  try {
+    const { schedule, paused, nextRunAt } = await jobs.getJob('backup');
+    res.json({ settings: { ...backupSettings, schedule, paused, nextRunAt }, snapshots: await backups.listSnapshots() });
+  } catch (error) {
+    sendBackupError(res, error, 'GET /backups', 'Failed to list backups');
+  }
+});
+
+// POST /api/backups - Take a snapshot now
+app.post('/api/backups', requirePermission('system:manage'), requireMongoBackups, async (req, res) => {
+  try {
+    const snapshot = await backups.createSnapshot({ trigger: 'manual', createdBy: req.admin.username });
+    console.log(`✅ Backup ${snapshot.id} created by ${req.admin.username}`);
+    res.status(201).json(snapshot);
+  } catch (error) {
+    sendBackupError(res, error, 'POST /backups', 'Failed to create backup');
+  }
+});
+
+// GET /api/backups/:id/download - The snapshot file as stored (.ndjson or .ndjson.gz)
+app.get('/api/backups/:id/download', requirePermission('system:manage'), requireMongoBackups, async (req, res) => {
+  try {
+    res.download(await backups.getSnapshotFile(req.params.id));
+  } catch (error) {
+    sendBackupError(res, error, 'GET /backups/:id/download', 'Failed to download backup');
+  }
+});
+
+// GET /api/backups/:id/preview?collections=games,movies - Record counts a restore would change
+app.get('/api/backups/:id/preview', requirePermission('system:manage'), requireMongoBackups, async (req, res) => {
+  try {
+    res.json(await backups.previewRestore(req.params.id, parseCollectionsParam(req.query.collections)));
+  } catch (error) {
+    sendBackupError(res, error, 'GET /backups/:id/preview', 'Failed to preview restore');
+  }
+});
+
+// POST /api/backups/:id/restore - Restore the whole snapshot or { collections: [...] }
+// A "pre-restore" snapshot is taken first so the restore can be undone
+app.post('/api/backups/:id/restore', requirePermission('system:manage'), requireMongoBackups, async (req, res) => {
+  try {
+    const collections = parseCollectionsParam(req.body?.collections);
+    const result = await backups.restoreSnapshot(req.params.id, { collections, createdBy: req.admin.username });
+
+    for (const name of Object.keys(result.collections).filter(name => CATALOG_COLLECTIONS.includes(name))) {
+      await markCatalogChanged(name);
+    }
+    await recordAudit(req, { entity: 'backups', entityId: req.params.id, action: 'restore', after: result });
+    console.log(`✅ Backup ${req.params.id} restored by ${req.admin.username} (${Object.keys(result.collections).join(', ')})`);
+    res.json(result);
+  } catch (error) {
+    sendBackupError(res, error, 'POST /backups/:id/restore', 'Failed to restore backup');
+  }
+});
+
+// ============ SCHEDULED JOBS ============
+
+// Background jobs on cron schedules (utils/jobs.js), started with the server (see startServer).
+// JOBS_ENABLED=false keeps this instance from running them on schedule; the lock in the `jobs`
+// collection already makes sure only one instance runs each job.
+const jobs = createJobScheduler({
+  collection: () => storage.collection('jobs'),
+  enabled: process.env.JOBS_ENABLED !== 'false',
+  available: () => STORAGE_DRIVER === 'json' || Boolean(db)
+});
+
+// Writes made by a job show up in the audit log as "job:<name>"
+const jobAuditRequest = (name) => ({ admin: { username: `job:${name}`, role: null }, method: 'JOB', originalUrl: `/api/jobs/${name}` });
+
+// The JSON storage has nothing to snapshot (see requireMongoBackups)
+if (STORAGE_DRIVER !== 'json') {
+  jobs.define({
+    name: 'backup',
+    description: 'Snapshot of every collection in BACKUP_DIR, then delete snapshots past BACKUP_KEEP/BACKUP_MAX_AGE_DAYS',
+    schedule: scheduleFromEnv(process.env, 'backup', '0 3 * * *'),
+    run: async ({ log, trigger, triggeredBy }) => {
+      const snapshot = await backups.createSnapshot({ trigger, createdBy: triggeredBy });
+      log(`Snapshot ${snapshot.id} saved (${Object.keys(snapshot.collections).length} collections, ${snapshot.sizeBytes} bytes)`);
+      return { snapshot: snapshot.id, collections: snapshot.collections, sizeBytes: snapshot.sizeBytes };
     }
+  });
+}
 
-    const html = generateEmailHtml(
-      `📦 باقة جديدة: ${bundleTitle}`,
-      message,
-      emailHtmlImage, // Use CID or URL
-      'https://bta3al3ab.online/',
-      'شوف الباقة'
-    );
+// ---- Missing requirements (replaces scripts/fetch-missing-requirements.js and fetch-all-requirements-now.js) ----
 
-    // Send to each subscriber via API
-    for (const email of subscribers) {
-      sendEmailViaBrevoAPI(
-        email,
-        `📦 باقة جديدة وصلت: ${bundleTitle}`,
-        html,
-        attachments
-      );
+const REQUIREMENTS_PER_RUN = 50;
+const REQUIREMENT_FIELDS = ['cpu', 'gpu', 'ram', 'storage', 'os'];
+const MISSING_REQUIREMENT_VALUES = ['', 'لا توجد متطلبات', 'غير محدد', 'غير متوفر', 'غير موجود', 'unknown', 'no requirements specified'];
+
+const hasSystemRequirements = (game) => ['minimum', 'recommended'].some(level => ['cpu', 'gpu', 'ram'].some(field => {
+  const value = game.systemRequirements?.[level]?.[field];
+  return value !== undefined && value !== null && !MISSING_REQUIREMENT_VALUES.includes(String(value).trim().toLowerCase());
+}));
+
+// Only the fields the games validator knows
+const pickRequirements = (level) => (level
+  ? Object.fromEntries(REQUIREMENT_FIELDS.filter(field => level[field] !== undefined && level[field] !== null && level[field] !== '').map(field => [field, level[field]]))
+  : null);
+
+jobs.define({
+  name: 'fetch-requirements',
+  description: `Fetch system requirements (fallback file, then Steam) for up to ${REQUIREMENTS_PER_RUN} games that have none`,
+  schedule: scheduleFromEnv(process.env, 'fetch-requirements', '30 4 * * *'),
+  paused: true,
+  lockMinutes: 60,
+  run: async ({ log, state }) => {
+    const games = storage.collection('games');
+    const missing = (await games.find({}, { projection: { _id: 0, id: 1, name: 1, category: 1, steamAppId: 1, systemRequirements: 1 } }))
+      .filter(game => game.id !== undefined && game.name && !hasSystemRequirements(game));
+
+    // Games tried longest ago (or never) go first, so the ones no source knows don't block the rest
+    const missingIds = new Set(missing.map(game => String(game.id)));
+    const attempts = Object.fromEntries(Object.entries(state.attempts || {}).filter(([id]) => missingIds.has(id)));
+    const batch = missing
+      .sort((a, b) => (attempts[a.id] || '').localeCompare(attempts[b.id] || ''))
+      .slice(0, REQUIREMENTS_PER_RUN);
+    log(`${missing.length} game(s) without requirements, trying ${batch.length}`);
+
+    const updated = [];
+    for (const [index, game] of batch.entries()) {
+      attempts[game.id] = new Date().toISOString();
+      try {
+        const result = await getRequirementsForGame(game);
+        const systemRequirements = {
+          minimum: pickRequirements(result.requirements?.minimum),
+          recommended: pickRequirements(result.requirements?.recommended)
+        };
+        if (result.source === 'none' || !hasSystemRequirements({ systemRequirements })) {
+          log(`⚠️ ${game.name}: nothing found`);
+        } else {
+          const before = await games.findOne({ id: game.id });
+          await games.updateOne({ id: game.id }, { $set: { systemRequirements, requirementsSource: result.source, updatedAt: new Date().toISOString() } });
+          await recordAudit(jobAuditRequest('fetch-requirements'), { entity: 'games', entityId: game.id, action: 'update', before, after: await games.findOne({ id: game.id }) });
+          updated.push({ id: game.id, name: game.name, source: result.source });
+          log(`✅ ${game.name} (${result.source})`);
+        }
+      } catch (error) {
+        log(`❌ ${game.name}: ${error.message}`);
+      }
+      // Stay under Steam's rate limit
+      if (index < batch.length - 1) await new Promise(resolve => setTimeout(resolve, 2000));
     }
 
-  } catch (error) {
-    console.error("❌ Error broadcasting bundle email:", error);
+    state.attempts = attempts;
+    if (updated.length) await markCatalogChanged('games');
+    return { missing: missing.length, tried: batch.length, updated };
+  }
+});
+
+// ---- Broken images (replaces scripts/check_images.js) ----
+
+// collection -> field holding the record's display name
+const IMAGE_CHECK_COLLECTIONS = { games: 'name', movies: 'name', bundles: 'title', news: 'title', upcoming_games: 'title' };
+const IMAGE_CHECK_CONCURRENCY = 5;
+const MAX_REPORTED_IMAGES = 200;
+
+// HTTP status of an image URL; some CDNs refuse HEAD, so a failed HEAD is asked again with GET
+const checkImageUrl = async (url) => {
+  let status;
+  for (const method of ['head', 'get']) {
+    const response = await axios({ method, url, timeout: 15000, maxRedirects: 5, responseType: 'stream', validateStatus: () => true });
+    response.data?.destroy?.();
+    status = response.status;
+    if (status < 400) break;
   }
+  return status;
 };
 
-// ============ EMAIL ROUTES ============
-// POST /api/subscribe
-app.post('/api/subscribe', async (req, res) => {
-  const { email } = req.body;
+jobs.define({
+  name: 'check-images',
+  description: 'Request every catalog image URL and report the ones that fail (nothing is changed)',
+  schedule: scheduleFromEnv(process.env, 'check-images', '0 5 * * 0'),
+  paused: true,
+  run: async ({ log }) => {
+    const usedBy = new Map(); // url -> records showing it
+    let skipped = 0;
+    for (const [collectionName, labelField] of Object.entries(IMAGE_CHECK_COLLECTIONS)) {
+      const records = await storage.collection(collectionName).find({}, { projection: { _id: 0, id: 1, category: 1, image: 1, [labelField]: 1 } });
+      for (const record of records) {
+        const url = typeof record.image === 'string' ? record.image.trim() : '';
+        // Stored (data:) images and relative paths are served by us
+        if (!/^https?:\/\//i.test(url)) {
+          if (url) skipped++;
+          continue;
+        }
+        if (!usedBy.has(url)) usedBy.set(url, []);
+        usedBy.get(url).push({ collection: collectionName, id: record.id, category: record.category || null, name: record[labelField] || null });
+      }
+    }
 
-  if (!email) {
-    return res.status(400).json({ error: 'Email is required' });
+    const urls = [...usedBy.keys()];
+    log(`Checking ${urls.length} image URL(s)...`);
+    const broken = [];
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length) {
+        const url = urls[next++];
+        let problem = null;
+        try {
+          const status = await checkImageUrl(url);
+          if (status >= 400) problem = `HTTP ${status}`;
+        } catch (error) {
+          problem = error.code || error.message;
+        }
+        if (problem) {
+          log(`❌ ${problem}: ${url}`);
+          broken.push(...usedBy.get(url).map(record => ({ ...record, url, problem })));
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: IMAGE_CHECK_CONCURRENCY }, worker));
+
+    return { checked: urls.length, skipped, brokenCount: broken.length, broken: broken.slice(0, MAX_REPORTED_IMAGES) };
   }
+});
 
-  // 0. Save subscriber
-  const subscribers = await readSubscribersData();
-  if (!subscribers.includes(email)) {
-    // Current logic: read all emails, add new one, write back.
-    // Ideally we would just insert one, but keeping compatibility with 'readSubscribersData' returning array of emails.
-    // And 'writeSubscribersData' expects array of emails.
-    subscribers.push(email);
-    await writeSubscribersData(subscribers);
-    console.log(`✅ New subscriber added: ${email}`);
-  } else {
-    console.log(`ℹ️ Subscriber already exists: ${email}`);
+// ---- Upcoming games expiry ----
+
+// An upcoming game without an end date leaves the list this long after it unlocks
+const UPCOMING_GRACE_DAYS = 7;
+
+const upcomingExpiresAt = (game) => (game.endDate
+  ? Date.parse(game.endDate)
+  : Date.parse(game.unlockDate) + UPCOMING_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+jobs.define({
+  name: 'expire-upcoming',
+  description: `Remove upcoming games past their end date (no end date: ${UPCOMING_GRACE_DAYS} days after they unlock)`,
+  schedule: scheduleFromEnv(process.env, 'expire-upcoming', '*/15 * * * *'),
+  paused: true,
+  run: async ({ log }) => {
+    const upcoming = storage.collection('upcoming_games');
+    const all = await upcoming.find({});
+    // Unparseable dates give NaN, which never counts as expired
+    const expired = all.filter(game => upcomingExpiresAt(game) < Date.now());
+    for (const game of expired) {
+      await upcoming.deleteOne({ id: game.id });
+      await recordAudit(jobAuditRequest('expire-upcoming'), { entity: 'upcoming_games', entityId: game.id, action: 'delete', before: game });
+      log(`🗑️ ${game.title} (ended ${new Date(upcomingExpiresAt(game)).toISOString()})`);
+    }
+    if (expired.length) await markCatalogChanged('upcoming_games');
+    return { removed: expired.map(game => ({ id: game.id, title: game.title })), remaining: all.length - expired.length };
   }
+});
 
-  // 1. Send Welcome Email (Non-blocking)
-  console.log(`📧 Sending welcome email to: ${email}...`);
-  sendWelcomeEmail(email)
-    .then(sent => console.log(`📧 Welcome email result for ${email}: ${sent ? 'Sent' : 'Failed'}`))
-    .catch(err => console.error(`❌ Error sending welcome email to ${email}:`, err));
+// Scheduler errors carry an HTTP status (404 unknown job, 409 already running)
+const sendJobError = (res, error, route, message) => {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(`❌ Error in ${route}:`, error);
+  res.status(500).json({ error: message, details: [error.message] });
+};
 
-  // 2. Respond to client immediately
-  res.json({ success: true, message: 'Subscribed successfully' });
+// GET /api/jobs - Every job with its schedule, next run and last run (without logs)
+app.get('/api/jobs', requirePermission('system:manage'), async (req, res) => {
+  try {
+    res.json({ enabled: jobs.enabled, jobs: await jobs.listJobs() });
+  } catch (error) {
+    sendJobError(res, error, 'GET /jobs', 'Failed to list jobs');
+  }
 });
 
-// Error handling middleware for JSON parsing
-// Error handling middleware for JSON parsing
-app.use((err, req, res, next) => {
-  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    console.error('❌ JSON parsing error:', err.message);
-    return res.status(400).json({
-      error: 'Invalid JSON',
-      message: 'Request body must be valid JSON',
-      details: err.message
-    });
+// GET /api/jobs/:name - One job with the last run's logs and the run history
+app.get('/api/jobs/:name', requirePermission('system:manage'), async (req, res) => {
+  try {
+    res.json(await jobs.getJob(req.params.name));
+  } catch (error) {
+    sendJobError(res, error, 'GET /jobs/:name', 'Failed to load job');
+  }
+});
+
+// POST /api/jobs/:name/run - Start a run now (202; poll GET /api/jobs/:name for the result)
+app.post('/api/jobs/:name/run', requirePermission('system:manage'), async (req, res) => {
+  try {
+    const job = await jobs.runJob(req.params.name, { trigger: 'manual', triggeredBy: req.admin.username });
+    await recordAudit(req, { entity: 'jobs', entityId: req.params.name, action: 'run' });
+    console.log(`▶️ Job ${req.params.name} started by ${req.admin.username}`);
+    res.status(202).json(job);
+  } catch (error) {
+    sendJobError(res, error, 'POST /jobs/:name/run', 'Failed to start job');
   }
-  next();
 });
 
+// POST /api/jobs/:name/pause and /resume - Stop or restart the schedule (manual runs still work)
+for (const action of ['pause', 'resume']) {
+  app.post(`/api/jobs/:name/${action}`, requirePermission('system:manage'), async (req, res) => {
+    try {
+      const before = await jobs.getJob(req.params.name);
+      const job = await jobs.setPaused(req.params.name, action === 'pause', req.admin.username);
+      await recordAudit(req, { entity: 'jobs', entityId: req.params.name, action, before: { paused: before.paused }, after: { paused: job.paused } });
+      res.json(job);
+    } catch (error) {
+      sendJobError(res, error, `POST /jobs/:name/${action}`, `Failed to ${action} job`);
+    }
+  });
+}
+
 // ----- API index route -----
 // NOTE: '/' is intentionally NOT overridden here so the SPA (frontend/dist/index.html)
 // is served when this backend also hosts the frontend. Use '/api' for the JSON summary.
@@ -449,196 +1828,146 @@ app.get('/api', (req, res) => {
     api: {
       health: '/api/health',
       games: '/api/games',
-      gamesByType: '/api/games/:type (readyToPlay, repack, online)',
+      gamesByType: '/api/games/:type (readyToPlay, repack, online) ?page=&limit=&sort=&order=&q=&genre=&minSize=&maxSize=&minYear=&maxYear=&view=list|full',
+      gameItem: '/api/games/item/:id',
       movies: '/api/movies',
-      moviesByType: '/api/movies/:type (movies, tvShows, anime)'
+      moviesByType: '/api/movies/:type (movies, tvShows, anime)',
+      movieItem: '/api/movies/item/:id',
+      search: '/api/search?q=&types=games,movies,tvShows,anime,bundles',
+      catalogVersion: '/api/catalog/version'
     },
     storage: 'MongoDB'
   });
 });
 
-// Helper function to read games data from MongoDB
-const readGamesData = async () => {
+// Prefix of list image URLs: PUBLIC_API_URL when set, otherwise root-relative ("/api/...", which
+// the frontend resolves against its API URL). Never the request's Host header: that is client
+// input, and list responses are cached and shared between clients.
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || '').trim().replace(/\/+$/, '').replace(/\/api$/, '');
+
+// Slim list records unless ?view=full (Dashboard editing needs every field)
+const isListView = (req) => req.query.view !== 'full';
+
+// Slim list record from a full one, for the JSON storage (MongoDB applies listProjection() itself)
+const toListView = (collectionName) => (record) => toListRecord(record, collectionName, PUBLIC_API_URL);
+
+// Catalog records, slimmed down to the list fields when `list` is set
+const findCatalogRecords = async (collectionName, filter, { list = false } = {}) => {
+  const collection = storage.collection(collectionName);
+  if (!list) return collection.find(filter);
+  if (STORAGE_DRIVER === 'mongodb') {
+    return collection.find(filter, { projection: listProjection(collectionName, PUBLIC_API_URL) });
+  }
+  return (await collection.find(filter)).map(toListView(collectionName));
+};
+
+// Helper function to read games data from MongoDB (cached; don't modify the result)
+// `list` returns slim list records (cached separately from the full ones, the default)
+const readGamesData = async ({ list = false } = {}) => {
   try {
-    const db = getCollection('games');
-    const games = await db.find({}).toArray();
-    return {
-      readyToPlay: games.filter(g => g.category === 'readyToPlay'),
-      repack: games.filter(g => g.category === 'repack'),
-      online: games.filter(g => g.category === 'online')
-    };
+    return await catalogCache.wrap('games', list ? 'list' : 'full', async () => {
+      const games = await findCatalogRecords('games', {}, { list });
+      return {
+        readyToPlay: games.filter(g => g.category === 'readyToPlay'),
+        repack: games.filter(g => g.category === 'repack'),
+        online: games.filter(g => g.category === 'online')
+      };
+    });
   } catch (error) {
     console.error(`❌ Error reading games from DB: ${error.message}`);
     return { readyToPlay: [], repack: [], online: [] };
   }
 };
 
-// Helper function to read movies data from MongoDB
-const readMoviesData = async () => {
+// Helper function to read movies data from MongoDB (cached like readGamesData())
+const readMoviesData = async ({ list = false } = {}) => {
   try {
-    const db = getCollection('movies');
-    const movies = await db.find({}).toArray();
-    return {
-      movies: movies.filter(m => m.category === 'movies'),
-      tvShows: movies.filter(m => m.category === 'tvShows'),
-      anime: movies.filter(m => m.category === 'anime')
-    };
+    return await catalogCache.wrap('movies', list ? 'list' : 'full', async () => {
+      const movies = await findCatalogRecords('movies', {}, { list });
+      return {
+        movies: movies.filter(m => m.category === 'movies'),
+        tvShows: movies.filter(m => m.category === 'tvShows'),
+        anime: movies.filter(m => m.category === 'anime')
+      };
+    });
   } catch (error) {
     console.error(`❌ Error reading movies from DB: ${error.message}`);
     return { movies: [], tvShows: [], anime: [] };
   }
 };
 
-const buildIdQuery = (rawId) => {
-  if (!rawId) return { $exists: false };
-  const numericId = Number(rawId);
-  if (Number.isFinite(numericId)) {
-    return { $in: [numericId, String(numericId)] };
+// One page of a category for GET /api/games/:type and /api/movies/:type: a MongoDB aggregation,
+// or the same filters applied in JS when the catalog is stored in JSON files
+const listCatalog = async (collectionName, category, options, { searchIds, list }) => {
+  if (STORAGE_DRIVER === 'mongodb') {
+    const projection = list ? listProjection(collectionName, PUBLIC_API_URL) : undefined;
+    return queryCatalogList(getCollection(collectionName), category, options, { searchIds, projection });
   }
-  return { $in: [rawId, String(rawId)] };
+  const records = await storage.collection(collectionName).find({ category });
+  const result = listCatalogRecords(records, options, { searchIds });
+  if (!list) return result;
+  const project = toListView(collectionName);
+  return Array.isArray(result) ? result.map(project) : { ...result, items: result.items.map(project) };
 };
 
-// Helper function to write/update games data to MongoDB
-// NOTE: usage is writeGamesData(fullJsonObject)
-const writeGamesData = async (data, action = 'update') => {
-  try {
-    const db = getCollection('games');
-    // This is inefficient but preserves strict compatibility with previous logic
-    // Previous logic: overwrite entire file with new array.
-    // New logic: delete all and insert new.
-
-    const allGames = [];
-    if (data.readyToPlay) allGames.push(...data.readyToPlay.map(g => ({ ...g, category: 'readyToPlay' })));
-    if (data.repack) allGames.push(...data.repack.map(g => ({ ...g, category: 'repack' })));
-    if (data.online) allGames.push(...data.online.map(g => ({ ...g, category: 'online' })));
-
-    if (allGames.length > 0) {
-      await db.deleteMany({});
-      await db.insertMany(allGames);
-    }
+// Serve a record's stored image: decoded base64 with a long cache, or a redirect for URL images.
+// List responses link to it with ?v=<updatedAt>, and those URLs never change content.
+const sendStoredImage = (req, res, record) => {
+  const image = decodeStoredImage(record?.image);
+  if (!image) return res.status(404).json({ error: 'Image not found' });
+  if (image.redirect) return res.redirect(image.redirect);
 
-    return { success: true, message: 'Saved to DB' };
-  } catch (error) {
-    console.error(`❌ Error writing games to DB: ${error.message}`);
-    return { success: false, error: error.message };
-  }
+  res.set('Content-Type', image.contentType);
+  res.set('Cache-Control', req.query.v ? 'public, max-age=31536000, immutable' : 'public, max-age=86400');
+  res.send(image.body);
 };
 
-// Helper function to write movies data to MongoDB
-const writeMoviesData = async (data, action = 'update') => {
-  try {
-    const db = getCollection('movies');
-    const allMovies = [];
-    if (data.movies) allMovies.push(...data.movies.map(m => ({ ...m, category: 'movies' })));
-    if (data.tvShows) allMovies.push(...data.tvShows.map(m => ({ ...m, category: 'tvShows' })));
-    if (data.anime) allMovies.push(...data.anime.map(m => ({ ...m, category: 'anime' })));
-
-    if (allMovies.length > 0) {
-      await db.deleteMany({});
-      await db.insertMany(allMovies);
-    }
-    return { success: true, message: 'Saved to DB' };
-  } catch (error) {
-    console.error(`❌ Error writing movies to DB: ${error.message}`);
-    return { success: false, error: error.message };
+const buildIdQuery = (rawId) => {
+  if (!rawId) return { $exists: false };
+  const numericId = Number(rawId);
+  if (Number.isFinite(numericId)) {
+    return { $in: [numericId, String(numericId)] };
   }
+  return { $in: [rawId, String(rawId)] };
 };
 
-
-
 // Helper function to read news data from MongoDB
 const readNewsData = async () => {
   try {
-    const db = getCollection('news');
     // News usually sorted by newest first (which was id desc or array order)
     // Previous logic: new items unshift(), so index 0 is newest.
     // MongoDB: sort by _id descending or createdAt descending.
     // We used id: Date.now().
-    return await db.find({}).sort({ id: -1 }).toArray();
+    return await catalogCache.wrap('news', 'all', () => storage.collection('news').find({}, { sort: { id: -1 } }));
   } catch (error) {
     console.error(`❌ Error reading news from DB: ${error.message}`);
     return [];
   }
 };
 
-// Helper function to write news data to MongoDB
-const writeNewsData = async (data, action = 'update') => {
-  try {
-    const db = getCollection('news');
-    if (data.length > 0) {
-      await db.deleteMany({});
-      await db.insertMany(data);
-    }
-    return { success: true };
-  } catch (error) {
-    console.error(`❌ Error writing news to DB: ${error.message}`);
-    return { success: false, error: error.message };
-  }
-};
-
 // Helper function to read bundles data from MongoDB
 const readBundlesData = async () => {
   try {
-    const db = getCollection('bundles');
-    return await db.find({}).toArray();
+    return await catalogCache.wrap('bundles', 'all', () => storage.collection('bundles').find({}));
   } catch (error) { return []; }
 };
 
-// Helper function to write bundles data to MongoDB
-const writeBundlesData = async (data) => {
-  try {
-    const db = getCollection('bundles');
-    if (data.length > 0) {
-      await db.deleteMany({});
-      await db.insertMany(data);
-    }
-    return { success: true };
-  } catch (error) { return { success: false, error: error.message }; }
-};
-
 // Helper function to read upcoming games data from MongoDB
 const readUpcomingData = async () => {
   try {
-    const db = getCollection('upcoming_games');
-    return await db.find({}).toArray();
+    return await catalogCache.wrap('upcoming_games', 'all', () => storage.collection('upcoming_games').find({}));
   } catch (error) { return []; }
 };
 
-// Helper function to write upcoming games data to MongoDB
-const writeUpcomingData = async (data) => {
-  try {
-    const db = getCollection('upcoming_games');
-    if (data.length > 0) {
-      await db.deleteMany({});
-      await db.insertMany(data);
-    }
-    return { success: true };
-  } catch (error) { return { success: false, error: error.message }; }
-};
-
 // Helper function to read subscribers data from MongoDB
 const readSubscribersData = async () => {
   try {
-    const db = getCollection('subscribers');
-    const subs = await db.find({}).toArray();
+    const subs = await storage.collection('subscribers').find({});
     // Return array of emails to maintain compatibility
     return subs.map(s => s.email);
   } catch (error) { return []; }
 };
 
-// Helper function to write subscribers data to MongoDB
-const writeSubscribersData = async (data) => {
-  try {
-    const db = getCollection('subscribers');
-    // Data is array of strings (emails). Convert to objects.
-    const subs = data.map(email => ({ email, createdAt: new Date() }));
-    if (subs.length > 0) {
-      await db.deleteMany({});
-      await db.insertMany(subs);
-    }
-    return { success: true };
-  } catch (error) { return { success: false, error: error.message }; }
-};
 
 
 
@@ -648,7 +1977,7 @@ app.get('/api/status', (req, res) => {
 })
 
 // GET Bundles
-app.get('/api/bundles', async (req, res) => {
+app.get('/api/bundles', catalogConditionalGet, async (req, res) => {
   try {
     const data = await readBundlesData();
     res.json(data);
@@ -658,11 +1987,13 @@ app.get('/api/bundles', async (req, res) => {
 });
 
 // POST Bundle
-app.post('/api/bundles', async (req, res) => {
+app.post('/api/bundles', requirePermission('catalog:write'), async (req, res) => {
   try {
     const newItem = { id: Date.now(), ...req.body, createdAt: new Date().toISOString() };
-    const db = getCollection('bundles');
+    const db = storage.collection('bundles');
     await db.insertOne(newItem);
+    await recordAudit(req, { entity: 'bundles', entityId: newItem.id, action: 'create', after: newItem });
+    await markCatalogChanged('bundles');
 
     // Send Email Notification
     const { notify } = req.body;
@@ -673,37 +2004,45 @@ app.post('/api/bundles', async (req, res) => {
 
     res.status(201).json(newItem);
   } catch (err) {
+    if (rejectInvalidWrite(res, err)) return;
     res.status(500).json({ error: err.message });
   }
 });
 
 // PUT Bundle
-app.put('/api/bundles/:id', async (req, res) => {
+app.put('/api/bundles/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const db = getCollection('bundles');
+    const db = storage.collection('bundles');
+    const before = await db.findOne({ id });
 
     const result = await db.updateOne(
       { id },
-      { $set: { ...req.body, id, updatedAt: new Date().toISOString() } }
+      buildPutUpdate({ ...req.body, id, updatedAt: new Date().toISOString() })
     );
 
     if (result.matchedCount === 0) return res.status(404).json({ error: 'Bundle not found' });
+    await recordAudit(req, { entity: 'bundles', entityId: id, action: 'update', before, after: await db.findOne({ id }) });
+    await markCatalogChanged('bundles');
 
     res.json({ id, ...req.body, status: 'updated' });
   } catch (err) {
+    if (rejectInvalidWrite(res, err)) return;
     res.status(500).json({ error: err.message });
   }
 });
 
 // DELETE Bundle
-app.delete('/api/bundles/:id', async (req, res) => {
+app.delete('/api/bundles/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const db = getCollection('bundles');
+    const db = storage.collection('bundles');
+    const before = await db.findOne({ id });
     const result = await db.deleteOne({ id });
 
     if (result.deletedCount === 0) return res.status(404).json({ error: 'Bundle not found' });
+    await recordAudit(req, { entity: 'bundles', entityId: id, action: 'delete', before });
+    await markCatalogChanged('bundles');
     res.json({ status: 'ok' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -714,7 +2053,7 @@ app.delete('/api/bundles/:id', async (req, res) => {
 // ============ UPCOMING GAMES ROUTES ============
 
 // GET Upcoming Games
-app.get('/api/upcoming-games', async (req, res) => {
+app.get('/api/upcoming-games', catalogConditionalGet, async (req, res) => {
   try {
     const data = await readUpcomingData();
     res.json(data);
@@ -724,12 +2063,14 @@ app.get('/api/upcoming-games', async (req, res) => {
 });
 
 // POST Upcoming Game
-app.post('/api/upcoming-games', async (req, res) => {
+app.post('/api/upcoming-games', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { notify, ...gameData } = req.body;
     const newItem = { id: Date.now(), ...gameData, createdAt: new Date().toISOString() };
-    const db = getCollection('upcoming_games');
+    const db = storage.collection('upcoming_games');
     await db.insertOne(newItem);
+    await recordAudit(req, { entity: 'upcoming_games', entityId: newItem.id, action: 'create', after: newItem });
+    await markCatalogChanged('upcoming_games');
 
     if (notify) {
       console.log(`🔔 Notification requested for: ${newItem.title}`);
@@ -737,37 +2078,45 @@ app.post('/api/upcoming-games', async (req, res) => {
     }
     res.status(201).json(newItem);
   } catch (err) {
+    if (rejectInvalidWrite(res, err)) return;
     res.status(500).json({ error: err.message });
   }
 });
 
 // PUT Upcoming Game
-app.put('/api/upcoming-games/:id', async (req, res) => {
+app.put('/api/upcoming-games/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const db = getCollection('upcoming_games');
+    const db = storage.collection('upcoming_games');
+    const before = await db.findOne({ id });
 
     const result = await db.updateOne(
       { id },
-      { $set: { ...req.body, id, updatedAt: new Date().toISOString() } }
+      buildPutUpdate({ ...req.body, id, updatedAt: new Date().toISOString() })
     );
 
     if (result.matchedCount === 0) return res.status(404).json({ error: 'Upcoming game not found' });
+    await recordAudit(req, { entity: 'upcoming_games', entityId: id, action: 'update', before, after: await db.findOne({ id }) });
+    await markCatalogChanged('upcoming_games');
 
     res.json({ id, ...req.body, status: 'updated' });
   } catch (err) {
+    if (rejectInvalidWrite(res, err)) return;
     res.status(500).json({ error: err.message });
   }
 });
 
 // DELETE Upcoming Game
-app.delete('/api/upcoming-games/:id', async (req, res) => {
+app.delete('/api/upcoming-games/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const db = getCollection('upcoming_games');
+    const db = storage.collection('upcoming_games');
+    const before = await db.findOne({ id });
     const result = await db.deleteOne({ id });
 
     if (result.deletedCount === 0) return res.status(404).json({ error: 'Item not found' });
+    await recordAudit(req, { entity: 'upcoming_games', entityId: id, action: 'delete', before });
+    await markCatalogChanged('upcoming_games');
     res.json({ status: 'ok' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -777,13 +2126,12 @@ app.delete('/api/upcoming-games/:id', async (req, res) => {
 // ============ GAMES ROUTES (Movies, TV Shows, Anime) ============
 
 // GET all games data (readyToPlay, repack, online)
-app.get('/api/games', async (req, res) => {
-  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-  res.set('Pragma', 'no-cache');
-  res.set('Expires', '0');
-
+app.get('/api/games', catalogConditionalGet, async (req, res) => {
   try {
-    const data = await readGamesData();
+    if (req.query.view && !CATALOG_VIEWS.includes(req.query.view)) {
+      return res.status(400).json({ error: `view must be one of: ${CATALOG_VIEWS.join(', ')}` });
+    }
+    const data = await readGamesData({ list: isListView(req) });
     console.log('📊 Games data loaded:', {
       readyToPlay: data.readyToPlay?.length || 0,
       repack: data.repack?.length || 0,
@@ -796,12 +2144,32 @@ app.get('/api/games', async (req, res) => {
   }
 });
 
-// GET games by type (readyToPlay, repack, online)
-app.get('/api/games/:type', async (req, res) => {
-  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-  res.set('Pragma', 'no-cache');
-  res.set('Expires', '0');
+// GET a single game with every field (details modal)
+app.get('/api/games/item/:id', catalogConditionalGet, async (req, res) => {
+  try {
+    const game = await storage.collection('games').findOne({ id: buildIdQuery(req.params.id) }, { projection: { _id: 0 } });
+    if (!game) return res.status(404).json({ error: 'Game not found' });
+    res.json(game);
+  } catch (error) {
+    console.error('❌ Error fetching game:', error);
+    res.status(500).json({ error: 'Failed to fetch game', details: error.message });
+  }
+});
+
+// GET a game's embedded image as a file (list responses link here instead of inlining base64)
+app.get('/api/games/item/:id/image', async (req, res) => {
+  try {
+    const game = await storage.collection('games').findOne({ id: buildIdQuery(req.params.id) }, { projection: { image: 1 } });
+    sendStoredImage(req, res, game);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+});
 
+// GET games by type (readyToPlay, repack, online)
+// ?page=&limit= returns { items, total, page, limit, hasMore }; without them the whole (filtered) list
+// Also: sort=name|size|year|rating|createdAt, order=asc|desc, q, genre, minSize/maxSize (GB), minYear/maxYear
+app.get('/api/games/:type', catalogConditionalGet, async (req, res) => {
   try {
     const { type } = req.params;
     const validTypes = ['readyToPlay', 'repack', 'online'];
@@ -812,8 +2180,14 @@ app.get('/api/games/:type', async (req, res) => {
       });
     }
 
-    const data = await readGamesData();
-    res.json(data[type] || []);
+    const { options, errors } = parseCatalogQuery(req.query);
+    if (errors.length) return res.status(400).json({ error: 'Invalid query', details: errors });
+
+    const searchIds = options.filters.q ? await searchCategoryIds('games', type, options.filters.q) : [];
+    res.json(await listCatalog('games', type, options, {
+      searchIds,
+      list: isListView(req)
+    }));
   } catch (error) {
     console.error('❌ Error fetching games by type:', error);
     res.status(500).json({ error: 'Failed to fetch games', details: error.message });
@@ -864,13 +2238,13 @@ app.get('/api/games/:id/requirements', async (req, res) => {
 });
 
 
-app.post('/api/games/:type', async (req, res) => {
+app.post('/api/games/:type', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { type } = req.params;
     const validTypes = ['readyToPlay', 'repack', 'online'];
     if (!validTypes.includes(type)) return res.status(400).json({ error: 'Invalid type' });
 
-    const db = getCollection('games');
+    const db = storage.collection('games');
     const newItem = { 
       id: Date.now(), 
       ...req.body, 
@@ -879,18 +2253,22 @@ app.post('/api/games/:type', async (req, res) => {
     };
 
     await db.insertOne(newItem);
+    await recordAudit(req, { entity: 'games', entityId: newItem.id, action: 'create', after: newItem });
+    await markCatalogChanged('games');
     res.status(201).json(newItem);
   } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
     res.status(500).json({ error: error.message });
   }
 });
 
 
 // PUT - Update a game
-app.put('/api/games/:type/:id', async (req, res) => {
+app.put('/api/games/:type/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { type, id } = req.params;
-    const db = getCollection('games');
+    const db = storage.collection('games');
+    const before = await db.findOne({ id: buildIdQuery(id) });
 
     const { _id, ...cleanBody } = req.body;
     const updateData = {
@@ -902,28 +2280,34 @@ app.put('/api/games/:type/:id', async (req, res) => {
 
     const result = await db.updateOne(
       { id: buildIdQuery(id) },
-      { $set: updateData }
+      buildPutUpdate(updateData)
     );
 
     if (result.matchedCount === 0) return res.status(404).json({ error: 'Game not found' });
+    await recordAudit(req, { entity: 'games', entityId: updateData.id, action: 'update', before, after: await db.findOne({ id: buildIdQuery(id) }) });
+    await markCatalogChanged('games');
 
     res.json({ ...updateData, _db: true });
   } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
     res.status(500).json({ error: error.message });
   }
 });
 
 
 // DELETE - Delete a game
-app.delete('/api/games/:type/:id', async (req, res) => {
+app.delete('/api/games/:type/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { type, id } = req.params;
     const itemId = parseInt(id);
-    const db = getCollection('games');
+    const db = storage.collection('games');
+    const before = await db.findOne({ id: itemId });
 
     const result = await db.deleteOne({ id: itemId });
 
     if (result.deletedCount === 0) return res.status(404).json({ error: 'Game not found' });
+    await recordAudit(req, { entity: 'games', entityId: itemId, action: 'delete', before });
+    await markCatalogChanged('games');
 
     res.json({ status: 'ok' });
   } catch (error) {
@@ -962,28 +2346,54 @@ app.get('/api/igdb/game/:id', async (req, res) => {
 // ============ MOVIES ROUTES ============
 
 // GET all movies
-app.get('/api/movies', async (req, res) => {
-  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+app.get('/api/movies', catalogConditionalGet, async (req, res) => {
   try {
-    const data = await readMoviesData();
+    if (req.query.view && !CATALOG_VIEWS.includes(req.query.view)) {
+      return res.status(400).json({ error: `view must be one of: ${CATALOG_VIEWS.join(', ')}` });
+    }
+    const data = await readMoviesData({ list: isListView(req) });
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch movies data' });
   }
 });
 
-// GET movies by type
-app.get('/api/movies/:type', async (req, res) => {
-  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-  res.set('Pragma', 'no-cache');
-  res.set('Expires', '0');
+// GET a single movie/tv show/anime with every field (details modal)
+app.get('/api/movies/item/:id', catalogConditionalGet, async (req, res) => {
+  try {
+    const item = await storage.collection('movies').findOne({ id: buildIdQuery(req.params.id) }, { projection: { _id: 0 } });
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch item' });
+  }
+});
+
+// GET a movie/tv show/anime image as a file
+app.get('/api/movies/item/:id/image', async (req, res) => {
+  try {
+    const item = await storage.collection('movies').findOne({ id: buildIdQuery(req.params.id) }, { projection: { image: 1 } });
+    sendStoredImage(req, res, item);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+});
+
+// GET movies by type (same query parameters as GET /api/games/:type)
+app.get('/api/movies/:type', catalogConditionalGet, async (req, res) => {
   try {
     const { type } = req.params;
     const validTypes = ['movies', 'tvShows', 'anime'];
     if (!validTypes.includes(type)) return res.status(400).json({ error: 'Invalid type' });
 
-    const data = await readMoviesData();
-    res.json(data[type] || []);
+    const { options, errors } = parseCatalogQuery(req.query);
+    if (errors.length) return res.status(400).json({ error: 'Invalid query', details: errors });
+
+    const searchIds = options.filters.q ? await searchCategoryIds('movies', type, options.filters.q) : [];
+    res.json(await listCatalog('movies', type, options, {
+      searchIds,
+      list: isListView(req)
+    }));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch movies' });
   }
@@ -991,7 +2401,7 @@ app.get('/api/movies/:type', async (req, res) => {
 
 
 // POST - Add a new movie/tv show/anime
-app.post('/api/movies/:type', async (req, res) => {
+app.post('/api/movies/:type', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { type } = req.params;
     const validTypes = ['movies', 'tvShows', 'anime'];
@@ -1004,7 +2414,7 @@ app.post('/api/movies/:type', async (req, res) => {
 
     console.log(`📝 [${new Date().toISOString()}] Adding new item to type: ${type}`);
 
-    const db = getCollection('movies');
+    const db = storage.collection('movies');
     const newItem = {
       id: Date.now(),
       ...req.body,
@@ -1013,11 +2423,14 @@ app.post('/api/movies/:type', async (req, res) => {
     };
 
     await db.insertOne(newItem);
+    await recordAudit(req, { entity: 'movies', entityId: newItem.id, action: 'create', after: newItem });
+    await markCatalogChanged('movies');
 
     console.log(`✅ [${new Date().toISOString()}] Item saved: ${newItem.name} (ID: ${newItem.id})`);
     res.status(201).json(newItem);
 
   } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
     console.error(`❌ [${new Date().toISOString()}] Error adding item:`, error);
     res.status(500).json({
       status: 'error',
@@ -1028,7 +2441,7 @@ app.post('/api/movies/:type', async (req, res) => {
 });
 
 // PUT - Update a movie/tv show/anime
-app.put('/api/movies/:type/:id', async (req, res) => {
+app.put('/api/movies/:type/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { type, id } = req.params;
     const validTypes = ['movies', 'tvShows', 'anime'];
@@ -1041,7 +2454,8 @@ app.put('/api/movies/:type/:id', async (req, res) => {
 
     console.log(`📝 [${new Date().toISOString()}] Updating item in type: ${type}, ID: ${id}`);
 
-    const db = getCollection('movies');
+    const db = storage.collection('movies');
+    const before = await db.findOne({ id: buildIdQuery(id) });
 
     // #region agent log
     if (process.env.NODE_ENV !== 'production') {
@@ -1072,7 +2486,7 @@ app.put('/api/movies/:type/:id', async (req, res) => {
 
     const result = await db.updateOne(
       { id: buildIdQuery(id) },
-      { $set: updateData }
+      buildPutUpdate(updateData)
     );
 
     // #region agent log
@@ -1096,6 +2510,8 @@ app.put('/api/movies/:type/:id', async (req, res) => {
     if (result.matchedCount === 0) {
       return res.status(404).json({ error: 'Item not found' });
     }
+    await recordAudit(req, { entity: 'movies', entityId: updateData.id, action: 'update', before, after: await db.findOne({ id: buildIdQuery(id) }) });
+    await markCatalogChanged('movies');
 
     console.log(`✅ [${new Date().toISOString()}] Item updated: ${req.body.name || 'unnamed'} (ID: ${id})`);
 
@@ -1104,6 +2520,7 @@ app.put('/api/movies/:type/:id', async (req, res) => {
       status: 'updated'
     });
   } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
     console.error(`❌ [${new Date().toISOString()}] Error updating item:`, error);
     res.status(500).json({
       status: 'error',
@@ -1114,7 +2531,7 @@ app.put('/api/movies/:type/:id', async (req, res) => {
 });
 
 // DELETE - Delete a movie/tv show/anime
-app.delete('/api/movies/:type/:id', async (req, res) => {
+app.delete('/api/movies/:type/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { type, id } = req.params;
     const validTypes = ['movies', 'tvShows', 'anime'];
@@ -1127,12 +2544,15 @@ app.delete('/api/movies/:type/:id', async (req, res) => {
 
     console.log(`🗑️  [${new Date().toISOString()}] Deleting item from type: ${type}, ID: ${id}`);
 
-    const db = getCollection('movies');
+    const db = storage.collection('movies');
+    const before = await db.findOne({ id: buildIdQuery(id) });
     const result = await db.deleteOne({ id: buildIdQuery(id) });
 
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: 'Item not found' });
     }
+    await recordAudit(req, { entity: 'movies', entityId: id, action: 'delete', before });
+    await markCatalogChanged('movies');
 
     console.log(`✅ [${new Date().toISOString()}] Item deleted (ID: ${id})`);
     res.json({
@@ -1179,8 +2599,7 @@ app.get('/api/debug/movies-summary', async (req, res) => {
   res.set('Expires', '0');
 
   try {
-    const moviesCol = getCollection('movies');
-    const docs = await moviesCol.find({}).project({ _id: 0, id: 1, category: 1, name: 1, updatedAt: 1, createdAt: 1 }).toArray();
+    const docs = await storage.collection('movies').find({}, { projection: { _id: 0, id: 1, category: 1, name: 1, updatedAt: 1, createdAt: 1 } });
 
     const byCategory = docs.reduce((acc, doc) => {
       const key = doc.category || 'unknown';
@@ -1214,6 +2633,12 @@ app.get('/api/debug/movies-summary', async (req, res) => {
   }
 });
 
+// Debug: in-memory catalog cache hit rates and live entries (since the last restart)
+app.get('/api/debug/cache', requirePermission('system:manage'), (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(catalogCache.stats());
+});
+
 // Debug: which Vite bundle is baked into ../frontend/dist (on the server disk)
 app.get('/api/debug/frontend-bundle', async (req, res) => {
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
@@ -1282,7 +2707,7 @@ app.get('/api/debug/frontend-bundle', async (req, res) => {
 });
 
 // Debug: Test GitHub commit
-app.post('/api/debug/commit-test', async (req, res) => {
+app.post('/api/debug/commit-test', requirePermission('system:manage'), async (req, res) => {
   try {
     const testData = { test: true, timestamp: new Date().toISOString() };
     // Use DATA_DIR instead of hardcoded path to work on both local and Render
@@ -1375,6 +2800,76 @@ app.get('/api/analytics/visitors', async (req, res) => {
   }
 });
 
+// Sales analytics are MongoDB aggregations; the JSON storage can't run them
+const requireMongoAnalytics = (req, res, next) => {
+  if (STORAGE_DRIVER === 'json') {
+    return res.status(503).json({ error: 'Sales analytics need MongoDB (STORAGE_DRIVER=mongodb)' });
+  }
+  next();
+};
+
+// Helper: parse ?from=&to= into an orders $match, or send 400
+const getAnalyticsMatch = (req, res) => {
+  const { match, errors } = buildOrderMatch({ from: req.query.from, to: req.query.to });
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid date range', details: errors });
+    return null;
+  }
+  return match;
+};
+
+// GET /api/analytics/sales?interval=day|week|month&from=2026-01-01&to=2026-01-31
+// Revenue, orders and GB per period plus totals and per-order averages (cancelled orders excluded)
+app.get('/api/analytics/sales', requirePermission('orders:manage'), requireMongoAnalytics, async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Invalid interval. Use one of: ${ANALYTICS_INTERVALS.join(', ')}` });
+    }
+    const match = getAnalyticsMatch(req, res);
+    if (!match) return;
+
+    const [result] = await getCollection('orders').aggregate(salesPipeline(match, interval)).toArray();
+    res.json({ interval, ...formatSalesResult(result) });
+  } catch (error) {
+    console.error('❌ Error in GET /analytics/sales:', error);
+    res.status(500).json({ error: 'Failed to load sales analytics' });
+  }
+});
+
+// GET /api/analytics/top-titles?sortBy=orders|gb|revenue&limit=10&from=&to=
+app.get('/api/analytics/top-titles', requirePermission('orders:manage'), requireMongoAnalytics, async (req, res) => {
+  try {
+    const sortBy = req.query.sortBy || 'orders';
+    if (!['orders', 'gb', 'revenue'].includes(sortBy)) {
+      return res.status(400).json({ error: 'Invalid sortBy. Use one of: orders, gb, revenue' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const match = getAnalyticsMatch(req, res);
+    if (!match) return;
+
+    const titles = await getCollection('orders').aggregate(topTitlesPipeline(match, { sortBy, limit })).toArray();
+    res.json(titles);
+  } catch (error) {
+    console.error('❌ Error in GET /analytics/top-titles:', error);
+    res.status(500).json({ error: 'Failed to load top titles' });
+  }
+});
+
+// GET /api/analytics/categories?from=&to= - Items, orders, GB and revenue per category
+app.get('/api/analytics/categories', requirePermission('orders:manage'), requireMongoAnalytics, async (req, res) => {
+  try {
+    const match = getAnalyticsMatch(req, res);
+    if (!match) return;
+
+    const rows = await getCollection('orders').aggregate(categoriesPipeline(match)).toArray();
+    res.json(formatCategoriesResult(rows));
+  } catch (error) {
+    console.error('❌ Error in GET /analytics/categories:', error);
+    res.status(500).json({ error: 'Failed to load category analytics' });
+  }
+});
+
 // ============ COMPATIBILITY ROUTES ============
 
 // GET /api/movie/:id
@@ -1423,8 +2918,7 @@ const FALLBACK_REQUIREMENTS_FILE = join(__dirname, 'cache', 'fallbackRequirement
 // Read cache (MongoDB)
 async function readRequirementsCache(gameName) {
   try {
-    const db = getCollection('requirements_cache');
-    const cached = await db.findOne({ gameName });
+    const cached = await storage.collection('requirements_cache').findOne({ gameName });
     if (cached) {
       // Remove _id before returning if strictly needed, but internal use handles it.
       return cached.data;
@@ -1439,8 +2933,7 @@ async function readRequirementsCache(gameName) {
 // Write cache (MongoDB)
 async function writeRequirementsCache(gameName, data) {
   try {
-    const db = getCollection('requirements_cache');
-    await db.updateOne(
+    await storage.collection('requirements_cache').updateOne(
       { gameName },
       { $set: { gameName, data, updatedAt: new Date() } },
       { upsert: true }
@@ -2876,60 +4369,13 @@ app.get('/api/github/last-commit', async (req, res) => {
   }
 });
 
-// ----- Serve frontend build (optional) -----
-// IMPORTANT: This must be AFTER all API routes
-
-
-// Serve static files from frontend/dist (ONLY for non-API routes)
-if (existsSync(frontendBuildPath)) {
-  // Serve static files, but skip API routes
-  app.use((req, res, next) => {
-    if (req.path.startsWith('/api')) {
-      return next(); // Skip static files for API routes
-    }
-    express.static(frontendBuildPath)(req, res, next);
-  });
-
-  // Catch-all route for SPA routing (ONLY for non-API routes)
-  // This must be the LAST route
-  app.get('*', (req, res) => {
-    // API routes should have been handled above - return 404 if we reach here
-    if (req.path.startsWith('/api')) {
-      return res.status(404).json({ error: 'API route not found' });
-    }
-    // Return index.html for SPA routing
-    res.sendFile(join(frontendBuildPath, 'index.html'));
-  });
-} else {
-  // لو مش موجود build، نعطي رسالة (ONLY for non-API routes)
-  // This must be the LAST route
-  app.get('*', (req, res) => {
-    if (req.path.startsWith('/api')) {
-      return res.status(404).json({ error: 'API route not found' });
-    }
-    res.json({
-      message: 'Frontend build not found. Run "npm run build" in frontend folder.',
-      note: 'API is available at /api'
-    });
-  });
-}
-
 // REMOVED: /api/rawg/game endpoint - RAWG API is unreliable for system requirements
 // This endpoint has been removed as part of the refactoring
 
-// ============ REQUIREMENTS FETCHING FOR ALL GAMES ============
-
-/**
- * Fetch requirements for all games in games.json
- * Processes games in batches and updates games.json
- */
-
-
 // ============ NEWS ROUTES ============
 
 // GET - Get all news
-app.get('/api/news', async (req, res) => {
-  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+app.get('/api/news', catalogConditionalGet, async (req, res) => {
   try {
     const data = await readNewsData(); // Use await
     res.json(data);
@@ -2940,7 +4386,7 @@ app.get('/api/news', async (req, res) => {
 });
 
 // POST - Add news item
-app.post('/api/news', async (req, res) => {
+app.post('/api/news', requirePermission('catalog:write'), async (req, res) => {
   try {
     const newItem = {
       id: Date.now(),
@@ -2948,48 +4394,58 @@ app.post('/api/news', async (req, res) => {
       createdAt: new Date().toISOString()
     };
 
-    const db = getCollection('news');
+    const db = storage.collection('news');
     await db.insertOne(newItem);
+    await recordAudit(req, { entity: 'news', entityId: newItem.id, action: 'create', after: newItem });
+    await markCatalogChanged('news');
 
     res.status(201).json(newItem);
   } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
     console.error('❌ Error adding news:', error);
     res.status(500).json({ error: 'Failed to add news' });
   }
 });
 
 // PUT - Update news item
-app.put('/api/news/:id', async (req, res) => {
+app.put('/api/news/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const db = getCollection('news');
+    const db = storage.collection('news');
+    const before = await db.findOne({ id });
 
     const result = await db.updateOne(
       { id },
-      { $set: { ...req.body, id, updatedAt: new Date().toISOString() } }
+      buildPutUpdate({ ...req.body, id, updatedAt: new Date().toISOString() })
     );
 
     if (result.matchedCount === 0) return res.status(404).json({ error: 'News item not found' });
+    await recordAudit(req, { entity: 'news', entityId: id, action: 'update', before, after: await db.findOne({ id }) });
+    await markCatalogChanged('news');
 
     res.json({ id, ...req.body, status: 'updated' });
   } catch (error) {
+    if (rejectInvalidWrite(res, error)) return;
     console.error('❌ Error updating news:', error);
     res.status(500).json({ error: 'Failed to update news' });
   }
 });
 
 // DELETE - Delete news item
-app.delete('/api/news/:id', async (req, res) => {
+app.delete('/api/news/:id', requirePermission('catalog:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const itemId = parseInt(id);
-    const db = getCollection('news');
+    const db = storage.collection('news');
+    const before = await db.findOne({ id: itemId });
 
     const result = await db.deleteOne({ id: itemId });
 
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: 'News item not found' });
     }
+    await recordAudit(req, { entity: 'news', entityId: itemId, action: 'delete', before });
+    await markCatalogChanged('news');
 
     res.json({ status: 'ok', message: 'News deleted' });
   } catch (error) {
@@ -3021,10 +4477,42 @@ if (existsSync(frontendBuildPath)) {
 }
 
 // Start server function
+// Migrations are applied by hand (npm run migrate); just say when the database is behind
+async function warnPendingMigrations() {
+  try {
+    const { pending } = await getMigrationStatus(db, await loadMigrations(join(__dirname, 'migrations')));
+    if (pending.length) {
+      console.warn(`⚠️ ${pending.length} pending migration(s): ${pending.map(m => `${m.version}-${m.name}`).join(', ')} - run "npm run migrate"`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not check migrations: ${error.message}`);
+  }
+}
+
 const startServer = async () => {
   try {
-    // 1. Connect to MongoDB first
-    await connectToMongo();
+    // 1. Connect to MongoDB first (unless the catalog lives in JSON files)
+    if (STORAGE_DRIVER === 'json') {
+      console.log(`📁 Storage: JSON files in ${DATA_DIR} (sales analytics and backups need MONGODB_URI)`);
+      if (uri) await connectToMongo();
+      await ensureOwnerAccount();
+    } else {
+      await connectToMongo();
+    }
+    if (db && STORAGE_DRIVER === 'mongodb') {
+      const schema = await ensureDatabaseSchema(db);
+      const failed = Object.values(schema.indexes).concat(Object.values(schema.validators)).filter(status => status !== 'ok');
+      console.log(failed.length ? `⚠️ Database schema applied with ${failed.length} problem(s)` : '✅ Database indexes and validators are up to date');
+      await warnPendingMigrations();
+      await ensureOwnerAccount();
+    }
+    // The API is still useful without the scheduler (e.g. MongoDB down): warn and keep booting
+    try {
+      await jobs.start();
+      console.log(jobs.enabled ? `🕒 Scheduled jobs: ${(await jobs.listJobs()).map(job => `${job.name} (${job.schedule || 'manual'})`).join(', ')}` : '🕒 Scheduled jobs are off (JOBS_ENABLED=false)');
+    } catch (error) {
+      console.warn(`⚠️ Scheduled jobs not started: ${error.message}`);
+    }
 
     // 2. Start listening
     app.listen(PORT, () => {
@@ -0,0 +1,57 @@
+/**
+ * Arabic search: spelling variants, the phonetic key shared with English titles, and aliases
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasArabic, normalizeArabic, phoneticKey, arabicVariantPattern } from '../utils/arabic.js';
+import { buildSearchIndex, searchCatalog } from '../utils/search.js';
+import { normalizeTitle } from '../utils/titles.js';
+
+test('hamza forms, ta marbuta, alef maqsura, tashkeel and Arabic-Indic digits are folded', () => {
+  assert.equal(normalizeArabic('أإآٱ'), 'اااا');
+  assert.equal(normalizeArabic('مدرسة مصطفى'), 'مدرسه مصطفي');
+  assert.equal(normalizeArabic('فِيفَا ٢٢ ۲۳'), 'فيفا 22 23');
+  assert.equal(normalizeArabic('مؤمن شاطئ'), 'مومن شاطي');
+  assert.equal(hasArabic('FIFA 22'), false);
+  assert.equal(hasArabic('فيفا'), true);
+});
+
+test('Arabic and English spellings share a phonetic key', () => {
+  const key = (text) => phoneticKey(normalizeTitle(text));
+  assert.equal(key('ريد ديد'), key('Red Dead'));
+  assert.equal(key('ون بيس'), key('One Piece'));
+  assert.equal(key('ذا ويتشر'), key('The Witcher'));
+  assert.equal(key('فيفا ٢٢'), key('FIFA 22'));
+  assert.equal(key('اساسنز'), key('Assassins'));
+  assert.notEqual(key('فيفا ٢٢'), key('FIFA 23'));
+});
+
+test('the variant pattern matches stored spellings the query folded', () => {
+  const pattern = new RegExp(arabicVariantPattern('اساسن كريد'), 'i');
+  assert.ok(pattern.test('أساسن كريد'));
+  assert.ok(pattern.test('إساسن كريد'));
+  assert.ok(!pattern.test('اساسن كرييد'));
+  assert.equal(arabicVariantPattern('a.b*'), 'a\\.b\\*');
+});
+
+test('Arabic queries find titles through aliases and through the phonetic key', () => {
+  const index = buildSearchIndex({
+    games: [
+      { id: 1, name: 'Grand Theft Auto V', category: 'readyToPlay', aliases: ['جاتا 5', 'جي تي ايه'] },
+      { id: 2, name: 'Red Dead Redemption 2', category: 'readyToPlay' },
+      { id: 3, name: 'FIFA 22', category: 'readyToPlay' }
+    ],
+    movies: [{ id: 10, name: 'One Piece', category: 'anime' }]
+  });
+  const first = (query) => searchCatalog(index, query)[0];
+
+  assert.equal(first('جاتا 5').id, 1);
+  assert.equal(first('جاتا 5').score, 100);
+  assert.equal(first('ريد ديد').id, 2);
+  assert.equal(first('فيفا ٢٢').id, 3);
+  assert.equal(first('ون بيس').type, 'anime');
+  // Phonetic matches rank below spelled ones
+  assert.ok(first('ريد ديد').score < 100);
+});
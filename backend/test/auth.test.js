@@ -0,0 +1,46 @@
+/**
+ * Failed-login backoff: free attempts, doubling lockouts, and when a key starts over
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoginThrottle } from '../utils/auth.js';
+
+const clock = () => {
+  let time = 1_000_000;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('failures past the free attempts lock the key out for twice as long each time, up to the cap', () => {
+  const { now, advance } = clock();
+  const throttle = createLoginThrottle({ freeAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5000, now });
+
+  assert.deepEqual([throttle.fail('admin'), throttle.fail('admin'), throttle.fail('admin')], [0, 0, 0]);
+  assert.equal(throttle.retryAfter('admin'), 0);
+  assert.equal(throttle.fail('admin'), 1000);
+  assert.equal(throttle.retryAfter('admin'), 1000);
+  advance(400);
+  assert.equal(throttle.retryAfter('admin'), 600);
+  assert.equal(throttle.retryAfter('someone-else'), 0);
+
+  advance(600);
+  assert.equal(throttle.retryAfter('admin'), 0);
+  assert.deepEqual([throttle.fail('admin'), throttle.fail('admin'), throttle.fail('admin')], [2000, 4000, 5000]);
+});
+
+test('a reset or an hour without failures starts the key over', () => {
+  const { now, advance } = clock();
+  const throttle = createLoginThrottle({ freeAttempts: 1, now });
+
+  throttle.fail('admin');
+  assert.equal(throttle.fail('admin'), 1000);
+  throttle.reset('admin');
+  assert.equal(throttle.retryAfter('admin'), 0);
+  assert.equal(throttle.fail('admin'), 0);
+
+  assert.equal(throttle.fail('10.0.0.1'), 0);
+  assert.equal(throttle.fail('10.0.0.1'), 1000);
+  advance(60 * 60 * 1000 + 1);
+  assert.equal(throttle.fail('10.0.0.1'), 0);
+});
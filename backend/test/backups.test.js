@@ -0,0 +1,74 @@
+/**
+ * Snapshot files: one metadata line, then one line per collection, readable back for a restore preview
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+import { gunzipSync } from 'zlib';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ObjectId } from 'mongodb';
+import { createBackupService } from '../utils/backups.js';
+
+// Just enough of a MongoDB Db for the backup service: listCollections, find() cursors
+const fakeDb = (data) => ({
+  listCollections: () => ({ toArray: async () => Object.keys(data).map(name => ({ name })) }),
+  collection: (name) => ({
+    find: () => ({
+      toArray: async () => data[name].map(document => ({ ...document })),
+      async *[Symbol.asyncIterator]() {
+        for (const document of data[name]) yield { ...document };
+      }
+    })
+  })
+});
+
+const setup = async (t, data, settings = {}) => {
+  const dir = await mkdtemp(join(tmpdir(), 'backups-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const db = fakeDb(data);
+  return { dir, backups: createBackupService({ getDb: () => db, dir, settings: { keep: 0, maxAgeDays: 0, gzip: true, ...settings } }) };
+};
+
+const games = [
+  { _id: new ObjectId('650000000000000000000001'), id: 1, name: 'One', createdAt: new Date('2026-01-01T00:00:00Z') },
+  { _id: new ObjectId('650000000000000000000002'), id: 2, name: 'Two "quoted"' }
+];
+
+test('a snapshot has the metadata line, then one line per collection, and leaves no temp files', async (t) => {
+  const { dir, backups } = await setup(t, { games, news: [], audit_log: [{ _id: 1 }], jobs: [{ _id: 2 }] });
+  const snapshot = await backups.createSnapshot({ createdBy: 'owner' });
+  assert.deepEqual(snapshot.collections, { games: 2, news: 0 });
+
+  const files = await readdir(dir);
+  assert.deepEqual(files, [`snapshot-${snapshot.id}.ndjson.gz`]);
+  const lines = gunzipSync(await readFile(join(dir, files[0]))).toString().split('\n');
+  assert.equal(lines.length, 4);
+  assert.equal(lines[3], '');
+  assert.deepEqual(JSON.parse(lines[0]).collections, { games: 2, news: 0 });
+  assert.ok(lines[1].startsWith('{"collection":"games","documents":[{"_id":{"$oid":"650000000000000000000001"}'));
+  assert.equal(lines[2], '{"collection":"news","documents":[]}');
+  assert.equal(JSON.parse(lines[1]).documents[1].name, 'Two "quoted"');
+
+  const [listed] = await backups.listSnapshots();
+  assert.deepEqual([listed.id, listed.createdBy, listed.sizeBytes], [snapshot.id, 'owner', snapshot.sizeBytes]);
+});
+
+test('an uncompressed snapshot reads back with its ObjectIds and dates for a restore preview', async (t) => {
+  const data = { games: games.map(game => ({ ...game })) };
+  const { backups } = await setup(t, data, { gzip: false });
+  const snapshot = await backups.createSnapshot();
+  assert.match(snapshot.id, /Z$/);
+
+  // Unchanged: nothing to restore
+  assert.deepEqual((await backups.previewRestore(snapshot.id)).totals, { inserted: 0, updated: 0, removed: 0, unchanged: 2 });
+
+  data.games[0].name = 'Renamed';
+  data.games.pop();
+  data.games.push({ _id: new ObjectId('650000000000000000000003'), id: 3, name: 'Three' });
+  assert.deepEqual((await backups.previewRestore(snapshot.id, ['games'])).totals, { inserted: 1, updated: 1, removed: 1, unchanged: 0 });
+  await assert.rejects(backups.previewRestore(snapshot.id, ['audit_log']), { status: 400 });
+  await assert.rejects(backups.previewRestore('2020-01-01T00-00-00-000Z'), { status: 404 });
+});
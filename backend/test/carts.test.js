@@ -0,0 +1,49 @@
+/**
+ * Shared carts: the stored snapshot and how it reads back once the catalog changed
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateCartCode, buildCart, checkCart } from '../utils/carts.js';
+import { resolveSelection } from '../utils/orders.js';
+
+const catalog = {
+  games: { readyToPlay: [{ id: 1, name: 'Hades', size: '15 GB' }, { id: 2, name: 'Celeste', size: '1 GB' }] },
+  movies: { movies: [{ id: 10, name: 'Dune', size: '4 GB' }], tvShows: [{ id: 11, title: 'Dark' }], anime: [] }
+};
+
+test('cart codes are 6 lowercase characters', () => {
+  for (let i = 0; i < 50; i++) assert.match(generateCartCode(), /^[a-km-z2-9]{6}$/);
+});
+
+test('buildCart keeps only ids that exist, with names for later', () => {
+  const selection = { games: [1, '2', 99], items: ['movies-10', 'tvShows-11', 'anime-5'] };
+  const cart = buildCart(selection, resolveSelection(selection, catalog), 'abc234');
+
+  assert.equal(cart.code, 'abc234');
+  assert.deepEqual(cart.games, [1, '2']);
+  assert.deepEqual(cart.items, ['movies-10', 'tvShows-11']);
+  assert.deepEqual(cart.entries, [
+    { ref: 'game-1', name: 'Hades', size: '15 GB' },
+    { ref: 'game-2', name: 'Celeste', size: '1 GB' },
+    { ref: 'movies-10', name: 'Dune', size: '4 GB' },
+    { ref: 'tvShows-11', name: 'Dark', size: null }
+  ]);
+  assert.ok(!Number.isNaN(Date.parse(cart.createdAt)));
+});
+
+test('checkCart lists what was removed from the catalog since the cart was shared', () => {
+  const selection = { games: [1, 2], items: ['movies-10', 'tvShows-11'] };
+  const cart = buildCart(selection, resolveSelection(selection, catalog), 'abc234');
+
+  const today = { games: { readyToPlay: [catalog.games.readyToPlay[0]] }, movies: { ...catalog.movies, movies: [] } };
+  const checked = checkCart(cart, resolveSelection(cart, today));
+  assert.deepEqual(checked.games, [1]);
+  assert.deepEqual(checked.items, ['tvShows-11']);
+  assert.deepEqual(checked.removed, [
+    { ref: 'game-2', name: 'Celeste', size: '1 GB' },
+    { ref: 'movies-10', name: 'Dune', size: '4 GB' }
+  ]);
+  assert.deepEqual(checkCart(cart, resolveSelection(cart, catalog)).removed, []);
+});
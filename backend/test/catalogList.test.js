@@ -0,0 +1,73 @@
+/**
+ * List responses must never carry embedded base64 images, whichever storage driver serves them
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { toListRecord } from '../utils/catalogQuery.js';
+
+const IMAGE = `data:image/png;base64,${'A'.repeat(64)}`;
+const game = { id: 7, name: 'Base64 Game', size: '1 GB', category: 'readyToPlay', image: IMAGE, description: 'x'.repeat(500), updatedAt: '2026-01-02T00:00:00.000Z' };
+const movie = { id: 8, name: 'Base64 Movie', category: 'movies', image: IMAGE, plot: 'A plot', createdAt: '2026-01-01T00:00:00.000Z' };
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = createServer().once('error', reject).listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+test('toListRecord swaps data: images for the image endpoint and cuts the description', () => {
+  const listed = toListRecord(game, 'games', 'https://api.example.com');
+  assert.equal(listed.image, 'https://api.example.com/api/games/item/7/image?v=2026-01-02T00:00:00.000Z');
+  assert.equal(listed.description.length, 200);
+  assert.equal(listed.name, 'Base64 Game');
+
+  assert.equal(toListRecord({ ...game, image: 'https://cdn.example.com/a.jpg' }, 'games').image, 'https://cdn.example.com/a.jpg');
+  assert.equal(toListRecord(movie, 'movies').image, '/api/movies/item/8/image?v=2026-01-01T00:00:00.000Z');
+  assert.equal(toListRecord(movie, 'movies').description, 'A plot');
+});
+
+test('STORAGE_DRIVER=json list endpoints return image URLs instead of data: URLs', async (t) => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'catalog-list-'));
+  await writeFile(join(dataDir, 'games.json'), JSON.stringify({ readyToPlay: [game], repack: [], online: [] }));
+  await writeFile(join(dataDir, 'movies.json'), JSON.stringify({ movies: [movie], tvShows: [], anime: [] }));
+
+  const port = await freePort();
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: join(dirname(fileURLToPath(import.meta.url)), '..'),
+    env: { ...process.env, STORAGE_DRIVER: 'json', DATA_DIR: dataDir, MONGODB_URI: '', PORT: String(port), JOBS_ENABLED: 'false' },
+    stdio: 'ignore'
+  });
+  t.after(async () => {
+    server.kill();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  const base = `http://127.0.0.1:${port}/api`;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${base}/health`);
+      break;
+    } catch (error) {
+      if (attempt > 100) throw error;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  for (const path of ['/games', '/games/readyToPlay', '/games/readyToPlay?page=1&limit=10', '/movies', '/movies/movies?page=1']) {
+    const body = await (await fetch(`${base}${path}`)).text();
+    assert.ok(!body.includes('data:'), `${path}: ${body.slice(0, 200)}`);
+    assert.ok(body.includes('/image?v='), `${path}: ${body.slice(0, 200)}`);
+  }
+
+  const full = await (await fetch(`${base}/games/readyToPlay?view=full`)).json();
+  assert.equal(full[0].image, IMAGE);
+});
@@ -0,0 +1,67 @@
+/**
+ * Catalog list queries: parameter bounds, pagination, filters and sorting
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT, parseCatalogQuery, listCatalogRecords } from '../utils/catalogQuery.js';
+
+const records = [
+  { id: 1, name: 'Hades', size: '15 GB', year: '2020', rating: 9.1, categories: ['action'], createdAt: '2026-01-03' },
+  { id: 2, name: 'alan wake 2', size: '90 GB', year: 2023, rating: 8.5, categories: ['horror'], createdAt: '2026-01-01' },
+  { id: 3, name: 'Celeste', size: '1.2 GB', released: 'Jan 2018', rate: '9.4', categories: 'platformer', createdAt: '2026-01-02' },
+  { id: 4, name: 'Alan Wake', size: '700MB', year: 2010, categories: ['horror'], aliases: ['الان ويك'], createdAt: '2026-01-04' }
+];
+const list = (query, extra) => {
+  const { options, errors } = parseCatalogQuery(query);
+  assert.deepEqual(errors, []);
+  return listCatalogRecords(structuredClone(records), options, extra);
+};
+const ids = (result) => (Array.isArray(result) ? result : result.items).map(record => record.id);
+
+test('defaults, and pagination only when page or limit is sent', () => {
+  const { options } = parseCatalogQuery({});
+  assert.deepEqual([options.paginate, options.page, options.limit, options.sort, options.order, options.view], [false, 1, DEFAULT_PAGE_LIMIT, null, 'asc', 'list']);
+  assert.equal(parseCatalogQuery({ page: '2' }).options.paginate, true);
+  assert.equal(parseCatalogQuery({ limit: '10' }).options.paginate, true);
+});
+
+test('out-of-range and malformed parameters are rejected', () => {
+  const errors = (query) => parseCatalogQuery(query).errors;
+  assert.equal(errors({ page: '0' }).length, 1);
+  assert.equal(errors({ page: '1.5' }).length, 1);
+  assert.equal(errors({ limit: '0' }).length, 1);
+  assert.equal(errors({ limit: String(MAX_PAGE_LIMIT + 1) }).length, 1);
+  assert.deepEqual(errors({ limit: String(MAX_PAGE_LIMIT) }), []);
+  assert.equal(errors({ sort: 'price', order: 'up', view: 'raw' }).length, 3);
+  assert.equal(errors({ minSize: '-1', maxYear: 'soon' }).length, 2);
+});
+
+test('pages slice the sorted list and report whether more remain', () => {
+  const { items, ...first } = list({ page: '1', limit: '3' });
+  assert.deepEqual(first, { total: 4, page: 1, limit: 3, hasMore: true });
+  assert.deepEqual(ids(items), [4, 2, 3]);
+  const last = list({ page: '2', limit: '3' });
+  assert.deepEqual([ids(last), last.hasMore], [[1], false]);
+  assert.deepEqual(ids(list({ page: '9', limit: '3' })), []);
+});
+
+test('sorting by name, size, year and rating in either order', () => {
+  assert.deepEqual(ids(list({})), [4, 2, 3, 1]);
+  assert.deepEqual(ids(list({ sort: 'size', order: 'desc' })), [2, 1, 3, 4]);
+  assert.deepEqual(ids(list({ sort: 'year' })), [4, 3, 1, 2]);
+  assert.deepEqual(ids(list({ sort: 'rating', order: 'desc' })), [3, 1, 2, 4]);
+  assert.deepEqual(ids(list({ sort: 'createdAt' })), [2, 3, 1, 4]);
+});
+
+test('filters by text, Arabic alias, genre, size and year; search rank orders results', () => {
+  assert.deepEqual(ids(list({ q: 'wake' })), [4, 2]);
+  assert.deepEqual(ids(list({ q: 'الآن' })), [4]);
+  assert.deepEqual(ids(list({ genre: 'platformer' })), [3]);
+  assert.deepEqual(ids(list({ minSize: '1', maxSize: '20' })), [3, 1]);
+  assert.deepEqual(ids(list({ minYear: '2018', maxYear: '2020' })), [3, 1]);
+  // Fuzzy search hits come first in their ranked order, even when the text filter alone misses them
+  assert.deepEqual(ids(list({ q: 'hadez' }, { searchIds: [1] })), [1]);
+  assert.deepEqual(ids(list({ q: 'wake' }, { searchIds: [2, 4] })), [2, 4]);
+});
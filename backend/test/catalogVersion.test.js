@@ -0,0 +1,95 @@
+/**
+ * Catalog revalidation: the version counter, ETag/If-Modified-Since matching, and 304s from the server
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readCatalogVersion, bumpCatalogVersion, catalogEtag, isNotModified } from '../utils/catalogVersion.js';
+import { createJsonFileStorage } from '../utils/jsonFileStorage.js';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = createServer().once('error', reject).listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+test('If-None-Match matches weak or strong tags and wins over If-Modified-Since', () => {
+  const etag = catalogEtag(7);
+  const updatedAt = '2026-10-19T12:00:00.500Z';
+  assert.equal(etag, 'W/"catalog-7"');
+  assert.equal(isNotModified({ 'if-none-match': 'W/"catalog-7"' }, etag, updatedAt), true);
+  assert.equal(isNotModified({ 'if-none-match': '"catalog-6", "catalog-7"' }, etag, updatedAt), true);
+  assert.equal(isNotModified({ 'if-none-match': '*' }, etag, updatedAt), true);
+  assert.equal(isNotModified({ 'if-none-match': 'W/"catalog-6"', 'if-modified-since': 'Mon, 19 Oct 2026 13:00:00 GMT' }, etag, updatedAt), false);
+
+  // HTTP dates drop the milliseconds of the last change
+  assert.equal(isNotModified({ 'if-modified-since': 'Mon, 19 Oct 2026 12:00:00 GMT' }, etag, updatedAt), true);
+  assert.equal(isNotModified({ 'if-modified-since': 'Mon, 19 Oct 2026 11:59:59 GMT' }, etag, updatedAt), false);
+  assert.equal(isNotModified({ 'if-modified-since': 'yesterday' }, etag, updatedAt), false);
+  assert.equal(isNotModified({}, etag, updatedAt), false);
+});
+
+test('the version starts at 1 and every change bumps it', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'catalog-version-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const meta = createJsonFileStorage({ dir }).collection('catalog_meta');
+
+  assert.equal((await readCatalogVersion(meta)).version, 1);
+  assert.equal((await readCatalogVersion(meta)).version, 1);
+  assert.equal((await bumpCatalogVersion(meta, 'games')).version, 2);
+  assert.deepEqual(Object.keys(await readCatalogVersion(meta)).sort(), ['updatedAt', 'version']);
+});
+
+test('catalog GETs answer 304 while the version is unchanged and 200 after a change', async (t) => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'catalog-etag-'));
+  await writeFile(join(dataDir, 'games.json'), JSON.stringify({ readyToPlay: [{ id: 1, name: 'Hades', size: '15 GB' }], repack: [], online: [] }));
+
+  const port = await freePort();
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: join(dirname(fileURLToPath(import.meta.url)), '..'),
+    env: { ...process.env, STORAGE_DRIVER: 'json', DATA_DIR: dataDir, MONGODB_URI: '', PORT: String(port), JOBS_ENABLED: 'false' },
+    stdio: 'ignore'
+  });
+  t.after(async () => {
+    server.kill();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  const base = `http://127.0.0.1:${port}/api`;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${base}/health`);
+      break;
+    } catch (error) {
+      if (attempt > 100) throw error;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const first = await fetch(`${base}/games`);
+  const etag = first.headers.get('etag');
+  assert.equal(first.status, 200);
+  assert.match(etag, /^W\/"catalog-\d+"$/);
+  assert.equal(first.headers.get('cache-control'), 'no-cache');
+
+  for (const path of ['/games', '/games/readyToPlay?page=1', '/bundles']) {
+    const cached = await fetch(`${base}${path}`, { headers: { 'If-None-Match': etag } });
+    assert.equal(cached.status, 304, path);
+  }
+  const byDate = await fetch(`${base}/games`, { headers: { 'If-Modified-Since': first.headers.get('last-modified') } });
+  assert.equal(byDate.status, 304);
+
+  // Another writer (the JSON files are shared) records a catalog change
+  await bumpCatalogVersion(createJsonFileStorage({ dir: dataDir }).collection('catalog_meta'), 'games');
+  const changed = await fetch(`${base}/games`, { headers: { 'If-None-Match': etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get('etag'), etag);
+});
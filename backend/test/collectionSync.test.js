@@ -0,0 +1,64 @@
+/**
+ * planSync: the writes (and counts) that make a collection match a full list of records
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSameValue, planSync } from '../utils/collectionSync.js';
+
+const existing = [
+  { _id: 'a', id: 1, name: 'Same', tags: ['x', 'y'], createdAt: '2026-01-01' },
+  { _id: 'b', id: '2', name: 'Old name', createdAt: '2026-01-02' },
+  { _id: 'c', id: 3, name: 'Gone' }
+];
+
+test('counts inserted, updated, removed and unchanged records', () => {
+  const { operations, summary } = planSync(existing, [
+    { name: 'Same', id: 1, tags: ['x', 'y'] },
+    { id: 2, name: 'New name' },
+    { id: 4, name: 'Added' }
+  ]);
+  assert.deepEqual(summary, { inserted: 1, updated: 1, removed: 1, unchanged: 1 });
+  assert.deepEqual(operations, [
+    // The stored key is matched as stored ("2", not 2), so no second document is created
+    { replaceOne: { filter: { id: '2' }, replacement: { createdAt: '2026-01-02', id: 2, name: 'New name' }, upsert: true } },
+    { replaceOne: { filter: { id: 4 }, replacement: { id: 4, name: 'Added' }, upsert: true } },
+    { deleteMany: { filter: { id: { $in: [3] } } } }
+  ]);
+});
+
+test('preserveFields keep stored values the new record leaves out, but not ones it sets', () => {
+  const { operations, summary } = planSync(existing, [
+    { id: 1, name: 'Same', tags: ['x', 'y'], createdAt: '2025-12-31' },
+    { id: '2', name: 'Old name' },
+    { id: 3, name: 'Gone' }
+  ]);
+  assert.deepEqual(summary, { inserted: 0, updated: 1, removed: 0, unchanged: 2 });
+  assert.equal(operations[0].replaceOne.replacement.createdAt, '2025-12-31');
+
+  // Without preserveFields a missing createdAt is a change that drops it
+  const plain = planSync(existing, [{ id: '2', name: 'Old name' }], { preserveFields: [] });
+  assert.equal(plain.summary.updated, 1);
+  assert.equal(plain.operations[0].replaceOne.replacement.createdAt, undefined);
+});
+
+test('insertDefaults, a custom key, duplicate keys and records without a key', () => {
+  const { operations, summary } = planSync([], [{ id: 5, name: 'First' }, { id: 5, name: 'Second' }], { insertDefaults: { createdAt: 'now' } });
+  assert.deepEqual(summary, { inserted: 1, updated: 0, removed: 0, unchanged: 0 });
+  assert.deepEqual(operations[0].replaceOne.replacement, { createdAt: 'now', id: 5, name: 'Second' });
+
+  const byMongoId = planSync(existing, existing.slice(0, 2), { key: '_id', preserveFields: [] });
+  assert.deepEqual(byMongoId.summary, { inserted: 0, updated: 0, removed: 1, unchanged: 2 });
+  assert.deepEqual(byMongoId.operations, [{ deleteMany: { filter: { _id: { $in: ['c'] } } } }]);
+
+  assert.throws(() => planSync([], [{ name: 'No id' }]), /needs a "id"/);
+});
+
+test('isSameValue ignores key order and undefined fields, not array order', () => {
+  assert.equal(isSameValue({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 2] }, a: 1, d: undefined }), true);
+  assert.equal(isSameValue([1, 2], [2, 1]), false);
+  assert.equal(isSameValue(new Date('2026-01-01'), new Date('2026-01-01')), true);
+  assert.equal(isSameValue(new Date('2026-01-01'), '2026-01-01T00:00:00.000Z'), false);
+  assert.equal(isSameValue({ a: null }, {}), false);
+});
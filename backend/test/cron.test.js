@@ -0,0 +1,51 @@
+/**
+ * Cron schedules for the scheduled jobs (dates are local time, like the scheduler)
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun } from '../utils/cron.js';
+
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+const next = (expression, from) => nextCronRun(expression, from)?.getTime() ?? null;
+
+test('steps and ranges', () => {
+  assert.equal(next('*/15 * * * *', at(2026, 10, 19, 10, 7)), at(2026, 10, 19, 10, 15).getTime());
+  assert.equal(next('*/15 * * * *', at(2026, 10, 19, 10, 45)), at(2026, 10, 19, 11, 0).getTime());
+  assert.equal(next('0-30/10 9 * * *', at(2026, 10, 19, 9, 25)), at(2026, 10, 19, 9, 30).getTime());
+  assert.equal(next('0-30/10 9 * * *', at(2026, 10, 19, 9, 30)), at(2026, 10, 20, 9, 0).getTime());
+  assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.deepEqual([...parseCron('1,15,20-22 * * * *').minutes], [1, 15, 20, 21, 22]);
+});
+
+test('month and weekday names, Sunday as 7, shortcuts', () => {
+  // 2026-10-24 is a Saturday
+  assert.equal(next('30 8 * * mon-fri', at(2026, 10, 24, 12)), at(2026, 10, 26, 8, 30).getTime());
+  assert.equal(next('0 0 1 JAN *', at(2026, 10, 19)), at(2027, 1, 1).getTime());
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  assert.equal(next('@daily', at(2026, 10, 19, 3)), at(2026, 10, 20).getTime());
+  assert.equal(next('@weekly', at(2026, 10, 19)), at(2026, 10, 25).getTime());
+});
+
+test('a restricted day of month and day of week run on either one', () => {
+  // From Saturday 10 Oct 2026: Tuesday the 13th comes before the next Friday
+  assert.equal(next('0 0 13 * fri', at(2026, 10, 10)), at(2026, 10, 13).getTime());
+  assert.equal(next('0 0 13 * fri', at(2026, 10, 13)), at(2026, 10, 16).getTime());
+  // With either field left as *, the other one alone decides
+  assert.equal(next('0 0 13 * *', at(2026, 10, 14)), at(2026, 11, 13).getTime());
+  assert.equal(next('0 0 * * fri', at(2026, 10, 10)), at(2026, 10, 16).getTime());
+});
+
+test('dates that never happen give null', () => {
+  assert.equal(nextCronRun('0 0 31 2 *', at(2026, 1, 1)), null);
+  assert.equal(nextCronRun('0 0 30 2 *', at(2026, 1, 1)), null);
+  // ...but a 29 February does come around
+  assert.equal(next('0 0 29 2 *', at(2026, 3, 1)), at(2028, 2, 29).getTime());
+});
+
+test('malformed expressions are rejected', () => {
+  for (const expression of ['', '* * * *', '61 * * * *', '* 24 * * *', '5-1 * * * *', '*/0 * * * *', '* * * smarch *', 'every day']) {
+    assert.throws(() => parseCron(expression), /Invalid cron schedule/, expression);
+  }
+});
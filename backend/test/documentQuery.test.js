@@ -0,0 +1,92 @@
+/**
+ * The MongoDB filter/update subset the JSON storage evaluates in memory
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesFilter, applyUpdate, upsertBase, projectRecord, sortRecords } from '../utils/documentQuery.js';
+
+const game = {
+  id: 7,
+  name: 'Elden Ring',
+  genres: ['rpg', 'action'],
+  rating: 9.5,
+  lock: null,
+  systemRequirements: { minimum: { ram: '12 GB' } },
+  updatedAt: '2026-03-01T00:00:00.000Z'
+};
+const matches = (filter) => matchesFilter(game, filter);
+
+test('equality, array membership, dotted paths and regexes', () => {
+  assert.equal(matches({ id: 7, name: 'Elden Ring' }), true);
+  assert.equal(matches({ id: '7' }), false);
+  assert.equal(matches({ genres: 'rpg' }), true);
+  assert.equal(matches({ 'systemRequirements.minimum.ram': '12 GB' }), true);
+  assert.equal(matches({ 'systemRequirements.recommended.ram': '12 GB' }), false);
+  assert.equal(matches({ name: /elden/i }), true);
+  assert.equal(matches({ name: { $regex: '^ring', $options: 'i' } }), false);
+  assert.equal(matches({}), true);
+});
+
+test('$in, $nin, $ne, $exists and the comparisons', () => {
+  assert.equal(matches({ id: { $in: [7, '7'] } }), true);
+  assert.equal(matches({ genres: { $in: ['horror', 'action'] } }), true);
+  assert.equal(matches({ genres: { $nin: ['horror'] } }), true);
+  assert.equal(matches({ name: { $ne: 'Elden Ring' } }), false);
+
+  assert.equal(matches({ lock: { $exists: true } }), true);
+  assert.equal(matches({ usageLimit: { $exists: false } }), true);
+  assert.equal(matches({ 'systemRequirements.minimum': { $exists: true } }), true);
+
+  assert.equal(matches({ rating: { $lt: 10, $gte: 9.5 } }), true);
+  assert.equal(matches({ rating: { $gt: 9.5 } }), false);
+  assert.equal(matches({ updatedAt: { $lt: '2026-04-01T00:00:00.000Z' } }), true);
+  // A missing field is never less than anything
+  assert.equal(matches({ 'lock.expiresAt': { $lt: '2026-04-01T00:00:00.000Z' } }), false);
+  assert.throws(() => matches({ rating: { $near: 1 } }), /Unsupported filter operator/);
+});
+
+test('$or and $and, including the job lock filter', () => {
+  const lockFilter = (now) => ({ name: 'backup', $or: [{ lock: null }, { 'lock.expiresAt': { $lt: now } }] });
+  assert.equal(matchesFilter({ name: 'backup', lock: null }, lockFilter('2026-01-01')), true);
+  assert.equal(matchesFilter({ name: 'backup', lock: { expiresAt: '2025-12-31' } }, lockFilter('2026-01-01')), true);
+  assert.equal(matchesFilter({ name: 'backup', lock: { expiresAt: '2026-01-02' } }, lockFilter('2026-01-01')), false);
+  assert.equal(matches({ $and: [{ genres: 'rpg' }, { rating: { $gt: 9 } }] }), true);
+  assert.equal(matches({ $or: [{ id: 1 }, { id: 2 }] }), false);
+});
+
+test('$set, $unset and $inc on dotted paths, without touching the original', () => {
+  const updated = applyUpdate(game, {
+    $set: { 'systemRequirements.minimum.cpu': 'i5', price: 100 },
+    $unset: { rating: '', 'systemRequirements.minimum.ram': '' },
+    $inc: { downloads: 2, id: 1 }
+  });
+  assert.deepEqual(updated.systemRequirements, { minimum: { cpu: 'i5' } });
+  assert.deepEqual([updated.price, updated.downloads, updated.id, 'rating' in updated], [100, 2, 8, false]);
+  assert.equal(game.rating, 9.5);
+  assert.deepEqual(game.systemRequirements, { minimum: { ram: '12 GB' } });
+});
+
+test('$setOnInsert only on upserts, which start from the filter\'s equality fields', () => {
+  const update = { $setOnInsert: { paused: true, runCount: 0 }, $set: { schedule: '0 3 * * *' } };
+  const base = upsertBase({ name: 'backup', 'lock.owner': 'me', runCount: { $gt: 1 }, $or: [{ a: 1 }] });
+  assert.deepEqual(base, { name: 'backup', lock: { owner: 'me' } });
+  assert.deepEqual(applyUpdate(base, update, { isInsert: true }), { name: 'backup', lock: { owner: 'me' }, paused: true, runCount: 0, schedule: '0 3 * * *' });
+  assert.deepEqual(applyUpdate({ name: 'backup', paused: false }, update), { name: 'backup', paused: false, schedule: '0 3 * * *' });
+});
+
+test('$push and $addToSet', () => {
+  const updated = applyUpdate({ tags: ['a'] }, { $push: { tags: 'a', log: { $each: [1, 2] } }, $addToSet: { set: { $each: ['x', 'x', 'y'] } } });
+  assert.deepEqual(updated, { tags: ['a', 'a'], log: [1, 2], set: ['x', 'y'] });
+  assert.throws(() => applyUpdate({}, { $rename: { a: 'b' } }), /Unsupported update operator/);
+});
+
+test('projections and sorting', () => {
+  assert.deepEqual(projectRecord({ _id: 1, ...game }, { _id: 0, id: 1, 'systemRequirements.minimum': 1 }), { id: 7, systemRequirements: { minimum: { ram: '12 GB' } } });
+  assert.deepEqual(Object.keys(projectRecord({ _id: 1, ...game }, { genres: 0, systemRequirements: 0, lock: 0 })), ['_id', 'id', 'name', 'rating', 'updatedAt']);
+
+  const titles = [{ name: 'FIFA 22' }, { name: 'fifa 9' }, { name: 'Alan Wake' }, {}];
+  assert.deepEqual(sortRecords(titles, { name: 1 }).map(doc => doc.name), [undefined, 'Alan Wake', 'fifa 9', 'FIFA 22']);
+  assert.deepEqual(sortRecords(titles, { name: -1 }).map(doc => doc.name), ['FIFA 22', 'fifa 9', 'Alan Wake', undefined]);
+});
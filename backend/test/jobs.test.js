@@ -0,0 +1,96 @@
+/**
+ * The job lock: one run at a time, released when the run ends, taken over once it expires
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createJobScheduler } from '../utils/jobs.js';
+import { createJsonFileStorage } from '../utils/jsonFileStorage.js';
+
+const setup = async (t, options = {}) => {
+  const dir = await mkdtemp(join(tmpdir(), 'jobs-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const storage = createJsonFileStorage({ dir });
+  const jobs = createJobScheduler({ collection: () => storage.collection('jobs'), enabled: false, ...options });
+  return { jobs, collection: storage.collection('jobs') };
+};
+
+// A job that runs until finish() is called
+const blockingJob = (name, fields = {}) => {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return { finish, job: { name, description: name, schedule: null, ...fields, run: async () => { await done; return { ok: true }; } } };
+};
+
+const waitUntilIdle = async (jobs, name) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await jobs.getJob(name);
+    if (!job.running) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`${name} is still running`);
+};
+
+test('a job holds the lock while it runs and releases it when it ends', async (t) => {
+  const { jobs, collection } = await setup(t);
+  const { job, finish } = blockingJob('report');
+  jobs.define(job);
+
+  const started = await jobs.runJob('report', { triggeredBy: 'owner' });
+  assert.equal(started.running, true);
+  await assert.rejects(jobs.runJob('report'), { status: 409 });
+
+  finish();
+  const done = await waitUntilIdle(jobs, 'report');
+  assert.equal((await collection.findOne({ name: 'report' })).lock, null);
+  assert.deepEqual([done.runCount, done.lastRun.status, done.lastRun.triggeredBy], [1, 'success', 'owner']);
+  await jobs.runJob('report');
+  await waitUntilIdle(jobs, 'report');
+});
+
+test('of two runs started together only one gets the lock', async (t) => {
+  const { jobs } = await setup(t);
+  const { job, finish } = blockingJob('report');
+  jobs.define(job);
+
+  const results = await Promise.allSettled([jobs.runJob('report'), jobs.runJob('report')]);
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+  finish();
+  await waitUntilIdle(jobs, 'report');
+});
+
+test('a failed run releases the lock too, and an expired lock can be taken over', async (t) => {
+  const { jobs, collection } = await setup(t);
+  jobs.define({ name: 'broken', description: 'broken', schedule: null, run: async () => { throw new Error('boom'); } });
+
+  await jobs.runJob('broken');
+  const failed = await waitUntilIdle(jobs, 'broken');
+  assert.deepEqual([failed.lastRun.status, failed.lastRun.error], ['failed', 'boom']);
+
+  // The instance that held this lock died an hour ago
+  const expiresAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  await collection.updateOne({ name: 'broken' }, { $set: { lock: { owner: 'gone:1', acquiredAt: expiresAt, expiresAt } } });
+  await jobs.runJob('broken');
+  assert.equal((await waitUntilIdle(jobs, 'broken')).runCount, 2);
+});
+
+test('jobs defined as paused start out paused; unknown jobs and a missing database are errors', async (t) => {
+  const { jobs } = await setup(t);
+  jobs.define({ name: 'cleanup', description: 'cleanup', schedule: '*/15 * * * *', paused: true, run: async () => null });
+  jobs.define({ name: 'backup', description: 'backup', schedule: '0 3 * * *', run: async () => null });
+  await jobs.start();
+
+  const listed = Object.fromEntries((await jobs.listJobs()).map(job => [job.name, job.paused]));
+  assert.deepEqual(listed, { cleanup: true, backup: false });
+  assert.equal((await jobs.setPaused('cleanup', false)).paused, false);
+  await assert.rejects(jobs.runJob('nope'), { status: 404 });
+
+  const offline = createJobScheduler({ collection: () => null, available: () => false });
+  offline.define({ name: 'backup', description: 'backup', schedule: null, run: async () => null });
+  await assert.rejects(offline.runJob('backup'), { status: 503 });
+});
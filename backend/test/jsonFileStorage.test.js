@@ -0,0 +1,94 @@
+/**
+ * The JSON-file storage answers like the MongoDB one: update counts, upserts, unique keys,
+ * findOneAndUpdate and the category-split files
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createJsonFileStorage } from '../utils/jsonFileStorage.js';
+
+const setup = async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'json-storage-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return { dir, storage: createJsonFileStorage({ dir }) };
+};
+
+test('updateOne counts, upserts and $setOnInsert', async (t) => {
+  const { storage } = await setup(t);
+  const jobs = storage.collection('jobs');
+  const update = { $setOnInsert: { name: 'backup', paused: true }, $set: { schedule: '0 3 * * *' } };
+
+  assert.deepEqual(await jobs.updateOne({ name: 'backup' }, update), { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 });
+  assert.equal(await jobs.countDocuments({}), 0);
+  assert.deepEqual(await jobs.updateOne({ name: 'backup' }, update, { upsert: true }), { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 });
+  assert.deepEqual(await jobs.findOne({ name: 'backup' }, { projection: { _id: 0 } }), { name: 'backup', paused: true, schedule: '0 3 * * *' });
+
+  // Nothing changes: matched but not modified, and $setOnInsert leaves paused alone
+  assert.deepEqual(await jobs.updateOne({ name: 'backup' }, update, { upsert: true }), { matchedCount: 1, modifiedCount: 0, upsertedCount: 0 });
+  await jobs.updateOne({ name: 'backup' }, { $set: { paused: false }, $inc: { runCount: 1 }, $unset: { schedule: '' } });
+  assert.deepEqual(await jobs.findOne({ name: 'backup' }), { name: 'backup', paused: false, runCount: 1 });
+});
+
+test('unique keys from dbSchema are rejected with a MongoDB-style duplicate key error', async (t) => {
+  const { storage } = await setup(t);
+  const promotions = storage.collection('promotions');
+  await promotions.insertOne({ id: 1, code: 'EID' });
+  await promotions.insertOne({ id: 2, code: 'RAMADAN' });
+
+  await assert.rejects(promotions.insertOne({ id: 3, code: 'EID' }), { code: 11000, keyValue: { code: 'EID' } });
+  await assert.rejects(promotions.updateOne({ id: 2 }, { $set: { code: 'EID' } }), { code: 11000 });
+  await assert.rejects(promotions.updateOne({ id: 9 }, { $set: { code: 'X' }, $setOnInsert: { id: 1 } }, { upsert: true }), { code: 11000, keyValue: { id: 1 } });
+  // A rejected write leaves the file as it was
+  assert.deepEqual((await promotions.find({}, { sort: { id: 1 } })).map(promotion => promotion.code), ['EID', 'RAMADAN']);
+});
+
+test('findOneAndUpdate returns the document after the update, or null when nothing matches', async (t) => {
+  const { storage } = await setup(t);
+  const jobs = storage.collection('jobs');
+  await jobs.insertOne({ name: 'backup', lock: null, runCount: 0 });
+
+  const acquire = (owner) => jobs.findOneAndUpdate(
+    { name: 'backup', $or: [{ lock: null }, { 'lock.expiresAt': { $lt: new Date().toISOString() } }] },
+    { $set: { lock: { owner, expiresAt: new Date(Date.now() + 60000).toISOString() } } },
+    { projection: { _id: 0, name: 1, lock: 1 } }
+  );
+
+  const first = await acquire('one');
+  assert.equal(first.lock.owner, 'one');
+  assert.deepEqual(Object.keys(first), ['name', 'lock']);
+  assert.equal(await acquire('two'), null);
+  assert.equal((await jobs.findOne({ name: 'backup' })).lock.owner, 'one');
+
+  // Concurrent acquires are serialized per file: exactly one wins
+  await jobs.updateOne({ name: 'backup' }, { $set: { lock: null } });
+  const results = await Promise.all(['a', 'b', 'c', 'd'].map(acquire));
+  assert.equal(results.filter(Boolean).length, 1);
+
+  assert.deepEqual(await jobs.findOneAndUpdate({ name: 'new' }, { $setOnInsert: { runCount: 0 } }, { upsert: true }), { name: 'new', runCount: 0 });
+  assert.equal(await jobs.findOneAndUpdate({ name: 'missing' }, { $set: { runCount: 1 } }), null);
+});
+
+test('find with sort, skip, limit; deleteOne; games keep the category-split file layout', async (t) => {
+  const { dir, storage } = await setup(t);
+  const games = storage.collection('games');
+  for (const [id, name, category] of [[1, 'Zelda', 'repack'], [2, 'Alan Wake', 'readyToPlay'], [3, 'Hades', 'readyToPlay']]) {
+    await games.insertOne({ id, name, category });
+  }
+
+  assert.deepEqual((await games.find({ category: 'readyToPlay' }, { sort: { name: -1 } })).map(game => game.id), [3, 2]);
+  assert.deepEqual((await games.find({}, { sort: { name: 1 }, skip: 1, limit: 1 })).map(game => game.id), [3]);
+  assert.deepEqual(await games.deleteOne({ id: 1 }), { deletedCount: 1 });
+  assert.deepEqual(await games.deleteOne({ id: 1 }), { deletedCount: 0 });
+
+  const file = JSON.parse(await readFile(join(dir, 'games.json'), 'utf8'));
+  assert.deepEqual(file.readyToPlay.map(game => game.name), ['Alan Wake', 'Hades']);
+  assert.deepEqual(file.repack, []);
+
+  const summary = await games.sync([{ id: 4, name: 'Celeste', category: 'repack' }], { filter: { category: 'repack' } });
+  assert.deepEqual(summary, { inserted: 1, updated: 0, removed: 0, unchanged: 0 });
+  assert.equal(await games.countDocuments({}), 3);
+});
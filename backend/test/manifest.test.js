@@ -0,0 +1,46 @@
+/**
+ * Copy scripts must not turn catalog names or scanned folder names into commands
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCopyScript } from '../utils/manifest.js';
+
+const manifest = (entries) => ({ entries, totalGB: 1 });
+const entry = (fields) => ({ type: 'game', name: 'Game', size: '1 GB', sizeGB: 1, diskLabel: 'HDD-1', folderPath: 'D:\\Games\\Game', ...fields });
+
+// Lines that would run (not comments, not the fixed header/footer)
+const liveLines = (script, comment) => script.split(/\r?\n/).filter(line => line.trim() && !line.startsWith(comment));
+
+test('newlines in names, sizes, disk labels and the title stay inside comments', () => {
+  const hostile = entry({ name: 'Evil\ntouch /tmp/pwned', size: '1\r\ntouch /tmp/a', diskLabel: 'X\ntouch /tmp/b' });
+  const missing = entry({ name: 'Gone\ntouch /tmp/c', folderPath: null });
+  for (const [format, comment] of [['sh', '#'], ['robocopy', 'REM']]) {
+    const script = renderCopyScript(manifest([hostile, missing]), format, 'Order\ntouch /tmp/d');
+    assert.ok(!liveLines(script, comment).some(line => line.includes('touch')), `${format}: ${script}`);
+  }
+});
+
+test('a double quote in a folder path keeps the entry out of the robocopy commands', () => {
+  const script = renderCopyScript(manifest([entry({ folderPath: 'D:\\x" & calc & "' })]), 'robocopy', 'Order');
+  assert.ok(!script.split('\r\n').some(line => line.startsWith('robocopy')));
+  assert.ok(!liveLines(script, 'REM').some(line => line.includes('calc')));
+});
+
+test('percent signs are doubled so cmd does not expand variables', () => {
+  const script = renderCopyScript(manifest([entry({ name: '100%PATH%', folderPath: 'D:\\50%OS%' })]), 'robocopy', 'Order');
+  assert.match(script, /robocopy "D:\\50%%OS%%" "%DEST%\\50%%OS%%"/);
+  assert.match(script, /REM \[HDD-1\] 100%%PATH%%/);
+});
+
+test('metacharacters in comments are escaped and quoted paths keep them literally', () => {
+  const script = renderCopyScript(manifest([entry({ name: 'A & B | C', folderPath: 'D:\\Tom & Jerry' })]), 'robocopy', 'Order');
+  assert.match(script, /REM \[HDD-1\] A \^& B \^\| C/);
+  assert.match(script, /robocopy "D:\\Tom & Jerry" "%DEST%\\Tom & Jerry"/);
+});
+
+test('single quotes in bash paths cannot break out of the quoting', () => {
+  const script = renderCopyScript(manifest([entry({ folderPath: "/mnt/x'; touch /tmp/pwned; echo '" })]), 'sh', 'Order');
+  assert.ok(script.includes(`cp -rv '/mnt/x'\\''; touch /tmp/pwned; echo '\\''' "$DEST/"`));
+});
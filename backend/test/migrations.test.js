@@ -0,0 +1,118 @@
+/**
+ * Migrations: applying and rolling back in order, dry runs, and migrations without down()
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadMigrations, getMigrationStatus, runMigrations } from '../utils/migrations.js';
+import { createJsonFileStorage } from '../utils/jsonFileStorage.js';
+
+// The part of a MongoDB Db the runner uses, backed by the JSON storage
+const setup = async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'migrations-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const storage = createJsonFileStorage({ dir: join(dir, 'data') });
+  const db = {
+    collection: (name) => {
+      const collection = storage.collection(name);
+      return { ...collection, find: (filter, options) => ({ toArray: () => collection.find(filter, options) }) };
+    }
+  };
+  return { dir, db };
+};
+
+// Migrations that record what ran in a `log` collection
+const migration = (version, { reversible = true } = {}) => ({
+  version,
+  name: `step-${version}`,
+  file: `${version}-step-${version}.js`,
+  description: `Step ${version}`,
+  checksum: `sum-${version}`,
+  up: async ({ db, dryRun }) => {
+    if (!dryRun) await db.collection('log').insertOne({ id: `up-${version}` });
+    return { version };
+  },
+  ...(reversible ? { down: async ({ db }) => { await db.collection('log').insertOne({ id: `down-${version}` }); } } : {})
+});
+const quiet = { log: () => {} };
+const appliedVersions = async (db) => (await db.collection('migrations').find({}, { sort: { version: 1 } }).toArray()).map(record => record.version);
+const steps = async (db) => (await db.collection('log').find({}).toArray()).map(entry => entry.id);
+
+test('up applies pending migrations in order, up to `to`, and records them', async (t) => {
+  const { db } = await setup(t);
+  const migrations = [migration('001'), migration('002'), migration('003')];
+
+  const first = await runMigrations(db, migrations, { to: '002', ...quiet });
+  assert.deepEqual(first.map(run => [run.version, run.direction, run.result]), [['001', 'up', { version: '001' }], ['002', 'up', { version: '002' }]]);
+  assert.deepEqual(await appliedVersions(db), ['001', '002']);
+
+  assert.deepEqual((await runMigrations(db, migrations, quiet)).map(run => run.version), ['003']);
+  assert.deepEqual(await runMigrations(db, migrations, quiet), []);
+  assert.deepEqual(await steps(db), ['up-001', 'up-002', 'up-003']);
+  await assert.rejects(runMigrations(db, migrations, { to: '009', ...quiet }), /No migration with version 009/);
+});
+
+test('down rolls back the last migration, or everything after `to`, newest first', async (t) => {
+  const { db } = await setup(t);
+  const migrations = [migration('001'), migration('002'), migration('003')];
+  await runMigrations(db, migrations, quiet);
+
+  assert.deepEqual((await runMigrations(db, migrations, { direction: 'down', ...quiet })).map(run => run.version), ['003']);
+  assert.deepEqual(await appliedVersions(db), ['001', '002']);
+  assert.deepEqual((await runMigrations(db, migrations, { direction: 'down', to: '0', ...quiet })).map(run => run.version), ['002', '001']);
+  assert.deepEqual(await appliedVersions(db), []);
+  assert.deepEqual((await steps(db)).slice(3), ['down-003', 'down-002', 'down-001']);
+});
+
+test('a dry run reports the plan without recording anything', async (t) => {
+  const { db } = await setup(t);
+  const migrations = [migration('001'), migration('002')];
+  const planned = await runMigrations(db, migrations, { dryRun: true, ...quiet });
+  assert.deepEqual(planned.map(run => run.version), ['001', '002']);
+  assert.deepEqual(await appliedVersions(db), []);
+  assert.deepEqual(await steps(db), []);
+});
+
+test('a migration without down() blocks the rollback before anything runs', async (t) => {
+  const { db } = await setup(t);
+  const migrations = [migration('001'), migration('002', { reversible: false }), migration('003')];
+  await runMigrations(db, migrations, quiet);
+
+  await assert.rejects(runMigrations(db, migrations, { direction: 'down', to: '001', ...quiet }), /002-step-002.js has no down\(\)/);
+  assert.deepEqual(await appliedVersions(db), ['001', '002', '003']);
+  await assert.rejects(runMigrations(db, migrations, { direction: 'sideways', ...quiet }), /Unknown direction/);
+});
+
+test('a failing migration is not recorded; the ones before it stay applied', async (t) => {
+  const { db } = await setup(t);
+  const broken = { ...migration('002'), up: async () => { throw new Error('boom'); } };
+  await assert.rejects(runMigrations(db, [migration('001'), broken, migration('003')], quiet), /002-step-002.js failed: boom/);
+  assert.deepEqual(await appliedVersions(db), ['001']);
+});
+
+test('files load in version order; status flags pending, edited and unknown migrations', async (t) => {
+  const { dir, db } = await setup(t);
+  const folder = join(dir, 'migrations');
+  await mkdir(folder);
+  await writeFile(join(folder, '010-later.js'), "export const description = 'Later';\nexport async function up() { return 10; }\n");
+  await writeFile(join(folder, '002-first.js'), 'export async function up() {}\nexport async function down() {}\n');
+  await writeFile(join(folder, 'notes.txt'), 'not a migration');
+
+  const migrations = await loadMigrations(folder);
+  assert.deepEqual(migrations.map(m => [m.version, m.name, m.description, Boolean(m.down)]), [['002', 'first', 'first', true], ['010', 'later', 'Later', false]]);
+
+  await runMigrations(db, migrations.slice(0, 1), quiet);
+  await db.collection('migrations').insertOne({ version: '099', name: 'removed' });
+  await db.collection('migrations').updateOne({ version: '002' }, { $set: { checksum: 'changed' } });
+  const status = await getMigrationStatus(db, migrations);
+  assert.deepEqual(status.migrations.map(m => [m.version, m.status, m.edited, m.reversible]), [['002', 'applied', true, true], ['010', 'pending', false, false]]);
+  assert.deepEqual(status.pending.map(m => m.version), ['010']);
+  assert.deepEqual(status.unknown.map(record => record.version), ['099']);
+
+  await writeFile(join(folder, '10-duplicate.js'), 'export async function up() {}\n');
+  await assert.rejects(loadMigrations(folder), /Two migrations share version/);
+});
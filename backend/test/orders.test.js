@@ -0,0 +1,91 @@
+/**
+ * Orders: short codes, resolving a selection against the catalog, the stored order document
+ * and what the public status page may see
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateOrderCode, normalizeOrderCode, parseItemRef, resolveSelection, buildOrder, toPublicOrder } from '../utils/orders.js';
+import { calculateQuote } from '../utils/pricing.js';
+
+const catalog = {
+  games: { readyToPlay: [{ id: 1, name: 'Hades', size: '15 GB', category: 'readyToPlay' }], repack: [{ id: '2', name: 'Celeste', size: '700MB', category: 'repack' }] },
+  movies: { movies: [{ id: 10, name: 'Dune', size: '4.2 GB', year: 2021 }], tvShows: [{ id: 11, title: 'Dark', size: '30 GB', seasons: 3 }], anime: [] }
+};
+
+test('order codes are 6 characters people can read over the phone', () => {
+  const codes = new Set(Array.from({ length: 200 }, generateOrderCode));
+  assert.ok(codes.size > 190);
+  for (const code of codes) assert.match(code, /^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{6}$/);
+});
+
+test('typed codes are normalized to the stored form', () => {
+  assert.equal(normalizeOrderCode(' #k7m2-qx '), 'K7M2QX');
+  assert.equal(normalizeOrderCode(null), '');
+});
+
+test('a selection resolves to catalog records; unknown ids are listed as missing', () => {
+  assert.deepEqual(parseItemRef('tvShows-11'), { category: 'tvShows', id: '11' });
+  assert.deepEqual(parseItemRef({ category: 'movies', id: 10 }), { category: 'movies', id: '10' });
+  assert.equal(parseItemRef('nodash'), null);
+
+  const resolved = resolveSelection({ games: [1, 2, 99], items: ['movies-10', 'tvShows-11', 'anime-5', 'books-1'] }, catalog);
+  assert.deepEqual(resolved.games.map(game => game.name), ['Hades', 'Celeste']);
+  assert.deepEqual(resolved.media.map(item => [item.category, item.id]), [['movies', 10], ['tvShows', 11]]);
+  assert.deepEqual(resolved.missing, ['game-99', 'anime-5', 'books-1']);
+});
+
+test('buildOrder snapshots items with their quoted prices and cleans customer input', () => {
+  const resolved = resolveSelection({ games: [1], items: ['movies-10', 'tvShows-11'] }, catalog);
+  const quote = calculateQuote(resolved);
+  const order = buildOrder(resolved, quote, {
+    code: 'K7M2QX',
+    customer: { name: `  Omar ${'x'.repeat(200)}`, phone: ' 0100 ' },
+    channel: 'sms',
+    notes: ' call after 5 '
+  });
+
+  assert.equal(order.code, 'K7M2QX');
+  assert.deepEqual(order.items.map(item => [item.type, item.name, item.sizeGB, item.price]), [
+    ['game', 'Hades', 15, quote.lines[0].price],
+    ['movies', 'Dune', 4.2, quote.lines[1].price],
+    ['tvShows', 'Dark', 30, quote.lines[2].price]
+  ]);
+  assert.deepEqual([order.items[1].year, order.items[2].seasons], [2021, 3]);
+  assert.equal(order.totalSizeGB, 49.2);
+  assert.equal(order.price, quote.total);
+  assert.equal(order.customer.name.length, 100);
+  assert.equal(order.customer.phone, '0100');
+  assert.equal(order.channel, null);
+  assert.equal(order.notes, 'call after 5');
+  assert.equal(order.status, 'new');
+  assert.deepEqual(order.statusHistory.map(entry => [entry.status, entry.by]), [['new', 'customer']]);
+});
+
+test('the public view of an order has no customer details, channel, notes or staff names', () => {
+  const resolved = resolveSelection({ games: [1], items: ['movies-10'] }, catalog);
+  const order = {
+    _id: 'mongo-id',
+    ...buildOrder(resolved, calculateQuote(resolved), { code: 'K7M2QX', customer: { name: 'Omar', phone: '0100' }, channel: 'whatsapp', notes: 'VIP' }),
+    pricing: { subtotal: 80, discount: 0, promotion: { id: 3, code: 'EID', discount: 8, usageLimit: 10 } },
+    status: 'ready',
+    statusHistory: [
+      { status: 'new', at: '2026-10-01T10:00:00.000Z', by: 'customer' },
+      { status: 'ready', at: '2026-10-02T10:00:00.000Z', by: 'sara', note: 'Come after 5' }
+    ]
+  };
+
+  const shown = toPublicOrder(order);
+  assert.deepEqual(Object.keys(shown).sort(), ['code', 'createdAt', 'items', 'price', 'promotion', 'status', 'statusHistory', 'totalSizeGB', 'updatedAt']);
+  assert.deepEqual(shown.promotion, { code: 'EID', discount: 8 });
+  assert.deepEqual(shown.statusHistory, [
+    { status: 'new', at: '2026-10-01T10:00:00.000Z' },
+    { status: 'ready', at: '2026-10-02T10:00:00.000Z', note: 'Come after 5' }
+  ]);
+  assert.deepEqual(Object.keys(shown.items[0]).filter(key => shown.items[0][key] !== undefined), ['type', 'name', 'size', 'sizeGB', 'price']);
+  for (const secret of ['Omar', '0100', 'whatsapp', 'VIP', 'sara', 'mongo-id']) {
+    assert.ok(!JSON.stringify(shown).includes(secret), secret);
+  }
+  assert.equal(toPublicOrder({ code: 'X', status: 'new' }).promotion, null);
+});
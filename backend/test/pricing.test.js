@@ -0,0 +1,96 @@
+/**
+ * The pricing engine is the one place cart, quote and order prices come from
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PRICING, normalizePricingConfig, calculateQuote } from '../utils/pricing.js';
+
+const game = (id, size, fields = {}) => ({ id, name: `Game ${id}`, category: 'readyToPlay', size, ...fields });
+const media = (id, category, fields = {}) => ({ id, name: `Title ${id}`, category, size: '2 GB', ...fields });
+const config = (input) => normalizePricingConfig(input).config;
+
+test('default game prices match the shop: 250 up to 500 GB, 400 up to 1 TB, 750 above', () => {
+  assert.equal(calculateQuote({ games: [game(1, '50 GB')] }).total, 250);
+  assert.equal(calculateQuote({ games: [game(1, '300 GB'), game(2, '200 GB')] }).total, 250);
+  assert.equal(calculateQuote({ games: [game(1, '600 GB')] }).total, 400);
+  assert.equal(calculateQuote({ games: [game(1, '1000 GB')] }).total, 400);
+  assert.equal(calculateQuote({ games: [game(1, '1 TB'), game(2, '700MB')] }).total, 750);
+});
+
+test('the storage charge is split over the games by size and adds up exactly', () => {
+  const quote = calculateQuote({ games: [game(1, '10 GB'), game(2, '20 GB'), game(3, '70 GB')] });
+  assert.deepEqual(quote.lines.map(line => line.price), [25, 50, 175]);
+  assert.ok(quote.lines.every(line => line.rule === 'storage'));
+  assert.deepEqual(quote.storage, { sizeGB: 100, price: 250 });
+
+  const uneven = calculateQuote({ games: [game(1, '1 GB'), game(2, '1 GB'), game(3, '1 GB')] });
+  assert.equal(uneven.lines.reduce((sum, line) => sum + line.price, 0), 250);
+});
+
+test('games with a manual price or an override stay out of the storage charge', () => {
+  const manual = calculateQuote({ games: [game(1, '50 GB', { price: '100' }), game(2, '600 GB')] });
+  assert.deepEqual(manual.lines.map(line => [line.rule, line.price]), [['item', 100], ['storage', 400]]);
+  assert.equal(manual.total, 500);
+
+  const overridden = calculateQuote(
+    { games: [game(1, '600 GB'), game(2, '50 GB')] },
+    config({ overrides: [{ key: 'game-1', price: 90 }] })
+  );
+  assert.deepEqual(overridden.lines.map(line => [line.rule, line.price]), [['override', 90], ['storage', 250]]);
+  assert.equal(calculateQuote({ games: [game(1, '50 GB', { price: '0' })] }).total, 0);
+});
+
+test('media: category price, premium by title or rating, manual price', () => {
+  const quote = calculateQuote({
+    media: [
+      media(1, 'movies'),
+      media(2, 'tvShows', { name: 'Breaking Bad' }),
+      media(3, 'anime', { rating: '9.1' }),
+      media(4, 'movies', { rate: 8.9 }),
+      media(5, 'movies', { name: 'Breaking Bad: El Camino', price: 40 })
+    ]
+  });
+  assert.deepEqual(quote.lines.map(line => [line.rule, line.price]), [
+    ['category', 30], ['premium', 50], ['premium', 50], ['category', 30], ['item', 40]
+  ]);
+  assert.equal(quote.total, 200);
+  assert.equal(quote.storage, null);
+});
+
+test('category prices and per-GB prices from a saved config', () => {
+  const custom = config({
+    categories: { readyToPlay: { basePrice: 10, perGB: 1 }, movies: { basePrice: 25 } },
+    storageTiers: []
+  });
+  const quote = calculateQuote({ games: [game(1, '50 GB')], media: [media(2, 'movies')] }, custom);
+  assert.deepEqual(quote.lines.map(line => [line.rule, line.price]), [['category', 60], ['category', 25]]);
+  assert.equal(quote.storage, null);
+});
+
+test('quantity tiers discount the subtotal from their item count', () => {
+  const tiers = config({ quantityTiers: [{ minItems: 5, discountPercent: 10 }, { minItems: 3, discountPercent: 5 }] });
+  const items = (count) => Array.from({ length: count }, (_, index) => media(index, 'movies'));
+
+  assert.equal(calculateQuote({ media: items(2) }, tiers).discount, 0);
+  const three = calculateQuote({ media: items(3) }, tiers);
+  assert.deepEqual([three.subtotal, three.tier.discountPercent, three.discount, three.total], [90, 5, 4.5, 86]);
+  const six = calculateQuote({ media: items(6) }, tiers);
+  assert.deepEqual([six.subtotal, six.discount, six.total], [180, 18, 162]);
+});
+
+test('normalizePricingConfig keeps the default storage tiers and rejects bad values', () => {
+  assert.deepEqual(config({}).storageTiers, DEFAULT_PRICING.storageTiers);
+  assert.deepEqual(config({ storageTiers: [{ maxGB: '', price: 700 }, { maxGB: '200', price: '100' }] }).storageTiers, [
+    { maxGB: 200, price: 100 },
+    { maxGB: null, price: 700 }
+  ]);
+
+  const { errors } = normalizePricingConfig({
+    categories: { repack: { basePrice: -1 } },
+    storageTiers: [{ maxGB: 'lots', price: 1 }, { maxGB: 10, price: -5 }],
+    quantityTiers: [{ minItems: 0, discountPercent: 150 }]
+  });
+  assert.equal(errors.length, 5);
+});
@@ -0,0 +1,84 @@
+/**
+ * Promo codes: when a discount applies, how much it is, and that a code can't be used past its limit
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { normalizePromotion, evaluatePromotion, applyPromotion, promotionClaimFilter } from '../utils/promotions.js';
+import { normalizePricingConfig, calculateQuote } from '../utils/pricing.js';
+import { createJsonFileStorage } from '../utils/jsonFileStorage.js';
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+const movies = (count) => Array.from({ length: count }, (_, index) => ({ id: index, name: `Movie ${index}`, category: 'movies', size: '2 GB' }));
+const promotion = ({ usedCount = 0, ...fields }) => {
+  const { promotion: normalized, errors } = normalizePromotion({ code: 'EID2026', type: 'percent', value: 10, ...fields });
+  assert.deepEqual(errors, []);
+  return { id: 1, ...normalized, usedCount };
+};
+
+test('a code past its end date (date-only ends cover the whole day) is expired', () => {
+  const quote = calculateQuote({ media: movies(2) });
+  assert.equal(evaluatePromotion(promotion({ endsAt: '2026-06-14' }), quote, NOW).reason, 'expired');
+  assert.equal(evaluatePromotion(promotion({ endsAt: '2026-06-15' }), quote, NOW).valid, true);
+  assert.equal(evaluatePromotion(promotion({ startsAt: '2026-07-01' }), quote, NOW).reason, 'not_started');
+  assert.equal(evaluatePromotion(promotion({ active: false }), quote, NOW).reason, 'inactive');
+  assert.equal(evaluatePromotion(null, quote, NOW).reason, 'not_found');
+});
+
+test('a code that used up its usage limit is rejected', () => {
+  const quote = calculateQuote({ media: movies(2) });
+  assert.equal(evaluatePromotion(promotion({ usageLimit: 3, usedCount: 3 }), quote, NOW).reason, 'usage_limit');
+  assert.equal(evaluatePromotion(promotion({ usageLimit: 3, usedCount: 2 }), quote, NOW).valid, true);
+  assert.equal(evaluatePromotion(promotion({ usedCount: 500 }), quote, NOW).valid, true);
+});
+
+test('minimum GB, minimum items and category restrictions', () => {
+  const quote = calculateQuote({ media: movies(2) });
+  assert.equal(evaluatePromotion(promotion({ minItems: 3 }), quote, NOW).reason, 'min_items');
+  assert.equal(evaluatePromotion(promotion({ minGB: 5 }), quote, NOW).reason, 'min_gb');
+  assert.equal(evaluatePromotion(promotion({ minGB: 4, minItems: 2 }), quote, NOW).valid, true);
+  assert.equal(evaluatePromotion(promotion({ categories: ['anime'] }), quote, NOW).reason, 'no_eligible_items');
+});
+
+test('the promotion applies to what is left after the quantity-tier discount', () => {
+  const config = normalizePricingConfig({ quantityTiers: [{ minItems: 3, discountPercent: 10 }] }).config;
+  const quote = calculateQuote({ media: movies(4) }, config);
+  assert.deepEqual([quote.subtotal, quote.discount], [120, 12]);
+
+  const percent = promotion({ value: 10 });
+  const result = evaluatePromotion(percent, quote, NOW);
+  assert.equal(result.discount, 10.8);
+  const applied = applyPromotion(quote, percent, result);
+  assert.equal(applied.total, 97);
+  assert.equal(applied.promotion.code, 'EID2026');
+
+  // A fixed amount never takes the total below zero
+  const fixed = promotion({ type: 'fixed', value: 500 });
+  const fixedResult = evaluatePromotion(fixed, quote, NOW);
+  assert.equal(fixedResult.discount, 108);
+  assert.equal(applyPromotion(quote, fixed, fixedResult).total, 0);
+});
+
+test('the claim filter stops matching once usedCount reaches the usage limit, also under concurrent orders', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'promotions-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const promotions = createJsonFileStorage({ dir }).collection('promotions');
+
+  const limited = promotion({ usageLimit: 2 });
+  await promotions.insertOne(limited);
+  const claims = await Promise.all(Array.from({ length: 5 }, () =>
+    promotions.updateOne(promotionClaimFilter(limited), { $inc: { usedCount: 1 } })
+  ));
+  assert.equal(claims.filter(claim => claim.modifiedCount === 1).length, 2);
+  assert.equal((await promotions.findOne({ id: 1 })).usedCount, 2);
+
+  const unlimited = { ...promotion({ code: 'FREE' }), id: 2 };
+  await promotions.insertOne(unlimited);
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await promotions.updateOne(promotionClaimFilter(unlimited), { $inc: { usedCount: 1 } })).modifiedCount, 1);
+  }
+});
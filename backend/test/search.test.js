@@ -0,0 +1,58 @@
+/**
+ * Catalog search: typo tolerance, ranking and type filters
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, scoreTitle, buildSearchIndex, searchCatalog } from '../utils/search.js';
+
+const index = buildSearchIndex({
+  games: [
+    { id: 1, name: 'The Witcher 3: Wild Hunt [DODI Repack]', category: 'repack' },
+    { id: 2, name: 'Red Dead Redemption 2', category: 'readyToPlay' },
+    { id: 3, name: 'FIFA 22', category: 'readyToPlay' },
+    { id: 4, name: 'FIFA 23', category: 'readyToPlay' },
+    { id: 5, name: "Assassin's Creed Valhalla", category: 'online' },
+    { id: 6, name: 'Spider-Man Remastered', category: 'readyToPlay' },
+    { id: 7, name: 'Hidden game', category: 'notACategory' }
+  ],
+  movies: [{ id: 10, name: 'Spider-Man: No Way Home', category: 'movies' }, { id: 11, title: 'Dark', category: 'tvShows' }],
+  bundles: [{ id: 20, title: 'FIFA Pack' }]
+});
+const names = (query, options) => searchCatalog(index, query, options).map(result => result.name);
+
+test('edit distance counts adjacent swaps once and stops past the cap', () => {
+  assert.equal(editDistance('witcher', 'witcher', 2), 0);
+  assert.equal(editDistance('wticher', 'witcher', 2), 1);
+  assert.equal(editDistance('witchr', 'witcher', 2), 1);
+  assert.equal(editDistance('abc', 'xyzxyz', 2), 3);
+});
+
+test('typos in longer words are forgiven, in numbers and short words they are not', () => {
+  assert.deepEqual(names('witchr 3'), ['The Witcher 3: Wild Hunt [DODI Repack]']);
+  assert.deepEqual(names('assasin creed'), ["Assassin's Creed Valhalla"]);
+  assert.deepEqual(names('fifa 22'), ['FIFA 22']);
+  assert.equal(scoreTitle('war', 'car'), 0);
+});
+
+test('exact, prefix and word-start matches rank above fuzzy ones; spacing does not matter', () => {
+  assert.equal(scoreTitle('fifa 22', 'fifa 22'), 100);
+  assert.equal(scoreTitle('fifa', 'fifa 22'), 90);
+  assert.equal(scoreTitle('dead', 'red dead redemption 2'), 85);
+  assert.equal(scoreTitle('reddead', 'red dead redemption 2'), 80);
+  assert.deepEqual(names('spiderman').slice(0, 2).sort(), ['Spider-Man Remastered', 'Spider-Man: No Way Home']);
+  assert.deepEqual(names('fifa').slice(0, 2), ['FIFA 22', 'FIFA 23']);
+});
+
+test('type filters, limits, unknown categories and empty queries', () => {
+  assert.deepEqual(names('fifa', { types: ['bundles'] }), ['FIFA Pack']);
+  assert.deepEqual(names('spider man', { types: ['movies'] }), ['Spider-Man: No Way Home']);
+  assert.equal(names('fifa', { limit: 1 }).length, 1);
+  assert.deepEqual(names('hidden'), []);
+  assert.deepEqual(names('   '), []);
+
+  const [result] = searchCatalog(index, 'dark');
+  assert.deepEqual([result.type, result.id, result.category, result.score], ['tvShows', 11, 'tvShows', 100]);
+  assert.equal(result.normalized, undefined);
+});
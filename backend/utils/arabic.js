@@ -0,0 +1,107 @@
+/**
+ * Arabic Text Utility
+ * Normalization and a script-independent phonetic key so Arabic searches
+ * ("فيفا 22", "ريد ديد", "ون بيس") can match titles stored in English.
+ */
+
+const ARABIC_LETTERS = /[\u0600-\u06FF]/;
+
+/**
+ * Does the text contain Arabic letters?
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasArabic(text) {
+  return ARABIC_LETTERS.test(String(text ?? ''));
+}
+
+/**
+ * Fold Arabic spelling variants customers mix freely
+ *   أ إ آ ٱ -> ا   ى -> ي   ة -> ه   ؤ -> و   ئ -> ي
+ * Also drops tashkeel/tatweel and converts Arabic-Indic digits (٢٢ -> 22).
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeArabic(text) {
+  return String(text ?? '')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+// Arabic letter -> consonant class; '' = vowel/weak letter (dropped, since Arabic omits short vowels)
+// ذ/ث map to 't' like Latin "th" ("ذا ويتشر" = "The Witcher")
+const ARABIC_PHONETIC = {
+  'ا': '', 'ء': '', 'ع': '', 'ح': '', 'ه': '', 'و': '', 'ي': '',
+  'ب': 'b', 'پ': 'b', 'ت': 't', 'ط': 't', 'ث': 't', 'س': 's', 'ص': 's', 'ز': 's',
+  'ج': 'g', 'چ': 'g', 'گ': 'g', 'غ': 'g', 'خ': 'k', 'ق': 'k', 'ك': 'k', 'ک': 'k',
+  'د': 'd', 'ذ': 't', 'ض': 'd', 'ظ': 'd', 'ر': 'r', 'ش': 'x', 'ف': 'f', 'ڤ': 'f',
+  'ل': 'l', 'م': 'm', 'ن': 'n'
+};
+
+// Latin spellings reduced to the same consonant classes (Egyptian pronunciation: j/g -> g, p -> b, v -> f)
+const LATIN_PHONETIC_RULES = [
+  [/sh|ch/g, 'x'],
+  [/ph/g, 'f'],
+  [/th/g, 't'],
+  [/kh|ck/g, 'k'],
+  [/gh/g, 'g'],
+  [/c(?=[eiy])/g, 's'],
+  [/[cq]/g, 'k'],
+  [/j/g, 'g'],
+  [/p/g, 'b'],
+  [/v/g, 'f'],
+  [/z/g, 's'],
+  [/[aeiouyhw]/g, '']
+];
+
+/**
+ * Consonant skeleton of a word, comparable across Arabic and Latin spellings
+ *   "Red Dead" -> "rd dd", "ريد ديد" -> "rd dd", "One Piece" -> "n bs", "ون بيس" -> "n bs"
+ * Expects text already passed through normalizeTitle().
+ * @param {string} text
+ * @returns {string} Space separated keys ('' for words with no consonants are dropped)
+ */
+function phoneticKey(text) {
+  return String(text ?? '')
+    .split(' ')
+    .map(word => {
+      if (/^\d+$/.test(word)) return word;
+      // Doubled letters are spelled once in Arabic ("assassins" ~ "اساسنز", "attack" ~ "اتاك")
+      const collapsed = word.replace(/(.)\1+/g, '$1');
+      if (hasArabic(collapsed)) {
+        return [...collapsed].map(char => ARABIC_PHONETIC[char] ?? (/[a-z0-9]/.test(char) ? char : '')).join('');
+      }
+      // "x" is reserved for sh/ch, so a literal x becomes "ks" before the rules run
+      return LATIN_PHONETIC_RULES.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), collapsed.replace(/x/g, 'ks'));
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Letters normalizeArabic() folds together, as regex character classes
+const ARABIC_VARIANT_CLASSES = {
+  'ا': '[اأإآٱ]',
+  'ي': '[يىئ]',
+  'ه': '[هة]',
+  'و': '[وؤ]'
+};
+
+/**
+ * Regex source matching `text` with any of the spelling variants normalizeArabic() folds,
+ * for database queries that can't normalize the stored value ("اساسن" matches "أساسن")
+ * @param {string} text - Raw user input
+ * @returns {string} Escaped pattern (use with the "i" flag)
+ */
+function arabicVariantPattern(text) {
+  return [...normalizeArabic(text).trim()]
+    .map(char => ARABIC_VARIANT_CLASSES[char] || char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+}
+
+export { hasArabic, normalizeArabic, phoneticKey, arabicVariantPattern };
@@ -0,0 +1,106 @@
+/**
+ * Audit Log Utility
+ * Builds audit entries (actor, route, before/after, field diff) for catalog mutations
+ */
+
+const MAX_INLINE_STRING = 2000; // Longer strings (base64 images) are replaced by a summary
+
+/**
+ * Replace huge strings (embedded base64 images) so audit entries stay small
+ * @param {*} value - Document or value to sanitize
+ * @returns {*} Sanitized copy
+ */
+function sanitizeForAudit(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') {
+    if (value.length <= MAX_INLINE_STRING) return value;
+    const kind = value.startsWith('data:') ? value.slice(5, value.indexOf(';')) || 'data' : 'text';
+    return `[${kind}, ${value.length} chars]`;
+  }
+  if (Array.isArray(value)) return value.map(sanitizeForAudit);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === '_id') continue;
+      out[key] = sanitizeForAudit(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Field-level diff between two documents (top-level keys only)
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffDocuments(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const changes = [];
+
+  for (const field of keys) {
+    if (field === '_id' || field === 'updatedAt') continue;
+    if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+      changes.push({ field, before: a[field] ?? null, after: b[field] ?? null });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Build an audit entry for a write request
+ * @param {import('express').Request} req - Request that performed the write
+ * @param {{entity: string, entityId: *, action: 'create'|'update'|'delete', before?: object, after?: object}} change
+ * @returns {object} Entry ready to insert in the audit_log collection
+ */
+function buildAuditEntry(req, { entity, entityId, action, before = null, after = null }) {
+  const cleanBefore = sanitizeForAudit(before);
+  const cleanAfter = sanitizeForAudit(after);
+
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: new Date().toISOString(),
+    actor: req.admin?.username || 'public',
+    actorRole: req.admin?.role || null,
+    method: req.method,
+    route: req.originalUrl,
+    entity,
+    entityId: entityId === undefined || entityId === null ? null : String(entityId),
+    action,
+    before: cleanBefore,
+    after: cleanAfter,
+    changes: diffDocuments(cleanBefore, cleanAfter)
+  };
+}
+
+/**
+ * Build a MongoDB filter from /api/audit query parameters
+ * @param {{entity?: string, id?: string, actor?: string, from?: string, to?: string}} query
+ * @returns {object} MongoDB filter
+ */
+function buildAuditQuery({ entity, id, actor, from, to } = {}) {
+  const filter = {};
+  if (entity) filter.entity = entity;
+  if (id) filter.entityId = String(id);
+  if (actor) filter.actor = actor;
+
+  if (from || to) {
+    filter.timestamp = {};
+    // Date-only values ("2026-05-01") cover the whole day
+    if (from) filter.timestamp.$gte = new Date(from).toISOString();
+    if (to) {
+      const end = new Date(to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+      filter.timestamp.$lte = end.toISOString();
+    }
+  }
+
+  return filter;
+}
+
+export { sanitizeForAudit, diffDocuments, buildAuditEntry, buildAuditQuery };
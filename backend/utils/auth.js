@@ -0,0 +1,243 @@
+/**
+ * Admin Authentication Utility
+ * Issues and verifies HMAC-signed session tokens for the Dashboard
+ * Tokens are stateless: base64url(payload).base64url(signature)
+ * Roles: owner (everything), editor (catalog), viewer (read-only)
+ */
+
+import crypto from 'crypto';
+
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+// Secret used to sign tokens. Falls back to a per-process random secret,
+// which means sessions are invalidated on every restart until AUTH_SECRET is set.
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️ AUTH_SECRET is not defined - admin sessions will not survive a restart');
+}
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// What each role may do. Reading catalog data is public, so viewers need no permissions.
+const ROLE_PERMISSIONS = {
+  owner: ['catalog:write', 'orders:manage', 'pricing:manage', 'subscribers:manage', 'users:manage', 'system:manage'],
+  editor: ['catalog:write', 'orders:manage'],
+  viewer: []
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Hash a password for storage in the admin_users collection
+ * @param {string} password - Plain text password
+ * @returns {string} Hash in the form scrypt$salt$hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash produced by hashPassword
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - owner | editor | viewer
+ * @returns {string[]}
+ */
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - owner | editor | viewer
+ * @param {string} permission - e.g. 'catalog:write'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+/**
+ * Issue a signed session token
+ * @param {object} claims - Data to embed in the token (e.g. { sub: userId })
+ * @returns {{token: string, expiresAt: string}}
+ */
+function issueToken(claims = {}) {
+  const now = Date.now();
+  const payload = { ...claims, iat: now, exp: now + TOKEN_TTL_MS };
+  const body = base64url(JSON.stringify(payload));
+  return {
+    token: `${body}.${sign(body)}`,
+    expiresAt: new Date(payload.exp).toISOString()
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token from the Authorization header
+ * @returns {object|null} Decoded claims, or null if invalid/expired
+ */
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature || !safeEqual(signature, sign(body))) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || Date.now() > payload.exp) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the bearer token from a request
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Build the Express auth middlewares
+ * The user is re-loaded on every request so role changes and deleted accounts apply immediately.
+ * @param {{findUser: (id: string) => Promise<object|null>}} options
+ * @returns {{requireAuth: Function, requirePermission: (permission: string) => Function}}
+ */
+function createAuthMiddleware({ findUser }) {
+  const requireAuth = async (req, res, next) => {
+    const claims = verifyToken(getRequestToken(req));
+    if (!claims) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Admin login required' });
+    }
+
+    try {
+      const user = await findUser(claims.sub);
+      if (!user || user.disabled) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Account no longer exists' });
+      }
+      req.admin = {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        permissions: getRolePermissions(user.role),
+        exp: claims.exp
+      };
+      next();
+    } catch (error) {
+      console.error('❌ [AUTH] Error loading admin user:', error.message);
+      res.status(500).json({ error: 'Failed to verify session' });
+    }
+  };
+
+  const requirePermission = (permission) => (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (!hasPermission(req.admin.role, permission)) {
+        return res.status(403).json({ error: 'Forbidden', message: `Role "${req.admin.role}" cannot perform this action` });
+      }
+      next();
+    });
+  };
+
+  return { requireAuth, requirePermission };
+}
+
+/**
+ * Failed-login backoff, one per kind of key (client IP, username).
+ * After `freeAttempts` failures each further failure locks the key out for twice as long as the
+ * last one (baseDelayMs, 2x, 4x, ... up to maxDelayMs); a key with no failures for `forgetAfterMs`
+ * starts over. State is in memory, so it is per server process and cleared by a restart.
+ * @param {{freeAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, forgetAfterMs?: number, now?: () => number}} [options]
+ * @returns {{retryAfter: (key: string) => number, fail: (key: string) => number, reset: (key: string) => void}}
+ *   retryAfter: ms until the key may try again (0: now); fail: records a failure, returns the new lockout in ms
+ */
+function createLoginThrottle({
+  freeAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 15 * 60 * 1000,
+  forgetAfterMs = 60 * 60 * 1000,
+  now = Date.now
+} = {}) {
+  const attempts = new Map(); // key -> { failures, lastFailureAt, lockedUntil }
+
+  const current = (key) => {
+    const entry = attempts.get(key);
+    if (entry && now() - entry.lastFailureAt > forgetAfterMs) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Keep a flood of made-up usernames from growing the map forever
+  const prune = () => {
+    for (const key of attempts.keys()) current(key);
+  };
+
+  return {
+    retryAfter(key) {
+      return Math.max(0, (current(key)?.lockedUntil || 0) - now());
+    },
+    fail(key) {
+      if (attempts.size >= 10000) prune();
+      const entry = current(key) || { failures: 0, lockedUntil: 0 };
+      entry.failures += 1;
+      entry.lastFailureAt = now();
+      const extra = entry.failures - freeAttempts;
+      const delay = extra > 0 ? Math.min(maxDelayMs, baseDelayMs * 2 ** (extra - 1)) : 0;
+      entry.lockedUntil = now() + delay;
+      attempts.set(key, entry);
+      return delay;
+    },
+    reset(key) {
+      attempts.delete(key);
+    }
+  };
+}
+
+export {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  getRolePermissions,
+  hasPermission,
+  issueToken,
+  verifyToken,
+  getRequestToken,
+  createAuthMiddleware,
+  createLoginThrottle
+};
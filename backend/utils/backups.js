@@ -0,0 +1,280 @@
+/**
+ * Database Backups
+ * Snapshots of every MongoDB collection, written to BACKUP_DIR as
+ * `snapshot-<id>.ndjson[.gz]`: the first line is the snapshot's metadata, then one line per
+ * collection ({ "collection": "games", "documents": [...] }) in relaxed Extended JSON, so ObjectIds
+ * and dates come back as they were. Listing only reads the first line of each file.
+ * Restores diff the snapshot against the live collection by _id (see collectionSync.js), so the
+ * preview's inserted/updated/removed counts are exactly what the restore will write.
+ * Some collections are left out of snapshots and restores (also when an older snapshot has them):
+ * catalog_meta, because the catalog version must only ever go up or browsers would keep a stale
+ * catalog after a restore; audit_log, so a restore can't erase the record of what happened since;
+ * jobs, whose locks and next-run times belong to the running servers; and migrations, which has to
+ * match the schema the current code created, not the one at snapshot time.
+ */
+
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { createInterface } from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGunzip, createGzip } from 'zlib';
+import { join } from 'path';
+import { BSON } from 'mongodb';
+import { planSync, syncCollection } from './collectionSync.js';
+
+const { EJSON } = BSON;
+
+const SNAPSHOT_FILE = /^snapshot-([\dT-]+Z)\.ndjson(\.gz)?$/;
+const EXCLUDED_COLLECTIONS = ['catalog_meta', 'audit_log', 'jobs', 'migrations'];
+const SYNC_OPTIONS = { key: '_id', preserveFields: [] };
+
+const DEFAULT_BACKUP_SETTINGS = { keep: 14, maxAgeDays: 0, gzip: true };
+
+const toJsonLine = (value) => `${EJSON.stringify(value, { relaxed: true })}\n`;
+
+const isExcluded = (name) => EXCLUDED_COLLECTIONS.includes(name);
+
+// Read a positive number from the environment, falling back (with a warning) when it isn't one
+const parseSetting = (env, name, fallback) => {
+  const value = env[name];
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    console.warn(`⚠️ Invalid ${name} "${value}" - using ${fallback}`);
+    return fallback;
+  }
+  return number;
+};
+
+/**
+ * Backup settings from BACKUP_KEEP, BACKUP_MAX_AGE_DAYS and BACKUP_GZIP
+ * (when scheduled snapshots run is the "backup" job's schedule, see jobs.js)
+ * @param {object} env - process.env
+ * @returns {{keep: number, maxAgeDays: number, gzip: boolean}} keep/maxAgeDays 0 means no limit
+ */
+function parseBackupSettings(env) {
+  return {
+    keep: Math.floor(parseSetting(env, 'BACKUP_KEEP', DEFAULT_BACKUP_SETTINGS.keep)),
+    maxAgeDays: parseSetting(env, 'BACKUP_MAX_AGE_DAYS', DEFAULT_BACKUP_SETTINGS.maxAgeDays),
+    gzip: env.BACKUP_GZIP === undefined ? DEFAULT_BACKUP_SETTINGS.gzip : env.BACKUP_GZIP !== 'false'
+  };
+}
+
+// Lines of a snapshot file, decompressing .gz on the fly; close() stops reading early
+function readLines(path) {
+  const file = createReadStream(path);
+  const input = path.endsWith('.gz') ? file.pipe(createGunzip()) : file;
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  lines.on('close', () => {
+    input.destroy();
+    file.destroy();
+  });
+  return lines;
+}
+
+// Collection name of a snapshot line without parsing the (possibly large) document list
+const lineCollection = (line) => line.match(/^\{"collection":"([^"]+)"/)?.[1];
+
+/**
+ * Create the backup service
+ * @param {{getDb: () => import('mongodb').Db, dir: string, settings?: object}} options
+ * @returns {object} { createSnapshot, listSnapshots, getSnapshotFile, previewRestore, restoreSnapshot, applyRetention }
+ */
+function createBackupService({ getDb, dir, settings = DEFAULT_BACKUP_SETTINGS }) {
+  async function findSnapshotFile(id) {
+    const files = await fs.readdir(dir).catch(() => []);
+    const file = files.find(name => name.match(SNAPSHOT_FILE)?.[1] === id);
+    if (!file) throw Object.assign(new Error(`Snapshot ${id} not found`), { status: 404 });
+    return join(dir, file);
+  }
+
+  async function readMeta(path) {
+    const lines = readLines(path);
+    try {
+      for await (const line of lines) return { ...JSON.parse(line), sizeBytes: (await fs.stat(path)).size };
+      return null;
+    } finally {
+      lines.close();
+    }
+  }
+
+  // Documents per collection, optionally only some collections
+  async function readCollections(path, only) {
+    const collections = {};
+    let first = true;
+    for await (const line of readLines(path)) {
+      if (first || !line) {
+        first = false;
+        continue;
+      }
+      if (only && !only.includes(lineCollection(line))) continue;
+      const { collection, documents } = EJSON.parse(line, { relaxed: true });
+      collections[collection] = documents;
+    }
+    return collections;
+  }
+
+  /**
+   * Take a snapshot of every collection. Documents are streamed from a cursor to a temporary file
+   * (the metadata line, which comes first, needs their counts), so large collections are never
+   * held in memory at once.
+   * @param {{trigger?: 'scheduled'|'manual'|'pre-restore', createdBy?: string}} [options]
+   * @returns {Promise<object>} The snapshot's metadata
+   */
+  async function createSnapshot({ trigger = 'manual', createdBy = null } = {}) {
+    const db = getDb();
+    const createdAt = new Date().toISOString();
+    const id = createdAt.replace(/[:.]/g, '-');
+    const names = (await db.listCollections({}, { nameOnly: true }).toArray())
+      .map(collection => collection.name)
+      .filter(name => !name.startsWith('system.') && !isExcluded(name))
+      .sort();
+
+    const file = join(dir, `snapshot-${id}.ndjson${settings.gzip ? '.gz' : ''}`);
+    const tmpPath = `${file}.tmp`;
+    const bodyPath = `${file}.body.tmp`;
+    await fs.mkdir(dir, { recursive: true });
+
+    // Same lines as toJsonLine({ collection, documents }), written one document at a time
+    const counts = {};
+    async function* collectionLines() {
+      for (const name of names) {
+        counts[name] = 0;
+        yield `{"collection":${JSON.stringify(name)},"documents":[`;
+        for await (const document of db.collection(name).find({})) {
+          yield `${counts[name]++ ? ',' : ''}${EJSON.stringify(document, { relaxed: true })}`;
+        }
+        yield ']}\n';
+      }
+    }
+
+    const meta = { id, createdAt, trigger, createdBy, gzip: settings.gzip, collections: counts };
+    async function* snapshotLines() {
+      yield toJsonLine(meta);
+      yield* createReadStream(bodyPath);
+    }
+
+    try {
+      await pipeline(Readable.from(collectionLines()), createWriteStream(bodyPath));
+      await pipeline(Readable.from(snapshotLines()), ...(settings.gzip ? [createGzip()] : []), createWriteStream(tmpPath));
+      await fs.rename(tmpPath, file);
+    } finally {
+      await fs.rm(bodyPath, { force: true });
+      await fs.rm(tmpPath, { force: true });
+    }
+
+    const saved = { ...meta, sizeBytes: (await fs.stat(file)).size };
+    // Not before a restore: it could delete the snapshot being restored
+    if (trigger !== 'pre-restore') await applyRetention();
+    return saved;
+  }
+
+  /**
+   * Every snapshot's metadata, newest first
+   * @returns {Promise<object[]>}
+   */
+  async function listSnapshots() {
+    const files = (await fs.readdir(dir).catch(() => [])).filter(name => SNAPSHOT_FILE.test(name));
+    const snapshots = [];
+    for (const file of files) {
+      try {
+        const meta = await readMeta(join(dir, file));
+        // Older snapshots may hold collections that are no longer restored
+        const collections = Object.fromEntries(Object.entries(meta?.collections || {}).filter(([name]) => !isExcluded(name)));
+        if (meta) snapshots.push({ ...meta, collections, file });
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable backup ${file}: ${error.message}`);
+      }
+    }
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Path of a snapshot file (for downloads)
+   * @param {string} id
+   * @returns {Promise<string>} Throws { status: 404 } when there is no such snapshot
+   */
+  async function getSnapshotFile(id) {
+    return findSnapshotFile(id);
+  }
+
+  // Snapshot documents + the diff against the live collections, per requested collection
+  async function planRestore(id, collections) {
+    const excluded = (collections || []).filter(isExcluded);
+    if (excluded.length) throw Object.assign(new Error(`Can't be restored: ${excluded.join(', ')}`), { status: 400 });
+
+    const path = await findSnapshotFile(id);
+    const snapshot = await readCollections(path, collections);
+    for (const name of Object.keys(snapshot)) {
+      if (isExcluded(name)) delete snapshot[name];
+    }
+    const missing = (collections || []).filter(name => !snapshot[name]);
+    if (missing.length) throw Object.assign(new Error(`Not in this snapshot: ${missing.join(', ')}`), { status: 400 });
+
+    const db = getDb();
+    const plans = {};
+    for (const [name, documents] of Object.entries(snapshot)) {
+      const existing = await db.collection(name).find({}).toArray();
+      plans[name] = { documents, summary: planSync(existing, documents, SYNC_OPTIONS).summary };
+    }
+    return plans;
+  }
+
+  /**
+   * What restoring would change, without writing anything
+   * @param {string} id
+   * @param {string[]} [collections] - Default: every collection in the snapshot
+   * @returns {Promise<{id: string, collections: object, totals: object}>} Counts per collection
+   */
+  async function previewRestore(id, collections) {
+    const plans = await planRestore(id, collections);
+    const totals = { inserted: 0, updated: 0, removed: 0, unchanged: 0 };
+    const summaries = {};
+    for (const [name, { summary }] of Object.entries(plans)) {
+      summaries[name] = summary;
+      for (const key of Object.keys(totals)) totals[key] += summary[key];
+    }
+    return { id, collections: summaries, totals };
+  }
+
+  /**
+   * Make collections match the snapshot. A "pre-restore" snapshot is taken first, so a
+   * restore can itself be undone.
+   * @param {string} id
+   * @param {{collections?: string[], createdBy?: string}} [options]
+   * @returns {Promise<{id: string, safetySnapshot: string, collections: object}>}
+   */
+  async function restoreSnapshot(id, { collections, createdBy = null } = {}) {
+    const plans = await planRestore(id, collections);
+    const safety = await createSnapshot({ trigger: 'pre-restore', createdBy });
+
+    const db = getDb();
+    const summaries = {};
+    for (const [name, { documents }] of Object.entries(plans)) {
+      // The snapshot held this data once, so today's validators don't get a say
+      summaries[name] = await syncCollection(db.collection(name), documents, { ...SYNC_OPTIONS, bypassDocumentValidation: true });
+    }
+    return { id, safetySnapshot: safety.id, collections: summaries };
+  }
+
+  /**
+   * Delete snapshots beyond `keep` or older than `maxAgeDays` (the newest one always stays)
+   * @returns {Promise<string[]>} Deleted snapshot ids
+   */
+  async function applyRetention() {
+    const { keep, maxAgeDays } = settings;
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const snapshots = await listSnapshots();
+    const expired = snapshots.filter((snapshot, index) =>
+      index > 0 && ((keep > 0 && index >= keep) || (cutoff !== null && Date.parse(snapshot.createdAt) < cutoff))
+    );
+    for (const snapshot of expired) {
+      await fs.unlink(join(dir, snapshot.file));
+    }
+    return expired.map(snapshot => snapshot.id);
+  }
+
+  return { createSnapshot, listSnapshots, getSnapshotFile, previewRestore, restoreSnapshot, applyRetention };
+}
+
+export { DEFAULT_BACKUP_SETTINGS, parseBackupSettings, createBackupService };
@@ -0,0 +1,67 @@
+/**
+ * Shared Carts Utility
+ * Stores a snapshot of a selection behind a short link (/cart/abc123)
+ * so customers can restore it later or send it to a friend
+ */
+
+import crypto from 'crypto';
+
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Generate a short lowercase cart code (e.g. "k7m2qx")
+ * @returns {string}
+ */
+function generateCartCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  return code;
+}
+
+/**
+ * Build the stored cart document
+ * Names are kept so removed items can still be shown to whoever opens the link.
+ * @param {{games: Array, items: Array}} selection - Ids as sent by the SelectionBar
+ * @param {{games: object[], media: object[]}} resolved - Output of resolveSelection()
+ * @param {string} code
+ * @returns {object}
+ */
+function buildCart({ games = [], items = [] }, resolved, code) {
+  const entries = [
+    ...resolved.games.map(game => ({ ref: `game-${game.id}`, name: game.name || '', size: game.size || null })),
+    ...resolved.media.map(item => ({ ref: `${item.category}-${item.id}`, name: item.name || item.title || '', size: item.size || null }))
+  ];
+
+  return {
+    code,
+    games: games.filter(id => resolved.games.some(game => String(game.id) === String(id))),
+    items: items.filter(ref => resolved.media.some(item => `${item.category}-${item.id}` === ref)),
+    entries,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Compare a stored cart with the current catalog
+ * @param {object} cart - Stored cart document
+ * @param {{missing: string[]}} resolved - resolveSelection() run on the cart's ids today
+ * @returns {{code: string, games: Array, items: string[], removed: Array<{ref: string, name: string}>, createdAt: string}}
+ */
+function checkCart(cart, resolved) {
+  const missing = new Set(resolved.missing);
+  const removed = cart.entries
+    .filter(entry => missing.has(entry.ref))
+    .map(({ ref, name, size }) => ({ ref, name, size }));
+
+  return {
+    code: cart.code,
+    games: cart.games.filter(id => !missing.has(`game-${id}`)),
+    items: cart.items.filter(ref => !missing.has(ref)),
+    removed,
+    createdAt: cart.createdAt
+  };
+}
+
+export { generateCartCode, buildCart, checkCart };
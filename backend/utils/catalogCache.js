@@ -0,0 +1,170 @@
+/**
+ * Catalog Cache
+ * In-process cache for catalog reads (games, movies, bundles, news, upcoming games), so public
+ * pages and the compatibility checker don't reload a whole collection from MongoDB per request.
+ * Writes made through the API drop the affected collection's entries right away
+ * (markCatalogChanged); the TTL only bounds how long edits made elsewhere (another instance,
+ * the mongo shell) stay invisible.
+ * Cached values are shared between requests: callers must treat them as read-only.
+ */
+
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+// Keys are fixed views ("full", "list", "search", ...), so this is only a backstop
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * Parse CATALOG_CACHE_TTL_SECONDS
+ * @param {string|undefined} value
+ * @returns {number} TTL in milliseconds; 0 disables caching
+ */
+function parseCacheTtl(value) {
+  if (value === undefined || value === '') return DEFAULT_CACHE_TTL_SECONDS * 1000;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    console.warn(`⚠️ Invalid CATALOG_CACHE_TTL_SECONDS "${value}" - using ${DEFAULT_CACHE_TTL_SECONDS}s`);
+    return DEFAULT_CACHE_TTL_SECONDS * 1000;
+  }
+  return seconds * 1000;
+}
+
+const hitRate = ({ hits, misses }) => (hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 10 : null);
+
+/**
+ * Create a cache. Entries are grouped by entity (collection name) so a write can drop
+ * every cached view of that collection at once.
+ * Expired entries are dropped whenever a new one is stored, and past `maxEntries` the oldest go first.
+ * @param {{ttlMs?: number, maxEntries?: number}} [options]
+ * @returns {{wrap: Function, invalidate: Function, clear: Function, stats: Function}}
+ */
+function createCatalogCache({ ttlMs = DEFAULT_CACHE_TTL_SECONDS * 1000, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map(); // "entity:key" -> { entity, key, value, loadedAt, expiresAt }
+  const pending = new Map(); // "entity:key" -> in-flight loader promise
+  const generations = new Map(); // entity -> invalidation count, so loads started before a write aren't stored
+  const counters = new Map(); // entity -> { hits, misses, invalidations }
+  const startedAt = Date.now();
+
+  // Make room for a new entry (Maps iterate in insertion order, so the first entries are the oldest)
+  const evict = (now) => {
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(id);
+    }
+    for (const id of entries.keys()) {
+      if (entries.size < maxEntries) break;
+      entries.delete(id);
+    }
+  };
+
+  const countersFor = (entity) => {
+    if (!counters.has(entity)) counters.set(entity, { hits: 0, misses: 0, invalidations: 0 });
+    return counters.get(entity);
+  };
+
+  /**
+   * Cached value, or the loader's result (stored until the TTL or the next invalidation)
+   * Concurrent misses for the same key share one load; loader errors are not cached.
+   * @param {string} entity - Collection the value is derived from
+   * @param {string} key - Which view of it ("full", "search", ...)
+   * @param {() => Promise<any>} loader
+   * @returns {Promise<any>}
+   */
+  async function wrap(entity, key, loader) {
+    const stats = countersFor(entity);
+    if (ttlMs <= 0) {
+      stats.misses++;
+      return loader();
+    }
+
+    const id = `${entity}:${key}`;
+    const entry = entries.get(id);
+    if (entry && entry.expiresAt > Date.now()) {
+      stats.hits++;
+      return entry.value;
+    }
+    if (pending.has(id)) {
+      stats.hits++;
+      return pending.get(id);
+    }
+
+    stats.misses++;
+    const generation = generations.get(entity) || 0;
+    const load = (async () => {
+      const value = await loader();
+      if ((generations.get(entity) || 0) === generation) {
+        const loadedAt = Date.now();
+        entries.delete(id);
+        evict(loadedAt);
+        entries.set(id, { entity, key, value, loadedAt, expiresAt: loadedAt + ttlMs });
+      }
+      return value;
+    })();
+
+    pending.set(id, load);
+    try {
+      return await load;
+    } finally {
+      if (pending.get(id) === load) pending.delete(id);
+    }
+  }
+
+  /**
+   * Drop every cached view of an entity (call after writing to its collection)
+   * @param {string} entity
+   */
+  function invalidate(entity) {
+    generations.set(entity, (generations.get(entity) || 0) + 1);
+    countersFor(entity).invalidations++;
+    for (const [id, entry] of entries) {
+      if (entry.entity === entity) entries.delete(id);
+    }
+    for (const id of pending.keys()) {
+      if (id.startsWith(`${entity}:`)) pending.delete(id);
+    }
+  }
+
+  // Drop everything (e.g. after a bulk restore)
+  function clear() {
+    for (const entity of new Set([...counters.keys(), ...generations.keys()])) invalidate(entity);
+  }
+
+  /**
+   * Hit rates and current entries for /api/debug/cache
+   * @returns {object}
+   */
+  function stats() {
+    const now = Date.now();
+    const entities = {};
+    const totals = { hits: 0, misses: 0, invalidations: 0 };
+
+    for (const [entity, { hits, misses, invalidations }] of counters) {
+      totals.hits += hits;
+      totals.misses += misses;
+      totals.invalidations += invalidations;
+      entities[entity] = {
+        hits,
+        misses,
+        invalidations,
+        hitRate: hitRate({ hits, misses }),
+        entries: [...entries.values()]
+          .filter(entry => entry.entity === entity && entry.expiresAt > now)
+          .map(entry => ({
+            key: entry.key,
+            ageSeconds: Math.round((now - entry.loadedAt) / 1000),
+            expiresInSeconds: Math.round((entry.expiresAt - now) / 1000)
+          }))
+      };
+    }
+
+    return {
+      enabled: ttlMs > 0,
+      ttlSeconds: ttlMs / 1000,
+      maxEntries,
+      since: new Date(startedAt).toISOString(),
+      totals: { ...totals, hitRate: hitRate(totals) },
+      entities
+    };
+  }
+
+  return { wrap, invalidate, clear, stats };
+}
+
+export { DEFAULT_CACHE_TTL_SECONDS, DEFAULT_MAX_ENTRIES, parseCacheTtl, createCatalogCache };
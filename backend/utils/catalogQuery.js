@@ -0,0 +1,360 @@
+/**
+ * Catalog List Queries
+ * Parses ?page=&limit=&sort=&order=&q=&genre=&minSize=&maxSize=&minYear=&maxYear= for
+ * GET /api/games/:type and GET /api/movies/:type and builds the MongoDB aggregation that
+ * filters, sorts and paginates in the database.
+ * Sizes ("50.6GB", "700 MB"), years (games: "2019-05-13" release date, media: "2013-2023")
+ * and ratings are stored as strings, so numeric versions are computed in the pipeline.
+ * Lists return slim records (listProjection, or toListRecord without MongoDB); full records come
+ * from GET /api/{games,movies}/item/:id.
+ */
+
+import { hasArabic, arabicVariantPattern } from './arabic.js';
+import { parseSizeToGB } from './sizes.js';
+import { compareValues } from './documentQuery.js';
+
+const CATALOG_SORT_FIELDS = ['name', 'size', 'year', 'rating', 'createdAt'];
+const CATALOG_VIEWS = ['list', 'full'];
+const DEFAULT_PAGE_LIMIT = 24;
+const MAX_PAGE_LIMIT = 100;
+
+// Fields the cards, selection bar and filters use; descriptions are cut to a preview
+const LIST_FIELDS = {
+  games: ['id', 'name', 'size', 'category', 'categories', 'aliases', 'rating', 'metacritic', 'playtime', 'released', 'platforms', 'developers', 'price', 'createdAt'],
+  movies: ['id', 'name', 'title', 'size', 'category', 'categories', 'aliases', 'type', 'year', 'released', 'rating', 'rate', 'genre', 'seasons', 'episodes', 'quality', 'language', 'lang', 'price', 'createdAt']
+};
+const DESCRIPTION_PREVIEW_LENGTH = 200;
+
+// Computed fields used for filtering/sorting; removed before items are returned
+const SORT_KEYS = { name: 'name', size: '_sizeGB', year: '_year', rating: '_rating', createdAt: 'createdAt' };
+
+// Same rules as parseSizeToGB() in sizes.js: unitless values are GB, "," is a decimal point
+const SIZE_GB_EXPRESSION = {
+  $let: {
+    vars: {
+      match: {
+        $regexFind: {
+          input: { $replaceOne: { input: { $toLower: { $toString: { $ifNull: ['$size', ''] } } }, find: ',', replacement: '.' } },
+          regex: /([\d.]+)\s*(tb|gb|mb|kb)?/
+        }
+      }
+    },
+    in: {
+      $cond: [
+        { $eq: ['$$match', null] },
+        0,
+        {
+          $multiply: [
+            { $convert: { input: { $arrayElemAt: ['$$match.captures', 0] }, to: 'double', onError: 0, onNull: 0 } },
+            {
+              $switch: {
+                branches: [
+                  { case: { $eq: [{ $arrayElemAt: ['$$match.captures', 1] }, 'tb'] }, then: 1024 },
+                  { case: { $eq: [{ $arrayElemAt: ['$$match.captures', 1] }, 'mb'] }, then: 1 / 1024 },
+                  { case: { $eq: [{ $arrayElemAt: ['$$match.captures', 1] }, 'kb'] }, then: 1 / (1024 * 1024) }
+                ],
+                default: 1
+              }
+            }
+          ]
+        }
+      ]
+    }
+  }
+};
+
+// First 4-digit year of `year` (media) or `released` (games); 0 when unknown
+const YEAR_EXPRESSION = {
+  $let: {
+    vars: {
+      match: { $regexFind: { input: { $toString: { $ifNull: ['$year', { $ifNull: ['$released', ''] }] } }, regex: /\d{4}/ } }
+    },
+    in: { $cond: [{ $eq: ['$$match', null] }, 0, { $toInt: '$$match.match' }] }
+  }
+};
+
+const RATING_EXPRESSION = {
+  $convert: { input: { $ifNull: ['$rating', '$rate'] }, to: 'double', onError: 0, onNull: 0 }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseNumber = (value, name, errors) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    errors.push(`${name} must be a non-negative number`);
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Validate list query parameters
+ * @param {object} query - req.query
+ * @returns {{options: object, errors: string[]}} options.paginate is false when neither page nor limit was sent
+ */
+function parseCatalogQuery(query = {}) {
+  const errors = [];
+  const paginate = query.page !== undefined || query.limit !== undefined;
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    errors.push(`limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`);
+  }
+
+  // No sort: relevance when searching, otherwise name
+  const sort = query.sort || null;
+  if (sort && !CATALOG_SORT_FIELDS.includes(sort)) errors.push(`sort must be one of: ${CATALOG_SORT_FIELDS.join(', ')}`);
+
+  const order = query.order || 'asc';
+  if (!['asc', 'desc'].includes(order)) errors.push('order must be asc or desc');
+
+  // "full" returns every stored field (Dashboard editing)
+  const view = query.view || 'list';
+  if (!CATALOG_VIEWS.includes(view)) errors.push(`view must be one of: ${CATALOG_VIEWS.join(', ')}`);
+
+  const filters = {
+    q: String(query.q || '').trim(),
+    genre: String(query.genre || '').trim(),
+    minSize: parseNumber(query.minSize, 'minSize', errors),
+    maxSize: parseNumber(query.maxSize, 'maxSize', errors),
+    minYear: parseNumber(query.minYear, 'minYear', errors),
+    maxYear: parseNumber(query.maxYear, 'maxYear', errors)
+  };
+
+  return { options: { paginate, page, limit, sort, order, view, filters }, errors };
+}
+
+/**
+ * Projection for list responses (works in find() and $project)
+ * Embedded base64 images are swapped for their image endpoint URL, so the browser downloads
+ * (and caches) each one separately instead of inside every list response.
+ * @param {'games'|'movies'} collectionName
+ * @param {string} [baseUrl] - Public URL of this API ("https://host") for image URLs; '' for root-relative URLs
+ * @returns {object}
+ */
+function listProjection(collectionName, baseUrl = '') {
+  return {
+    _id: 0,
+    ...Object.fromEntries(LIST_FIELDS[collectionName].map(field => [field, 1])),
+    image: {
+      $cond: [
+        { $regexMatch: { input: { $ifNull: ['$image', ''] }, regex: /^data:/ } },
+        // ?v= changes whenever the record is edited, so the image URL can be cached indefinitely
+        {
+          $concat: [
+            baseUrl, `/api/${collectionName}/item/`, { $toString: '$id' }, '/image?v=',
+            { $toString: { $ifNull: ['$updatedAt', '$createdAt', '0'] } }
+          ]
+        },
+        '$image'
+      ]
+    },
+    description: { $substrCP: [{ $ifNull: ['$description', '$plot', ''] }, 0, DESCRIPTION_PREVIEW_LENGTH] }
+  };
+}
+
+/**
+ * listProjection() applied in JS, for storage that can't evaluate aggregation expressions (JSON files)
+ * @param {object} record - Full record
+ * @param {'games'|'movies'} collectionName
+ * @param {string} [baseUrl] - As in listProjection()
+ * @returns {object} The same fields and values the projection returns from MongoDB
+ */
+function toListRecord(record, collectionName, baseUrl = '') {
+  const listed = {};
+  for (const field of LIST_FIELDS[collectionName]) {
+    if (record[field] !== undefined) listed[field] = record[field];
+  }
+  if (typeof record.image === 'string' && record.image.startsWith('data:')) {
+    const version = record.updatedAt ?? record.createdAt ?? '0';
+    listed.image = `${baseUrl}/api/${collectionName}/item/${record.id}/image?v=${version instanceof Date ? version.toISOString() : version}`;
+  } else if (record.image !== undefined) {
+    listed.image = record.image;
+  }
+  // Code points, like $substrCP, so an emoji or Arabic letter isn't cut in half
+  listed.description = Array.from(String(record.description ?? record.plot ?? '')).slice(0, DESCRIPTION_PREVIEW_LENGTH).join('');
+  return listed;
+}
+
+/**
+ * Split a stored image into something an HTTP response can serve
+ * @param {string} image - A "data:image/png;base64,..." string or a URL
+ * @returns {{contentType: string, body: Buffer}|{redirect: string}|null}
+ */
+function decodeStoredImage(image) {
+  if (!image || typeof image !== 'string') return null;
+  const match = image.match(/^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,(.*)$/s);
+  if (!match) return /^https?:\/\//.test(image) ? { redirect: image } : null;
+
+  const [, contentType = 'application/octet-stream', , base64, data] = match;
+  return {
+    contentType,
+    body: base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data))
+  };
+}
+
+const rangeMatch = (min, max) => {
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length ? range : null;
+};
+
+/**
+ * Aggregation producing one document: { items: [...], total: [{ count }] }
+ * @param {string} category - readyToPlay, repack, online, movies, tvShows or anime
+ * @param {object} options - From parseCatalogQuery()
+ * @param {{searchIds?: Array<number|string>, projection?: object}} [extra]
+ *   searchIds: ids matched by the typo-tolerant search for filters.q, best first;
+ *   projection: listProjection() output (omit for full records)
+ * @returns {object[]}
+ */
+function catalogListPipeline(category, { paginate, page, limit, sort, order, filters }, { searchIds = [], projection } = {}) {
+  const match = { category };
+  if (filters.q) {
+    // Substring matches (including descriptions) on top of the fuzzy search results
+    const pattern = new RegExp(hasArabic(filters.q) ? arabicVariantPattern(filters.q) : escapeRegex(filters.q), 'i');
+    match.$or = [{ id: { $in: searchIds } }, { name: pattern }, { title: pattern }, { aliases: pattern }, { description: pattern }];
+  }
+  // Games and media both keep genre ids ("action", "sci-fi") in `categories`
+  if (filters.genre) match.categories = filters.genre;
+
+  const computedMatch = {};
+  const sizeRange = rangeMatch(filters.minSize, filters.maxSize);
+  const yearRange = rangeMatch(filters.minYear, filters.maxYear);
+  if (sizeRange) computedMatch._sizeGB = sizeRange;
+  if (yearRange) computedMatch._year = yearRange;
+
+  const computedFields = { _sizeGB: SIZE_GB_EXPRESSION, _year: YEAR_EXPRESSION, _rating: RATING_EXPRESSION };
+  let sortStage = { [SORT_KEYS[sort || 'name']]: order === 'desc' ? -1 : 1, id: 1 };
+  if (!sort && filters.q) {
+    // Search order; substring-only matches go after every search result
+    computedFields._rank = {
+      $let: {
+        vars: { index: { $indexOfArray: [searchIds, '$id'] } },
+        in: { $cond: [{ $eq: ['$$index', -1] }, searchIds.length, '$$index'] }
+      }
+    };
+    sortStage = { _rank: 1, name: 1, id: 1 };
+  }
+
+  const itemStages = [{ $sort: sortStage }];
+  if (paginate) itemStages.push({ $skip: (page - 1) * limit }, { $limit: limit });
+  itemStages.push({ $project: projection || Object.fromEntries(Object.keys(computedFields).map(field => [field, 0])) });
+
+  return [
+    { $match: match },
+    { $addFields: computedFields },
+    ...(Object.keys(computedMatch).length ? [{ $match: computedMatch }] : []),
+    { $facet: { items: itemStages, total: [{ $count: 'count' }] } }
+  ];
+}
+
+// Case-insensitive name order with "FIFA 9" before "FIFA 22"
+const CATALOG_COLLATION = { locale: 'en', strength: 2, numericOrdering: true };
+
+/**
+ * Run a list query and shape the response
+ * @param {import('mongodb').Collection} collection
+ * @param {string} category
+ * @param {object} options - From parseCatalogQuery()
+ * @param {{searchIds?: Array<number|string>, projection?: object}} [extra] - See catalogListPipeline()
+ * @returns {Promise<object[]|{items: object[], total: number, page: number, limit: number, hasMore: boolean}>}
+ *   The plain array (everything matching) when the request didn't ask for a page
+ */
+async function queryCatalogList(collection, category, options, extra = {}) {
+  const [result] = await collection
+    .aggregate(catalogListPipeline(category, options, extra), { collation: CATALOG_COLLATION })
+    .toArray();
+  const items = result?.items || [];
+  const total = result?.total[0]?.count || 0;
+  if (!options.paginate) return items;
+
+  return {
+    items,
+    total,
+    page: options.page,
+    limit: options.limit,
+    hasMore: options.page * options.limit < total
+  };
+}
+
+// ---- Same filters/sort in plain JS, for storage without aggregation (JSON files) ----
+
+const recordYear = (record) => {
+  const match = String(record.year ?? record.released ?? '').match(/\d{4}/);
+  return match ? Number(match[0]) : 0;
+};
+
+const inRange = (value, min, max) => (min === undefined || value >= min) && (max === undefined || value <= max);
+
+/**
+ * queryCatalogList() over records already loaded for one category
+ * @param {object[]} records - Full records of the category
+ * @param {object} options - From parseCatalogQuery()
+ * @param {{searchIds?: Array<number|string>}} [extra]
+ * @returns {object[]|{items: object[], total: number, page: number, limit: number, hasMore: boolean}}
+ *   Full records; apply toListRecord() afterwards
+ */
+function listCatalogRecords(records, { paginate, page, limit, sort, order, filters }, { searchIds = [] } = {}) {
+  const pattern = filters.q
+    ? new RegExp(hasArabic(filters.q) ? arabicVariantPattern(filters.q) : escapeRegex(filters.q), 'i')
+    : null;
+  const rank = new Map(searchIds.map((id, index) => [id, index]));
+
+  const matching = records.filter(record => {
+    if (pattern) {
+      const texts = [record.name, record.title, record.description, ...(Array.isArray(record.aliases) ? record.aliases : [])];
+      if (!rank.has(record.id) && !texts.some(text => typeof text === 'string' && pattern.test(text))) return false;
+    }
+    if (filters.genre && !(Array.isArray(record.categories) ? record.categories : [record.categories]).includes(filters.genre)) return false;
+    return inRange(parseSizeToGB(record.size), filters.minSize, filters.maxSize) &&
+      inRange(recordYear(record), filters.minYear, filters.maxYear);
+  });
+
+  const sortValue = {
+    name: record => record.name,
+    size: record => parseSizeToGB(record.size),
+    year: recordYear,
+    rating: record => Number(record.rating ?? record.rate) || 0,
+    createdAt: record => record.createdAt
+  };
+  const direction = order === 'desc' ? -1 : 1;
+  const byRank = !sort && filters.q;
+  const sorted = matching.sort((a, b) => {
+    if (byRank) {
+      const difference = (rank.get(a.id) ?? searchIds.length) - (rank.get(b.id) ?? searchIds.length);
+      if (difference) return difference;
+      return compareValues(a.name, b.name) || compareValues(a.id, b.id);
+    }
+    return direction * compareValues(sortValue[sort || 'name'](a), sortValue[sort || 'name'](b)) || compareValues(a.id, b.id);
+  });
+
+  if (!paginate) return sorted;
+  return {
+    items: sorted.slice((page - 1) * limit, page * limit),
+    total: sorted.length,
+    page,
+    limit,
+    hasMore: page * limit < sorted.length
+  };
+}
+
+export {
+  CATALOG_SORT_FIELDS,
+  CATALOG_VIEWS,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parseCatalogQuery,
+  listProjection,
+  toListRecord,
+  decodeStoredImage,
+  catalogListPipeline,
+  queryCatalogList,
+  listCatalogRecords
+};
@@ -0,0 +1,69 @@
+/**
+ * Catalog Version
+ * A counter in the `catalog_meta` collection that every catalog write (games, movies, bundles,
+ * news, upcoming games) increments. Catalog GET routes derive their ETag/Last-Modified from it,
+ * so browsers revalidate with a cheap 304 instead of re-downloading unchanged lists.
+ */
+
+const CATALOG_VERSION_ID = 'catalog';
+const VERSION_PROJECTION = { _id: 0, version: 1, updatedAt: 1 };
+
+/**
+ * Current version (created as version 1 the first time it's read)
+ * @param {object} collection - catalog_meta handle from storage.js
+ * @returns {Promise<{version: number, updatedAt: string}>}
+ */
+async function readCatalogVersion(collection) {
+  const current = await collection.findOne({ id: CATALOG_VERSION_ID }, { projection: VERSION_PROJECTION });
+  if (current) return current;
+  return collection.findOneAndUpdate(
+    { id: CATALOG_VERSION_ID },
+    { $setOnInsert: { version: 1, updatedAt: new Date().toISOString() } },
+    { upsert: true, projection: VERSION_PROJECTION }
+  );
+}
+
+/**
+ * Record a catalog change
+ * @param {object} collection - catalog_meta handle from storage.js
+ * @param {string} entity - Collection that changed (kept for debugging)
+ * @returns {Promise<{version: number, updatedAt: string}>}
+ */
+async function bumpCatalogVersion(collection, entity) {
+  return collection.findOneAndUpdate(
+    { id: CATALOG_VERSION_ID },
+    { $inc: { version: 1 }, $set: { updatedAt: new Date().toISOString(), lastEntity: entity } },
+    { upsert: true, projection: VERSION_PROJECTION }
+  );
+}
+
+/**
+ * Weak ETag for a catalog response (browsers cache per URL, so the version alone identifies it)
+ * @param {number} version
+ * @returns {string}
+ */
+function catalogEtag(version) {
+  return `W/"catalog-${version}"`;
+}
+
+/**
+ * Does the client's cached copy still match? (If-None-Match wins over If-Modified-Since)
+ * @param {object} headers - req.headers
+ * @param {string} etag
+ * @param {string} updatedAt - ISO date of the last change
+ * @returns {boolean}
+ */
+function isNotModified(headers, etag, updatedAt) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    const strip = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch === '*' || ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+  if (Number.isNaN(ifModifiedSince)) return false;
+  // HTTP dates have second precision
+  return Math.floor(Date.parse(updatedAt) / 1000) * 1000 <= ifModifiedSince;
+}
+
+export { readCatalogVersion, bumpCatalogVersion, catalogEtag, isNotModified };
@@ -0,0 +1,95 @@
+/**
+ * Collection Sync
+ * Makes a collection match a full list of records with one bulkWrite: new and changed records
+ * are upserted by key, missing ones deleted, unchanged ones left alone. Unlike deleteMany +
+ * insertMany, the collection is never empty in between, and fields like `createdAt` survive.
+ */
+
+// Deep equality ignoring key order (stored documents and client JSON rarely share it)
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((value, i) => isSameValue(value, b[i]));
+
+  const keysA = Object.keys(a).filter(k => a[k] !== undefined);
+  const keysB = Object.keys(b).filter(k => b[k] !== undefined);
+  return keysA.length === keysB.length && keysA.every(k => isSameValue(a[k], b[k]));
+}
+
+const withoutMongoId = ({ _id, ...record }) => record;
+
+/**
+ * Work out the bulkWrite operations that turn `existing` into `records`
+ * @param {object[]} existing - Current documents (within the sync's filter)
+ * @param {object[]} records - Desired documents; later duplicates of a key win
+ * @param {{key?: string, preserveFields?: string[], insertDefaults?: object}} [options]
+ *   preserveFields: copied from the stored document when the new record doesn't set them;
+ *   insertDefaults: fields added to records that don't exist yet
+ * @returns {{operations: object[], summary: {inserted: number, updated: number, removed: number, unchanged: number}}}
+ */
+function planSync(existing, records, { key = 'id', preserveFields = ['createdAt'], insertDefaults = {} } = {}) {
+  const stored = new Map(existing.map(doc => [String(doc[key]), doc]));
+  const wanted = new Map();
+  for (const record of records) {
+    if (record?.[key] === undefined || record[key] === null || record[key] === '') {
+      throw new Error(`Every record needs a "${key}"`);
+    }
+    wanted.set(String(record[key]), record);
+  }
+
+  const operations = [];
+  const summary = { inserted: 0, updated: 0, removed: 0, unchanged: 0 };
+
+  for (const [id, original] of wanted) {
+    const record = withoutMongoId(original);
+    const current = stored.get(id);
+    let next = record;
+    if (current) {
+      const preserved = Object.fromEntries(
+        preserveFields.filter(field => record[field] === undefined && current[field] !== undefined).map(field => [field, current[field]])
+      );
+      next = { ...preserved, ...record };
+      if (isSameValue(withoutMongoId(current), next)) {
+        summary.unchanged++;
+        continue;
+      }
+      summary.updated++;
+    } else {
+      next = { ...insertDefaults, ...record };
+      summary.inserted++;
+    }
+    // Match the stored key as-is ("5" vs 5), so an update never creates a second document.
+    // With key "_id" the replacement has no _id and the upsert takes it from the filter.
+    operations.push({ replaceOne: { filter: { [key]: current ? current[key] : original[key] }, replacement: next, upsert: true } });
+  }
+
+  const removedKeys = existing.filter(doc => !wanted.has(String(doc[key]))).map(doc => doc[key]);
+  if (removedKeys.length) {
+    operations.push({ deleteMany: { filter: { [key]: { $in: removedKeys } } } });
+    summary.removed = removedKeys.length;
+  }
+
+  return { operations, summary };
+}
+
+/**
+ * Sync a collection (or the part of it matching `filter`) to `records`
+ * @param {import('mongodb').Collection} collection
+ * @param {object[]} records
+ * @param {{key?: string, filter?: object, preserveFields?: string[], insertDefaults?: object, session?: import('mongodb').ClientSession, bypassDocumentValidation?: boolean}} [options]
+ *   filter: only documents matching it are compared/removed (e.g. one category);
+ *   session: run inside this transaction; bypassDocumentValidation: for restores of data that was already stored
+ * @returns {Promise<{inserted: number, updated: number, removed: number, unchanged: number}>}
+ */
+async function syncCollection(collection, records, { filter = {}, session, bypassDocumentValidation, ...options } = {}) {
+  const existing = await collection.find(filter, { session }).toArray();
+  const { operations, summary } = planSync(existing, records, options);
+  if (operations.length) await collection.bulkWrite(operations, { session, ordered: true, bypassDocumentValidation });
+  return summary;
+}
+
+export { isSameValue, planSync, syncCollection };
@@ -0,0 +1,128 @@
+/**
+ * Cron Schedules
+ * Standard 5-field cron expressions ("minute hour day-of-month month day-of-week") evaluated in
+ * the server's local time (set TZ, e.g. TZ=Africa/Cairo, to change it). Fields accept *, numbers,
+ * lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10); months and weekdays also accept names
+ * (jan, mon). Shortcuts: @hourly, @daily, @weekly, @monthly. As in cron, when both day-of-month
+ * and day-of-week are restricted a day matching either one runs the job.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for the next run after this long (e.g. "0 0 31 2 *" never happens)
+const MAX_SEARCH_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+const invalid = (expression, message) => new Error(`Invalid cron schedule "${expression}": ${message}`);
+
+function parseValue(value, field, expression) {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (index !== -1) return index + field.min;
+  if (!/^\d+$/.test(value)) throw invalid(expression, `"${value}" is not a valid ${field.name}`);
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw invalid(expression, `${field.name} ${number} is out of range (${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+// One field -> sorted list of allowed values
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw invalid(expression, `bad step "${stepText}" in ${field.name}`);
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      // "5/10" means every 10 starting at 5
+      end = to !== undefined ? parseValue(to, field, expression) : stepText === undefined ? start : field.max;
+      if (end < start) throw invalid(expression, `range ${range} in ${field.name} is backwards`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 3 * * *" or "@daily"
+ * @returns {{expression: string, minutes: Set<number>, hours: Set<number>, days: Set<number>,
+ *   months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} When the expression is malformed
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) throw invalid(text, `expected ${FIELDS.length} fields, got ${fields.length}`);
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index], text));
+  return {
+    expression: text,
+    minutes: new Set(minutes),
+    hours: new Set(hours),
+    days: new Set(days),
+    months: new Set(months),
+    // 7 is Sunday too
+    weekdays: new Set(weekdays.map(day => day % 7)),
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.days.has(date.getDate());
+  const dayOfWeek = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay || schedule.anyWeekday) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * The first time after `from` that the schedule fires
+ * @param {string|object} schedule - Expression or the result of parseCron()
+ * @param {Date} [from] - Default: now
+ * @returns {Date|null} null when the schedule never fires
+ */
+function nextCronRun(schedule, from = new Date()) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + MAX_SEARCH_MS;
+
+  // Skip whole months/days/hours that can't match instead of walking minute by minute
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+export { parseCron, nextCronRun };
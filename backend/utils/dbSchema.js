@@ -0,0 +1,265 @@
+/**
+ * Database Schema
+ * Indexes and JSON-schema validators ensured on every startup (both steps are idempotent).
+ * Validators describe what the Dashboard forms (GameForm, MovieForm, BundleForm, NewsForm,
+ * UpcomingGameForm) and the subscribe route send; unknown fields stay allowed because imports
+ * (IGDB/RAWG/OMDb) add their own. validationLevel "moderate" leaves older documents that don't
+ * match alone until they are edited into shape.
+ * Rejected writes are turned into readable messages by describeWriteError().
+ */
+
+import { GAME_CATEGORIES, MEDIA_CATEGORIES } from './pricing.js';
+
+const unique = (key) => ({ key, unique: true });
+
+// collection -> createIndexes() specs
+const COLLECTION_INDEXES = {
+  games: [unique({ id: 1 }), { key: { category: 1 } }, { key: { createdAt: -1 } }],
+  movies: [unique({ id: 1 }), { key: { category: 1 } }, { key: { createdAt: -1 } }],
+  bundles: [unique({ id: 1 }), { key: { createdAt: -1 } }],
+  news: [unique({ id: 1 }), { key: { createdAt: -1 } }],
+  upcoming_games: [unique({ id: 1 }), { key: { createdAt: -1 } }],
+  subscribers: [unique({ email: 1 }), { key: { createdAt: -1 } }],
+  requirements_cache: [unique({ gameName: 1 })],
+  admin_users: [unique({ id: 1 }), unique({ username: 1 })],
+  promotions: [unique({ id: 1 }), unique({ code: 1 })],
+  carts: [unique({ code: 1 })],
+  orders: [unique({ code: 1 }), { key: { createdAt: -1 } }],
+  audit_log: [{ key: { timestamp: -1 } }, { key: { entity: 1, entityId: 1 } }],
+  library_scans: [unique({ id: 1 })],
+  catalog_meta: [unique({ id: 1 })],
+  migrations: [unique({ version: 1 })],
+  jobs: [unique({ name: 1 })]
+};
+
+// ---- Field schemas (each `description` is the message shown when a write breaks it) ----
+
+const NUMBER_TYPES = ['int', 'long', 'double', 'decimal'];
+
+// Numeric ids, or non-numeric strings: "123" next to 123 would slip past the unique index
+const idField = {
+  bsonType: [...NUMBER_TYPES, 'string'],
+  pattern: '^(?!\\d+$)\\S+',
+  description: 'id must be a number (or a non-numeric string)'
+};
+const requiredText = (field) => ({ bsonType: 'string', minLength: 1, description: `${field} is required and must be text` });
+const text = (field) => ({ bsonType: ['string', 'null'], description: `${field} must be text` });
+const numberOrText = (field) => ({ bsonType: [...NUMBER_TYPES, 'string', 'null'], description: `${field} must be a number or text` });
+const textOrList = (field) => ({ bsonType: ['string', 'array', 'null'], description: `${field} must be text or a list` });
+const textList = (field) => ({ bsonType: 'array', items: { bsonType: 'string' }, description: `${field} must be a list of text values` });
+const date = (field) => ({ bsonType: ['string', 'date', 'null'], description: `${field} must be a date` });
+const flag = (field) => ({ bsonType: 'bool', description: `${field} must be true or false` });
+const oneOf = (field, values) => ({ enum: values, description: `${field} must be one of: ${values.join(', ')}` });
+
+const requirementsLevel = {
+  bsonType: ['object', 'null'],
+  properties: Object.fromEntries(['cpu', 'gpu', 'ram', 'storage', 'os'].map(field => [field, numberOrText(field)]))
+};
+
+const timestamps = { createdAt: date('createdAt'), updatedAt: date('updatedAt') };
+const storageLocation = { diskLabel: text('diskLabel'), folderPath: text('folderPath') };
+
+// collection -> $jsonSchema
+const COLLECTION_SCHEMAS = {
+  games: {
+    bsonType: 'object',
+    required: ['id', 'name', 'size', 'category'],
+    properties: {
+      id: idField,
+      name: requiredText('name'),
+      size: requiredText('size'),
+      category: oneOf('category', GAME_CATEGORIES),
+      image: text('image'),
+      categories: textList('categories'),
+      aliases: textList('aliases'),
+      rating: numberOrText('rating'),
+      metacritic: numberOrText('metacritic'),
+      playtime: numberOrText('playtime'),
+      price: numberOrText('price'),
+      released: date('released'),
+      startDate: date('startDate'),
+      endDate: date('endDate'),
+      description: text('description'),
+      platforms: textOrList('platforms'),
+      developers: textOrList('developers'),
+      publishers: textOrList('publishers'),
+      website: text('website'),
+      notify: flag('notify'),
+      systemRequirements: {
+        bsonType: ['object', 'null'],
+        properties: { minimum: requirementsLevel, recommended: requirementsLevel },
+        description: 'systemRequirements must be { minimum, recommended } with cpu/gpu/ram/storage/os'
+      },
+      ...storageLocation,
+      ...timestamps
+    }
+  },
+  movies: {
+    bsonType: 'object',
+    required: ['id', 'name', 'category'],
+    properties: {
+      id: idField,
+      name: requiredText('name'),
+      category: oneOf('category', MEDIA_CATEGORIES),
+      year: numberOrText('year'),
+      type: text('type'),
+      image: text('image'),
+      size: text('size'),
+      seasons: numberOrText('seasons'),
+      episodes: numberOrText('episodes'),
+      rate: numberOrText('rate'),
+      rating: numberOrText('rating'),
+      metascore: numberOrText('metascore'),
+      imdbVotes: numberOrText('imdbVotes'),
+      price: numberOrText('price'),
+      runtime: numberOrText('runtime'),
+      categories: textList('categories'),
+      aliases: textList('aliases'),
+      genre: textOrList('genre'),
+      director: textOrList('director'),
+      writer: textOrList('writer'),
+      actors: textOrList('actors'),
+      plot: text('plot'),
+      description: text('description'),
+      language: textOrList('language'),
+      country: textOrList('country'),
+      awards: text('awards'),
+      ...storageLocation,
+      ...timestamps
+    }
+  },
+  bundles: {
+    bsonType: 'object',
+    required: ['id', 'title'],
+    properties: {
+      id: idField,
+      title: requiredText('title'),
+      type: text('type'),
+      description: text('description'),
+      image: text('image'),
+      games: {
+        bsonType: 'array',
+        items: { bsonType: [...NUMBER_TYPES, 'string'] },
+        description: 'games must be a list of titles'
+      },
+      notify: flag('notify'),
+      ...timestamps
+    }
+  },
+  news: {
+    bsonType: 'object',
+    required: ['id', 'title'],
+    properties: {
+      id: idField,
+      title: requiredText('title'),
+      description: text('description'),
+      image: text('image'),
+      date: date('date'),
+      link: text('link'),
+      ...timestamps
+    }
+  },
+  upcoming_games: {
+    bsonType: 'object',
+    required: ['id', 'title', 'unlockDate'],
+    properties: {
+      id: idField,
+      title: requiredText('title'),
+      platform: text('platform'),
+      unlockDate: { bsonType: ['string', 'date'], description: 'unlockDate is required and must be a date' },
+      endDate: date('endDate'),
+      image: text('image'),
+      notify: flag('notify'),
+      ...timestamps
+    }
+  },
+  subscribers: {
+    bsonType: 'object',
+    required: ['email'],
+    properties: {
+      email: { bsonType: 'string', pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$', description: 'email must be a valid email address' },
+      createdAt: date('createdAt')
+    }
+  }
+};
+
+/**
+ * Create missing indexes and install the validators; problems are logged, never thrown,
+ * so a duplicate id or a user without collMod rights doesn't stop the server from starting
+ * @param {import('mongodb').Db} db
+ * @returns {Promise<{indexes: object, validators: object}>} Per collection: "ok" or the error message
+ */
+async function ensureDatabaseSchema(db) {
+  const report = { indexes: {}, validators: {} };
+  const existing = new Set((await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name));
+
+  for (const [name, $jsonSchema] of Object.entries(COLLECTION_SCHEMAS)) {
+    const options = { validator: { $jsonSchema }, validationLevel: 'moderate', validationAction: 'error' };
+    try {
+      if (existing.has(name)) await db.command({ collMod: name, ...options });
+      else await db.createCollection(name, options);
+      report.validators[name] = 'ok';
+    } catch (error) {
+      report.validators[name] = error.message;
+      console.warn(`⚠️ Could not install the ${name} validator: ${error.message}`);
+    }
+  }
+
+  for (const [name, indexes] of Object.entries(COLLECTION_INDEXES)) {
+    try {
+      await db.collection(name).createIndexes(indexes);
+      report.indexes[name] = 'ok';
+    } catch (error) {
+      // Usually E11000: existing documents share an id, so the unique index can't be built yet
+      report.indexes[name] = error.message;
+      console.warn(`⚠️ Could not create ${name} indexes: ${error.message}`);
+    }
+  }
+
+  return report;
+}
+
+// Flatten MongoDB's errInfo.details into "field: problem" sentences
+function describeSchemaRules(rules = [], path = '') {
+  const messages = [];
+  for (const rule of rules) {
+    if (rule.operatorName === 'required') {
+      for (const field of rule.missingProperties || []) messages.push(`${path}${field} is required`);
+    } else if (rule.operatorName === 'properties') {
+      for (const property of rule.propertiesNotSatisfied || []) {
+        const nested = describeSchemaRules(
+          (property.details || []).filter(detail => detail.operatorName === 'properties' || detail.operatorName === 'required'),
+          `${path}${property.propertyName}.`
+        );
+        // Descriptions start with the field name, so nested ones read "systemRequirements.minimum.ram must be..."
+        messages.push(...(nested.length ? nested : [property.description ? `${path}${property.description}` : `${path}${property.propertyName} is invalid`]));
+      }
+    } else {
+      messages.push(`${path || 'document'}: ${rule.operatorName} ${rule.reason || 'not satisfied'}`.trim());
+    }
+  }
+  return messages;
+}
+
+/**
+ * Turn a schema violation or duplicate key into an HTTP-ready rejection
+ * @param {Error} error - From insertOne/updateOne/bulkWrite
+ * @returns {{status: number, error: string, details: string[]}|null} null for any other error
+ */
+function describeWriteError(error) {
+  const source = error?.writeErrors?.[0] || error;
+  const code = source?.code ?? error?.code;
+
+  if (code === 121) {
+    const details = describeSchemaRules(source.errInfo?.details?.schemaRulesNotSatisfied);
+    return { status: 400, error: 'Validation failed', details: details.length ? details : ['Document failed validation'] };
+  }
+  if (code === 11000) {
+    const duplicate = source.keyValue || error.keyValue || {};
+    const fields = Object.entries(duplicate).map(([field, value]) => `${field} "${value}" already exists`);
+    return { status: 409, error: 'Duplicate record', details: fields.length ? fields : ['A record with the same key already exists'] };
+  }
+  return null;
+}
+
+export { COLLECTION_INDEXES, COLLECTION_SCHEMAS, ensureDatabaseSchema, describeWriteError };
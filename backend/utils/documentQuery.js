@@ -0,0 +1,189 @@
+/**
+ * In-memory Document Queries
+ * The subset of MongoDB filter, update, projection and sort syntax the server uses,
+ * evaluated on plain objects. Lets the JSON-file storage answer the same calls as MongoDB.
+ * Supported: filters with equality (including array membership), $in, $nin, $ne, $eq, $exists,
+ * $gt/$gte/$lt/$lte, regex values, $or/$and; updates with $set, $unset, $inc, $setOnInsert,
+ * $push, $addToSet.
+ */
+
+import { isSameValue } from './collectionSync.js';
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+  !(value instanceof RegExp) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+// MongoDB-like ordering: missing/null < numbers < strings < everything else
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  return 3;
+};
+
+/**
+ * Compare two values the way the catalog sorts (case-insensitive, "FIFA 9" before "FIFA 22")
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 1) return a - b;
+  if (rankA === 2) return a.localeCompare(b, 'en', { numeric: true, sensitivity: 'base' });
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  return 0;
+}
+
+// Equality, with array fields matching any of their elements ({ categories: 'action' })
+const matchesValue = (value, expected) => {
+  if (expected instanceof RegExp) {
+    return Array.isArray(value) ? value.some(item => typeof item === 'string' && expected.test(item)) : typeof value === 'string' && expected.test(value);
+  }
+  if (isSameValue(value, expected)) return true;
+  return Array.isArray(value) && value.some(item => isSameValue(item, expected));
+};
+
+const matchesOperators = (value, operators) => Object.entries(operators).every(([operator, operand]) => {
+  switch (operator) {
+    case '$eq': return matchesValue(value, operand);
+    case '$ne': return !matchesValue(value, operand);
+    case '$in': return operand.some(expected => matchesValue(value, expected));
+    case '$nin': return !operand.some(expected => matchesValue(value, expected));
+    case '$exists': return (value !== undefined) === Boolean(operand);
+    case '$gt': return value != null && compareValues(value, operand) > 0;
+    case '$gte': return value != null && compareValues(value, operand) >= 0;
+    case '$lt': return value != null && compareValues(value, operand) < 0;
+    case '$lte': return value != null && compareValues(value, operand) <= 0;
+    case '$regex': return matchesValue(value, operand instanceof RegExp ? operand : new RegExp(operand, operators.$options || ''));
+    case '$options': return true;
+    default: throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+});
+
+/**
+ * Does a document match a MongoDB-style filter?
+ * @param {object} doc
+ * @param {object} [filter]
+ * @returns {boolean}
+ */
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matchesFilter(doc, sub));
+    if (key === '$and') return condition.every(sub => matchesFilter(doc, sub));
+    const value = getPath(doc, key);
+    return isOperatorObject(condition) ? matchesOperators(value, condition) : matchesValue(value, condition);
+  });
+}
+
+/**
+ * Apply a MongoDB-style update to a copy of a document
+ * @param {object} doc - Current document ({} when upserting)
+ * @param {object} update - { $set, $unset, $inc, $setOnInsert, $push, $addToSet }
+ * @param {{isInsert?: boolean}} [options] - $setOnInsert only applies to upserted documents
+ * @returns {object} The updated copy
+ */
+function applyUpdate(doc, update, { isInsert = false } = {}) {
+  const next = structuredClone(doc);
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(next, path);
+      switch (operator) {
+        case '$set': setPath(next, path, value); break;
+        case '$unset': unsetPath(next, path); break;
+        case '$inc': setPath(next, path, (Number(current) || 0) + value); break;
+        case '$setOnInsert': if (isInsert) setPath(next, path, value); break;
+        case '$push': setPath(next, path, [...(Array.isArray(current) ? current : []), ...(value?.$each || [value])]); break;
+        case '$addToSet': {
+          const list = Array.isArray(current) ? [...current] : [];
+          for (const item of value?.$each || [value]) {
+            if (!list.some(existing => isSameValue(existing, item))) list.push(item);
+          }
+          setPath(next, path, list);
+          break;
+        }
+        default: throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    }
+  }
+  return next;
+}
+
+/**
+ * Fields an upsert copies from its filter (plain equality conditions only)
+ * @param {object} filter
+ * @returns {object}
+ */
+function upsertBase(filter = {}) {
+  const base = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (!key.startsWith('$') && !isOperatorObject(condition) && !(condition instanceof RegExp)) setPath(base, key, condition);
+  }
+  return base;
+}
+
+/**
+ * Apply a find() projection. Computed fields ({ $cond: ... }) can't be evaluated here,
+ * so they return the stored field of the same name.
+ * @param {object} doc
+ * @param {object} [projection]
+ * @returns {object}
+ */
+function projectRecord(doc, projection) {
+  if (!projection) return doc;
+  const entries = Object.entries(projection).filter(([key]) => key !== '_id');
+  const excluding = entries.length > 0 && entries.every(([, value]) => value === 0 || value === false);
+
+  let result;
+  if (excluding || entries.length === 0) {
+    result = { ...doc };
+    for (const [key] of entries) unsetPath(result, key);
+  } else {
+    result = {};
+    for (const [key] of entries) {
+      const value = getPath(doc, key);
+      if (value !== undefined) setPath(result, key, value);
+    }
+    if (doc._id !== undefined) result._id = doc._id;
+  }
+  if (projection._id === 0 || projection._id === false) delete result._id;
+  return result;
+}
+
+/**
+ * Sort documents by a MongoDB-style sort spec ({ name: 1, id: -1 })
+ * @param {object[]} docs
+ * @param {object} [sort]
+ * @returns {object[]} New array
+ */
+function sortRecords(docs, sort) {
+  if (!sort) return [...docs];
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compareValues(getPath(a, key), getPath(b, key));
+      if (order !== 0) return direction < 0 ? -order : order;
+    }
+    return 0;
+  });
+}
+
+export { getPath, compareValues, matchesFilter, applyUpdate, upsertBase, projectRecord, sortRecords };
@@ -0,0 +1,169 @@
+/**
+ * Environment Sync
+ * Compares the catalog of two environments (a running API, a MongoDB database or a JSON data
+ * folder) record by record and copies approved changes from the source to the target.
+ * Records are matched by `id`; `_id`, `createdAt` and `updatedAt` are not compared (an API target
+ * stamps its own), and a field set to null counts as missing. A change is a conflict when the
+ * target's copy was edited after the source's (newer `updatedAt`) - approving it overwrites that edit.
+ * Used by scripts/sync-data.js.
+ */
+
+import axios from 'axios';
+import { isSameValue } from './collectionSync.js';
+import { bumpCatalogVersion } from './catalogVersion.js';
+
+// entity -> where it lives in MongoDB/JSON storage and in the API
+const SYNC_ENTITIES = {
+  games: { collection: 'games', route: '/api/games', categorized: true, label: record => record.name },
+  movies: { collection: 'movies', route: '/api/movies', categorized: true, label: record => record.name },
+  bundles: { collection: 'bundles', route: '/api/bundles', label: record => record.title },
+  news: { collection: 'news', route: '/api/news', label: record => record.title },
+  upcoming: { collection: 'upcoming_games', route: '/api/upcoming-games', label: record => record.title }
+};
+
+const IGNORED_FIELDS = ['_id', 'createdAt', 'updatedAt'];
+const CHANGE_KINDS = ['added', 'changed', 'removed'];
+
+const withoutMongoId = ({ _id, ...record }) => record;
+
+// Fields that take part in the comparison
+const comparable = (record) => Object.fromEntries(
+  Object.entries(record).filter(([field, value]) => !IGNORED_FIELDS.includes(field) && value !== null && value !== undefined)
+);
+
+const isNewer = (a, b) => Boolean(a) && (!b || Date.parse(a) > Date.parse(b));
+
+/**
+ * Per-record differences that would make `target` match `source`
+ * @param {string} entity - Key of SYNC_ENTITIES
+ * @param {object[]} sourceRecords
+ * @param {object[]} targetRecords
+ * @returns {object[]} { key, entity, kind, id, name, fields, conflict, sourceUpdatedAt, targetUpdatedAt, source, target }
+ */
+function diffRecords(entity, sourceRecords, targetRecords) {
+  const { label } = SYNC_ENTITIES[entity];
+  const target = new Map(targetRecords.map(record => [String(record.id), record]));
+  const source = new Map(sourceRecords.map(record => [String(record.id), record]));
+  const changes = [];
+
+  const change = (kind, id, from, to, fields = []) => ({
+    key: `${entity}:${id}`,
+    entity,
+    kind,
+    id: (from || to).id,
+    name: label(from || to) || String(id),
+    fields,
+    conflict: kind === 'changed' && isNewer(to.updatedAt, from.updatedAt),
+    sourceUpdatedAt: from?.updatedAt || null,
+    targetUpdatedAt: to?.updatedAt || null,
+    source: from || null,
+    target: to || null
+  });
+
+  for (const [id, record] of source) {
+    const current = target.get(id);
+    if (!current) {
+      changes.push(change('added', id, record, null));
+      continue;
+    }
+    const a = comparable(record);
+    const b = comparable(current);
+    const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(field => !isSameValue(a[field], b[field]));
+    if (fields.length) changes.push(change('changed', id, record, current, fields.sort()));
+  }
+  for (const [id, record] of target) {
+    if (!source.has(id)) changes.push(change('removed', id, null, record));
+  }
+
+  return changes.sort((x, y) => CHANGE_KINDS.indexOf(x.kind) - CHANGE_KINDS.indexOf(y.kind) || String(x.name).localeCompare(String(y.name)));
+}
+
+/**
+ * Endpoint backed by a running API. Reads are public; writes go through the Dashboard routes,
+ * so they need an owner/editor token (or username + password to log in with).
+ * @param {string} baseUrl - e.g. https://bta3-al3ab-backend.onrender.com
+ * @param {{token?: string, username?: string, password?: string}} [auth]
+ */
+function createApiEndpoint(baseUrl, { token, username, password } = {}) {
+  const http = axios.create({ baseURL: baseUrl.replace(/\/+$/, ''), timeout: 60000 });
+
+  const authHeaders = async () => {
+    if (!token && username && password) {
+      const { data } = await http.post('/api/auth/login', { username, password });
+      token = data.token;
+    }
+    if (!token) throw new Error(`Writing to ${baseUrl} needs SYNC_TOKEN or SYNC_USERNAME/SYNC_PASSWORD`);
+    return { Authorization: `Bearer ${token}` };
+  };
+
+  return {
+    label: baseUrl,
+
+    async read(entity) {
+      const { route, categorized } = SYNC_ENTITIES[entity];
+      const { data } = await http.get(route, { params: categorized ? { view: 'full' } : {} });
+      const records = categorized
+        ? Object.entries(data).flatMap(([category, list]) => (Array.isArray(list) ? list.map(record => ({ ...record, category: record.category || category })) : []))
+        : data;
+      return records.map(withoutMongoId);
+    },
+
+    async apply(entity, changes) {
+      const { route, categorized } = SYNC_ENTITIES[entity];
+      const headers = await authHeaders();
+      const path = (record) => `${route}${categorized ? `/${encodeURIComponent(record.category)}` : ''}`;
+      for (const { kind, id, source, target } of changes) {
+        try {
+          if (kind === 'added') {
+            await http.post(path(source), withoutMongoId(source), { headers });
+          } else if (kind === 'changed') {
+            // PUT keeps fields it is not sent; null removes the ones the source doesn't have
+            const cleared = Object.fromEntries(Object.keys(comparable(target)).filter(field => !(field in source)).map(field => [field, null]));
+            await http.put(`${path(source)}/${encodeURIComponent(id)}`, { ...cleared, ...withoutMongoId(source) }, { headers });
+          } else {
+            await http.delete(`${path(target)}/${encodeURIComponent(id)}`, { headers });
+          }
+        } catch (error) {
+          const details = error.response?.data;
+          throw new Error(`${kind} ${entity} ${id}: ${details?.error || error.message}${details?.details ? ` (${[].concat(details.details).join(', ')})` : ''}`);
+        }
+      }
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Endpoint backed by a storage (MongoDB or JSON files, see storage.js). Writes go around the
+ * server, so the catalog version is bumped here; a running server's in-memory cache picks
+ * the changes up within CATALOG_CACHE_TTL_SECONDS.
+ * @param {{collection: (name: string) => object}} storage
+ * @param {{label: string, close?: () => Promise<void>}} options
+ */
+function createStorageEndpoint(storage, { label, close = async () => {} }) {
+  return {
+    label,
+
+    async read(entity) {
+      return (await storage.collection(SYNC_ENTITIES[entity].collection).find({})).map(withoutMongoId);
+    },
+
+    async apply(entity, changes) {
+      const { collection } = SYNC_ENTITIES[entity];
+      const records = new Map((await storage.collection(collection).find({})).map(record => [String(record.id), withoutMongoId(record)]));
+      for (const { kind, id, source } of changes) {
+        if (kind === 'removed') records.delete(String(id));
+        else records.set(String(id), withoutMongoId(source));
+      }
+      // Only the approved records differ from what's stored, so only they are written
+      const summary = await storage.collection(collection).sync([...records.values()]);
+      await bumpCatalogVersion(storage.collection('catalog_meta'), collection);
+      return summary;
+    },
+
+    close
+  };
+}
+
+export { SYNC_ENTITIES, CHANGE_KINDS, diffRecords, createApiEndpoint, createStorageEndpoint };
@@ -0,0 +1,312 @@
+/**
+ * Scheduled Jobs
+ * Runs background jobs (backups, requirement fetching, ...) on cron schedules inside the server.
+ * Each job has a document in the `jobs` collection: its schedule, whether it is paused, when it
+ * runs next, the last run (start, duration, status, result, logs), a short history and a lock.
+ * A run first takes the lock with a single conditional update, so when several instances share
+ * the database only one of them runs a given job; a lock whose owner died expires after
+ * `lockMinutes` and is renewed while the job is still running.
+ * Missed runs (server down at the scheduled time) run once when the server is back.
+ * Without a database (MongoDB unreachable) nothing runs and the API calls answer 503.
+ */
+
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { parseCron, nextCronRun } from './cron.js';
+
+const MAX_LOG_LINES = 500;
+const MAX_HISTORY = 20;
+const DEFAULT_LOCK_MINUTES = 30;
+const TICK_MS = 30 * 1000;
+// Let the server finish starting before the first job runs
+const STARTUP_DELAY_MS = 60 * 1000;
+
+const jobError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * A job's schedule from JOB_SCHEDULE_<NAME> (e.g. JOB_SCHEDULE_CHECK_IMAGES for "check-images"),
+ * falling back (with a warning) when it isn't a valid cron expression. "off" turns the schedule off.
+ * @param {object} env - process.env
+ * @param {string} name - Job name
+ * @param {string|null} fallback - Default cron expression
+ * @returns {string|null}
+ */
+function scheduleFromEnv(env, name, fallback) {
+  const variable = `JOB_SCHEDULE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  const value = env[variable]?.trim();
+  if (!value) return fallback;
+  if (value.toLowerCase() === 'off') return null;
+  try {
+    parseCron(value);
+    return value;
+  } catch (error) {
+    console.warn(`⚠️ ${variable}: ${error.message} - using ${fallback || 'off'}`);
+    return fallback;
+  }
+}
+
+/**
+ * Create the job scheduler
+ * @param {{collection: () => object, enabled?: boolean, available?: () => boolean}} options
+ *   collection: the `jobs` storage collection (see storage.js);
+ *   enabled: false keeps the jobs from running on their schedule (manual runs still work);
+ *   available: false while the storage can't be used (no database connection)
+ * @returns {object} { define, start, stop, listJobs, getJob, runJob, setPaused }
+ */
+function createJobScheduler({ collection, enabled = true, available = () => true }) {
+  const definitions = new Map();
+  const owner = `${hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+  let timer = null;
+
+  const nextRunAt = (definition, from = new Date()) =>
+    definition.schedule ? nextCronRun(definition.schedule, from)?.toISOString() || null : null;
+
+  const isLocked = (record) => Boolean(record?.lock && Date.parse(record.lock.expiresAt) > Date.now());
+
+  // Stored record + definition, as the API shows it
+  const describe = (definition, record, { full = false } = {}) => {
+    const { logs, ...lastRun } = record?.lastRun || {};
+    return {
+      name: definition.name,
+      description: definition.description,
+      schedule: definition.schedule,
+      paused: Boolean(record?.paused),
+      pausedBy: record?.pausedBy || null,
+      running: isLocked(record),
+      runningOn: isLocked(record) ? record.lock.owner : null,
+      nextRunAt: record?.nextRunAt || null,
+      runCount: record?.runCount || 0,
+      lastRun: record?.lastRun ? (full ? record.lastRun : lastRun) : null,
+      ...(full ? { history: record?.history || [] } : {})
+    };
+  };
+
+  const getDefinition = (name) => {
+    const definition = definitions.get(name);
+    if (!definition) throw jobError(`Unknown job "${name}"`, 404);
+    return definition;
+  };
+
+  const ensureAvailable = () => {
+    if (!available()) throw jobError('Scheduled jobs need the database, which is not connected', 503);
+  };
+
+  /**
+   * Register a job (before start())
+   * @param {{name: string, description: string, schedule: string|null, lockMinutes?: number, paused?: boolean,
+   *   run: (context: {log: (message: string) => void, state: object, trigger: string, triggeredBy: string|null}) => Promise<object>}} job
+   *   run() resolves to the run's result (shown in the Dashboard); `state` is kept between runs.
+   *   A null schedule means the job only runs by hand. `paused` is how a new job starts out: jobs that
+   *   delete data or call outside services are only scheduled once an admin resumes them.
+   */
+  function define(job) {
+    if (job.schedule) parseCron(job.schedule);
+    definitions.set(job.name, { lockMinutes: DEFAULT_LOCK_MINUTES, paused: false, ...job });
+  }
+
+  // Create missing job documents; recompute nextRunAt when the schedule changed
+  async function syncDefinitions() {
+    const jobs = collection();
+    for (const definition of definitions.values()) {
+      const record = await jobs.findOne({ name: definition.name });
+      if (!record) {
+        await jobs.updateOne(
+          { name: definition.name },
+          { $setOnInsert: { name: definition.name, paused: definition.paused, runCount: 0, lock: null, history: [], state: {} },
+            $set: { schedule: definition.schedule, nextRunAt: nextRunAt(definition) } },
+          { upsert: true }
+        );
+      } else if (record.schedule !== definition.schedule || (definition.schedule && !record.nextRunAt)) {
+        await jobs.updateOne({ name: definition.name }, { $set: { schedule: definition.schedule, nextRunAt: nextRunAt(definition) } });
+      }
+    }
+  }
+
+  async function execute(definition, record, { trigger, triggeredBy }) {
+    const jobs = collection();
+    const startedAt = new Date();
+    const logs = [];
+    const log = (message) => {
+      console.log(`🕒 [JOB ${definition.name}] ${message}`);
+      if (logs.length < MAX_LOG_LINES) logs.push({ at: new Date().toISOString(), message: String(message) });
+      else if (logs.length === MAX_LOG_LINES) logs.push({ at: new Date().toISOString(), message: '... (log truncated)' });
+    };
+    const state = { ...(record.state || {}) };
+
+    // Keep the lock while the job is still going
+    const lockMs = definition.lockMinutes * 60 * 1000;
+    const heartbeat = setInterval(() => {
+      jobs.updateOne({ name: definition.name, 'lock.owner': owner }, { $set: { 'lock.expiresAt': new Date(Date.now() + lockMs).toISOString() } })
+        .catch(error => console.warn(`⚠️ [JOB ${definition.name}] Could not renew lock: ${error.message}`));
+    }, lockMs / 3);
+    heartbeat.unref();
+
+    let status = 'success';
+    let result = null;
+    let error = null;
+    try {
+      result = (await definition.run({ log, state, trigger, triggeredBy })) ?? null;
+    } catch (err) {
+      status = 'failed';
+      error = err.message;
+      log(`❌ ${err.message}`);
+      console.error(`❌ [JOB ${definition.name}] failed:`, err);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const finishedAt = new Date();
+    const lastRun = {
+      trigger,
+      triggeredBy,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      status,
+      result,
+      error,
+      logs
+    };
+    const { logs: _logs, ...summary } = lastRun;
+    const current = await jobs.findOne({ name: definition.name });
+    try {
+      await jobs.updateOne({ name: definition.name }, {
+        $set: {
+          lastRun,
+          state,
+          lock: null,
+          history: [summary, ...(current?.history || [])].slice(0, MAX_HISTORY),
+          // A manual run doesn't move the schedule
+          ...(trigger === 'scheduled' ? { nextRunAt: nextRunAt(definition, finishedAt) } : {})
+        },
+        $inc: { runCount: 1 }
+      });
+    } catch (err) {
+      // Usually a result the database can't store; keep the run on record without it
+      console.error(`❌ [JOB ${definition.name}] Could not save the run:`, err.message);
+      await jobs.updateOne({ name: definition.name }, {
+        $set: { lastRun: { ...lastRun, result: null, error: error || `Result not saved: ${err.message}` }, lock: null },
+        $inc: { runCount: 1 }
+      }).catch(() => {});
+    }
+    console.log(`${status === 'success' ? '✅' : '❌'} [JOB ${definition.name}] ${status} in ${Math.round(lastRun.durationMs / 1000)}s`);
+  }
+
+  // Take the lock; null when another run (here or on another instance) holds it
+  async function acquire(definition) {
+    const now = new Date();
+    return collection().findOneAndUpdate(
+      { name: definition.name, $or: [{ lock: null }, { 'lock.expiresAt': { $lt: now.toISOString() } }] },
+      { $set: { lock: { owner, acquiredAt: now.toISOString(), expiresAt: new Date(now.getTime() + definition.lockMinutes * 60 * 1000).toISOString() } } }
+    );
+  }
+
+  /**
+   * Start a run now. Resolves once the lock is taken; the job itself continues in the background.
+   * @param {string} name
+   * @param {{trigger?: 'manual'|'scheduled', triggeredBy?: string}} [options]
+   * @returns {Promise<object>} The job as listJobs() describes it
+   * @throws {Error} status 404 for an unknown job, 409 when it is already running, 503 without a database
+   */
+  async function runJob(name, { trigger = 'manual', triggeredBy = null } = {}) {
+    const definition = getDefinition(name);
+    ensureAvailable();
+    if (!(await collection().findOne({ name }))) await syncDefinitions();
+    const record = await acquire(definition);
+    if (!record) throw jobError(`Job "${name}" is already running`, 409);
+    execute(definition, record, { trigger, triggeredBy });
+    return describe(definition, record);
+  }
+
+  async function tick() {
+    if (!available()) return;
+    const now = new Date().toISOString();
+    for (const definition of definitions.values()) {
+      try {
+        const record = await collection().findOne({ name: definition.name });
+        if (!record || record.paused || !definition.schedule || !record.nextRunAt || record.nextRunAt > now) continue;
+        const locked = await acquire(definition);
+        // Another instance got there first; it moves nextRunAt when it finishes
+        if (!locked) continue;
+        // Re-check after locking: another instance may have just finished this run
+        if (!locked.nextRunAt || locked.nextRunAt > now) {
+          await collection().updateOne({ name: definition.name, 'lock.owner': owner }, { $set: { lock: null } });
+          continue;
+        }
+        execute(definition, locked, { trigger: 'scheduled', triggeredBy: null });
+      } catch (error) {
+        console.error(`❌ [JOBS] Could not check ${definition.name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Save the job definitions and start running them on schedule
+   * @returns {Promise<void>} Throws { status: 503 } without a database
+   */
+  async function start() {
+    ensureAvailable();
+    await syncDefinitions();
+    if (!enabled) return;
+    const loop = async () => {
+      await tick();
+      timer = setTimeout(loop, TICK_MS);
+      timer.unref();
+    };
+    timer = setTimeout(loop, STARTUP_DELAY_MS);
+    timer.unref();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  /**
+   * Every job with its latest run (without logs)
+   * @returns {Promise<object[]>}
+   */
+  async function listJobs() {
+    ensureAvailable();
+    const records = new Map((await collection().find({})).map(record => [record.name, record]));
+    return [...definitions.values()].map(definition => describe(definition, records.get(definition.name)));
+  }
+
+  /**
+   * One job with the last run's logs and the run history
+   * @param {string} name
+   * @returns {Promise<object>} Throws { status: 404 } for an unknown job, { status: 503 } without a database
+   */
+  async function getJob(name) {
+    const definition = getDefinition(name);
+    ensureAvailable();
+    return describe(definition, await collection().findOne({ name }), { full: true });
+  }
+
+  /**
+   * Pause or resume a job's schedule (it can still be run by hand while paused)
+   * @param {string} name
+   * @param {boolean} paused
+   * @param {string|null} [by] - Who paused it
+   * @returns {Promise<object>}
+   */
+  async function setPaused(name, paused, by = null) {
+    const definition = getDefinition(name);
+    ensureAvailable();
+    if (!(await collection().findOne({ name }))) await syncDefinitions();
+    await collection().updateOne({ name }, {
+      $set: {
+        paused,
+        pausedBy: paused ? by : null,
+        pausedAt: paused ? new Date().toISOString() : null,
+        // Resuming doesn't replay the runs skipped while paused
+        ...(!paused ? { nextRunAt: nextRunAt(definition) } : {})
+      }
+    });
+    return getJob(name);
+  }
+
+  return { define, start, stop, listJobs, getJob, runJob, setPaused, enabled };
+}
+
+export { scheduleFromEnv, createJobScheduler };
@@ -0,0 +1,218 @@
+/**
+ * JSON-file Storage
+ * Keeps each collection in <dir>/<collection>.json so the server runs without MongoDB
+ * (the shop's laptop copy, local testing). games.json and movies.json keep the
+ * category-split layout ({ "readyToPlay": [...], "repack": [...] }) that data/ and the
+ * import scripts already use; every other collection is a plain array.
+ * Writes go to a temp file that is renamed over the original, so a crash never leaves a
+ * half-written file. Files are cached in memory and re-read when they change on disk.
+ * Unique keys from dbSchema.js are enforced; JSON-schema validation is MongoDB-only.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { GAME_CATEGORIES, MEDIA_CATEGORIES } from './pricing.js';
+import { COLLECTION_INDEXES } from './dbSchema.js';
+import { isSameValue, planSync } from './collectionSync.js';
+import { getPath, matchesFilter, applyUpdate, upsertBase, projectRecord, sortRecords } from './documentQuery.js';
+
+// Collections stored as { category: [...] } instead of a plain array
+const CATEGORY_SPLIT = { games: GAME_CATEGORIES, movies: MEDIA_CATEGORIES };
+
+// Single-field unique indexes, enforced on every write
+const uniqueFields = (name) => (COLLECTION_INDEXES[name] || [])
+  .filter(index => index.unique && Object.keys(index.key).length === 1)
+  .map(index => Object.keys(index.key)[0]);
+
+const duplicateKeyError = (name, field, value) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${name} dup key: { ${field}: ${JSON.stringify(value)} }`),
+  { code: 11000, keyValue: { [field]: value } }
+);
+
+const fromFile = (name, content) => {
+  if (CATEGORY_SPLIT[name] && content && !Array.isArray(content)) {
+    return Object.entries(content).flatMap(([category, list]) =>
+      (Array.isArray(list) ? list.map(doc => ({ ...doc, category: doc.category || category })) : [])
+    );
+  }
+  return Array.isArray(content) ? content : [];
+};
+
+const toFile = (name, docs) => {
+  if (!CATEGORY_SPLIT[name]) return docs;
+  const grouped = Object.fromEntries(CATEGORY_SPLIT[name].map(category => [category, []]));
+  for (const doc of docs) {
+    const category = doc.category || 'uncategorized';
+    (grouped[category] ||= []).push(doc);
+  }
+  return grouped;
+};
+
+/**
+ * Create the JSON-file storage
+ * @param {{dir: string}} options - Folder holding the .json files (created on first write)
+ * @returns {{driver: 'json', dir: string, collection: (name: string) => object}}
+ */
+function createJsonFileStorage({ dir }) {
+  const loaded = new Map(); // name -> { docs, mtimeMs }
+  const queues = new Map(); // name -> tail of that file's write queue
+
+  const filePath = (name) => join(dir, `${name}.json`);
+
+  async function load(name) {
+    let mtimeMs = null;
+    try {
+      mtimeMs = (await fs.stat(filePath(name))).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const cached = loaded.get(name);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.docs;
+
+    let docs = [];
+    if (mtimeMs !== null) {
+      const text = await fs.readFile(filePath(name), 'utf8');
+      try {
+        docs = fromFile(name, text.trim() ? JSON.parse(text) : []);
+      } catch (error) {
+        // Never treat a corrupt file as empty: the next write would replace it
+        throw new Error(`${filePath(name)} is not valid JSON: ${error.message}`);
+      }
+    }
+    loaded.set(name, { docs, mtimeMs });
+    return docs;
+  }
+
+  async function save(name, docs) {
+    const target = filePath(name);
+    const tmpPath = `${target}.${process.pid}.tmp`;
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      await fs.writeFile(tmpPath, JSON.stringify(toFile(name, docs), null, 2), 'utf8');
+      await fs.rename(tmpPath, target);
+    } catch (error) {
+      await fs.unlink(tmpPath).catch(() => {});
+      throw error;
+    }
+    loaded.set(name, { docs, mtimeMs: (await fs.stat(target)).mtimeMs });
+  }
+
+  // Writes to one file run one at a time: read, change, save
+  function mutate(name, change) {
+    const run = async () => {
+      const docs = await load(name);
+      const { next, result } = change(docs);
+      if (next !== docs) {
+        checkUnique(name, next, next.filter(doc => !docs.includes(doc)));
+        await save(name, next);
+      }
+      return result;
+    };
+    const queued = (queues.get(name) || Promise.resolve()).then(run, run);
+    queues.set(name, queued.catch(() => {}));
+    return queued;
+  }
+
+  function checkUnique(name, docs, changed) {
+    for (const field of uniqueFields(name)) {
+      for (const doc of changed) {
+        const value = getPath(doc, field);
+        if (value === undefined) continue;
+        if (docs.some(other => other !== doc && isSameValue(getPath(other, field), value))) {
+          throw duplicateKeyError(name, field, value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Collection handle with the same methods as the MongoDB storage
+   * @param {string} name
+   */
+  function collection(name) {
+    return {
+      async find(filter = {}, { projection, sort, skip = 0, limit } = {}) {
+        const docs = sortRecords((await load(name)).filter(doc => matchesFilter(doc, filter)), sort);
+        return docs.slice(skip, limit ? skip + limit : undefined).map(doc => projectRecord(structuredClone(doc), projection));
+      },
+
+      async findOne(filter = {}, { projection } = {}) {
+        const doc = (await load(name)).find(candidate => matchesFilter(candidate, filter));
+        return doc ? projectRecord(structuredClone(doc), projection) : null;
+      },
+
+      async countDocuments(filter = {}) {
+        return (await load(name)).filter(doc => matchesFilter(doc, filter)).length;
+      },
+
+      insertOne(doc) {
+        return mutate(name, (docs) => ({
+          next: [...docs, structuredClone(doc)],
+          result: { acknowledged: true, insertedId: doc._id ?? doc.id }
+        }));
+      },
+
+      updateOne(filter, update, { upsert = false } = {}) {
+        return mutate(name, (docs) => {
+          const index = docs.findIndex(doc => matchesFilter(doc, filter));
+          if (index === -1) {
+            if (!upsert) return { next: docs, result: { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 } };
+            const created = applyUpdate(upsertBase(filter), update, { isInsert: true });
+            return { next: [...docs, created], result: { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 } };
+          }
+          const updated = applyUpdate(docs[index], update);
+          if (isSameValue(updated, docs[index])) return { next: docs, result: { matchedCount: 1, modifiedCount: 0, upsertedCount: 0 } };
+          return { next: docs.map((doc, i) => (i === index ? updated : doc)), result: { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 } };
+        });
+      },
+
+      // Always returns the document after the update (the only form the server uses)
+      findOneAndUpdate(filter, update, { upsert = false, projection } = {}) {
+        return mutate(name, (docs) => {
+          const index = docs.findIndex(doc => matchesFilter(doc, filter));
+          if (index === -1 && !upsert) return { next: docs, result: null };
+          const updated = index === -1
+            ? applyUpdate(upsertBase(filter), update, { isInsert: true })
+            : applyUpdate(docs[index], update);
+          const next = index === -1 ? [...docs, updated] : docs.map((doc, i) => (i === index ? updated : doc));
+          return { next, result: projectRecord(structuredClone(updated), projection) };
+        });
+      },
+
+      deleteOne(filter) {
+        return mutate(name, (docs) => {
+          const index = docs.findIndex(doc => matchesFilter(doc, filter));
+          if (index === -1) return { next: docs, result: { deletedCount: 0 } };
+          return { next: docs.filter((_, i) => i !== index), result: { deletedCount: 1 } };
+        });
+      },
+
+      // Same diff as the MongoDB bulkWrite; the whole file is replaced in one rename
+      sync(records, { filter = {}, ...options } = {}) {
+        return mutate(name, (docs) => {
+          const { operations, summary } = planSync(docs.filter(doc => matchesFilter(doc, filter)), records, options);
+          if (!operations.length) return { next: docs, result: summary };
+
+          let next = [...docs];
+          for (const operation of operations) {
+            if (operation.replaceOne) {
+              const { filter: match, replacement } = operation.replaceOne;
+              const index = next.findIndex(doc => matchesFilter(doc, match));
+              const doc = structuredClone(replacement);
+              if (index === -1) next.push(doc);
+              else next[index] = doc;
+            } else if (operation.deleteMany) {
+              next = next.filter(doc => !matchesFilter(doc, operation.deleteMany.filter));
+            }
+          }
+          return { next, result: summary };
+        });
+      }
+    };
+  }
+
+  return { driver: 'json', dir, collection };
+}
+
+export { createJsonFileStorage };
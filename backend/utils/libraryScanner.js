@@ -0,0 +1,238 @@
+/**
+ * Library Scanner
+ * Measures the game/movie folders on the shop's disks and reconciles them with the catalog:
+ *   - size mismatches (catalog size typed by hand vs. real folder size)
+ *   - catalog items with no folder on any scanned disk
+ *   - folders on disk that are not in the catalog
+ * Used by POST /api/library/scan and by `npm run scan-library`.
+ */
+
+import { readdir, lstat } from 'fs/promises';
+import { basename, join } from 'path';
+import { parseSizeToGB, roundGB, formatSizeGB } from './sizes.js';
+import { normalizeTitle } from './titles.js';
+import { GAME_CATEGORIES, MEDIA_CATEGORIES, itemKey } from './pricing.js';
+
+const DEFAULT_TOLERANCE_PERCENT = 5;
+
+const BYTES_PER_GB = 1024 ** 3;
+
+// Compare paths from different tools/OSes ("D:\\Games\\X\\" vs "d:/games/x")
+const normalizePath = (path) => String(path || '').replace(/\\/g, '/').replace(/\/+$/, '').toLowerCase();
+
+/**
+ * Parse configured library roots
+ * Entries are separated by ";" or new lines, each either "path" or "DISK-LABEL=path":
+ *   LIBRARY_ROOTS="HDD-1=D:\Games;HDD-2=E:\Movies"
+ * @param {string|string[]} value
+ * @returns {Array<{diskLabel: string, path: string}>}
+ */
+function parseLibraryRoots(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[;\n]+/);
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^([^=]+)=(.+)$/);
+      // "C:\..." has no "=", so a drive letter is never mistaken for a label
+      if (match) return { diskLabel: match[1].trim(), path: match[2].trim() };
+      return { diskLabel: basename(entry.replace(/[\\/]+$/, '')) || entry, path: entry };
+    });
+}
+
+/**
+ * Total size of a directory tree in bytes (symlinks are not followed)
+ * @param {string} dir
+ * @returns {Promise<number>}
+ */
+async function getFolderSize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    console.warn(`⚠️ Cannot read ${dir}: ${err.message}`);
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isSymbolicLink()) continue;
+    if (entry.isDirectory()) {
+      total += await getFolderSize(fullPath);
+    } else if (entry.isFile()) {
+      try {
+        total += (await lstat(fullPath)).size;
+      } catch (err) {
+        console.warn(`⚠️ Cannot stat ${fullPath}: ${err.message}`);
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Scan library roots; every direct sub-folder of a root is one game/movie
+ * Folders are measured one at a time to keep disk load reasonable on spinning drives.
+ * @param {Array<{diskLabel: string, path: string}>} roots
+ * @param {(progress: {root: string, folder: string, done: number}) => void} [onProgress]
+ * @returns {Promise<{folders: object[], errors: string[]}>}
+ */
+async function scanLibrary(roots, onProgress) {
+  const folders = [];
+  const errors = [];
+
+  for (const root of roots) {
+    let entries;
+    try {
+      entries = await readdir(root.path, { withFileTypes: true });
+    } catch (err) {
+      errors.push(`${root.path}: ${err.message}`);
+      continue;
+    }
+
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      const path = join(root.path, entry.name);
+      const bytes = await getFolderSize(path);
+      folders.push({
+        name: entry.name,
+        normalizedName: normalizeTitle(entry.name),
+        path,
+        diskLabel: root.diskLabel,
+        bytes,
+        sizeGB: roundGB(bytes / BYTES_PER_GB)
+      });
+      onProgress?.({ root: root.path, folder: entry.name, done: folders.length });
+    }
+  }
+
+  return { folders, errors };
+}
+
+/**
+ * Flatten game and movie documents into the records the reconciler works with
+ * @param {object[]} games - Documents from the games collection
+ * @param {object[]} movies - Documents from the movies collection
+ * @returns {object[]}
+ */
+function toLibraryRecords(games, movies) {
+  return [
+    ...games.filter(g => GAME_CATEGORIES.includes(g.category)).map(record => ({ record, type: 'game' })),
+    ...movies.filter(m => MEDIA_CATEGORIES.includes(m.category)).map(record => ({ record, type: record.category }))
+  ].map(({ record, type }) => ({
+    key: itemKey(type, record.id),
+    type,
+    id: record.id,
+    category: record.category,
+    name: record.name || record.title || '',
+    size: record.size || '',
+    diskLabel: record.diskLabel || '',
+    folderPath: record.folderPath || ''
+  }));
+}
+
+/**
+ * Match scanned folders to catalog records and build the reconciliation report
+ * A record's saved folderPath wins; otherwise folders are matched by normalized name.
+ * @param {object[]} folders - From scanLibrary()
+ * @param {object[]} records - From toLibraryRecords()
+ * @param {{tolerancePercent?: number}} [options] - Allowed size difference before it counts as a mismatch
+ * @returns {{summary: object, sizeMismatches: object[], locationUpdates: object[], missingFolders: object[], untrackedFolders: object[]}}
+ */
+function reconcileLibrary(folders, records, { tolerancePercent = DEFAULT_TOLERANCE_PERCENT } = {}) {
+  const byPath = new Map(folders.map(folder => [normalizePath(folder.path), folder]));
+  const byName = new Map();
+  for (const folder of folders) {
+    if (!folder.normalizedName) continue;
+    if (!byName.has(folder.normalizedName)) byName.set(folder.normalizedName, []);
+    byName.get(folder.normalizedName).push(folder);
+  }
+
+  const usedFolders = new Set();
+  const sizeMismatches = [];
+  const locationUpdates = [];
+  const missingFolders = [];
+  let matched = 0;
+
+  // Saved paths are claimed first so a name match can't take a folder another record points at
+  const pathMatches = new Map();
+  for (const record of records) {
+    const folder = record.folderPath ? byPath.get(normalizePath(record.folderPath)) : null;
+    if (folder && !usedFolders.has(folder.path)) {
+      pathMatches.set(record.key, folder);
+      usedFolders.add(folder.path);
+    }
+  }
+
+  for (const record of records) {
+    let folder = pathMatches.get(record.key);
+    const matchedBy = folder ? 'path' : 'name';
+    if (!folder) {
+      folder = (byName.get(normalizeTitle(record.name)) || []).find(f => !usedFolders.has(f.path));
+    }
+
+    if (!folder) {
+      missingFolders.push({ ...record, reason: record.folderPath ? 'path_not_found' : 'no_match' });
+      continue;
+    }
+
+    matched++;
+    usedFolders.add(folder.path);
+    const catalogGB = roundGB(parseSizeToGB(record.size));
+    const diffGB = roundGB(folder.sizeGB - catalogGB);
+    const diffPercent = catalogGB > 0 ? Math.round(Math.abs(diffGB) / catalogGB * 1000) / 10 : null;
+    // No usable catalog size counts as a mismatch as long as the folder isn't empty
+    const isMismatch = diffPercent === null ? folder.bytes > 0 : diffPercent > tolerancePercent;
+
+    if (isMismatch) {
+      sizeMismatches.push({
+        ...record,
+        catalogGB,
+        actualGB: folder.sizeGB,
+        diffGB,
+        diffPercent,
+        suggestedSize: formatSizeGB(folder.bytes / BYTES_PER_GB),
+        folder: folder.path
+      });
+    }
+
+    if (matchedBy === 'name' || record.diskLabel !== folder.diskLabel) {
+      locationUpdates.push({
+        ...record,
+        suggestedDiskLabel: folder.diskLabel,
+        suggestedFolderPath: folder.path,
+        folderName: folder.name
+      });
+    }
+  }
+
+  const untrackedFolders = folders
+    .filter(folder => !usedFolders.has(folder.path))
+    .map(({ normalizedName, ...folder }) => ({ ...folder, suggestedSize: formatSizeGB(folder.bytes / BYTES_PER_GB) }));
+
+  return {
+    summary: {
+      records: records.length,
+      folders: folders.length,
+      matched,
+      sizeMismatches: sizeMismatches.length,
+      locationUpdates: locationUpdates.length,
+      missingFolders: missingFolders.length,
+      untrackedFolders: untrackedFolders.length,
+      tolerancePercent
+    },
+    sizeMismatches,
+    locationUpdates,
+    missingFolders,
+    untrackedFolders
+  };
+}
+
+export {
+  DEFAULT_TOLERANCE_PERCENT,
+  parseLibraryRoots,
+  getFolderSize,
+  scanLibrary,
+  toLibraryRecords,
+  reconcileLibrary
+};
@@ -0,0 +1,209 @@
+/**
+ * Copy Manifest Utility
+ * Turns a selection/order into something the person filling the drive can work from:
+ * a printable HTML checklist, a CSV, or a copy script (bash cp / Windows robocopy)
+ */
+
+import { parseSizeToGB, roundGB } from './sizes.js';
+
+const MANIFEST_FORMATS = ['html', 'csv', 'sh', 'robocopy'];
+
+const TYPE_LABELS = {
+  game: 'لعبة',
+  movies: 'فيلم',
+  tvShows: 'مسلسل',
+  anime: 'أنمي'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeCsv = (value) => {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Last path segment, used as the destination folder name
+const baseName = (path) => String(path).replace(/[\\/]+$/, '').split(/[\\/]/).pop();
+
+// ---- Copy scripts: catalog names and scanned folder names must never become commands ----
+
+// CR/LF would start a new (live) script line; other control characters have no business there either
+const stripControl = (value) => String(value ?? '').replace(/[\u0000-\u001f\u007f]+/g, ' ');
+
+// Text after REM: cmd still expands %VAR% there, and metacharacters are escaped for good measure
+const batchComment = (value) => stripControl(value).replace(/%/g, '%%').replace(/[\^&|<>]/g, '^$&');
+
+// Paths go inside "..." where & | < > ^ are literal; only % still expands, and a " would end the quoting
+const isSafeBatchPath = (path) => !/[\u0000-\u001f\u007f"]/.test(path);
+const batchPath = (path) => path.replace(/%/g, '%%');
+
+/**
+ * Build manifest rows from resolved catalog records, grouped by disk then folder
+ * @param {{games: object[], media: object[]}} resolved - Output of resolveSelection()
+ * @returns {{entries: object[], totalGB: number, missingLocation: number}}
+ */
+function buildManifest(resolved) {
+  const entries = [
+    ...resolved.games.map(record => ({ record, type: 'game' })),
+    ...resolved.media.map(record => ({ record, type: record.category }))
+  ].map(({ record, type }) => ({
+    type,
+    id: record.id,
+    name: record.name || record.title || '',
+    size: record.size || '',
+    sizeGB: roundGB(parseSizeToGB(record.size)),
+    diskLabel: record.diskLabel || '',
+    folderPath: record.folderPath || ''
+  }));
+
+  entries.sort((a, b) =>
+    (a.diskLabel || '\uffff').localeCompare(b.diskLabel || '\uffff') ||
+    a.folderPath.localeCompare(b.folderPath) ||
+    a.name.localeCompare(b.name));
+
+  return {
+    entries,
+    totalGB: roundGB(entries.reduce((sum, entry) => sum + entry.sizeGB, 0)),
+    missingLocation: entries.filter(entry => !entry.folderPath).length
+  };
+}
+
+/**
+ * Printable HTML checklist
+ * @param {ReturnType<typeof buildManifest>} manifest
+ * @param {string} title - e.g. "طلب K7M2QX"
+ * @returns {string}
+ */
+function renderManifestHtml({ entries, totalGB, missingLocation }, title) {
+  const rows = entries.map((entry, index) => `
+      <tr${entry.folderPath ? '' : ' class="missing"'}>
+        <td class="check">☐</td>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(entry.name)}<small>${escapeHtml(TYPE_LABELS[entry.type] || entry.type)}</small></td>
+        <td dir="ltr">${escapeHtml(entry.size || '—')}</td>
+        <td dir="ltr">${escapeHtml(entry.diskLabel || '—')}</td>
+        <td dir="ltr" class="path">${escapeHtml(entry.folderPath || 'مكان التخزين غير مسجل')}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Tahoma, Arial, sans-serif; margin: 24px; color: #111; }
+    h1 { margin: 0 0 4px; font-size: 22px; }
+    .meta { color: #555; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: right; vertical-align: top; }
+    th { background: #f2f2f2; }
+    td.check { font-size: 18px; text-align: center; width: 28px; }
+    td small { display: block; color: #777; }
+    td.path { font-family: Consolas, monospace; font-size: 12px; word-break: break-all; }
+    tr.missing td { background: #fff4f4; }
+    tfoot td { font-weight: bold; }
+    @media print { body { margin: 0; } button { display: none; } }
+  </style>
+</head>
+<body>
+  <button onclick="window.print()">🖨️ طباعة</button>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${entries.length} عنصر · ${totalGB} GB${missingLocation ? ` · ${missingLocation} بدون مكان تخزين` : ''}</div>
+  <table>
+    <thead>
+      <tr><th></th><th>#</th><th>الاسم</th><th>الحجم</th><th>الهارد</th><th>المسار</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="3">الإجمالي</td><td dir="ltr">${totalGB} GB</td><td colspan="2"></td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * CSV export (UTF-8 with BOM so Excel shows Arabic names correctly)
+ * @param {ReturnType<typeof buildManifest>} manifest
+ * @returns {string}
+ */
+function renderManifestCsv({ entries, totalGB }) {
+  const lines = [
+    ['type', 'name', 'size', 'size_gb', 'disk_label', 'folder_path'].join(','),
+    ...entries.map(entry => [
+      entry.type, entry.name, entry.size, entry.sizeGB, entry.diskLabel, entry.folderPath
+    ].map(escapeCsv).join(',')),
+    ['total', '', '', totalGB, '', ''].join(',')
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Copy script: bash `cp -r` or a Windows robocopy .bat
+ * Entries without a folder path are listed as comments so nothing is silently skipped.
+ * Names and paths are catalog/disk data, so they are escaped (see stripControl/batchComment/batchPath).
+ * @param {ReturnType<typeof buildManifest>} manifest
+ * @param {'sh'|'robocopy'} format
+ * @param {string} title
+ * @returns {string}
+ */
+function renderCopyScript({ entries, totalGB }, format, title) {
+  const located = entries.filter(entry => entry.folderPath);
+  const missing = entries.filter(entry => !entry.folderPath);
+
+  if (format === 'robocopy') {
+    // A path cmd can't quote safely is listed instead of copied
+    const copyable = located.filter(entry => isSafeBatchPath(entry.folderPath));
+    const unsafe = located.filter(entry => !isSafeBatchPath(entry.folderPath));
+    const lines = [
+      '@echo off',
+      'chcp 65001 > nul',
+      `REM ${batchComment(title)} - ${entries.length} items, ${totalGB} GB`,
+      'REM Usage: copy.bat E:\\',
+      'set "DEST=%~1"',
+      'if "%DEST%"=="" (echo Usage: %~nx0 DESTINATION & exit /b 1)',
+      '',
+      ...copyable.map(entry => [
+        `REM [${batchComment(entry.diskLabel || '?')}] ${batchComment(entry.name)} - ${batchComment(entry.size || '?')}`,
+        `robocopy "${batchPath(entry.folderPath)}" "%DEST%\\${batchPath(baseName(entry.folderPath))}" /E /NFL /NDL /NJH`
+      ].join('\r\n')),
+      ...(unsafe.length ? ['', 'REM Not copied - folder path has characters a .bat cannot quote (copy by hand):', ...unsafe.map(entry => `REM   ${batchComment(entry.name)} (${batchComment(entry.folderPath)})`)] : []),
+      ...(missing.length ? ['', 'REM Not copied - no storage location recorded:', ...missing.map(entry => `REM   ${batchComment(entry.name)} (${batchComment(entry.size || '?')})`)] : []),
+      '',
+      'echo Done.'
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  const quote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+  const lines = [
+    '#!/usr/bin/env bash',
+    `# ${stripControl(title)} - ${entries.length} items, ${totalGB} GB`,
+    '# Usage: ./copy.sh /media/usb',
+    'set -e',
+    'DEST="${1:?Usage: $0 DESTINATION}"',
+    '',
+    ...located.map(entry => [
+      `# [${stripControl(entry.diskLabel || '?')}] ${stripControl(entry.name)} - ${stripControl(entry.size || '?')}`,
+      `cp -rv ${quote(entry.folderPath)} "$DEST/"`
+    ].join('\n')),
+    ...(missing.length ? ['', '# Not copied - no storage location recorded:', ...missing.map(entry => `#   ${stripControl(entry.name)} (${stripControl(entry.size || '?')})`)] : []),
+    '',
+    'echo "Done."'
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+export {
+  MANIFEST_FORMATS,
+  buildManifest,
+  renderManifestHtml,
+  renderManifestCsv,
+  renderCopyScript
+};
@@ -0,0 +1,156 @@
+/**
+ * Database Migrations
+ * Versioned data changes in backend/migrations, applied in order and recorded in the
+ * `migrations` collection, so it is always known which fixes have run against a database.
+ * A migration file is named `<version>-<name>.js` (e.g. `002-requirements-from-system-requirements.js`)
+ * and exports:
+ *   description  - one line shown by `npm run migrate -- status`
+ *   up(context)   - apply the change; the return value is stored as the run's result
+ *   down(context) - undo it (optional: without it the migration can't be rolled back)
+ * context = { db, dryRun, log, dataDir }. With dryRun the migration must only report what it
+ * would change; nothing is recorded either way.
+ */
+
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+
+const MIGRATIONS_COLLECTION = 'migrations';
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+const byVersion = (a, b) => Number(a.version) - Number(b.version);
+
+/**
+ * Load every migration file in a folder, oldest first
+ * @param {string} dir
+ * @returns {Promise<{version: string, name: string, file: string, description: string, checksum: string, up: Function, down?: Function}[]>}
+ */
+async function loadMigrations(dir) {
+  const files = (await fs.readdir(dir)).filter(file => MIGRATION_FILE.test(file));
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const path = join(dir, file);
+    const module = await import(pathToFileURL(path).href);
+    if (typeof module.up !== 'function') throw new Error(`${file} must export an up() function`);
+
+    migrations.push({
+      version,
+      name,
+      file,
+      description: module.description || name,
+      checksum: createHash('sha256').update(await fs.readFile(path)).digest('hex'),
+      up: module.up,
+      down: typeof module.down === 'function' ? module.down : undefined
+    });
+  }
+
+  migrations.sort(byVersion);
+  migrations.forEach((migration, i) => {
+    if (i > 0 && Number(migrations[i - 1].version) === Number(migration.version)) {
+      throw new Error(`Two migrations share version ${migration.version}: ${migrations[i - 1].file}, ${migration.file}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Compare the migration files with what the database has applied
+ * @param {import('mongodb').Db} db
+ * @param {object[]} migrations - From loadMigrations()
+ * @returns {Promise<{migrations: object[], pending: object[], unknown: object[]}>}
+ *   migrations: every file with status "applied"/"pending" (edited: file changed after it was applied);
+ *   unknown: applied records whose file no longer exists
+ */
+async function getMigrationStatus(db, migrations) {
+  const records = await db.collection(MIGRATIONS_COLLECTION).find({}, { projection: { _id: 0 } }).toArray();
+  const applied = new Map(records.map(record => [Number(record.version), record]));
+
+  const status = migrations.map(({ version, name, file, description, checksum, down }) => {
+    const record = applied.get(Number(version));
+    return {
+      version,
+      name,
+      file,
+      description,
+      status: record ? 'applied' : 'pending',
+      appliedAt: record?.appliedAt || null,
+      edited: Boolean(record && record.checksum !== checksum),
+      reversible: Boolean(down)
+    };
+  });
+
+  const known = new Set(migrations.map(migration => Number(migration.version)));
+  return {
+    migrations: status,
+    pending: status.filter(migration => migration.status === 'pending'),
+    unknown: records.filter(record => !known.has(Number(record.version))).sort(byVersion)
+  };
+}
+
+/**
+ * Apply pending migrations, or roll back applied ones
+ * @param {import('mongodb').Db} db
+ * @param {object[]} migrations - From loadMigrations()
+ * @param {{direction?: 'up'|'down', to?: string, dryRun?: boolean, log?: Function, dataDir?: string}} [options]
+ *   up: every pending migration up to and including `to` (default: all);
+ *   down: every applied migration after `to` (default: only the last one), newest first
+ * @returns {Promise<{version: string, name: string, direction: string, result: any, durationMs: number}[]>}
+ */
+async function runMigrations(db, migrations, { direction = 'up', to, dryRun = false, log = console.log, dataDir } = {}) {
+  const collection = db.collection(MIGRATIONS_COLLECTION);
+  const applied = new Set((await collection.find({}, { projection: { version: 1 } }).toArray()).map(record => Number(record.version)));
+  const target = to === undefined ? undefined : Number(to);
+  if (target !== undefined && !migrations.some(migration => Number(migration.version) === target) && target !== 0) {
+    throw new Error(`No migration with version ${to}`);
+  }
+
+  let plan;
+  if (direction === 'up') {
+    plan = migrations.filter(m => !applied.has(Number(m.version)) && (target === undefined || Number(m.version) <= target));
+  } else if (direction === 'down') {
+    const rollback = migrations.filter(m => applied.has(Number(m.version))).reverse();
+    plan = target === undefined ? rollback.slice(0, 1) : rollback.filter(m => Number(m.version) > target);
+    const irreversible = plan.find(m => !m.down);
+    if (irreversible) throw new Error(`${irreversible.file} has no down() and can't be rolled back`);
+  } else {
+    throw new Error(`Unknown direction "${direction}" (use up or down)`);
+  }
+
+  const results = [];
+  for (const migration of plan) {
+    const startedAt = Date.now();
+    log(`${direction === 'up' ? '⬆️' : '⬇️'} ${migration.version}-${migration.name}${dryRun ? ' (dry run)' : ''}`);
+    let result;
+    try {
+      result = await migration[direction]({ db, dryRun, log: (...args) => log('   ', ...args), dataDir });
+    } catch (error) {
+      // Earlier migrations in this run stay applied; the failed one is not recorded
+      error.message = `${migration.file} failed: ${error.message}`;
+      throw error;
+    }
+    const durationMs = Date.now() - startedAt;
+
+    if (!dryRun) {
+      if (direction === 'up') {
+        await collection.insertOne({
+          version: migration.version,
+          name: migration.name,
+          description: migration.description,
+          checksum: migration.checksum,
+          appliedAt: new Date().toISOString(),
+          durationMs,
+          result: result ?? null
+        });
+      } else {
+        await collection.deleteOne({ version: migration.version });
+      }
+    }
+    results.push({ version: migration.version, name: migration.name, direction, result: result ?? null, durationMs });
+  }
+  return results;
+}
+
+export { MIGRATIONS_COLLECTION, loadMigrations, getMigrationStatus, runMigrations };
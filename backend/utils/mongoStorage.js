@@ -0,0 +1,69 @@
+/**
+ * MongoDB Storage
+ * Collection handles over the live MongoDB connection, with the same methods as the
+ * JSON-file storage. sync() runs in a transaction when the deployment supports them
+ * (replica set / Atlas); a standalone mongod runs it without one.
+ */
+
+import { syncCollection } from './collectionSync.js';
+
+/**
+ * Create the MongoDB storage
+ * @param {{client: import('mongodb').MongoClient, getDb: () => import('mongodb').Db}} options
+ *   getDb throws while the server isn't connected
+ * @returns {{driver: 'mongodb', collection: (name: string) => object}}
+ */
+function createMongoStorage({ client, getDb }) {
+  let transactionsSupported = null;
+
+  async function withOptionalTransaction(work) {
+    if (transactionsSupported === null) {
+      const hello = await getDb().admin().command({ hello: 1 });
+      transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+      if (!transactionsSupported) console.warn('⚠️ MongoDB is standalone - bulk writes run without transactions');
+    }
+    if (!transactionsSupported) return work(undefined);
+
+    const session = client.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Collection handle
+   * @param {string} name
+   */
+  function collection(name) {
+    const target = () => getDb().collection(name);
+    return {
+      find(filter = {}, { projection, sort, skip, limit } = {}) {
+        const cursor = target().find(filter, projection ? { projection } : {});
+        if (sort) cursor.sort(sort);
+        if (skip) cursor.skip(skip);
+        if (limit) cursor.limit(limit);
+        return cursor.toArray();
+      },
+      findOne: (filter = {}, { projection } = {}) => target().findOne(filter, projection ? { projection } : {}),
+      countDocuments: (filter = {}) => target().countDocuments(filter),
+      insertOne: (doc) => target().insertOne(doc),
+      updateOne: (filter, update, { upsert = false } = {}) => target().updateOne(filter, update, { upsert }),
+      // Always returns the document after the update
+      findOneAndUpdate: (filter, update, { upsert = false, projection } = {}) =>
+        target().findOneAndUpdate(filter, update, { upsert, returnDocument: 'after', ...(projection ? { projection } : {}) }),
+      deleteOne: (filter) => target().deleteOne(filter),
+      sync: (records, options = {}) =>
+        withOptionalTransaction(session => syncCollection(target(), records, { ...options, session }))
+    };
+  }
+
+  return { driver: 'mongodb', collection };
+}
+
+export { createMongoStorage };
@@ -0,0 +1,167 @@
+/**
+ * Orders Utility
+ * Resolves a customer's selection against the catalog and builds order documents
+ * Prices and sizes are always computed server-side from catalog data
+ */
+
+import crypto from 'crypto';
+import { parseSizeToGB, roundGB } from './sizes.js';
+
+const ORDER_STATUSES = ['new', 'copying', 'ready', 'delivered', 'cancelled'];
+
+const MEDIA_TYPES = ['movies', 'tvShows', 'anime'];
+
+// No 0/O/1/I/L so codes can be read over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Generate a short human-friendly order code (e.g. "K7M2QX")
+ * @returns {string}
+ */
+function generateOrderCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  return code;
+}
+
+/**
+ * Normalize a code typed by a customer ("k7m2qx ", "#K7M2QX")
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeOrderCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Parse a SelectionBar unique id ("tvShows-1712345678901")
+ * @param {string|{category: string, id: *}} item
+ * @returns {{category: string, id: string}|null}
+ */
+function parseItemRef(item) {
+  if (item && typeof item === 'object') {
+    return item.category && item.id !== undefined ? { category: item.category, id: String(item.id) } : null;
+  }
+  const str = String(item || '');
+  const dash = str.indexOf('-');
+  if (dash <= 0) return null;
+  return { category: str.slice(0, dash), id: str.slice(dash + 1) };
+}
+
+/**
+ * Resolve selected ids against catalog data
+ * @param {{games?: Array, items?: Array}} selection - Game ids and media unique ids from the client
+ * @param {{games: object, movies: object}} catalog - Output of readGamesData() / readMoviesData()
+ * @returns {{games: object[], media: object[], missing: string[]}}
+ */
+function resolveSelection({ games = [], items = [] }, catalog) {
+  const allGames = Object.values(catalog.games || {}).flat();
+  const missing = [];
+
+  const resolvedGames = [];
+  for (const id of games) {
+    const game = allGames.find(g => String(g.id) === String(id));
+    if (game) resolvedGames.push(game);
+    else missing.push(`game-${id}`);
+  }
+
+  const resolvedMedia = [];
+  for (const raw of items) {
+    const ref = parseItemRef(raw);
+    const list = ref && MEDIA_TYPES.includes(ref.category) ? catalog.movies?.[ref.category] || [] : [];
+    const item = ref && list.find(m => String(m.id) === ref.id);
+    if (item) resolvedMedia.push({ ...item, category: ref.category });
+    else missing.push(typeof raw === 'string' ? raw : JSON.stringify(raw));
+  }
+
+  return { games: resolvedGames, media: resolvedMedia, missing };
+}
+
+// Snapshot of a catalog record as it was when ordered
+const toOrderItem = (record, type) => ({
+  type,
+  id: record.id,
+  category: record.category || null,
+  name: record.name || record.title || '',
+  size: record.size || null,
+  sizeGB: roundGB(parseSizeToGB(record.size)),
+  ...(record.year ? { year: record.year } : {}),
+  ...(record.seasons ? { seasons: record.seasons } : {}),
+  ...(record.episodes ? { episodes: record.episodes } : {})
+});
+
+/**
+ * Build a new order document from a resolved selection
+ * @param {{games: object[], media: object[]}} resolved - Output of resolveSelection()
+ * @param {object} quote - Output of calculateQuote() for the same selection
+ * @param {{code: string, customer?: object, channel?: string, notes?: string}} details
+ * @returns {object} Order ready to insert in the orders collection
+ */
+function buildOrder(resolved, quote, { code, customer = {}, channel = null, notes = '' }) {
+  const items = [
+    ...resolved.games.map(game => toOrderItem(game, 'game')),
+    ...resolved.media.map(item => toOrderItem(item, item.category))
+  ].map(item => ({
+    ...item,
+    price: quote.lines.find(line => line.key === `${item.type}-${item.id}`)?.price ?? null
+  }));
+  const now = new Date().toISOString();
+
+  return {
+    id: Date.now(),
+    code,
+    items,
+    totalSizeGB: roundGB(items.reduce((sum, item) => sum + item.sizeGB, 0)),
+    price: quote.total,
+    pricing: {
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      tier: quote.tier,
+      promotion: quote.promotion || null,
+      currency: quote.currency
+    },
+    customer: {
+      name: String(customer.name || '').trim().slice(0, 100),
+      phone: String(customer.phone || '').trim().slice(0, 30)
+    },
+    channel: ['whatsapp', 'messenger'].includes(channel) ? channel : null,
+    notes: String(notes || '').trim().slice(0, 1000),
+    status: 'new',
+    statusHistory: [{ status: 'new', at: now, by: 'customer' }],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Customer-facing view of an order: no contact details, channel or staff names
+ * @param {object} order - Order document
+ * @returns {object}
+ */
+function toPublicOrder(order) {
+  return {
+    code: order.code,
+    status: order.status,
+    items: (order.items || []).map(({ type, name, size, sizeGB, price, year, seasons, episodes }) => ({
+      type, name, size, sizeGB, price, year, seasons, episodes
+    })),
+    totalSizeGB: order.totalSizeGB,
+    price: order.price,
+    promotion: order.pricing?.promotion ? { code: order.pricing.promotion.code, discount: order.pricing.promotion.discount } : null,
+    statusHistory: (order.statusHistory || []).map(({ status, at, note }) => ({ status, at, ...(note ? { note } : {}) })),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+}
+
+export {
+  ORDER_STATUSES,
+  generateOrderCode,
+  normalizeOrderCode,
+  parseItemRef,
+  resolveSelection,
+  buildOrder,
+  toPublicOrder
+};
@@ -0,0 +1,243 @@
+/**
+ * Pricing Engine
+ * Single source of prices for the cart (POST /api/pricing/quote) and for orders
+ * Rules, in priority order for each item:
+ *   1. override  - fixed price for one specific item (pricing config)
+ *   2. item      - `price` field typed on the game/movie in the Dashboard
+ *   3. premium   - famous titles / high rating (movies, TV shows, anime)
+ *   4. category  - per-category base price (+ per-GB price for games)
+ * Games priced by their category also share one storage charge picked by their total size
+ * (storageTiers: the shop's flat 250 / 400 / 750 EGP for up to 500 GB / 1 TB / more), split
+ * over those games by size (rule "storage").
+ * Quantity tiers then apply a percentage discount on the subtotal.
+ */
+
+import { parseSizeToGB, roundGB } from './sizes.js';
+
+const GAME_CATEGORIES = ['readyToPlay', 'repack', 'online'];
+const MEDIA_CATEGORIES = ['movies', 'tvShows', 'anime'];
+
+const DEFAULT_PRICING = {
+  currency: 'EGP',
+  categories: {
+    readyToPlay: { basePrice: 0, perGB: 0 },
+    repack: { basePrice: 0, perGB: 0 },
+    online: { basePrice: 0, perGB: 0 },
+    movies: { basePrice: 30, perGB: 0 },
+    tvShows: { basePrice: 30, perGB: 0 },
+    anime: { basePrice: 30, perGB: 0 }
+  },
+  premium: {
+    price: 50,
+    minRating: 9.0,
+    titles: [
+      'breaking bad', 'game of thrones', 'the last of us', 'better call saul',
+      'chernobyl', 'stranger things', 'attack on titan', 'death note',
+      'one piece', 'naruto', 'demon slayer', 'jujutsu kaisen', 'the witcher', 'succession'
+    ]
+  },
+  // maxGB null = no upper limit
+  storageTiers: [
+    { maxGB: 500, price: 250 },
+    { maxGB: 1000, price: 400 },
+    { maxGB: null, price: 750 }
+  ],
+  overrides: [],
+  quantityTiers: []
+};
+
+const toNumber = (value) => {
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Key identifying an item in overrides and quote lines ("game-123", "movies-456")
+ * @param {string} type - 'game' or a media category
+ * @param {*} id
+ * @returns {string}
+ */
+function itemKey(type, id) {
+  return `${type}-${id}`;
+}
+
+/**
+ * Validate and normalize a pricing config sent from the Dashboard
+ * @param {object} input - Raw config
+ * @returns {{config: object, errors: string[]}}
+ */
+function normalizePricingConfig(input = {}) {
+  const errors = [];
+  const config = {
+    currency: String(input.currency || DEFAULT_PRICING.currency).slice(0, 10),
+    categories: {},
+    premium: { ...DEFAULT_PRICING.premium },
+    storageTiers: [],
+    overrides: [],
+    quantityTiers: []
+  };
+
+  for (const category of [...GAME_CATEGORIES, ...MEDIA_CATEGORIES]) {
+    const raw = input.categories?.[category] || DEFAULT_PRICING.categories[category];
+    const basePrice = toNumber(raw.basePrice ?? 0);
+    const perGB = toNumber(raw.perGB ?? 0);
+    if (basePrice === null || basePrice < 0) errors.push(`categories.${category}.basePrice must be a number >= 0`);
+    if (perGB === null || perGB < 0) errors.push(`categories.${category}.perGB must be a number >= 0`);
+    config.categories[category] = { basePrice: basePrice || 0, perGB: perGB || 0 };
+  }
+
+  if (input.premium) {
+    const price = toNumber(input.premium.price);
+    const minRating = input.premium.minRating === '' || input.premium.minRating === null
+      ? null
+      : toNumber(input.premium.minRating);
+    if (price === null || price < 0) errors.push('premium.price must be a number >= 0');
+    if (minRating !== null && (minRating < 0 || minRating > 10)) errors.push('premium.minRating must be between 0 and 10');
+    config.premium = {
+      price: price || 0,
+      minRating,
+      titles: (Array.isArray(input.premium.titles) ? input.premium.titles : [])
+        .map(title => String(title).trim().toLowerCase())
+        .filter(Boolean)
+    };
+  }
+
+  // Configs saved before storage tiers existed keep the shop's defaults
+  const storageTiers = input.storageTiers === undefined ? DEFAULT_PRICING.storageTiers : input.storageTiers;
+  (Array.isArray(storageTiers) ? storageTiers : []).forEach((tier, index) => {
+    const unlimited = tier?.maxGB === null || tier?.maxGB === undefined || tier?.maxGB === '';
+    const maxGB = unlimited ? null : toNumber(tier.maxGB);
+    const price = toNumber(tier?.price);
+    if (!unlimited && (maxGB === null || maxGB <= 0)) errors.push(`storageTiers[${index}].maxGB must be a number > 0 (or empty for no limit)`);
+    if (price === null || price < 0) errors.push(`storageTiers[${index}].price must be a number >= 0`);
+    config.storageTiers.push({ maxGB, price: price || 0 });
+  });
+  config.storageTiers.sort((a, b) => (a.maxGB ?? Infinity) - (b.maxGB ?? Infinity));
+
+  (Array.isArray(input.overrides) ? input.overrides : []).forEach((override, index) => {
+    const price = toNumber(override?.price);
+    if (!override?.key || !/^[A-Za-z]+-.+$/.test(override.key)) errors.push(`overrides[${index}].key must look like "game-123" or "movies-456"`);
+    if (price === null || price < 0) errors.push(`overrides[${index}].price must be a number >= 0`);
+    config.overrides.push({ key: String(override?.key || ''), name: String(override?.name || ''), price: price || 0 });
+  });
+
+  (Array.isArray(input.quantityTiers) ? input.quantityTiers : []).forEach((tier, index) => {
+    const minItems = parseInt(tier?.minItems);
+    const discountPercent = toNumber(tier?.discountPercent);
+    if (!Number.isInteger(minItems) || minItems < 1) errors.push(`quantityTiers[${index}].minItems must be a whole number >= 1`);
+    if (discountPercent === null || discountPercent < 0 || discountPercent > 100) errors.push(`quantityTiers[${index}].discountPercent must be between 0 and 100`);
+    config.quantityTiers.push({ minItems: minItems || 1, discountPercent: discountPercent || 0 });
+  });
+  config.quantityTiers.sort((a, b) => a.minItems - b.minItems);
+
+  return { config, errors };
+}
+
+/**
+ * Price one catalog record
+ * @param {object} record - Game or media record (with category)
+ * @param {string} type - 'game' or a media category
+ * @param {object} config - Normalized pricing config
+ * @returns {{price: number, rule: string}}
+ */
+function priceItem(record, type, config) {
+  const key = itemKey(type, record.id);
+  const override = config.overrides.find(o => o.key === key);
+  if (override) return { price: override.price, rule: 'override' };
+
+  const manual = toNumber(record.price);
+  if (manual !== null) return { price: manual, rule: 'item' };
+
+  if (MEDIA_CATEGORIES.includes(type) && config.premium) {
+    const name = (record.name || record.title || '').toLowerCase();
+    const rating = toNumber(record.rating || record.rate) || 0;
+    const isFamous = config.premium.titles.some(title => name.includes(title));
+    const isTopRated = config.premium.minRating !== null && rating >= config.premium.minRating;
+    if (isFamous || isTopRated) return { price: config.premium.price, rule: 'premium' };
+  }
+
+  const rules = config.categories[record.category] || config.categories[type] || { basePrice: 0, perGB: 0 };
+  return {
+    price: roundPrice(rules.basePrice + rules.perGB * parseSizeToGB(record.size)),
+    rule: 'category'
+  };
+}
+
+/**
+ * Storage charge for games totalling `sizeGB`: the first tier that holds them (the last tier
+ * when they exceed every limit)
+ * @param {number} sizeGB
+ * @param {object[]} tiers - Normalized storageTiers
+ * @returns {number}
+ */
+function storagePrice(sizeGB, tiers = []) {
+  if (sizeGB <= 0 || tiers.length === 0) return 0;
+  return (tiers.find(tier => tier.maxGB === null || sizeGB <= tier.maxGB) || tiers[tiers.length - 1]).price;
+}
+
+/**
+ * Quote a resolved selection
+ * @param {{games: object[], media: object[]}} selection - Resolved catalog records
+ * @param {object} [config] - Normalized pricing config (defaults to DEFAULT_PRICING)
+ * @returns {{lines: object[], itemCount: number, totalSizeGB: number, storage: {sizeGB: number, price: number}|null,
+ *   subtotal: number, tier: object|null, discount: number, total: number, currency: string}}
+ */
+function calculateQuote({ games = [], media = [] }, config = DEFAULT_PRICING) {
+  const lines = [
+    ...games.map(record => ({ record, type: 'game' })),
+    ...media.map(record => ({ record, type: record.category }))
+  ].map(({ record, type }) => {
+    const { price, rule } = priceItem(record, type, config);
+    return {
+      key: itemKey(type, record.id),
+      type,
+      id: record.id,
+      category: record.category || type,
+      name: record.name || record.title || '',
+      sizeGB: roundGB(parseSizeToGB(record.size)),
+      price,
+      rule
+    };
+  });
+
+  // One storage charge for the category-priced games, split by size (the last one takes the rounding)
+  const storageLines = lines.filter(line => line.type === 'game' && line.rule === 'category' && line.sizeGB > 0);
+  const storageGB = storageLines.reduce((sum, line) => sum + line.sizeGB, 0);
+  const storageCharge = storagePrice(storageGB, config.storageTiers);
+  if (storageCharge > 0) {
+    let remaining = storageCharge;
+    storageLines.forEach((line, index) => {
+      const share = index === storageLines.length - 1 ? roundPrice(remaining) : roundPrice(storageCharge * line.sizeGB / storageGB);
+      remaining -= share;
+      line.price = roundPrice(line.price + share);
+      line.rule = 'storage';
+    });
+  }
+
+  const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.price, 0));
+  const tier = [...config.quantityTiers].reverse().find(t => lines.length >= t.minItems) || null;
+  const discount = tier ? roundPrice(subtotal * tier.discountPercent / 100) : 0;
+
+  return {
+    lines,
+    itemCount: lines.length,
+    totalSizeGB: roundGB(lines.reduce((sum, line) => sum + line.sizeGB, 0)),
+    storage: storageCharge > 0 ? { sizeGB: roundGB(storageGB), price: storageCharge } : null,
+    subtotal,
+    tier,
+    discount,
+    total: Math.round(subtotal - discount),
+    currency: config.currency
+  };
+}
+
+export {
+  DEFAULT_PRICING,
+  GAME_CATEGORIES,
+  MEDIA_CATEGORIES,
+  itemKey,
+  normalizePricingConfig,
+  calculateQuote
+};
@@ -0,0 +1,165 @@
+/**
+ * Promotions Utility
+ * Validates promo codes (Eid, back-to-school...) and applies them on top of a pricing quote
+ * A promotion can be a percentage or a fixed amount, limited to some categories,
+ * require a minimum size/item count, run inside a validity window and have a usage limit.
+ */
+
+import { GAME_CATEGORIES, MEDIA_CATEGORIES } from './pricing.js';
+
+const PROMOTION_TYPES = ['percent', 'fixed'];
+const CATEGORIES = [...GAME_CATEGORIES, ...MEDIA_CATEGORIES];
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const toOptionalNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? NaN : num;
+};
+
+// A date-only end ("2026-04-12") covers that whole day
+const toEndDate = (value) => {
+  const end = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) end.setUTCHours(23, 59, 59, 999);
+  return end.toISOString();
+};
+
+/**
+ * Normalize a promo code typed by a customer or admin ("eid 2026" → "EID2026")
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizePromoCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9_-]/g, '');
+}
+
+/**
+ * Validate and normalize a promotion sent from the Dashboard
+ * @param {object} input - Raw promotion fields
+ * @returns {{promotion: object, errors: string[]}}
+ */
+function normalizePromotion(input = {}) {
+  const errors = [];
+  const code = normalizePromoCode(input.code);
+  const value = toOptionalNumber(input.value);
+  const minGB = toOptionalNumber(input.minGB);
+  const minItems = toOptionalNumber(input.minItems);
+  const usageLimit = toOptionalNumber(input.usageLimit);
+  const categories = Array.isArray(input.categories) ? input.categories.filter(Boolean) : [];
+
+  if (!code || code.length < 3) errors.push('code must be at least 3 letters/digits');
+  if (!PROMOTION_TYPES.includes(input.type)) errors.push(`type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  if (value === null || isNaN(value) || value <= 0) errors.push('value must be a number > 0');
+  if (input.type === 'percent' && value > 100) errors.push('a percent discount cannot exceed 100');
+  if (isNaN(minGB) || minGB < 0) errors.push('minGB must be a number >= 0');
+  if (isNaN(minItems) || minItems < 0) errors.push('minItems must be a number >= 0');
+  if (isNaN(usageLimit) || (usageLimit !== null && (!Number.isInteger(usageLimit) || usageLimit < 1))) {
+    errors.push('usageLimit must be a whole number >= 1 (or empty for unlimited)');
+  }
+  const unknown = categories.filter(c => !CATEGORIES.includes(c));
+  if (unknown.length > 0) errors.push(`Unknown categories: ${unknown.join(', ')}`);
+  if (input.startsAt && isNaN(Date.parse(input.startsAt))) errors.push('startsAt must be a valid date');
+  if (input.endsAt && isNaN(Date.parse(input.endsAt))) errors.push('endsAt must be a valid date');
+  if (input.startsAt && input.endsAt && Date.parse(input.startsAt) > Date.parse(input.endsAt)) {
+    errors.push('endsAt must be after startsAt');
+  }
+
+  return {
+    promotion: {
+      code,
+      description: String(input.description || '').trim().slice(0, 200),
+      type: input.type,
+      value: value || 0,
+      minGB: minGB || 0,
+      minItems: minItems || 0,
+      categories,
+      startsAt: input.startsAt ? new Date(input.startsAt).toISOString() : null,
+      endsAt: input.endsAt ? toEndDate(input.endsAt) : null,
+      usageLimit,
+      active: input.active !== false
+    },
+    errors
+  };
+}
+
+/**
+ * Check a promotion against a quote and compute its discount
+ * @param {object|null} promotion - Stored promotion (null if the code does not exist)
+ * @param {object} quote - Output of calculateQuote()
+ * @param {Date} [now]
+ * @returns {{valid: boolean, reason: string|null, discount: number}}
+ *   reason: not_found | inactive | not_started | expired | usage_limit | no_eligible_items | min_gb | min_items
+ */
+function evaluatePromotion(promotion, quote, now = new Date()) {
+  const fail = (reason) => ({ valid: false, reason, discount: 0 });
+
+  if (!promotion) return fail('not_found');
+  if (!promotion.active) return fail('inactive');
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) return fail('not_started');
+  if (promotion.endsAt && now > new Date(promotion.endsAt)) return fail('expired');
+  if (promotion.usageLimit !== null && promotion.usageLimit !== undefined && (promotion.usedCount || 0) >= promotion.usageLimit) {
+    return fail('usage_limit');
+  }
+
+  const restricted = promotion.categories?.length > 0;
+  const eligible = quote.lines.filter(line => !restricted || promotion.categories.includes(line.category));
+  if (eligible.length === 0) return fail('no_eligible_items');
+
+  const eligibleGB = eligible.reduce((sum, line) => sum + line.sizeGB, 0);
+  if (promotion.minGB && eligibleGB < promotion.minGB) return fail('min_gb');
+  if (promotion.minItems && eligible.length < promotion.minItems) return fail('min_items');
+
+  // Quantity-tier discount already applies to every line; the promotion works on what is left
+  const tierFactor = quote.subtotal > 0 ? (quote.subtotal - quote.discount) / quote.subtotal : 1;
+  const base = eligible.reduce((sum, line) => sum + line.price, 0) * tierFactor;
+  const discount = promotion.type === 'percent'
+    ? base * promotion.value / 100
+    : Math.min(promotion.value, base);
+
+  return { valid: true, reason: null, discount: roundPrice(discount) };
+}
+
+/**
+ * Apply a validated promotion to a quote
+ * @param {object} quote - Output of calculateQuote()
+ * @param {object} promotion - Stored promotion
+ * @param {{discount: number}} result - Output of evaluatePromotion()
+ * @returns {object} Quote with `promotion` details and the reduced total
+ */
+function applyPromotion(quote, promotion, result) {
+  return {
+    ...quote,
+    promotion: {
+      code: promotion.code,
+      description: promotion.description,
+      type: promotion.type,
+      value: promotion.value,
+      discount: result.discount
+    },
+    total: Math.max(0, Math.round(quote.subtotal - quote.discount - result.discount))
+  };
+}
+
+/**
+ * Filter that matches the promotion only while it has uses left, for claiming one use with
+ * `updateOne(filter, { $inc: { usedCount: 1 } })` so concurrent orders can't pass its limit.
+ * Plain field conditions (no $expr), so both storage drivers can run it.
+ * @param {object} promotion - Stored promotion
+ * @returns {object} Storage filter
+ */
+function promotionClaimFilter(promotion) {
+  if (promotion.usageLimit === null || promotion.usageLimit === undefined) {
+    return { id: promotion.id, $or: [{ usageLimit: null }, { usageLimit: { $exists: false } }] };
+  }
+  return { id: promotion.id, usageLimit: promotion.usageLimit, usedCount: { $lt: promotion.usageLimit } };
+}
+
+export {
+  PROMOTION_TYPES,
+  normalizePromoCode,
+  normalizePromotion,
+  evaluatePromotion,
+  applyPromotion,
+  promotionClaimFilter
+};
@@ -0,0 +1,244 @@
+/**
+ * Sales Analytics Utility
+ * MongoDB aggregation pipelines over the `orders` collection:
+ * revenue/order counts per period, top titles, category split and order averages.
+ * Cancelled orders are never counted. Item revenue is the item's list price scaled by
+ * order total / subtotal, so quantity tiers and promo codes are spread across the items.
+ */
+
+import { GAME_CATEGORIES, MEDIA_CATEGORIES } from './pricing.js';
+import { roundGB } from './sizes.js';
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const ANALYTICS_TIMEZONE = 'Africa/Cairo';
+const ANALYTICS_CATEGORIES = [...GAME_CATEGORIES, ...MEDIA_CATEGORIES];
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Build the $match stage from ?from=&to= (ISO dates; a date-only `to` includes that whole day)
+ * @param {{from?: string, to?: string}} range
+ * @returns {{match: object, errors: string[]}}
+ */
+function buildOrderMatch({ from, to } = {}) {
+  const errors = [];
+  const match = { status: { $ne: 'cancelled' } };
+  const createdAt = {};
+
+  if (from) {
+    const date = new Date(from);
+    if (isNaN(date)) errors.push('from must be a date');
+    else createdAt.$gte = date.toISOString();
+  }
+  if (to) {
+    const date = new Date(to);
+    if (isNaN(date)) errors.push('to must be a date');
+    else {
+      if (isDateOnly(to)) date.setUTCDate(date.getUTCDate() + 1);
+      createdAt[isDateOnly(to) ? '$lt' : '$lte'] = date.toISOString();
+    }
+  }
+
+  // createdAt is stored as an ISO string, so string comparison orders it correctly
+  if (Object.keys(createdAt).length) match.createdAt = createdAt;
+  return { match, errors };
+}
+
+// Share of each item's list price that was actually paid (after tier + promo discounts)
+const paidFactorStage = {
+  $addFields: {
+    paidFactor: {
+      $cond: [
+        { $gt: ['$pricing.subtotal', 0] },
+        { $divide: ['$price', '$pricing.subtotal'] },
+        1
+      ]
+    }
+  }
+};
+
+/**
+ * Revenue, order count and GB per day/week/month plus overall totals
+ * @param {object} match - From buildOrderMatch()
+ * @param {'day'|'week'|'month'} interval
+ * @returns {object[]} Pipeline producing one document: { series: [...], totals: [...] }
+ */
+function salesPipeline(match, interval) {
+  return [
+    { $match: match },
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: { $toDate: '$createdAt' },
+                  unit: interval,
+                  timezone: ANALYTICS_TIMEZONE,
+                  startOfWeek: 'saturday'
+                }
+              },
+              orders: { $sum: 1 },
+              revenue: { $sum: '$price' },
+              sizeGB: { $sum: '$totalSizeGB' },
+              items: { $sum: { $size: '$items' } }
+            }
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              period: { $dateToString: { format: '%Y-%m-%d', date: '$_id', timezone: ANALYTICS_TIMEZONE } },
+              orders: 1,
+              revenue: 1,
+              sizeGB: 1,
+              items: 1
+            }
+          }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              revenue: { $sum: '$price' },
+              sizeGB: { $sum: '$totalSizeGB' },
+              items: { $sum: { $size: '$items' } }
+            }
+          }
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Round the facet output and add per-order averages
+ * @param {{series: object[], totals: object[]}} result
+ * @returns {{series: object[], totals: object}}
+ */
+function formatSalesResult({ series = [], totals = [] } = {}) {
+  const total = totals[0] || { orders: 0, revenue: 0, sizeGB: 0, items: 0 };
+  const orders = total.orders || 0;
+
+  return {
+    series: series.map(row => ({
+      ...row,
+      revenue: roundMoney(row.revenue),
+      sizeGB: roundGB(row.sizeGB)
+    })),
+    totals: {
+      orders,
+      revenue: roundMoney(total.revenue),
+      sizeGB: roundGB(total.sizeGB),
+      items: total.items || 0,
+      averageOrderValue: orders ? roundMoney(total.revenue / orders) : 0,
+      averageOrderGB: orders ? roundGB(total.sizeGB / orders) : 0,
+      averageItems: orders ? Math.round(total.items / orders * 10) / 10 : 0
+    }
+  };
+}
+
+/**
+ * Most ordered titles
+ * @param {object} match - From buildOrderMatch()
+ * @param {{sortBy?: 'orders'|'gb'|'revenue', limit?: number}} options
+ * @returns {object[]}
+ */
+function topTitlesPipeline(match, { sortBy = 'orders', limit = 10 } = {}) {
+  const sortFields = {
+    orders: { orders: -1, sizeGB: -1 },
+    gb: { sizeGB: -1, orders: -1 },
+    revenue: { revenue: -1, orders: -1 }
+  };
+
+  return [
+    { $match: match },
+    // Oldest first so $last picks up the most recent name for renamed titles
+    { $sort: { createdAt: 1 } },
+    paidFactorStage,
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { type: '$items.type', id: '$items.id' },
+        name: { $last: '$items.name' },
+        category: { $last: { $ifNull: ['$items.category', '$items.type'] } },
+        orders: { $sum: 1 },
+        sizeGB: { $sum: { $ifNull: ['$items.sizeGB', 0] } },
+        revenue: { $sum: { $multiply: [{ $ifNull: ['$items.price', 0] }, '$paidFactor'] } }
+      }
+    },
+    { $sort: sortFields[sortBy] || sortFields.orders },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        type: '$_id.type',
+        id: '$_id.id',
+        name: 1,
+        category: 1,
+        orders: 1,
+        sizeGB: { $round: ['$sizeGB', 2] },
+        revenue: { $round: ['$revenue', 2] }
+      }
+    }
+  ];
+}
+
+/**
+ * Items, orders, GB and revenue per catalog category
+ * @param {object} match - From buildOrderMatch()
+ * @returns {object[]}
+ */
+function categoriesPipeline(match) {
+  return [
+    { $match: match },
+    paidFactorStage,
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { $ifNull: ['$items.category', '$items.type'] },
+        items: { $sum: 1 },
+        orderIds: { $addToSet: '$id' },
+        sizeGB: { $sum: { $ifNull: ['$items.sizeGB', 0] } },
+        revenue: { $sum: { $multiply: [{ $ifNull: ['$items.price', 0] }, '$paidFactor'] } }
+      }
+    }
+  ];
+}
+
+/**
+ * Fill in every known category (zeros for unsold ones) and add percentage of revenue
+ * @param {object[]} rows - Output of categoriesPipeline()
+ * @returns {object[]}
+ */
+function formatCategoriesResult(rows) {
+  const byCategory = new Map(rows.map(row => [row._id, row]));
+  const totalRevenue = rows.reduce((sum, row) => sum + row.revenue, 0);
+  const categories = [...ANALYTICS_CATEGORIES, ...rows.map(row => row._id).filter(id => !ANALYTICS_CATEGORIES.includes(id))];
+
+  return categories.map(category => {
+    const row = byCategory.get(category);
+    return {
+      category,
+      items: row?.items || 0,
+      orders: row?.orderIds.length || 0,
+      sizeGB: roundGB(row?.sizeGB),
+      revenue: roundMoney(row?.revenue),
+      revenuePercent: totalRevenue ? Math.round((row?.revenue || 0) / totalRevenue * 1000) / 10 : 0
+    };
+  });
+}
+
+export {
+  ANALYTICS_INTERVALS,
+  buildOrderMatch,
+  salesPipeline,
+  formatSalesResult,
+  topTitlesPipeline,
+  categoriesPipeline,
+  formatCategoriesResult
+};
@@ -0,0 +1,193 @@
+/**
+ * Catalog Search
+ * Typo-tolerant, relevance-ranked search across games, movies, TV shows, anime and bundles.
+ * Titles are compared after normalizeTitle(), so repack tags ("[DODI Repack]"),
+ * punctuation and apostrophe variants don't affect matching.
+ * Arabic queries match admin-maintained `aliases` directly, and English titles through
+ * a shared phonetic key ("ريد ديد" ~ "Red Dead").
+ */
+
+import { normalizeTitle } from './titles.js';
+import { hasArabic, phoneticKey } from './arabic.js';
+import { GAME_CATEGORIES, MEDIA_CATEGORIES } from './pricing.js';
+
+// Public ?types= values; "games" covers every game category
+const SEARCH_TYPES = ['games', ...MEDIA_CATEGORIES, 'bundles'];
+
+const MIN_TOKEN_SCORE = 0.6;
+
+// Phonetic matches are looser than spelled ones, so they rank below direct/alias matches
+const PHONETIC_WEIGHT = 0.85;
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions), capped at `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Stop early once every path exceeds this distance
+ * @returns {number} Distance, or max + 1 if larger
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed per word: none for numbers ("fifa 22" must not match "fifa 23") or short words ("war" vs "car")
+const allowedTypos = (token) => {
+  if (/^\d+$/.test(token) || token.length < 4) return 0;
+  return token.length < 7 ? 1 : 2;
+};
+
+/**
+ * How well one query word matches the best word of a title (0..1)
+ * @param {string} queryToken
+ * @param {string[]} titleTokens
+ * @param {boolean} isLast - The last word may still be being typed, so prefixes count fully
+ * @returns {number}
+ */
+function scoreToken(queryToken, titleTokens, isLast) {
+  let best = 0;
+  const maxTypos = allowedTypos(queryToken);
+
+  for (const token of titleTokens) {
+    if (token === queryToken) return 1;
+    if (token.startsWith(queryToken)) {
+      best = Math.max(best, isLast ? 0.95 : 0.8);
+      continue;
+    }
+    if (maxTypos === 0) continue;
+    // Compare against the same-length prefix too, so "witchr" finds "witcher" and "assasin" finds "assassins"
+    const candidates = [token, token.slice(0, queryToken.length)];
+    for (const candidate of candidates) {
+      const distance = editDistance(queryToken, candidate, maxTypos);
+      if (distance <= maxTypos) best = Math.max(best, 0.85 - distance * 0.1);
+    }
+  }
+  return best;
+}
+
+/**
+ * Relevance of a normalized title for a normalized query (0 = no match, 100 = exact)
+ * @param {string} query - normalizeTitle() output
+ * @param {string} title - normalizeTitle() output
+ * @returns {number}
+ */
+function scoreTitle(query, title) {
+  if (!query || !title) return 0;
+  if (title === query) return 100;
+  if (title.startsWith(query)) return 90;
+  if (title.includes(` ${query}`)) return 85;
+
+  // "reddead" / "red dead", "spiderman" / "spider man"
+  const compactQuery = query.replace(/ /g, '');
+  const compactTitle = title.replace(/ /g, '');
+  if (compactQuery.length >= 4 && compactTitle.includes(compactQuery)) return 80;
+
+  const queryTokens = query.split(' ');
+  const titleTokens = title.split(' ');
+  const tokenScores = queryTokens.map((token, index) => scoreToken(token, titleTokens, index === queryTokens.length - 1));
+  if (tokenScores.some(score => score < MIN_TOKEN_SCORE)) return 0;
+
+  const average = tokenScores.reduce((sum, score) => sum + score, 0) / tokenScores.length;
+  // Titles with many extra words rank a little lower than tight matches
+  const coverage = Math.min(queryTokens.length / titleTokens.length, 1);
+  return Math.round(average * 70 + coverage * 5);
+}
+
+/**
+ * Flatten catalog data into searchable entries
+ * @param {{games?: object[], movies?: object[], bundles?: object[]}} catalog - Raw collection documents
+ * @returns {object[]}
+ */
+function buildSearchIndex({ games = [], movies = [], bundles = [] }) {
+  const entry = (record, type, name) => {
+    const normalized = normalizeTitle(name);
+    return {
+      type,
+      id: record.id,
+      category: record.category || type,
+      name,
+      image: record.image || '',
+      size: record.size || '',
+      year: record.year || '',
+      normalized,
+      aliases: (Array.isArray(record.aliases) ? record.aliases : []).map(normalizeTitle).filter(Boolean),
+      phonetic: phoneticKey(normalized)
+    };
+  };
+
+  return [
+    ...games.filter(g => GAME_CATEGORIES.includes(g.category)).map(g => entry(g, 'game', g.name || '')),
+    ...movies.filter(m => MEDIA_CATEGORIES.includes(m.category)).map(m => entry(m, m.category, m.name || m.title || '')),
+    ...bundles.map(b => entry(b, 'bundle', b.title || b.name || ''))
+  ].filter(item => item.normalized);
+}
+
+/**
+ * Best score of an index entry over its name, aliases and (for Arabic queries) phonetic key
+ * @param {string} query - normalizeTitle() output
+ * @param {string|null} queryPhonetic - phoneticKey() of the query, only set for Arabic input
+ * @param {object} item - Index entry
+ * @returns {number}
+ */
+function scoreEntry(query, queryPhonetic, item) {
+  let best = scoreTitle(query, item.normalized);
+  for (const alias of item.aliases) best = Math.max(best, scoreTitle(query, alias));
+  if (queryPhonetic && best < 100) {
+    best = Math.max(best, Math.round(scoreTitle(queryPhonetic, item.phonetic) * PHONETIC_WEIGHT));
+  }
+  return best;
+}
+
+/**
+ * Search the index
+ * @param {object[]} index - From buildSearchIndex()
+ * @param {string} query - Raw user input
+ * @param {{types?: string[], limit?: number}} [options] - types from SEARCH_TYPES (default: all)
+ * @returns {object[]} Matches sorted by score, then shorter names first
+ */
+function searchCatalog(index, query, { types = SEARCH_TYPES, limit = 20 } = {}) {
+  const normalizedQuery = normalizeTitle(query);
+  if (!normalizedQuery) return [];
+  const queryPhonetic = hasArabic(normalizedQuery) ? phoneticKey(normalizedQuery) : null;
+
+  const wanted = new Set(types.flatMap(type => {
+    if (type === 'games') return ['game'];
+    if (type === 'bundles') return ['bundle'];
+    return [type];
+  }));
+
+  return index
+    .filter(item => wanted.has(item.type))
+    .map(item => ({ item, score: scoreEntry(normalizedQuery, queryPhonetic, item) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.item.normalized.length - b.item.normalized.length)
+    .slice(0, limit)
+    .map(({ item: { normalized, aliases, phonetic, ...item }, score }) => ({ ...item, score }));
+}
+
+export {
+  SEARCH_TYPES,
+  editDistance,
+  scoreTitle,
+  buildSearchIndex,
+  searchCatalog
+};
@@ -0,0 +1,51 @@
+/**
+ * Size Parsing Utility
+ * Converts catalog size strings ("50.6GB", "700MB", "1.2 TB") to numbers in GB
+ */
+
+/**
+ * Parse a size string to GB
+ * Values without a unit are treated as GB, matching how sizes are typed in the Dashboard
+ * @param {string|number} sizeStr - Size string from a game/movie record
+ * @returns {number} Size in GB (0 if missing or unparseable)
+ */
+function parseSizeToGB(sizeStr) {
+  if (sizeStr === null || sizeStr === undefined || sizeStr === '') return 0;
+  if (typeof sizeStr === 'number') return isNaN(sizeStr) ? 0 : sizeStr;
+
+  const str = String(sizeStr).toLowerCase().replace(',', '.').trim();
+  const match = str.match(/([\d.]+)\s*(tb|gb|mb|kb)?/);
+  if (!match) return 0;
+
+  const value = parseFloat(match[1]);
+  if (isNaN(value)) return 0;
+
+  switch (match[2]) {
+    case 'tb': return value * 1024;
+    case 'mb': return value / 1024;
+    case 'kb': return value / (1024 * 1024);
+    default: return value;
+  }
+}
+
+/**
+ * Round a GB value to 2 decimals for storage and display
+ * @param {number} gb
+ * @returns {number}
+ */
+function roundGB(gb) {
+  return Math.round((Number(gb) || 0) * 100) / 100;
+}
+
+/**
+ * Format a GB value the way sizes are typed in the catalog ("359GB", "700MB")
+ * @param {number} gb
+ * @returns {string}
+ */
+function formatSizeGB(gb) {
+  const value = Number(gb) || 0;
+  if (value > 0 && value < 1) return `${Math.round(value * 1024)}MB`;
+  return `${Math.round(value * 10) / 10}GB`;
+}
+
+export { parseSizeToGB, roundGB, formatSizeGB };
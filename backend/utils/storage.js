@@ -0,0 +1,49 @@
+/**
+ * Storage
+ * Where the catalog lives, chosen by STORAGE_DRIVER: "mongodb" (default, needs MONGODB_URI)
+ * or "json" (files in DATA_DIR, see jsonFileStorage.js). The read*Data/write*Data helpers and
+ * the catalog routes only talk to the storage, so both drivers serve the same API.
+ *
+ * storage.collection(name) returns a handle with:
+ *   find(filter?, { projection?, sort?, skip?, limit? }) → Promise<object[]>
+ *   findOne(filter, { projection? }) → Promise<object|null>
+ *   countDocuments(filter?) → Promise<number>
+ *   insertOne(doc)
+ *   updateOne(filter, update, { upsert? }) → Promise<{ matchedCount }>
+ *   findOneAndUpdate(filter, update, { upsert?, projection? }) → Promise<object|null> (document after the update)
+ *   deleteOne(filter) → Promise<{ deletedCount }>
+ *   sync(records, { key?, filter?, preserveFields?, insertDefaults? }) → Promise<{ inserted, updated, removed, unchanged }>
+ * Filters and updates use the MongoDB syntax supported by documentQuery.js.
+ */
+
+import { createMongoStorage } from './mongoStorage.js';
+import { createJsonFileStorage } from './jsonFileStorage.js';
+
+const STORAGE_DRIVERS = ['mongodb', 'json'];
+
+/**
+ * Validate STORAGE_DRIVER
+ * @param {string|undefined} value
+ * @returns {'mongodb'|'json'}
+ */
+function resolveStorageDriver(value) {
+  const driver = String(value || 'mongodb').trim().toLowerCase();
+  if (STORAGE_DRIVERS.includes(driver)) return driver;
+  console.warn(`⚠️ Unknown STORAGE_DRIVER "${value}" - using mongodb (options: ${STORAGE_DRIVERS.join(', ')})`);
+  return 'mongodb';
+}
+
+/**
+ * Create the configured storage
+ * @param {'mongodb'|'json'} driver
+ * @param {{client?: import('mongodb').MongoClient, getDb?: () => import('mongodb').Db, dataDir?: string}} options
+ *   client/getDb for mongodb, dataDir for json
+ * @returns {{driver: string, collection: (name: string) => object}}
+ */
+function createStorage(driver, { client, getDb, dataDir }) {
+  return driver === 'json'
+    ? createJsonFileStorage({ dir: dataDir })
+    : createMongoStorage({ client, getDb });
+}
+
+export { STORAGE_DRIVERS, resolveStorageDriver, createStorage };
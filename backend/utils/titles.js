@@ -0,0 +1,40 @@
+/**
+ * Title Normalization Utility
+ * Reduces game/movie names and folder names to a comparable form:
+ *   "Far Cry® 6 [DODI Repack]"  -> "far cry 6"
+ *   "Far.Cry.6-FitGirl"         -> "far cry 6"
+ *   "Assassin`s Creed"          -> "assassins creed"
+ *   "أنمي ون بيسة"              -> "انمي ون بيسه"   (Arabic variants folded, see normalizeArabic)
+ */
+
+import { normalizeArabic } from './arabic.js';
+
+// Release-group / packaging words that show up in folder names and repack titles
+const RELEASE_TAGS = [
+  'dodi', 'fitgirl', 'elamigos', 'kaoskrew', 'codex', 'empress', 'tenoke', 'rune', 'flt', 'skidrow', 'gog',
+  'repack', 'portable', 'multi\\d*', 'x64', 'x86'
+];
+
+const RELEASE_TAGS_PATTERN = new RegExp(`\\b(${RELEASE_TAGS.join('|')})\\b`, 'g');
+
+/**
+ * Normalize a title for matching
+ * @param {string} title - Catalog name or folder name
+ * @returns {string} Lowercase words separated by single spaces ('' if nothing is left)
+ */
+function normalizeTitle(title) {
+  return normalizeArabic(title)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/\[[^\]]*\]|\([^)]*\)|\{[^}]*\}/g, ' ')
+    // Apostrophes are dropped (not spaced) so "Assassin's", "Assassin`s" and "Assassins" agree
+    .replace(/['`´‘’]/g, '')
+    .replace(/[._]+/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(RELEASE_TAGS_PATTERN, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export { normalizeTitle };
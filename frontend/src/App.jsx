@@ -12,6 +12,8 @@ import GamesPage from './pages/GamesPage/GamesPage'
 import MoviesPage from './pages/MoviesPage/MoviesPage'
 import CanIRunIt from './pages/CanIRunIt/CanIRunIt'
 import Explore from './pages/Explore/Explore'
+import OrderStatus from './pages/OrderStatus/OrderStatus'
+import SharedCart from './pages/SharedCart/SharedCart'
 import { DarkModeProvider } from './context/DarkModeContext'
 import { SelectionProvider } from './context/SelectionContext'
 import { MoviesProvider } from './hooks/useMovies'
@@ -94,6 +96,30 @@ function App() {
                 </div>
               }
             />
+            <Route
+              path="/order/:code"
+              element={
+                <div className="min-h-screen flex flex-col">
+                  <Navbar />
+                  <main className="flex-grow">
+                    <OrderStatus />
+                  </main>
+                  <Footer />
+                </div>
+              }
+            />
+            <Route
+              path="/cart/:code"
+              element={
+                <div className="min-h-screen flex flex-col">
+                  <Navbar />
+                  <main className="flex-grow">
+                    <SharedCart />
+                  </main>
+                  <Footer />
+                </div>
+              }
+            />
             <Route
               path="/"
               element={
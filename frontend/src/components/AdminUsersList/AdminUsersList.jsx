@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+
+const roleLabels = {
+    owner: 'مالك',
+    editor: 'محرر',
+    viewer: 'مشاهد'
+}
+
+function AdminUsersList({ currentUser }) {
+    const [users, setUsers] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [form, setForm] = useState({ username: '', password: '', role: 'editor' })
+    const { success, error, ToastContainer } = useToast()
+
+    const fetchUsers = async () => {
+        try {
+            const data = await api.getAdminUsers()
+            setUsers(data)
+        } catch (err) {
+            console.error('Failed to load admin users:', err)
+            error('فشل تحميل قائمة المستخدمين')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchUsers()
+    }, [])
+
+    const handleAdd = async (e) => {
+        e.preventDefault()
+        try {
+            await api.addAdminUser(form)
+            setForm({ username: '', password: '', role: 'editor' })
+            await fetchUsers()
+            success('تم إضافة المستخدم بنجاح! ✅')
+        } catch (err) {
+            console.error('Error adding admin user:', err)
+            error(`فشل إضافة المستخدم: ${err.message}`)
+        }
+    }
+
+    const handleRoleChange = async (user, role) => {
+        try {
+            await api.updateAdminUser(user.id, { role })
+            await fetchUsers()
+            success('تم تغيير الصلاحية ✅')
+        } catch (err) {
+            console.error('Error updating admin user:', err)
+            error(`فشل تغيير الصلاحية: ${err.message}`)
+        }
+    }
+
+    const handleResetPassword = async (user) => {
+        const password = window.prompt(`كلمة المرور الجديدة لـ ${user.username}:`)
+        if (!password) return
+        try {
+            await api.updateAdminUser(user.id, { password })
+            success('تم تغيير كلمة المرور ✅')
+        } catch (err) {
+            console.error('Error resetting password:', err)
+            error(`فشل تغيير كلمة المرور: ${err.message}`)
+        }
+    }
+
+    const handleDelete = async (user) => {
+        if (!window.confirm(`حذف المستخدم ${user.username}؟`)) return
+        try {
+            await api.deleteAdminUser(user.id)
+            await fetchUsers()
+            success('تم حذف المستخدم ✅')
+        } catch (err) {
+            console.error('Error deleting admin user:', err)
+            error(`فشل حذف المستخدم: ${err.message}`)
+        }
+    }
+
+    if (loading) {
+        return <div className="text-white text-center py-8">جاري التحميل...</div>
+    }
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="mb-8">
+                <h2 className="text-3xl font-bold text-white mb-2">مستخدمي لوحة التحكم 👥</h2>
+                <p className="text-white/60">المالك يدير المستخدمين والمشتركين، المحرر يدير المحتوى، والمشاهد يشوف بس</p>
+            </div>
+
+            <form onSubmit={handleAdd} className="flex flex-wrap gap-3 mb-8">
+                <input
+                    type="text"
+                    value={form.username}
+                    onChange={(e) => setForm({ ...form, username: e.target.value })}
+                    placeholder="اسم المستخدم"
+                    className="flex-1 min-w-[150px] px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-white/40"
+                    required
+                />
+                <input
+                    type="password"
+                    value={form.password}
+                    onChange={(e) => setForm({ ...form, password: e.target.value })}
+                    placeholder="كلمة المرور"
+                    className="flex-1 min-w-[150px] px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-white/40"
+                    required
+                />
+                <select
+                    value={form.role}
+                    onChange={(e) => setForm({ ...form, role: e.target.value })}
+                    className="px-4 py-3 rounded-xl bg-gray-800 border border-white/20 text-white"
+                >
+                    {Object.entries(roleLabels).map(([role, label]) => (
+                        <option key={role} value={role}>{label}</option>
+                    ))}
+                </select>
+                <button
+                    type="submit"
+                    className="px-6 py-3 bg-green-600 hover:bg-green-500 text-white rounded-xl font-bold transition-colors"
+                >
+                    + إضافة
+                </button>
+            </form>
+
+            <div className="grid gap-4">
+                {users.map((user, index) => (
+                    <motion.div
+                        key={user.id}
+                        initial={{ opacity: 0, x: -20 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        transition={{ delay: index * 0.05 }}
+                        className="bg-white/5 hover:bg-white/10 border border-white/10 rounded-xl p-4 flex flex-wrap items-center justify-between gap-4 transition-all"
+                    >
+                        <div className="flex items-center gap-4">
+                            <div className="w-10 h-10 rounded-full bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center text-white font-bold text-lg">
+                                {user.username.charAt(0).toUpperCase()}
+                            </div>
+                            <span className="text-white font-medium text-lg">{user.username}</span>
+                            {user.id === currentUser?.id && (
+                                <span className="text-xs px-2 py-1 bg-blue-500/20 text-blue-200 rounded-lg">أنت</span>
+                            )}
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={user.role}
+                                onChange={(e) => handleRoleChange(user, e.target.value)}
+                                disabled={user.id === currentUser?.id}
+                                className="px-3 py-2 rounded-lg bg-gray-800 border border-white/20 text-white text-sm disabled:opacity-50"
+                            >
+                                {Object.entries(roleLabels).map(([role, label]) => (
+                                    <option key={role} value={role}>{label}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => handleResetPassword(user)}
+                                className="px-3 py-2 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white rounded-lg transition-colors text-sm font-bold"
+                            >
+                                كلمة المرور
+                            </button>
+                            {user.id !== currentUser?.id && (
+                                <button
+                                    onClick={() => handleDelete(user)}
+                                    className="px-3 py-2 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white rounded-lg transition-colors text-sm font-bold"
+                                >
+                                    حذف
+                                </button>
+                            )}
+                        </div>
+                    </motion.div>
+                ))}
+            </div>
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default AdminUsersList
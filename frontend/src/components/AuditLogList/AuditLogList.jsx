@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+
+const entityLabels = {
+    games: 'الألعاب',
+    movies: 'الأفلام والمسلسلات',
+    bundles: 'الباقات',
+    news: 'الأخبار',
+    upcoming_games: 'الألعاب القادمة',
+    subscribers: 'المشتركين',
+    orders: 'الطلبات',
+    pricing: 'الأسعار',
+    promotions: 'العروض',
+    backups: 'النسخ الاحتياطية',
+    jobs: 'المهام المجدولة',
+    admin_users: 'حسابات لوحة التحكم'
+}
+
+const actionStyles = {
+    create: { label: 'إضافة', className: 'bg-green-500/20 text-green-200 border-green-400/30' },
+    update: { label: 'تعديل', className: 'bg-blue-500/20 text-blue-200 border-blue-400/30' },
+    delete: { label: 'حذف', className: 'bg-red-500/20 text-red-200 border-red-400/30' }
+}
+
+const PAGE_SIZE = 50
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '—'
+    if (typeof value === 'object') return JSON.stringify(value)
+    return String(value)
+}
+
+function AuditLogList() {
+    const [entries, setEntries] = useState([])
+    const [total, setTotal] = useState(0)
+    const [page, setPage] = useState(1)
+    const [loading, setLoading] = useState(true)
+    const [expandedId, setExpandedId] = useState(null)
+    const [filters, setFilters] = useState({ entity: '', id: '', actor: '', from: '', to: '' })
+    const { error, ToastContainer } = useToast()
+
+    const fetchEntries = async (targetPage = page) => {
+        setLoading(true)
+        try {
+            const data = await api.getAuditLog({ ...filters, page: targetPage, limit: PAGE_SIZE })
+            setEntries(data?.entries || [])
+            setTotal(data?.total || 0)
+            setPage(targetPage)
+        } catch (err) {
+            console.error('Failed to load audit log:', err)
+            error('فشل تحميل سجل النشاط')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchEntries(1)
+    }, [])
+
+    const handleFilter = (e) => {
+        e.preventDefault()
+        fetchEntries(1)
+    }
+
+    const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE))
+    const inputClass = 'px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-white/40'
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="mb-8">
+                <h2 className="text-3xl font-bold text-white mb-2">سجل النشاط 🕓</h2>
+                <p className="text-white/60">مين عدّل إيه وإمتى — عدد العمليات: {total}</p>
+            </div>
+
+            <form onSubmit={handleFilter} className="flex flex-wrap gap-3 mb-8">
+                <select
+                    value={filters.entity}
+                    onChange={(e) => setFilters({ ...filters, entity: e.target.value })}
+                    className="px-4 py-3 rounded-xl bg-gray-800 border border-white/20 text-white"
+                >
+                    <option value="">كل الأقسام</option>
+                    {Object.entries(entityLabels).map(([entity, label]) => (
+                        <option key={entity} value={entity}>{label}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    value={filters.id}
+                    onChange={(e) => setFilters({ ...filters, id: e.target.value })}
+                    placeholder="ID العنصر"
+                    className={`${inputClass} w-36`}
+                />
+                <input
+                    type="text"
+                    value={filters.actor}
+                    onChange={(e) => setFilters({ ...filters, actor: e.target.value })}
+                    placeholder="المستخدم"
+                    className={`${inputClass} w-36`}
+                />
+                <input
+                    type="date"
+                    value={filters.from}
+                    onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+                    className={inputClass}
+                />
+                <input
+                    type="date"
+                    value={filters.to}
+                    onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+                    className={inputClass}
+                />
+                <button
+                    type="submit"
+                    className="px-6 py-3 bg-blue-600 hover:bg-blue-500 text-white rounded-xl font-bold transition-colors"
+                >
+                    بحث
+                </button>
+            </form>
+
+            {loading ? (
+                <div className="text-white text-center py-8">جاري التحميل...</div>
+            ) : entries.length === 0 ? (
+                <div className="text-center py-12 bg-white/5 rounded-2xl border border-white/10">
+                    <p className="text-white/40 text-lg">لا يوجد نشاط مطابق</p>
+                </div>
+            ) : (
+                <div className="grid gap-3">
+                    {entries.map((entry) => {
+                        const action = actionStyles[entry.action] || { label: entry.action, className: 'bg-white/10 text-white border-white/20' }
+                        const name = entry.after?.name || entry.after?.title || entry.after?.username || entry.before?.name || entry.before?.title || entry.before?.username || entry.entityId
+                        const isExpanded = expandedId === entry.id
+                        return (
+                            <div key={entry.id} className="bg-white/5 border border-white/10 rounded-xl p-4">
+                                <button
+                                    onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                                    className="w-full flex flex-wrap items-center justify-between gap-3 text-right"
+                                >
+                                    <div className="flex flex-wrap items-center gap-3">
+                                        <span className={`text-xs px-2 py-1 rounded-lg border font-bold ${action.className}`}>{action.label}</span>
+                                        <span className="text-white/60 text-sm">{entityLabels[entry.entity] || entry.entity}</span>
+                                        <span className="text-white font-medium">{name}</span>
+                                    </div>
+                                    <div className="flex items-center gap-3 text-sm text-white/60">
+                                        <span>{entry.actor}</span>
+                                        <span>{new Date(entry.timestamp).toLocaleString('ar-EG')}</span>
+                                    </div>
+                                </button>
+
+                                {isExpanded && (
+                                    <div className="mt-4 space-y-2 text-sm">
+                                        <p className="text-white/40 font-mono" dir="ltr">{entry.method} {entry.route}</p>
+                                        {entry.changes?.length > 0 ? (
+                                            <table className="w-full text-right">
+                                                <thead>
+                                                    <tr className="text-white/50">
+                                                        <th className="py-1 pl-4">الحقل</th>
+                                                        <th className="py-1 pl-4">قبل</th>
+                                                        <th className="py-1">بعد</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {entry.changes.map((change) => (
+                                                        <tr key={change.field} className="border-t border-white/10 align-top">
+                                                            <td className="py-2 pl-4 text-white/80 font-mono" dir="ltr">{change.field}</td>
+                                                            <td className="py-2 pl-4 text-red-200 break-all" dir="ltr">{formatValue(change.before)}</td>
+                                                            <td className="py-2 text-green-200 break-all" dir="ltr">{formatValue(change.after)}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        ) : (
+                                            <p className="text-white/40">لا توجد تغييرات في الحقول</p>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+
+            {totalPages > 1 && (
+                <div className="flex items-center justify-center gap-4 mt-6">
+                    <button
+                        onClick={() => fetchEntries(page - 1)}
+                        disabled={page <= 1}
+                        className="px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg disabled:opacity-30"
+                    >
+                        السابق
+                    </button>
+                    <span className="text-white/60">{page} / {totalPages}</span>
+                    <button
+                        onClick={() => fetchEntries(page + 1)}
+                        disabled={page >= totalPages}
+                        className="px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg disabled:opacity-30"
+                    >
+                        التالي
+                    </button>
+                </div>
+            )}
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default AuditLogList
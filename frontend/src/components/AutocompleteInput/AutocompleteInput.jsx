@@ -7,7 +7,9 @@ function AutocompleteInput({
   options = [], 
   placeholder = '', 
   label = '',
-  className = ''
+  className = '',
+  inputClassName = '',
+  fetchOptions = null // async (query) => string[]; when set, suggestions come from it instead of `options`
 }) {
   const [isOpen, setIsOpen] = useState(false)
   const [filteredOptions, setFilteredOptions] = useState(options)
@@ -16,6 +18,24 @@ function AutocompleteInput({
   const dropdownRef = useRef(null)
 
   useEffect(() => {
+    if (value && fetchOptions) {
+      let cancelled = false
+      const timer = setTimeout(async () => {
+        try {
+          const remoteOptions = await fetchOptions(value)
+          if (cancelled) return
+          setFilteredOptions(remoteOptions.slice(0, 10))
+          setIsOpen(remoteOptions.length > 0 && document.activeElement === inputRef.current)
+        } catch (err) {
+          console.error('Failed to load suggestions:', err)
+        }
+      }, 250)
+      return () => {
+        cancelled = true
+        clearTimeout(timer)
+      }
+    }
+
     if (value) {
       const filtered = options.filter(option =>
         option.toLowerCase().includes(value.toLowerCase())
@@ -26,7 +46,7 @@ function AutocompleteInput({
       setFilteredOptions([])
       setIsOpen(false)
     }
-  }, [value, options])
+  }, [value, options, fetchOptions])
 
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -105,7 +125,7 @@ function AutocompleteInput({
           }
         }}
         placeholder={placeholder}
-        className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-purple-500 transition-all"
+        className={inputClassName || 'w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-purple-500 transition-all'}
       />
 
       <AnimatePresence>
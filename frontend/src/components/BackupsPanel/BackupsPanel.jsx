@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+import ConfirmationDialog from '../ConfirmationDialog/ConfirmationDialog'
+
+const triggerLabels = {
+    scheduled: 'تلقائية',
+    manual: 'يدوية',
+    'pre-restore': 'قبل الاسترجاع'
+}
+
+const formatSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`
+}
+
+const totalRecords = (snapshot) => Object.values(snapshot.collections || {}).reduce((sum, count) => sum + count, 0)
+
+function BackupsPanel() {
+    const [state, setState] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [creating, setCreating] = useState(false)
+    const [selected, setSelected] = useState(null)
+    const [collections, setCollections] = useState([])
+    const [preview, setPreview] = useState(null)
+    const [previewing, setPreviewing] = useState(false)
+    const [restoring, setRestoring] = useState(false)
+    const [confirmOpen, setConfirmOpen] = useState(false)
+    const { success, error, ToastContainer } = useToast()
+
+    const fetchBackups = async () => {
+        try {
+            setState(await api.getBackups())
+        } catch (err) {
+            console.error('Failed to load backups:', err)
+            error(`فشل تحميل النسخ الاحتياطية: ${err.message}`)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchBackups()
+    }, [])
+
+    // Preview again whenever the snapshot or the chosen collections change
+    useEffect(() => {
+        if (!selected || collections.length === 0) {
+            setPreview(null)
+            return
+        }
+        let cancelled = false
+        setPreviewing(true)
+        api.previewBackupRestore(selected.id, collections)
+            .then(result => { if (!cancelled) setPreview(result) })
+            .catch(err => {
+                console.error('Failed to preview restore:', err)
+                if (!cancelled) error(`فشل معاينة الاسترجاع: ${err.message}`)
+            })
+            .finally(() => { if (!cancelled) setPreviewing(false) })
+        return () => { cancelled = true }
+    }, [selected, collections])
+
+    const handleCreate = async () => {
+        setCreating(true)
+        try {
+            const snapshot = await api.createBackup()
+            success(`تم حفظ نسخة فيها ${totalRecords(snapshot)} سجل ✅`)
+            await fetchBackups()
+        } catch (err) {
+            console.error('Error creating backup:', err)
+            error(`فشل عمل النسخة: ${err.message}`)
+        } finally {
+            setCreating(false)
+        }
+    }
+
+    const handleDownload = async (snapshot) => {
+        try {
+            const blob = await api.downloadBackup(snapshot.id)
+            const url = URL.createObjectURL(blob)
+            const link = document.createElement('a')
+            link.href = url
+            link.download = snapshot.file
+            link.click()
+            setTimeout(() => URL.revokeObjectURL(url), 60000)
+        } catch (err) {
+            console.error('Error downloading backup:', err)
+            error(`فشل تحميل النسخة: ${err.message}`)
+        }
+    }
+
+    const selectSnapshot = (snapshot) => {
+        setSelected(snapshot)
+        setCollections(Object.keys(snapshot.collections || {}))
+    }
+
+    const toggleCollection = (name) => {
+        setCollections(prev => (prev.includes(name) ? prev.filter(c => c !== name) : [...prev, name]))
+    }
+
+    const handleRestore = async () => {
+        setConfirmOpen(false)
+        setRestoring(true)
+        try {
+            const result = await api.restoreBackup(selected.id, collections)
+            success(`تم الاسترجاع ✅ (النسخة اللي قبله محفوظة: ${result.safetySnapshot})`)
+            setSelected(null)
+            await fetchBackups()
+        } catch (err) {
+            console.error('Error restoring backup:', err)
+            error(`فشل الاسترجاع: ${err.message}`)
+        } finally {
+            setRestoring(false)
+        }
+    }
+
+    if (loading) {
+        return <div className="text-white text-center py-8">جاري التحميل...</div>
+    }
+
+    const settings = state?.settings
+    const snapshots = state?.snapshots || []
+    const totals = preview?.totals
+    const hasChanges = totals && totals.inserted + totals.updated + totals.removed > 0
+    const rowClass = 'bg-white/5 border border-white/10 rounded-xl p-3 flex flex-wrap items-center justify-between gap-3'
+    const buttonClass = 'px-3 py-2 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white rounded-lg transition-colors text-sm font-bold disabled:opacity-50'
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="mb-8 flex flex-wrap items-start justify-between gap-4">
+                <div>
+                    <h2 className="text-3xl font-bold text-white mb-2">النسخ الاحتياطية 🗄️</h2>
+                    <p className="text-white/60">نسخة من كل الداتابيز، تتحمل أو تترجع كلها أو collection واحدة</p>
+                    {settings && (
+                        <p className="text-white/40 text-sm mt-2">
+                            {settings.schedule && !settings.paused
+                                ? <>نسخة تلقائية (<span dir="ltr">{settings.schedule}</span>){settings.nextRunAt && ` · الجاية ${new Date(settings.nextRunAt).toLocaleString('ar-EG')}`}</>
+                                : 'النسخ التلقائي متوقف (من تاب المهام المجدولة)'}
+                            {settings.keep > 0 && ` · بيتحفظ آخر ${settings.keep} نسخة`}
+                            {settings.maxAgeDays > 0 && ` · لحد ${settings.maxAgeDays} يوم`}
+                            {settings.gzip && ' · gzip'}
+                        </p>
+                    )}
+                </div>
+                <button
+                    onClick={handleCreate}
+                    disabled={creating}
+                    className="px-6 py-3 bg-green-600 hover:bg-green-500 text-white rounded-xl font-bold transition-colors disabled:opacity-50"
+                >
+                    {creating ? 'جاري الحفظ...' : '📸 نسخة دلوقتي'}
+                </button>
+            </div>
+
+            {snapshots.length === 0 ? (
+                <div className="text-center py-12 bg-white/5 rounded-2xl border border-white/10">
+                    <p className="text-white/40 text-lg">مفيش نسخ احتياطية لسه</p>
+                </div>
+            ) : (
+                <div className="grid gap-2 mb-6">
+                    {snapshots.map(snapshot => (
+                        <div key={snapshot.id} className={`${rowClass} ${selected?.id === snapshot.id ? 'border-blue-400/60' : ''}`}>
+                            <div>
+                                <span className="text-white font-bold">{new Date(snapshot.createdAt).toLocaleString('ar-EG')}</span>
+                                <span className="text-white/60 text-sm mr-2">
+                                    {triggerLabels[snapshot.trigger] || snapshot.trigger}
+                                    {snapshot.createdBy && ` · ${snapshot.createdBy}`}
+                                    {` · ${totalRecords(snapshot)} سجل · ${formatSize(snapshot.sizeBytes)}`}
+                                </span>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <button onClick={() => handleDownload(snapshot)} className={buttonClass}>
+                                    تحميل
+                                </button>
+                                <button
+                                    onClick={() => (selected?.id === snapshot.id ? setSelected(null) : selectSnapshot(snapshot))}
+                                    className={buttonClass}
+                                >
+                                    {selected?.id === snapshot.id ? 'إغلاق' : 'استرجاع...'}
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {selected && (
+                <div className="p-5 bg-white/5 border border-white/10 rounded-2xl">
+                    <h3 className="text-xl font-bold text-white mb-1">استرجاع نسخة {new Date(selected.createdAt).toLocaleString('ar-EG')}</h3>
+                    <p className="text-white/50 text-sm mb-4">اختار الـ collections اللي هتترجع. الأرقام دي بالظبط اللي هيتغير في الداتابيز.</p>
+
+                    <div className="overflow-x-auto mb-4">
+                        <table className="w-full text-sm text-white">
+                            <thead>
+                                <tr className="text-white/60 text-right">
+                                    <th className="p-2"></th>
+                                    <th className="p-2">Collection</th>
+                                    <th className="p-2">في النسخة</th>
+                                    <th className="p-2">هيتضاف</th>
+                                    <th className="p-2">هيتعدل</th>
+                                    <th className="p-2">هيتمسح</th>
+                                    <th className="p-2">زي ما هو</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.entries(selected.collections || {}).map(([name, count]) => {
+                                    const summary = preview?.collections?.[name]
+                                    return (
+                                        <tr key={name} className="border-t border-white/10">
+                                            <td className="p-2">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={collections.includes(name)}
+                                                    onChange={() => toggleCollection(name)}
+                                                />
+                                            </td>
+                                            <td className="p-2 font-bold" dir="ltr">{name}</td>
+                                            <td className="p-2">{count}</td>
+                                            <td className="p-2 text-green-300">{summary ? summary.inserted : '-'}</td>
+                                            <td className="p-2 text-yellow-300">{summary ? summary.updated : '-'}</td>
+                                            <td className="p-2 text-red-300">{summary ? summary.removed : '-'}</td>
+                                            <td className="p-2 text-white/50">{summary ? summary.unchanged : '-'}</td>
+                                        </tr>
+                                    )
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-white/70 text-sm">
+                            {previewing
+                                ? 'جاري حساب التغييرات...'
+                                : totals
+                                    ? `${totals.inserted} هيتضاف · ${totals.updated} هيتعدل · ${totals.removed} هيتمسح`
+                                    : 'اختار collection واحدة على الأقل'}
+                        </p>
+                        <button
+                            onClick={() => setConfirmOpen(true)}
+                            disabled={!hasChanges || previewing || restoring}
+                            className="px-6 py-3 bg-red-600 hover:bg-red-500 text-white rounded-xl font-bold transition-colors disabled:opacity-50"
+                        >
+                            {restoring ? 'جاري الاسترجاع...' : '♻️ استرجاع'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <ConfirmationDialog
+                isOpen={confirmOpen}
+                title="تأكيد الاسترجاع"
+                message={totals ? `هيتضاف ${totals.inserted} وهيتعدل ${totals.updated} وهيتمسح ${totals.removed} سجل. هيتعمل نسخة من البيانات الحالية قبل الاسترجاع.` : ''}
+                onConfirm={handleRestore}
+                onCancel={() => setConfirmOpen(false)}
+                confirmText="استرجاع"
+                type="warning"
+            />
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default BackupsPanel
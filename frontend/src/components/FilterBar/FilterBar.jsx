@@ -2,219 +2,118 @@ import { useState, useEffect, useMemo } from 'react'
 import { motion } from 'framer-motion'
 import './FilterBar.css'
 
-function FilterBar({ items, onFilterChange, type = 'games' }) {
+const SEARCH_DEBOUNCE_MS = 300
+
+// Size ranges (GB) -> minSize/maxSize
+const sizes = [
+  { label: 'صغير (< 1GB)', maxSize: 1 },
+  { label: 'متوسط (1-5GB)', minSize: 1, maxSize: 5 },
+  { label: 'كبير (5-20GB)', minSize: 5, maxSize: 20 },
+  { label: 'كبير جداً (> 20GB)', minSize: 20 }
+]
+
+// Categories for games
+const gameCategories = [
+  { id: 'action', name: 'أكشن' },
+  { id: 'adventure', name: 'مغامرة' },
+  { id: 'open-world', name: 'عالم مفتوح' },
+  { id: 'fighting', name: 'قتال' },
+  { id: 'horror', name: 'رعب' },
+  { id: 'racing', name: 'سباق' },
+  { id: 'sports', name: 'رياضة' },
+  { id: 'shooter', name: 'تصويب' },
+  { id: 'rpg', name: 'RPG' },
+  { id: 'strategy', name: 'استراتيجية' },
+  { id: 'simulation', name: 'محاكاة' },
+  { id: 'puzzle', name: 'ألغاز' },
+]
+
+// Categories for movies/TV shows/Anime
+const mediaCategories = [
+  { id: 'action', name: 'أكشن' },
+  { id: 'comedy', name: 'كوميديا' },
+  { id: 'drama', name: 'دراما' },
+  { id: 'horror', name: 'رعب' },
+  { id: 'thriller', name: 'إثارة' },
+  { id: 'sci-fi', name: 'خيال علمي' },
+  { id: 'fantasy', name: 'فانتازيا' },
+  { id: 'romance', name: 'رومانسي' },
+  { id: 'crime', name: 'جريمة' },
+  { id: 'animation', name: 'أنيميشن' },
+]
+
+const OLDEST_YEAR = 1960
+
+// Builds the query for the paginated catalog endpoints (see useCatalogPages); filtering, sorting
+// and the typo-tolerant search all run on the server. `resultCount` is the server's total for that query.
+function FilterBar({ onQueryChange, resultCount = 0, type = 'games' }) {
   const [searchQuery, setSearchQuery] = useState('')
+  const [debouncedQuery, setDebouncedQuery] = useState('')
   const [selectedYear, setSelectedYear] = useState('')
   const [selectedSize, setSelectedSize] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('')
   const [sortBy, setSortBy] = useState('')
 
-  // Extract unique years for media (movies, TV shows, anime)
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [searchQuery])
+
+  // Individual years for media (movies, TV shows, anime), newest first
   const years = useMemo(() => {
-    if (type !== 'games') {
-      return Array.from(new Set(
-        items
-          .map(item => {
-            if (item.year) {
-              const yearStr = item.year.toString().split('-')[0]
-              return parseInt(yearStr)
-            }
-            return null
-          })
-          .filter(Boolean)
-          .sort((a, b) => b - a)
-      ))
-    }
-    return []
-  }, [items, type])
+    const currentYear = new Date().getFullYear()
+    return Array.from({ length: currentYear - OLDEST_YEAR + 1 }, (_, index) => currentYear - index)
+  }, [])
 
   // Year ranges for games (every 10 years)
   const yearRanges = useMemo(() => {
-    if (type === 'games') {
-      // Get all years from items
-      const allYears = Array.from(new Set(
-        items
-          .map(item => {
-            if (item.year) {
-              const yearStr = item.year.toString().split('-')[0]
-              return parseInt(yearStr)
-            }
-            return null
-          })
-          .filter(Boolean)
-      ))
-
-      if (allYears.length === 0) return []
-
-      const minYear = Math.min(...allYears)
-      const maxYear = Math.max(...allYears)
-      
-      // Create ranges of 10 years each
-      const ranges = []
-      let startYear = Math.floor(minYear / 10) * 10 // Round down to nearest 10
-      const endYear = Math.ceil(maxYear / 10) * 10 // Round up to nearest 10
-
-      while (startYear < endYear) {
-        const rangeEnd = startYear + 9
-        ranges.push({
-          label: `${startYear} - ${rangeEnd}`,
-          min: startYear,
-          max: rangeEnd
-        })
-        startYear += 10
-      }
-
-      return ranges
+    const ranges = []
+    const lastDecade = Math.floor(new Date().getFullYear() / 10) * 10
+    for (let startYear = lastDecade; startYear >= 1980; startYear -= 10) {
+      ranges.push({ label: `${startYear} - ${startYear + 9}`, min: startYear, max: startYear + 9 })
     }
-    return []
-  }, [items, type])
-
-  // Size ranges
-  const sizes = ['صغير (< 1GB)', 'متوسط (1-5GB)', 'كبير (5-20GB)', 'كبير جداً (> 20GB)']
-  
-  // Categories for games
-  const gameCategories = [
-    { id: 'action', name: 'أكشن' },
-    { id: 'adventure', name: 'مغامرة' },
-    { id: 'open-world', name: 'عالم مفتوح' },
-    { id: 'fighting', name: 'قتال' },
-    { id: 'horror', name: 'رعب' },
-    { id: 'racing', name: 'سباق' },
-    { id: 'sports', name: 'رياضة' },
-    { id: 'shooter', name: 'تصويب' },
-    { id: 'rpg', name: 'RPG' },
-    { id: 'strategy', name: 'استراتيجية' },
-    { id: 'simulation', name: 'محاكاة' },
-    { id: 'puzzle', name: 'ألغاز' },
-  ]
-
-  // Categories for movies/TV shows/Anime
-  const mediaCategories = [
-    { id: 'action', name: 'أكشن' },
-    { id: 'comedy', name: 'كوميديا' },
-    { id: 'drama', name: 'دراما' },
-    { id: 'horror', name: 'رعب' },
-    { id: 'thriller', name: 'إثارة' },
-    { id: 'sci-fi', name: 'خيال علمي' },
-    { id: 'fantasy', name: 'فانتازيا' },
-    { id: 'romance', name: 'رومانسي' },
-    { id: 'crime', name: 'جريمة' },
-    { id: 'animation', name: 'أنيميشن' },
-  ]
+    return ranges
+  }, [])
 
   const categories = type === 'games' ? gameCategories : mediaCategories
 
-  // Helper to parse size string to number (GB)
-  const parseSize = (sizeStr) => {
-    if (!sizeStr) return 0
-    const size = sizeStr.toLowerCase()
-    const num = parseFloat(size.replace(/[^\d.]/g, '')) || 0
-    if (size.includes('mb')) return num / 1000
-    if (size.includes('gb')) return num
-    return num
-  }
-
-  // Filter and sort items
-  const filteredAndSortedItems = useMemo(() => {
-    let filtered = items.filter(item => {
-      // Search filter - search in name and description
-      if (searchQuery) {
-        const query = searchQuery.toLowerCase().trim()
-        const nameMatch = item.name?.toLowerCase().includes(query) || false
-        const descriptionMatch = item.description?.toLowerCase().includes(query) || false
-        if (!nameMatch && !descriptionMatch) return false
-      }
+  // Notify parent of filter changes
+  useEffect(() => {
+    const query = {}
+    if (debouncedQuery) query.q = debouncedQuery
 
-      // Year filter
-      if (selectedYear) {
-        const itemYear = item.year ? parseInt(item.year.toString().split('-')[0]) : null
-        if (itemYear) {
-          if (type === 'games') {
-            // For games: check if year falls within selected range
-            const range = yearRanges.find(r => r.label === selectedYear)
-            if (range) {
-              if (itemYear < range.min || itemYear > range.max) return false
-            } else {
-              return false
-            }
-          } else {
-            // For media: check exact year match
-            if (itemYear !== parseInt(selectedYear)) return false
-          }
-        } else {
-          return false
+    if (selectedYear) {
+      if (type === 'games') {
+        const range = yearRanges.find(r => r.label === selectedYear)
+        if (range) {
+          query.minYear = range.min
+          query.maxYear = range.max
         }
+      } else {
+        query.minYear = selectedYear
+        query.maxYear = selectedYear
       }
+    }
 
-      // Size filter
-      if (selectedSize && item.size) {
-        const sizeInGB = parseSize(item.size)
-
-        if (selectedSize === 'صغير (< 1GB)' && sizeInGB >= 1) return false
-        if (selectedSize === 'متوسط (1-5GB)' && (sizeInGB < 1 || sizeInGB > 5)) return false
-        if (selectedSize === 'كبير (5-20GB)' && (sizeInGB < 5 || sizeInGB > 20)) return false
-        if (selectedSize === 'كبير جداً (> 20GB)' && sizeInGB < 20) return false
-      }
-
-      // Category filter
-      if (selectedCategory) {
-        // For games, check categories array
-        if (type === 'games') {
-          if (!item.categories || !item.categories.includes(selectedCategory)) return false
-        } else {
-          // For media, check categories array or description for genre keywords
-          const hasCategory = item.categories?.includes(selectedCategory) || false
-          // Also check description for genre keywords as fallback
-          const descriptionMatch = item.description?.toLowerCase().includes(
-            categories.find(cat => cat.id === selectedCategory)?.name.toLowerCase() || ''
-          ) || false
-          if (!hasCategory && !descriptionMatch) return false
-        }
-      }
+    const size = sizes.find(s => s.label === selectedSize)
+    if (size?.minSize !== undefined) query.minSize = size.minSize
+    if (size?.maxSize !== undefined) query.maxSize = size.maxSize
 
-      return true
-    })
+    if (selectedCategory) query.genre = selectedCategory
 
-    // Sort
+    // "name-asc" -> sort=name&order=asc; without a sort, searches come back in relevance order
     if (sortBy) {
-      filtered = [...filtered].sort((a, b) => {
-        switch (sortBy) {
-          case 'year-asc':
-            const yearA = a.year ? parseInt(a.year.toString().split('-')[0]) : 0
-            const yearB = b.year ? parseInt(b.year.toString().split('-')[0]) : 0
-            return yearA - yearB
-          case 'year-desc':
-            const yearA2 = a.year ? parseInt(a.year.toString().split('-')[0]) : 0
-            const yearB2 = b.year ? parseInt(b.year.toString().split('-')[0]) : 0
-            return yearB2 - yearA2
-          case 'size-asc':
-            return parseSize(a.size) - parseSize(b.size)
-          case 'size-desc':
-            return parseSize(b.size) - parseSize(a.size)
-          case 'name-asc':
-            return (a.name || '').localeCompare(b.name || '', 'ar')
-          case 'name-desc':
-            return (b.name || '').localeCompare(a.name || '', 'ar')
-          case 'rating-desc':
-            return parseFloat(b.rating || 0) - parseFloat(a.rating || 0)
-          case 'rating-asc':
-            return parseFloat(a.rating || 0) - parseFloat(b.rating || 0)
-          default:
-            return 0
-        }
-      })
+      const [sort, order] = sortBy.split('-')
+      query.sort = sort
+      query.order = order
     }
 
-    return filtered
-  }, [items, searchQuery, selectedYear, selectedSize, selectedCategory, sortBy, yearRanges, type])
-
-  // Notify parent of filter changes
-  useEffect(() => {
-    onFilterChange(filteredAndSortedItems)
-  }, [filteredAndSortedItems, onFilterChange])
+    onQueryChange(query)
+  }, [debouncedQuery, selectedYear, selectedSize, selectedCategory, sortBy, type, yearRanges, onQueryChange])
 
   const clearFilters = () => {
     setSearchQuery('')
+    setDebouncedQuery('')
     setSelectedYear('')
     setSelectedSize('')
     setSelectedCategory('')
@@ -305,7 +204,7 @@ function FilterBar({ items, onFilterChange, type = 'games' }) {
             >
               <option value="">جميع الأحجام</option>
               {sizes.map(size => (
-                <option key={size} value={size}>{size}</option>
+                <option key={size.label} value={size.label}>{size.label}</option>
               ))}
             </select>
           </div>
@@ -382,10 +281,9 @@ function FilterBar({ items, onFilterChange, type = 'games' }) {
           className="mt-4 flex items-center justify-between flex-wrap gap-2"
         >
           <span className="text-sm font-semibold text-gray-700 dark:text-gray-300">
-            عرض <span className="text-blue-600 dark:text-blue-400">{filteredAndSortedItems.length}</span> من{' '}
-            <span className="text-gray-900 dark:text-white">{items.length}</span> عنصر
+            عرض <span className="text-blue-600 dark:text-blue-400">{resultCount}</span> عنصر
           </span>
-          {filteredAndSortedItems.length === 0 && (
+          {resultCount === 0 && (
             <span className="text-sm text-red-500 dark:text-red-400 font-medium">
               لا توجد نتائج مطابقة للبحث
             </span>
@@ -1,7 +1,11 @@
 import { motion, AnimatePresence } from 'framer-motion'
 import { useEffect } from 'react'
+import { useCatalogItem } from '../../hooks/useCatalogItem'
+
+function GameDetailsModal({ game: listItem, isOpen, onClose, isSelected, onToggle, onWhatsApp }) {
+    // The list only has a slim record; the full one loads while the modal is open
+    const { item: game, loading: detailsLoading } = useCatalogItem('games', listItem, isOpen)
 
-function GameDetailsModal({ game, isOpen, onClose, isSelected, onToggle, onWhatsApp }) {
     // Prevent body scroll when modal is open
     useEffect(() => {
         if (isOpen) {
@@ -86,6 +90,9 @@ function GameDetailsModal({ game, isOpen, onClose, isSelected, onToggle, onWhats
                                 <p className="text-gray-600 dark:text-gray-300 leading-relaxed text-base">
                                     {game.description || `استمتع بتجربة لعب مميزة مع ${game.name}. تأكد من توافق مواصفات جهازك مع متطلبات اللعبة للحصول على أفضل أداء.`}
                                 </p>
+                                {detailsLoading && (
+                                    <p className="text-sm text-gray-400 dark:text-gray-500 mt-2 animate-pulse">جاري تحميل التفاصيل...</p>
+                                )}
                             </div>
 
                             {/* Info Grid */}
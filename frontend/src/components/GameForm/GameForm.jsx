@@ -52,6 +52,9 @@ function GameForm({ game, onSave, onCancel, gameType }) {
     playtime: '',
     website: '',
     price: '',
+    aliases: '',
+    diskLabel: '',
+    folderPath: '',
     systemRequirements: {
       minimum: {
         cpu: '',
@@ -90,6 +93,9 @@ function GameForm({ game, onSave, onCancel, gameType }) {
         playtime: game.playtime || '',
         website: game.website || '',
         price: game.price || '',
+        aliases: (game.aliases || []).join('، '),
+        diskLabel: game.diskLabel || '',
+        folderPath: game.folderPath || '',
         systemRequirements: game.systemRequirements || {
           minimum: {
             cpu: '',
@@ -126,6 +132,9 @@ function GameForm({ game, onSave, onCancel, gameType }) {
         playtime: '',
         website: '',
         price: '',
+        aliases: '',
+        diskLabel: '',
+        folderPath: '',
         systemRequirements: {
           minimum: {
             cpu: '',
@@ -390,6 +399,10 @@ function GameForm({ game, onSave, onCancel, gameType }) {
     if (formData.playtime) gameData.playtime = formData.playtime
     if (formData.website) gameData.website = formData.website
     if (formData.price) gameData.price = formData.price
+    if (formData.diskLabel) gameData.diskLabel = formData.diskLabel
+    if (formData.folderPath) gameData.folderPath = formData.folderPath
+    // Always sent so clearing the field removes saved aliases
+    gameData.aliases = formData.aliases.split(/[,،\n]/).map(alias => alias.trim()).filter(Boolean)
 
 
     // Add system requirements if they exist
@@ -466,6 +479,50 @@ function GameForm({ game, onSave, onCancel, gameType }) {
                 />
               </div>
 
+              {/* Arabic / alternative names (matched by the catalog search) */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  أسماء بديلة / عربية (مفصولة بفاصلة) - اختياري
+                </label>
+                <input
+                  type="text"
+                  value={formData.aliases}
+                  onChange={(e) => setFormData({ ...formData, aliases: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="مثال: جاتا 5، جي تي ايه"
+                />
+              </div>
+
+              {/* Storage location (used by the copy manifest) */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    اسم الهارد (مكان التخزين) - اختياري
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.diskLabel}
+                    onChange={(e) => setFormData({ ...formData, diskLabel: e.target.value })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="مثال: HDD-GAMES-1"
+                    dir="ltr"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    مسار الفولدر - اختياري
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.folderPath}
+                    onChange={(e) => setFormData({ ...formData, folderPath: e.target.value })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="مثال: D:\Games\Far Cry 6"
+                    dir="ltr"
+                  />
+                </div>
+              </div>
+
               {/* Game Image */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
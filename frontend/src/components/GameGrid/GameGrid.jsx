@@ -3,12 +3,16 @@ import { motion, AnimatePresence } from 'framer-motion'
 import GameCard from '../GameCard/GameCard'
 import GameDetailsModal from '../GameDetailsModal/GameDetailsModal'
 
-function GameGrid({ games, selectedGames, onToggleGame }) {
+// `onLoadMore`/`hasMore`: the parent pages `games` from the server (GamesPage);
+// without them the whole list is passed in and revealed 12 at a time (Home)
+function GameGrid({ games, selectedGames, onToggleGame, onLoadMore, hasMore = false }) {
   const [selectedGameForModal, setSelectedGameForModal] = useState(null)
+  const serverPaging = !!onLoadMore
 
   // Infinite Scroll State
   const [displayCount, setDisplayCount] = useState(12)
   const loaderRef = useRef(null)
+  const canShowMore = serverPaging ? hasMore : displayCount < games.length
 
   // Reset display count when games list changes (filtering)
   useEffect(() => {
@@ -21,7 +25,8 @@ function GameGrid({ games, selectedGames, onToggleGame }) {
       const first = entries[0]
       if (first.isIntersecting) {
         // Load more games
-        setDisplayCount(prev => Math.min(prev + 12, games.length))
+        if (serverPaging) onLoadMore()
+        else setDisplayCount(prev => Math.min(prev + 12, games.length))
       }
     }, { threshold: 0.1, rootMargin: '100px' })
 
@@ -35,10 +40,13 @@ function GameGrid({ games, selectedGames, onToggleGame }) {
         observer.unobserve(currentLoader)
       }
     }
-  }, [games.length])
+  }, [games.length, canShowMore, onLoadMore])
 
   // Slice games based on displayCount
-  const visibleGames = useMemo(() => games.slice(0, displayCount), [games, displayCount])
+  const visibleGames = useMemo(
+    () => (serverPaging ? games : games.slice(0, displayCount)),
+    [games, displayCount, serverPaging]
+  )
 
   if (visibleGames.length === 0) {
     return (
@@ -69,7 +77,7 @@ function GameGrid({ games, selectedGames, onToggleGame }) {
       </div>
 
       {/* Sentinel / Loader Element */}
-      {displayCount < games.length && (
+      {canShowMore && (
         <div ref={loaderRef} className="py-8 flex justify-center w-full">
           <div className="w-8 h-8 border-4 border-blue-500/30 border-t-blue-500 rounded-full animate-spin"></div>
         </div>
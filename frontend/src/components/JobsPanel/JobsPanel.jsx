@@ -0,0 +1,234 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+
+const jobLabels = {
+    backup: 'نسخة احتياطية 🗄️',
+    'fetch-requirements': 'جلب متطلبات التشغيل الناقصة 🖥️',
+    'check-images': 'فحص الصور المكسورة 🖼️',
+    'expire-upcoming': 'مسح الألعاب القادمة المنتهية ⏳'
+}
+
+const statusStyles = {
+    success: 'bg-green-500/20 text-green-300',
+    failed: 'bg-red-500/20 text-red-300'
+}
+
+const triggerLabels = {
+    scheduled: 'تلقائي',
+    manual: 'يدوي'
+}
+
+const formatDuration = (ms) => {
+    if (ms < 1000) return `${ms}ms`
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} ثانية`
+    return `${Math.round(ms / 60000)} دقيقة`
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('ar-EG') : '-')
+
+function JobsPanel() {
+    const [state, setState] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [busy, setBusy] = useState(null)
+    const [details, setDetails] = useState(null)
+    const { success, error, ToastContainer } = useToast()
+
+    const fetchJobs = async () => {
+        try {
+            setState(await api.getJobs())
+        } catch (err) {
+            console.error('Failed to load jobs:', err)
+            error(`فشل تحميل المهام: ${err.message}`)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const fetchDetails = async (name) => {
+        try {
+            setDetails(await api.getJob(name))
+        } catch (err) {
+            console.error('Failed to load job:', err)
+            error(`فشل تحميل تفاصيل المهمة: ${err.message}`)
+        }
+    }
+
+    useEffect(() => {
+        fetchJobs()
+    }, [])
+
+    // Refresh while a job runs so its result shows up without reloading
+    const anyRunning = state?.jobs?.some(job => job.running)
+    useEffect(() => {
+        if (!anyRunning) return
+        const timer = setInterval(() => {
+            fetchJobs()
+            if (details) fetchDetails(details.name)
+        }, 3000)
+        return () => clearInterval(timer)
+    }, [anyRunning, details?.name])
+
+    const handleRun = async (job) => {
+        setBusy(job.name)
+        try {
+            await api.runJob(job.name)
+            success(`بدأ تشغيل "${jobLabels[job.name] || job.name}" ✅`)
+            await fetchJobs()
+            if (details?.name === job.name) await fetchDetails(job.name)
+        } catch (err) {
+            console.error('Error running job:', err)
+            error(`فشل التشغيل: ${err.message}`)
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    const handleTogglePause = async (job) => {
+        setBusy(job.name)
+        try {
+            await api.setJobPaused(job.name, !job.paused)
+            success(job.paused ? 'المهمة رجعت تشتغل في مواعيدها ✅' : 'المهمة اتوقفت ⏸️')
+            await fetchJobs()
+            if (details?.name === job.name) await fetchDetails(job.name)
+        } catch (err) {
+            console.error('Error pausing job:', err)
+            error(`فشل تغيير حالة المهمة: ${err.message}`)
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    if (loading) {
+        return <div className="text-white text-center py-8">جاري التحميل...</div>
+    }
+
+    const jobs = state?.jobs || []
+    const rowClass = 'bg-white/5 border border-white/10 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3'
+    const buttonClass = 'px-3 py-2 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white rounded-lg transition-colors text-sm font-bold disabled:opacity-50'
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="mb-8">
+                <h2 className="text-3xl font-bold text-white mb-2">المهام المجدولة 🕒</h2>
+                <p className="text-white/60">الحاجات اللي السيرفر بيعملها لوحده في مواعيد ثابتة، وممكن تشغلها دلوقتي أو توقفها</p>
+                {state && !state.enabled && (
+                    <p className="text-yellow-300 text-sm mt-2">⚠️ الجدولة متوقفة على السيرفر ده (JOBS_ENABLED=false)، التشغيل اليدوي بس اللي شغال</p>
+                )}
+            </div>
+
+            <div className="grid gap-3 mb-6">
+                {jobs.map(job => (
+                    <div key={job.name} className={`${rowClass} ${details?.name === job.name ? 'border-blue-400/60' : ''}`}>
+                        <div className="min-w-0">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className="text-white font-bold">{jobLabels[job.name] || job.name}</span>
+                                {job.running && <span className="px-2 py-0.5 rounded-lg text-xs font-bold bg-blue-500/20 text-blue-300">شغالة دلوقتي...</span>}
+                                {job.paused && <span className="px-2 py-0.5 rounded-lg text-xs font-bold bg-yellow-500/20 text-yellow-300">متوقفة</span>}
+                                {job.lastRun && (
+                                    <span className={`px-2 py-0.5 rounded-lg text-xs font-bold ${statusStyles[job.lastRun.status] || ''}`}>
+                                        {job.lastRun.status === 'success' ? 'نجحت' : 'فشلت'}
+                                    </span>
+                                )}
+                            </div>
+                            <p className="text-white/50 text-sm mt-1" dir="ltr">{job.description}</p>
+                            <p className="text-white/60 text-sm mt-1">
+                                <span dir="ltr">{job.schedule || 'يدوي بس'}</span>
+                                {job.schedule && !job.paused && ` · الجاية ${formatDate(job.nextRunAt)}`}
+                                {job.lastRun && ` · آخر مرة ${formatDate(job.lastRun.startedAt)} (${formatDuration(job.lastRun.durationMs)})`}
+                            </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <button onClick={() => handleRun(job)} disabled={job.running || busy === job.name} className={buttonClass}>
+                                ▶️ شغّل دلوقتي
+                            </button>
+                            <button onClick={() => handleTogglePause(job)} disabled={busy === job.name || !job.schedule} className={buttonClass}>
+                                {job.paused ? 'استئناف' : '⏸️ إيقاف'}
+                            </button>
+                            <button
+                                onClick={() => (details?.name === job.name ? setDetails(null) : fetchDetails(job.name))}
+                                className={buttonClass}
+                            >
+                                {details?.name === job.name ? 'إغلاق' : 'التفاصيل'}
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {details && (
+                <div className="p-5 bg-white/5 border border-white/10 rounded-2xl">
+                    <h3 className="text-xl font-bold text-white mb-4">{jobLabels[details.name] || details.name}</h3>
+
+                    {details.lastRun ? (
+                        <>
+                            <p className="text-white/70 text-sm mb-2">
+                                آخر تشغيل: {formatDate(details.lastRun.startedAt)}
+                                {` · ${triggerLabels[details.lastRun.trigger] || details.lastRun.trigger}`}
+                                {details.lastRun.triggeredBy && ` · ${details.lastRun.triggeredBy}`}
+                                {` · ${formatDuration(details.lastRun.durationMs)}`}
+                            </p>
+                            {details.lastRun.error && <p className="text-red-300 text-sm mb-2" dir="ltr">{details.lastRun.error}</p>}
+                            {details.lastRun.result && (
+                                <pre className="bg-black/30 text-green-200 text-xs rounded-xl p-3 mb-4 max-h-64 overflow-auto" dir="ltr">
+                                    {JSON.stringify(details.lastRun.result, null, 2)}
+                                </pre>
+                            )}
+                            <h4 className="text-white font-bold mb-2">السجل</h4>
+                            <div className="bg-black/30 rounded-xl p-3 mb-4 max-h-64 overflow-auto text-xs font-mono" dir="ltr">
+                                {(details.lastRun.logs || []).length === 0 ? (
+                                    <p className="text-white/40">-</p>
+                                ) : details.lastRun.logs.map((line, index) => (
+                                    <p key={index} className="text-white/80">
+                                        <span className="text-white/40">{new Date(line.at).toLocaleTimeString('en-GB')}</span> {line.message}
+                                    </p>
+                                ))}
+                            </div>
+                        </>
+                    ) : (
+                        <p className="text-white/40 mb-4">المهمة دي لسه ما اشتغلتش</p>
+                    )}
+
+                    {(details.history || []).length > 0 && (
+                        <>
+                            <h4 className="text-white font-bold mb-2">آخر {details.history.length} تشغيل</h4>
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm text-white">
+                                    <thead>
+                                        <tr className="text-white/60 text-right">
+                                            <th className="p-2">البداية</th>
+                                            <th className="p-2">النوع</th>
+                                            <th className="p-2">المدة</th>
+                                            <th className="p-2">النتيجة</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {details.history.map(run => (
+                                            <tr key={run.startedAt} className="border-t border-white/10">
+                                                <td className="p-2">{formatDate(run.startedAt)}</td>
+                                                <td className="p-2">{triggerLabels[run.trigger] || run.trigger}{run.triggeredBy && ` · ${run.triggeredBy}`}</td>
+                                                <td className="p-2">{formatDuration(run.durationMs)}</td>
+                                                <td className={`p-2 ${run.status === 'success' ? 'text-green-300' : 'text-red-300'}`}>
+                                                    {run.status === 'success' ? 'نجحت' : <span dir="ltr">{run.error}</span>}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default JobsPanel
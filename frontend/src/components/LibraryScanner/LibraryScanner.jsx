@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+
+const categoryLabels = {
+    readyToPlay: 'جاهزة للتشغيل',
+    repack: 'ريباك',
+    online: 'أونلاين',
+    movies: 'أفلام',
+    tvShows: 'مسلسلات',
+    anime: 'أنمي'
+}
+
+const POLL_INTERVAL_MS = 3000
+
+function ReportSection({ title, count, onFixAll, fixAllLabel, children }) {
+    if (count === 0) return null
+    return (
+        <div className="mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <h3 className="text-xl font-bold text-white">{title} <span className="text-white/40">({count})</span></h3>
+                {onFixAll && (
+                    <button
+                        onClick={onFixAll}
+                        className="px-4 py-2 bg-green-600/80 hover:bg-green-500 text-white rounded-lg text-sm font-bold transition-colors"
+                    >
+                        {fixAllLabel}
+                    </button>
+                )}
+            </div>
+            <div className="grid gap-2">{children}</div>
+        </div>
+    )
+}
+
+function LibraryScanner() {
+    const [state, setState] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [tolerance, setTolerance] = useState(5)
+    const [busyKeys, setBusyKeys] = useState([])
+    const [untrackedCategories, setUntrackedCategories] = useState({})
+    const { success, error, ToastContainer } = useToast()
+
+    const fetchScan = async () => {
+        try {
+            const data = await api.getLibraryScan()
+            setState(data)
+        } catch (err) {
+            console.error('Failed to load library scan:', err)
+            error('فشل تحميل تقرير المكتبة')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchScan()
+    }, [])
+
+    // Poll while a scan is running so progress and the final report show up without a refresh
+    useEffect(() => {
+        if (!state?.running) return
+        const timer = setTimeout(fetchScan, POLL_INTERVAL_MS)
+        return () => clearTimeout(timer)
+    }, [state])
+
+    const handleStartScan = async () => {
+        try {
+            await api.startLibraryScan(tolerance)
+            success('بدأ فحص الهاردات 🔍')
+            await fetchScan()
+        } catch (err) {
+            console.error('Error starting library scan:', err)
+            error(`فشل بدء الفحص: ${err.message}`)
+        }
+    }
+
+    const markFixed = (fixedKey) => {
+        setState(prev => ({
+            ...prev,
+            latest: { ...prev.latest, fixed: [...(prev.latest.fixed || []), fixedKey] }
+        }))
+    }
+
+    const applyFix = async (action, entry) => {
+        const fixKey = `${action}:${entry.key}`
+        setBusyKeys(prev => [...prev, fixKey])
+        try {
+            await api.applyLibraryFix(state.latest.id, action, entry.key)
+            markFixed(fixKey)
+            return true
+        } catch (err) {
+            console.error('Error applying library fix:', err)
+            error(`فشل تعديل ${entry.name}: ${err.message}`)
+            return false
+        } finally {
+            setBusyKeys(prev => prev.filter(k => k !== fixKey))
+        }
+    }
+
+    const applyAll = async (action, entries) => {
+        let fixedCount = 0
+        for (const entry of entries) {
+            if (await applyFix(action, entry)) fixedCount++
+        }
+        if (fixedCount > 0) success(`تم تعديل ${fixedCount} عنصر ✅`)
+    }
+
+    const handleAddUntracked = async (folder) => {
+        const category = untrackedCategories[folder.path]
+        if (!category) {
+            error('اختار القسم الأول')
+            return
+        }
+        const fixKey = `add:${folder.path}`
+        setBusyKeys(prev => [...prev, fixKey])
+        try {
+            await api.addUntrackedFolder(state.latest.id, folder.path, category)
+            markFixed(fixKey)
+            success(`تم إضافة ${folder.name} للكتالوج ✅`)
+        } catch (err) {
+            console.error('Error adding folder to catalog:', err)
+            error(`فشل الإضافة: ${err.message}`)
+        } finally {
+            setBusyKeys(prev => prev.filter(k => k !== fixKey))
+        }
+    }
+
+    if (loading) {
+        return <div className="text-white text-center py-8">جاري التحميل...</div>
+    }
+
+    const latest = state?.latest
+    const report = latest?.report
+    const fixed = new Set(latest?.fixed || [])
+    const pending = (action, entries) => entries.filter(entry => !fixed.has(`${action}:${entry.key}`))
+
+    const sizeMismatches = report ? pending('size', report.sizeMismatches) : []
+    const locationUpdates = report ? pending('location', report.locationUpdates) : []
+    const missingFolders = report ? pending('clearLocation', report.missingFolders) : []
+    const untrackedFolders = report ? report.untrackedFolders.filter(folder => !fixed.has(`add:${folder.path}`)) : []
+
+    const rowClass = 'bg-white/5 border border-white/10 rounded-xl p-3 flex flex-wrap items-center justify-between gap-3'
+    const fixButtonClass = 'px-3 py-2 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white rounded-lg transition-colors text-sm font-bold disabled:opacity-50'
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="mb-8 flex flex-wrap items-start justify-between gap-4">
+                <div>
+                    <h2 className="text-3xl font-bold text-white mb-2">مراجعة المكتبة 💽</h2>
+                    <p className="text-white/60">مقارنة أحجام الكتالوج بالفولدرات الحقيقية على الهاردات</p>
+                    <p className="text-white/40 text-sm mt-2" dir="ltr">
+                        {state?.roots?.length
+                            ? state.roots.map(root => `${root.diskLabel}: ${root.path}`).join(' · ')
+                            : 'LIBRARY_ROOTS is not configured'}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <label className="text-white/60 text-sm">
+                        نسبة السماح %
+                        <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={tolerance}
+                            onChange={(e) => setTolerance(e.target.value)}
+                            className="w-20 mr-2 px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white"
+                        />
+                    </label>
+                    <button
+                        onClick={handleStartScan}
+                        disabled={!!state?.running || !state?.roots?.length}
+                        className="px-6 py-3 bg-green-600 hover:bg-green-500 text-white rounded-xl font-bold transition-colors disabled:opacity-50"
+                    >
+                        🔍 ابدأ الفحص
+                    </button>
+                </div>
+            </div>
+
+            {state?.running && (
+                <div className="mb-6 p-4 bg-yellow-500/10 border border-yellow-400/30 rounded-xl text-yellow-100">
+                    جاري الفحص... {state.running.progress?.done || 0} فولدر
+                    {state.running.progress?.current && <span className="text-yellow-100/60" dir="ltr"> ({state.running.progress.current})</span>}
+                </div>
+            )}
+
+            {!latest ? (
+                <div className="text-center py-12 bg-white/5 rounded-2xl border border-white/10">
+                    <p className="text-white/40 text-lg">لم يتم فحص المكتبة بعد</p>
+                </div>
+            ) : latest.status === 'failed' ? (
+                <div className="p-4 bg-red-500/10 border border-red-400/30 rounded-xl text-red-200">
+                    فشل آخر فحص: {latest.errors?.join('، ')}
+                </div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6 text-center">
+                        {[
+                            ['فولدرات', report.summary.folders],
+                            ['متطابقة', report.summary.matched],
+                            ['أحجام مختلفة', sizeMismatches.length],
+                            ['مش لاقي فولدر', missingFolders.length],
+                            ['مش في الكتالوج', untrackedFolders.length]
+                        ].map(([label, value]) => (
+                            <div key={label} className="bg-white/5 border border-white/10 rounded-xl p-3">
+                                <div className="text-2xl font-bold text-white">{value}</div>
+                                <div className="text-white/60 text-sm">{label}</div>
+                            </div>
+                        ))}
+                    </div>
+                    <p className="text-white/40 text-sm mb-6">
+                        آخر فحص: {new Date(latest.finishedAt).toLocaleString('ar-EG')}
+                        {latest.startedBy && ` · ${latest.startedBy}`}
+                    </p>
+                    {latest.errors?.length > 0 && (
+                        <div className="mb-6 p-3 bg-red-500/10 border border-red-400/30 rounded-xl text-red-200 text-sm" dir="ltr">
+                            {latest.errors.join(' · ')}
+                        </div>
+                    )}
+
+                    <ReportSection
+                        title="📏 أحجام مختلفة"
+                        count={sizeMismatches.length}
+                        onFixAll={() => applyAll('size', sizeMismatches)}
+                        fixAllLabel="تحديث كل الأحجام"
+                    >
+                        {sizeMismatches.map(entry => (
+                            <div key={entry.key} className={rowClass}>
+                                <div>
+                                    <span className="text-white font-bold">{entry.name}</span>
+                                    <span className="text-white/60 text-sm mr-2" dir="ltr">
+                                        {entry.size || '?'} → {entry.suggestedSize}
+                                        {entry.diffPercent !== null && ` (${entry.diffPercent}%)`}
+                                    </span>
+                                </div>
+                                <button
+                                    onClick={() => applyFix('size', entry)}
+                                    disabled={busyKeys.includes(`size:${entry.key}`)}
+                                    className={fixButtonClass}
+                                >
+                                    تحديث الحجم
+                                </button>
+                            </div>
+                        ))}
+                    </ReportSection>
+
+                    <ReportSection
+                        title="📁 أماكن تخزين جديدة"
+                        count={locationUpdates.length}
+                        onFixAll={() => applyAll('location', locationUpdates)}
+                        fixAllLabel="حفظ كل الأماكن"
+                    >
+                        {locationUpdates.map(entry => (
+                            <div key={entry.key} className={rowClass}>
+                                <div>
+                                    <span className="text-white font-bold">{entry.name}</span>
+                                    <span className="text-white/60 text-sm mr-2" dir="ltr">[{entry.suggestedDiskLabel}] {entry.suggestedFolderPath}</span>
+                                </div>
+                                <button
+                                    onClick={() => applyFix('location', entry)}
+                                    disabled={busyKeys.includes(`location:${entry.key}`)}
+                                    className={fixButtonClass}
+                                >
+                                    حفظ المكان
+                                </button>
+                            </div>
+                        ))}
+                    </ReportSection>
+
+                    <ReportSection title="❓ في الكتالوج ومش لاقي لهم فولدر" count={missingFolders.length}>
+                        {missingFolders.map(entry => (
+                            <div key={entry.key} className={rowClass}>
+                                <div>
+                                    <span className="text-white font-bold">{entry.name}</span>
+                                    <span className="text-white/40 text-sm mr-2">{categoryLabels[entry.category]}</span>
+                                    {entry.reason === 'path_not_found' && (
+                                        <span className="text-red-200/80 text-sm mr-2" dir="ltr">{entry.folderPath}</span>
+                                    )}
+                                </div>
+                                {entry.reason === 'path_not_found' && (
+                                    <button
+                                        onClick={() => applyFix('clearLocation', entry)}
+                                        disabled={busyKeys.includes(`clearLocation:${entry.key}`)}
+                                        className={fixButtonClass}
+                                    >
+                                        مسح المكان القديم
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </ReportSection>
+
+                    <ReportSection title="➕ فولدرات مش في الكتالوج" count={untrackedFolders.length}>
+                        {untrackedFolders.map(folder => (
+                            <div key={folder.path} className={rowClass}>
+                                <div>
+                                    <span className="text-white font-bold">{folder.name}</span>
+                                    <span className="text-white/60 text-sm mr-2" dir="ltr">[{folder.diskLabel}] {folder.suggestedSize}</span>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <select
+                                        value={untrackedCategories[folder.path] || ''}
+                                        onChange={(e) => setUntrackedCategories({ ...untrackedCategories, [folder.path]: e.target.value })}
+                                        className="px-3 py-2 rounded-lg bg-gray-800 border border-white/20 text-white text-sm"
+                                    >
+                                        <option value="">القسم...</option>
+                                        {Object.entries(categoryLabels).map(([category, label]) => (
+                                            <option key={category} value={category}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        onClick={() => handleAddUntracked(folder)}
+                                        disabled={busyKeys.includes(`add:${folder.path}`)}
+                                        className={fixButtonClass}
+                                    >
+                                        إضافة للكتالوج
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </ReportSection>
+                </>
+            )}
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default LibraryScanner
@@ -1,7 +1,11 @@
 import { motion, AnimatePresence } from 'framer-motion'
 import { useEffect } from 'react'
+import { useCatalogItem } from '../../hooks/useCatalogItem'
+
+function MovieDetailsModal({ item: listItem, isOpen, onClose, isSelected, onToggle, onWhatsApp }) {
+    // The list only has a slim record; the full one loads while the modal is open
+    const { item: item, loading: detailsLoading } = useCatalogItem('movies', listItem, isOpen)
 
-function MovieDetailsModal({ item, isOpen, onClose, isSelected, onToggle, onWhatsApp }) {
     // Prevent body scroll when modal is open
     useEffect(() => {
         if (isOpen) {
@@ -127,11 +131,14 @@ function MovieDetailsModal({ item, isOpen, onClose, isSelected, onToggle, onWhat
                                             </p>
                                         </div>
                                     )}
-                                    {!item.description && !item.plot && (
+                                    {!item.description && !item.plot && !detailsLoading && (
                                         <p className="text-gray-400 dark:text-gray-500 italic">
                                             لا يوجد وصف متاح حاليا.
                                         </p>
                                     )}
+                                    {detailsLoading && (
+                                        <p className="text-sm text-gray-400 dark:text-gray-500 animate-pulse">جاري تحميل التفاصيل...</p>
+                                    )}
                                 </div>
                             </div>
 
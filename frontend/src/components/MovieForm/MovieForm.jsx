@@ -29,7 +29,10 @@ function MovieForm({ item, onSave, onCancel, itemType }) {
     awards: '',
     metascore: '',
     imdbVotes: '',
-    price: ''
+    price: '',
+    aliases: '',
+    diskLabel: '',
+    folderPath: ''
   })
 
   useEffect(() => {
@@ -56,7 +59,10 @@ function MovieForm({ item, onSave, onCancel, itemType }) {
         awards: item.awards || '',
         metascore: item.metascore || '',
         imdbVotes: item.imdbVotes || '',
-        price: item.price || ''
+        price: item.price || '',
+        aliases: (item.aliases || []).join('، '),
+        diskLabel: item.diskLabel || '',
+        folderPath: item.folderPath || ''
       })
     } else {
       setFormData({
@@ -81,7 +87,10 @@ function MovieForm({ item, onSave, onCancel, itemType }) {
         awards: '',
         metascore: '',
         imdbVotes: '',
-        price: ''
+        price: '',
+        aliases: '',
+        diskLabel: '',
+        folderPath: ''
       })
     }
   }, [item, itemType])
@@ -215,6 +224,10 @@ function MovieForm({ item, onSave, onCancel, itemType }) {
     if (formData.metascore) itemData.metascore = formData.metascore
     if (formData.imdbVotes) itemData.imdbVotes = formData.imdbVotes
     if (formData.price) itemData.price = formData.price
+    if (formData.diskLabel) itemData.diskLabel = formData.diskLabel
+    if (formData.folderPath) itemData.folderPath = formData.folderPath
+    // Always sent so clearing the field removes saved aliases
+    itemData.aliases = formData.aliases.split(/[,،\n]/).map(alias => alias.trim()).filter(Boolean)
 
     onSave(itemData)
   }
@@ -316,6 +329,50 @@ function MovieForm({ item, onSave, onCancel, itemType }) {
                 </p>
               </div>
 
+              {/* Arabic / alternative names (matched by the catalog search) */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  أسماء بديلة / عربية (مفصولة بفاصلة) - اختياري
+                </label>
+                <input
+                  type="text"
+                  value={formData.aliases}
+                  onChange={(e) => setFormData({ ...formData, aliases: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="مثال: ون بيس، القطعة الواحدة"
+                />
+              </div>
+
+              {/* Storage location (used by the copy manifest) */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    اسم الهارد (مكان التخزين) - اختياري
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.diskLabel}
+                    onChange={(e) => setFormData({ ...formData, diskLabel: e.target.value })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="مثال: HDD-GAMES-1"
+                    dir="ltr"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    مسار الفولدر - اختياري
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.folderPath}
+                    onChange={(e) => setFormData({ ...formData, folderPath: e.target.value })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="مثال: D:\Games\Far Cry 6"
+                    dir="ltr"
+                  />
+                </div>
+              </div>
+
               {formData.type === 'مسلسل' && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
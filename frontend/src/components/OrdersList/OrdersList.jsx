@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+
+const orderStatuses = {
+    new: { label: 'جديد', className: 'bg-blue-500/20 text-blue-200 border-blue-400/30' },
+    copying: { label: 'جاري النسخ', className: 'bg-yellow-500/20 text-yellow-200 border-yellow-400/30' },
+    ready: { label: 'جاهز', className: 'bg-purple-500/20 text-purple-200 border-purple-400/30' },
+    delivered: { label: 'تم التسليم', className: 'bg-green-500/20 text-green-200 border-green-400/30' },
+    cancelled: { label: 'ملغي', className: 'bg-red-500/20 text-red-200 border-red-400/30' }
+}
+
+const itemTypeLabels = {
+    game: 'لعبة',
+    movies: 'فيلم',
+    tvShows: 'مسلسل',
+    anime: 'أنمي'
+}
+
+function OrdersList({ canManage }) {
+    const [orders, setOrders] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [statusFilter, setStatusFilter] = useState('')
+    const [expandedCode, setExpandedCode] = useState(null)
+    const { success, error, ToastContainer } = useToast()
+
+    const fetchOrders = async (status = statusFilter) => {
+        setLoading(true)
+        try {
+            const data = await api.getOrders(status)
+            setOrders(data)
+        } catch (err) {
+            console.error('Failed to load orders:', err)
+            error('فشل تحميل الطلبات')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchOrders()
+    }, [])
+
+    const handleFilterChange = (status) => {
+        setStatusFilter(status)
+        fetchOrders(status)
+    }
+
+    const handleStatusChange = async (order, status) => {
+        try {
+            const updated = await api.updateOrderStatus(order.code, status)
+            setOrders(prev => prev.map(o => (o.code === order.code ? updated : o)))
+            success(`الطلب ${order.code}: ${orderStatuses[status].label} ✅`)
+        } catch (err) {
+            console.error('Error updating order status:', err)
+            error(`فشل تحديث حالة الطلب: ${err.message}`)
+        }
+    }
+
+    // Printable checklist opens in a new tab; csv/scripts are downloaded
+    const handleManifest = async (order, format) => {
+        const printWindow = format === 'html' ? window.open('', '_blank') : null
+        try {
+            const blob = await api.getOrderManifest(order.code, format)
+            const url = URL.createObjectURL(blob)
+            if (printWindow) {
+                printWindow.location.href = url
+            } else {
+                const extensions = { csv: 'csv', sh: 'sh', robocopy: 'bat' }
+                const link = document.createElement('a')
+                link.href = url
+                link.download = `order-${order.code}.${extensions[format]}`
+                link.click()
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 60000)
+        } catch (err) {
+            printWindow?.close()
+            console.error('Error downloading manifest:', err)
+            error(`فشل تحميل قائمة النسخ: ${err.message}`)
+        }
+    }
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+                <div>
+                    <h2 className="text-3xl font-bold text-white mb-2">الطلبات 📦</h2>
+                    <p className="text-white/60">عدد الطلبات: {orders.length}</p>
+                </div>
+                <div className="flex items-center gap-3">
+                    <select
+                        value={statusFilter}
+                        onChange={(e) => handleFilterChange(e.target.value)}
+                        className="px-4 py-3 rounded-xl bg-gray-800 border border-white/20 text-white"
+                    >
+                        <option value="">كل الحالات</option>
+                        {Object.entries(orderStatuses).map(([status, { label }]) => (
+                            <option key={status} value={status}>{label}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={() => fetchOrders()}
+                        className="px-4 py-3 bg-white/10 hover:bg-white/20 text-white rounded-xl transition-colors"
+                    >
+                        🔄 تحديث
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="text-white text-center py-8">جاري التحميل...</div>
+            ) : orders.length === 0 ? (
+                <div className="text-center py-12 bg-white/5 rounded-2xl border border-white/10">
+                    <p className="text-white/40 text-lg">لا توجد طلبات</p>
+                </div>
+            ) : (
+                <div className="grid gap-3">
+                    {orders.map((order) => {
+                        const status = orderStatuses[order.status] || { label: order.status, className: 'bg-white/10 text-white border-white/20' }
+                        const isExpanded = expandedCode === order.code
+                        return (
+                            <div key={order.code} className="bg-white/5 border border-white/10 rounded-xl p-4">
+                                <div className="flex flex-wrap items-center justify-between gap-3">
+                                    <button
+                                        onClick={() => setExpandedCode(isExpanded ? null : order.code)}
+                                        className="flex flex-wrap items-center gap-3 text-right"
+                                    >
+                                        <span className="text-white font-mono font-bold text-lg" dir="ltr">#{order.code}</span>
+                                        <span className={`text-xs px-2 py-1 rounded-lg border font-bold ${status.className}`}>{status.label}</span>
+                                        <span className="text-white/60 text-sm">{order.items.length} عنصر · {order.totalSizeGB} GB · {order.price} جنيه</span>
+                                        {order.pricing?.promotion && (
+                                            <span className="text-xs px-2 py-1 rounded-lg bg-purple-500/20 text-purple-200 font-mono" dir="ltr">{order.pricing.promotion.code}</span>
+                                        )}
+                                        {order.customer?.phone && (
+                                            <span className="text-white/60 text-sm" dir="ltr">{order.customer.phone}</span>
+                                        )}
+                                    </button>
+                                    <div className="flex items-center gap-3">
+                                        <span className="text-white/40 text-sm">{new Date(order.createdAt).toLocaleString('ar-EG')}</span>
+                                        {canManage && (
+                                            <select
+                                                value={order.status}
+                                                onChange={(e) => handleStatusChange(order, e.target.value)}
+                                                className="px-3 py-2 rounded-lg bg-gray-800 border border-white/20 text-white text-sm"
+                                            >
+                                                {Object.entries(orderStatuses).map(([value, { label }]) => (
+                                                    <option key={value} value={value}>{label}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {isExpanded && (
+                                    <div className="mt-4 grid md:grid-cols-2 gap-4 text-sm">
+                                        <ul className="space-y-1">
+                                            {order.items.map((item) => (
+                                                <li key={`${item.type}-${item.id}`} className="flex justify-between gap-3 text-white/80">
+                                                    <span>{item.name} <span className="text-white/40">({itemTypeLabels[item.type] || item.type})</span></span>
+                                                    <span className="text-white/50" dir="ltr">{item.size || '—'}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                        <ul className="space-y-1">
+                                            <li className="flex flex-wrap gap-2 mb-2">
+                                                <span className="text-white/60">قائمة النسخ:</span>
+                                                {[['html', '🖨️ طباعة'], ['csv', 'CSV'], ['sh', 'Bash'], ['robocopy', 'Robocopy']].map(([format, label]) => (
+                                                    <button
+                                                        key={format}
+                                                        onClick={() => handleManifest(order, format)}
+                                                        className="px-2 py-1 bg-white/10 hover:bg-white/20 text-white rounded-lg text-xs font-bold transition-colors"
+                                                    >
+                                                        {label}
+                                                    </button>
+                                                ))}
+                                            </li>
+                                            {(order.statusHistory || []).map((entry, index) => (
+                                                <li key={index} className="text-white/60">
+                                                    {orderStatuses[entry.status]?.label || entry.status} — {entry.by} — {new Date(entry.at).toLocaleString('ar-EG')}
+                                                    {entry.note && <span className="text-white/40"> ({entry.note})</span>}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default OrdersList
@@ -0,0 +1,334 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+import AutocompleteInput from '../AutocompleteInput/AutocompleteInput'
+
+const categoryLabels = {
+    readyToPlay: 'ألعاب جاهزة للتشغيل',
+    repack: 'ألعاب ريباك',
+    online: 'ألعاب أونلاين',
+    movies: 'أفلام',
+    tvShows: 'مسلسلات',
+    anime: 'أنمي'
+}
+
+const gameCategories = ['readyToPlay', 'repack', 'online']
+
+function PricingEditor() {
+    const [config, setConfig] = useState(null)
+    const [titlesText, setTitlesText] = useState('')
+    // Last search results of the override picker, by display name
+    const catalogOptions = useRef(new Map())
+    const [overrideSearch, setOverrideSearch] = useState('')
+    const [saving, setSaving] = useState(false)
+    const { success, error, ToastContainer } = useToast()
+
+    useEffect(() => {
+        const fetchData = async () => {
+            try {
+                const data = await api.getPricing()
+                setConfig(data)
+                setTitlesText((data.premium?.titles || []).join('\n'))
+            } catch (err) {
+                console.error('Failed to load pricing:', err)
+                error('فشل تحميل الأسعار')
+            }
+
+        }
+        fetchData()
+    }, [])
+
+    // Override picker suggestions from the catalog search API
+    const searchCatalogOptions = useCallback(async (query) => {
+        const results = await api.searchCatalog(query, { types: ['games', 'movies', 'tvShows', 'anime'], limit: 10 })
+        catalogOptions.current = new Map(results.map(result => {
+            const name = result.type === 'game' ? result.name : `${result.name} (${categoryLabels[result.type]})`
+            return [name, { key: `${result.type}-${result.id}`, name }]
+        }))
+        return [...catalogOptions.current.keys()]
+    }, [])
+
+    if (!config) {
+        return <div className="text-white text-center py-8">جاري التحميل...</div>
+    }
+
+    const setCategoryValue = (category, field, value) => {
+        setConfig({
+            ...config,
+            categories: { ...config.categories, [category]: { ...config.categories[category], [field]: value } }
+        })
+    }
+
+    const addOverride = () => {
+        const option = catalogOptions.current.get(overrideSearch)
+        if (!option) return error('اختار عنصر من القائمة')
+        if (config.overrides.some(o => o.key === option.key)) return error('العنصر ده له سعر خاص بالفعل')
+        setConfig({ ...config, overrides: [...config.overrides, { key: option.key, name: option.name, price: 0 }] })
+        setOverrideSearch('')
+    }
+
+    const updateListItem = (list, index, field, value) => {
+        setConfig({ ...config, [list]: config[list].map((item, i) => (i === index ? { ...item, [field]: value } : item)) })
+    }
+
+    const removeListItem = (list, index) => {
+        setConfig({ ...config, [list]: config[list].filter((_, i) => i !== index) })
+    }
+
+    const handleSave = async () => {
+        setSaving(true)
+        try {
+            const saved = await api.updatePricing({
+                ...config,
+                premium: {
+                    ...config.premium,
+                    titles: titlesText.split(/[\n,]/).map(t => t.trim()).filter(Boolean)
+                }
+            })
+            setConfig(saved)
+            setTitlesText((saved.premium?.titles || []).join('\n'))
+            success('تم حفظ الأسعار ✅')
+        } catch (err) {
+            console.error('Error saving pricing:', err)
+            error(`فشل حفظ الأسعار: ${err.data?.details?.join('، ') || err.message}`)
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    const inputClass = 'w-full px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-white/40'
+    const sectionTitle = 'text-xl font-bold text-white mb-4'
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl space-y-10"
+        >
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <h2 className="text-3xl font-bold text-white mb-2">الأسعار 💰</h2>
+                    <p className="text-white/60">نفس الأسعار دي بتتحسب في السلة وفي الطلبات</p>
+                </div>
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="px-8 py-3 bg-green-600 hover:bg-green-500 text-white rounded-xl font-bold transition-colors disabled:opacity-50"
+                >
+                    {saving ? 'جاري الحفظ...' : '💾 حفظ'}
+                </button>
+            </div>
+
+            {/* Category prices */}
+            <section>
+                <h3 className={sectionTitle}>سعر كل قسم</h3>
+                <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {Object.keys(categoryLabels).map((category) => (
+                        <div key={category} className="bg-white/5 border border-white/10 rounded-xl p-4 space-y-3">
+                            <p className="text-white font-bold">{categoryLabels[category]}</p>
+                            <label className="block text-white/60 text-sm">
+                                سعر أساسي للعنصر (جنيه)
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    value={config.categories[category]?.basePrice ?? 0}
+                                    onChange={(e) => setCategoryValue(category, 'basePrice', e.target.value)}
+                                    className={`${inputClass} mt-1`}
+                                />
+                            </label>
+                            {gameCategories.includes(category) && (
+                                <label className="block text-white/60 text-sm">
+                                    سعر الجيجا (جنيه / GB)
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        value={config.categories[category]?.perGB ?? 0}
+                                        onChange={(e) => setCategoryValue(category, 'perGB', e.target.value)}
+                                        className={`${inputClass} mt-1`}
+                                    />
+                                </label>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </section>
+
+            {/* Storage tiers for games */}
+            <section>
+                <h3 className={sectionTitle}>سعر المساحة للألعاب</h3>
+                <p className="text-white/60 text-sm mb-4">الألعاب اللي من غير سعر خاص بتتحسب مع بعض بسعر واحد حسب مساحتها الإجمالية</p>
+                <div className="grid gap-2">
+                    {(config.storageTiers || []).map((tier, index) => (
+                        <div key={index} className="flex flex-wrap items-center gap-3 bg-white/5 border border-white/10 rounded-lg p-3">
+                            <span className="text-white/60 text-sm">لحد</span>
+                            <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={tier.maxGB ?? ''}
+                                placeholder="بدون حد"
+                                onChange={(e) => updateListItem('storageTiers', index, 'maxGB', e.target.value)}
+                                className={`${inputClass} w-28`}
+                            />
+                            <span className="text-white/60 text-sm">GB ←</span>
+                            <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={tier.price}
+                                onChange={(e) => updateListItem('storageTiers', index, 'price', e.target.value)}
+                                className={`${inputClass} w-28`}
+                            />
+                            <span className="text-white/60 text-sm">جنيه</span>
+                            <button
+                                onClick={() => removeListItem('storageTiers', index)}
+                                className="px-3 py-2 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white rounded-lg transition-colors text-sm font-bold"
+                            >
+                                حذف
+                            </button>
+                        </div>
+                    ))}
+                    {(config.storageTiers || []).length === 0 && <p className="text-white/40">مفيش سعر مساحة (الألعاب بسعر القسم بس)</p>}
+                </div>
+                <button
+                    onClick={() => setConfig({ ...config, storageTiers: [...(config.storageTiers || []), { maxGB: '', price: 0 }] })}
+                    className="mt-3 px-6 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg transition-colors"
+                >
+                    + شريحة جديدة
+                </button>
+            </section>
+
+            {/* Premium titles */}
+            <section>
+                <h3 className={sectionTitle}>الأعمال المميزة (أفلام / مسلسلات / أنمي)</h3>
+                <div className="grid md:grid-cols-3 gap-4">
+                    <label className="block text-white/60 text-sm">
+                        السعر (جنيه)
+                        <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={config.premium?.price ?? 0}
+                            onChange={(e) => setConfig({ ...config, premium: { ...config.premium, price: e.target.value } })}
+                            className={`${inputClass} mt-1`}
+                        />
+                    </label>
+                    <label className="block text-white/60 text-sm">
+                        أقل تقييم (فاضي = بدون)
+                        <input
+                            type="number"
+                            min="0"
+                            max="10"
+                            step="0.1"
+                            value={config.premium?.minRating ?? ''}
+                            onChange={(e) => setConfig({ ...config, premium: { ...config.premium, minRating: e.target.value } })}
+                            className={`${inputClass} mt-1`}
+                        />
+                    </label>
+                    <label className="block text-white/60 text-sm md:row-span-2">
+                        أسماء الأعمال (اسم في كل سطر)
+                        <textarea
+                            rows="6"
+                            value={titlesText}
+                            onChange={(e) => setTitlesText(e.target.value)}
+                            className={`${inputClass} mt-1`}
+                            dir="ltr"
+                        />
+                    </label>
+                </div>
+            </section>
+
+            {/* Per-item overrides */}
+            <section>
+                <h3 className={sectionTitle}>أسعار خاصة لعناصر معينة</h3>
+                <div className="flex flex-wrap gap-3 mb-4">
+                    <AutocompleteInput
+                        value={overrideSearch}
+                        onChange={setOverrideSearch}
+                        fetchOptions={searchCatalogOptions}
+                        placeholder="ابحث عن لعبة أو فيلم..."
+                        className="flex-1 min-w-[200px]"
+                        inputClassName={inputClass}
+                    />
+                    <button
+                        onClick={addOverride}
+                        className="px-6 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-bold transition-colors"
+                    >
+                        + إضافة
+                    </button>
+                </div>
+                <div className="grid gap-2">
+                    {config.overrides.map((override, index) => (
+                        <div key={override.key} className="flex items-center gap-3 bg-white/5 border border-white/10 rounded-lg p-3">
+                            <span className="flex-1 text-white">{override.name || override.key}</span>
+                            <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={override.price}
+                                onChange={(e) => updateListItem('overrides', index, 'price', e.target.value)}
+                                className={`${inputClass} w-32`}
+                            />
+                            <span className="text-white/60 text-sm">جنيه</span>
+                            <button
+                                onClick={() => removeListItem('overrides', index)}
+                                className="px-3 py-2 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white rounded-lg transition-colors text-sm font-bold"
+                            >
+                                حذف
+                            </button>
+                        </div>
+                    ))}
+                    {config.overrides.length === 0 && <p className="text-white/40">مفيش أسعار خاصة</p>}
+                </div>
+            </section>
+
+            {/* Quantity tiers */}
+            <section>
+                <h3 className={sectionTitle}>خصم الكمية</h3>
+                <div className="grid gap-2">
+                    {config.quantityTiers.map((tier, index) => (
+                        <div key={index} className="flex flex-wrap items-center gap-3 bg-white/5 border border-white/10 rounded-lg p-3">
+                            <span className="text-white/60 text-sm">من</span>
+                            <input
+                                type="number"
+                                min="1"
+                                value={tier.minItems}
+                                onChange={(e) => updateListItem('quantityTiers', index, 'minItems', e.target.value)}
+                                className={`${inputClass} w-24`}
+                            />
+                            <span className="text-white/60 text-sm">عنصر ← خصم</span>
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                step="any"
+                                value={tier.discountPercent}
+                                onChange={(e) => updateListItem('quantityTiers', index, 'discountPercent', e.target.value)}
+                                className={`${inputClass} w-24`}
+                            />
+                            <span className="text-white/60 text-sm">%</span>
+                            <button
+                                onClick={() => removeListItem('quantityTiers', index)}
+                                className="px-3 py-2 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white rounded-lg transition-colors text-sm font-bold"
+                            >
+                                حذف
+                            </button>
+                        </div>
+                    ))}
+                </div>
+                <button
+                    onClick={() => setConfig({ ...config, quantityTiers: [...config.quantityTiers, { minItems: 10, discountPercent: 5 }] })}
+                    className="mt-3 px-6 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg transition-colors"
+                >
+                    + شريحة جديدة
+                </button>
+            </section>
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default PricingEditor
@@ -0,0 +1,315 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+
+const categoryLabels = {
+    readyToPlay: 'جاهزة للتشغيل',
+    repack: 'ريباك',
+    online: 'أونلاين',
+    movies: 'أفلام',
+    tvShows: 'مسلسلات',
+    anime: 'أنمي'
+}
+
+const emptyForm = {
+    code: '',
+    description: '',
+    type: 'percent',
+    value: '',
+    minGB: '',
+    minItems: '',
+    categories: [],
+    startsAt: '',
+    endsAt: '',
+    usageLimit: '',
+    active: true
+}
+
+// Stored dates are ISO strings; <input type="date"> wants YYYY-MM-DD
+const toDateInput = (value) => (value ? value.slice(0, 10) : '')
+
+const getPromotionState = (promotion) => {
+    const now = new Date()
+    if (!promotion.active) return { label: 'متوقف', className: 'bg-gray-500/20 text-gray-300 border-gray-400/30' }
+    if (promotion.startsAt && now < new Date(promotion.startsAt)) return { label: 'لسه مبدأش', className: 'bg-blue-500/20 text-blue-200 border-blue-400/30' }
+    if (promotion.endsAt && now > new Date(promotion.endsAt)) return { label: 'انتهى', className: 'bg-red-500/20 text-red-200 border-red-400/30' }
+    if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) return { label: 'خلص', className: 'bg-red-500/20 text-red-200 border-red-400/30' }
+    return { label: 'شغال', className: 'bg-green-500/20 text-green-200 border-green-400/30' }
+}
+
+function PromotionsList() {
+    const [promotions, setPromotions] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [form, setForm] = useState(emptyForm)
+    const [editingId, setEditingId] = useState(null)
+    const { success, error, ToastContainer } = useToast()
+
+    const fetchPromotions = async () => {
+        try {
+            const data = await api.getPromotions()
+            setPromotions(data)
+        } catch (err) {
+            console.error('Failed to load promotions:', err)
+            error('فشل تحميل العروض')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchPromotions()
+    }, [])
+
+    const toggleCategory = (category) => {
+        setForm({
+            ...form,
+            categories: form.categories.includes(category)
+                ? form.categories.filter(c => c !== category)
+                : [...form.categories, category]
+        })
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        try {
+            if (editingId) {
+                await api.updatePromotion(editingId, form)
+                success('تم تعديل العرض ✅')
+            } else {
+                await api.addPromotion(form)
+                success('تم إضافة العرض ✅')
+            }
+            setForm(emptyForm)
+            setEditingId(null)
+            await fetchPromotions()
+        } catch (err) {
+            console.error('Error saving promotion:', err)
+            error(`فشل حفظ العرض: ${err.data?.details?.join('، ') || err.message}`)
+        }
+    }
+
+    const handleEdit = (promotion) => {
+        setEditingId(promotion.id)
+        setForm({
+            ...emptyForm,
+            ...promotion,
+            minGB: promotion.minGB || '',
+            minItems: promotion.minItems || '',
+            usageLimit: promotion.usageLimit ?? '',
+            startsAt: toDateInput(promotion.startsAt),
+            endsAt: toDateInput(promotion.endsAt)
+        })
+    }
+
+    const handleToggleActive = async (promotion) => {
+        try {
+            await api.updatePromotion(promotion.id, { active: !promotion.active })
+            await fetchPromotions()
+        } catch (err) {
+            console.error('Error toggling promotion:', err)
+            error(`فشل تعديل العرض: ${err.message}`)
+        }
+    }
+
+    const handleDelete = async (promotion) => {
+        if (!window.confirm(`حذف الكود ${promotion.code}؟`)) return
+        try {
+            await api.deletePromotion(promotion.id)
+            await fetchPromotions()
+            success('تم حذف العرض ✅')
+        } catch (err) {
+            console.error('Error deleting promotion:', err)
+            error(`فشل حذف العرض: ${err.message}`)
+        }
+    }
+
+    if (loading) {
+        return <div className="text-white text-center py-8">جاري التحميل...</div>
+    }
+
+    const inputClass = 'px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-white/40'
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="mb-8">
+                <h2 className="text-3xl font-bold text-white mb-2">العروض وأكواد الخصم 🎁</h2>
+                <p className="text-white/60">الكود بيتطبق في السلة وبيتسجل مع الطلب</p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="grid md:grid-cols-3 gap-3 mb-8 bg-white/5 border border-white/10 rounded-2xl p-4">
+                <input
+                    type="text"
+                    value={form.code}
+                    onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                    placeholder="الكود (مثال: EID2026)"
+                    className={inputClass}
+                    dir="ltr"
+                    required
+                />
+                <input
+                    type="text"
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    placeholder="الوصف (عرض العيد...)"
+                    className={`${inputClass} md:col-span-2`}
+                />
+                <div className="flex gap-2">
+                    <select
+                        value={form.type}
+                        onChange={(e) => setForm({ ...form, type: e.target.value })}
+                        className="px-4 py-3 rounded-xl bg-gray-800 border border-white/20 text-white"
+                    >
+                        <option value="percent">نسبة %</option>
+                        <option value="fixed">مبلغ ثابت</option>
+                    </select>
+                    <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={form.value}
+                        onChange={(e) => setForm({ ...form, value: e.target.value })}
+                        placeholder={form.type === 'percent' ? '10' : '50 جنيه'}
+                        className={`${inputClass} flex-1 min-w-0`}
+                        required
+                    />
+                </div>
+                <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={form.minGB}
+                    onChange={(e) => setForm({ ...form, minGB: e.target.value })}
+                    placeholder="أقل مساحة (GB)"
+                    className={inputClass}
+                />
+                <input
+                    type="number"
+                    min="0"
+                    value={form.minItems}
+                    onChange={(e) => setForm({ ...form, minItems: e.target.value })}
+                    placeholder="أقل عدد عناصر"
+                    className={inputClass}
+                />
+                <label className="text-white/60 text-sm">
+                    من
+                    <input
+                        type="date"
+                        value={form.startsAt}
+                        onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                        className={`${inputClass} w-full mt-1`}
+                    />
+                </label>
+                <label className="text-white/60 text-sm">
+                    إلى
+                    <input
+                        type="date"
+                        value={form.endsAt}
+                        onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                        className={`${inputClass} w-full mt-1`}
+                    />
+                </label>
+                <label className="text-white/60 text-sm">
+                    أقصى عدد استخدام (فاضي = مفتوح)
+                    <input
+                        type="number"
+                        min="1"
+                        value={form.usageLimit}
+                        onChange={(e) => setForm({ ...form, usageLimit: e.target.value })}
+                        className={`${inputClass} w-full mt-1`}
+                    />
+                </label>
+                <div className="md:col-span-3 flex flex-wrap items-center gap-2">
+                    <span className="text-white/60 text-sm">الأقسام (بدون اختيار = الكل):</span>
+                    {Object.entries(categoryLabels).map(([category, label]) => (
+                        <button
+                            key={category}
+                            type="button"
+                            onClick={() => toggleCategory(category)}
+                            className={`px-3 py-1 rounded-lg text-sm border transition-colors ${form.categories.includes(category)
+                                ? 'bg-blue-600 border-blue-400 text-white'
+                                : 'bg-white/5 border-white/20 text-white/70'
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div className="md:col-span-3 flex gap-3">
+                    <button
+                        type="submit"
+                        className="px-6 py-3 bg-green-600 hover:bg-green-500 text-white rounded-xl font-bold transition-colors"
+                    >
+                        {editingId ? '💾 حفظ التعديل' : '+ إضافة كود'}
+                    </button>
+                    {editingId && (
+                        <button
+                            type="button"
+                            onClick={() => {
+                                setEditingId(null)
+                                setForm(emptyForm)
+                            }}
+                            className="px-6 py-3 bg-white/10 hover:bg-white/20 text-white rounded-xl transition-colors"
+                        >
+                            إلغاء
+                        </button>
+                    )}
+                </div>
+            </form>
+
+            {promotions.length === 0 ? (
+                <div className="text-center py-12 bg-white/5 rounded-2xl border border-white/10">
+                    <p className="text-white/40 text-lg">لا توجد عروض</p>
+                </div>
+            ) : (
+                <div className="grid gap-3">
+                    {promotions.map((promotion) => {
+                        const state = getPromotionState(promotion)
+                        return (
+                            <div key={promotion.id} className="bg-white/5 border border-white/10 rounded-xl p-4 flex flex-wrap items-center justify-between gap-4">
+                                <div className="flex flex-wrap items-center gap-3">
+                                    <span className="text-white font-mono font-bold text-lg" dir="ltr">{promotion.code}</span>
+                                    <span className={`text-xs px-2 py-1 rounded-lg border font-bold ${state.className}`}>{state.label}</span>
+                                    <span className="text-white/80">
+                                        {promotion.type === 'percent' ? `${promotion.value}%` : `${promotion.value} جنيه`}
+                                    </span>
+                                    {promotion.description && <span className="text-white/60 text-sm">{promotion.description}</span>}
+                                    <span className="text-white/40 text-sm">
+                                        استخدم {promotion.usedCount || 0}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                                    </span>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => handleToggleActive(promotion)}
+                                        className="px-3 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg transition-colors text-sm font-bold"
+                                    >
+                                        {promotion.active ? 'إيقاف' : 'تشغيل'}
+                                    </button>
+                                    <button
+                                        onClick={() => handleEdit(promotion)}
+                                        className="px-3 py-2 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white rounded-lg transition-colors text-sm font-bold"
+                                    >
+                                        تعديل
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(promotion)}
+                                        className="px-3 py-2 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white rounded-lg transition-colors text-sm font-bold"
+                                    >
+                                        حذف
+                                    </button>
+                                </div>
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default PromotionsList
@@ -0,0 +1,286 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import api from '../../services/api'
+import { useToast } from '../../hooks/useToast'
+import { downloadCsv } from '../../utils/csv'
+
+const categoryLabels = {
+    readyToPlay: 'جاهزة للتشغيل',
+    repack: 'ريباك',
+    online: 'أونلاين',
+    movies: 'أفلام',
+    tvShows: 'مسلسلات',
+    anime: 'أنمي'
+}
+
+const intervalLabels = {
+    day: 'يومي',
+    week: 'أسبوعي',
+    month: 'شهري'
+}
+
+const titleSortLabels = {
+    orders: 'عدد الطلبات',
+    gb: 'المساحة المنسوخة',
+    revenue: 'الإيراد'
+}
+
+const chartMetrics = {
+    revenue: 'الإيراد',
+    orders: 'الطلبات',
+    sizeGB: 'GB'
+}
+
+// Default range: last 30 days
+const toDateInput = (date) => date.toISOString().slice(0, 10)
+const defaultFrom = () => toDateInput(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000))
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('ar-EG')
+
+function SalesAnalytics() {
+    const [filters, setFilters] = useState({ interval: 'day', from: defaultFrom(), to: toDateInput(new Date()) })
+    const [titleSort, setTitleSort] = useState('orders')
+    const [chartMetric, setChartMetric] = useState('revenue')
+    const [sales, setSales] = useState(null)
+    const [topTitles, setTopTitles] = useState([])
+    const [categories, setCategories] = useState([])
+    const [loading, setLoading] = useState(true)
+    const { error, ToastContainer } = useToast()
+
+    const fetchAnalytics = async () => {
+        setLoading(true)
+        const range = { from: filters.from, to: filters.to }
+        try {
+            const [salesData, titlesData, categoriesData] = await Promise.all([
+                api.getSalesAnalytics({ ...range, interval: filters.interval }),
+                api.getTopTitles({ ...range, sortBy: titleSort, limit: 20 }),
+                api.getCategoryAnalytics(range)
+            ])
+            setSales(salesData)
+            setTopTitles(titlesData)
+            setCategories(categoriesData)
+        } catch (err) {
+            console.error('Failed to load analytics:', err)
+            error(`فشل تحميل التحليلات: ${err.data?.details?.join('، ') || err.message}`)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchAnalytics()
+    }, [filters, titleSort])
+
+    const rangeSuffix = `${filters.from || 'start'}_${filters.to || 'now'}`
+
+    const exportSeries = () => downloadCsv(`sales-${filters.interval}-${rangeSuffix}`, [
+        { key: 'period', label: 'period' },
+        { key: 'orders', label: 'orders' },
+        { key: 'items', label: 'items' },
+        { key: 'sizeGB', label: 'size_gb' },
+        { key: 'revenue', label: 'revenue' }
+    ], sales.series)
+
+    const exportTitles = () => downloadCsv(`top-titles-${titleSort}-${rangeSuffix}`, [
+        { key: 'name', label: 'name' },
+        { key: 'category', label: 'category' },
+        { key: 'orders', label: 'orders' },
+        { key: 'sizeGB', label: 'size_gb' },
+        { key: 'revenue', label: 'revenue' }
+    ], topTitles)
+
+    const exportCategories = () => downloadCsv(`categories-${rangeSuffix}`, [
+        { key: 'category', label: 'category' },
+        { key: 'items', label: 'items' },
+        { key: 'orders', label: 'orders' },
+        { key: 'sizeGB', label: 'size_gb' },
+        { key: 'revenue', label: 'revenue' },
+        { key: 'revenuePercent', label: 'revenue_percent' }
+    ], categories)
+
+    const maxSeriesValue = Math.max(1, ...(sales?.series || []).map(row => row[chartMetric]))
+    const maxCategoryRevenue = Math.max(1, ...categories.map(row => row.revenue))
+    const inputClass = 'px-4 py-2 rounded-xl bg-white/10 border border-white/20 text-white'
+    const exportButtonClass = 'px-3 py-1 bg-white/10 hover:bg-white/20 text-white rounded-lg text-sm font-bold transition-colors'
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 border border-white/10 shadow-2xl"
+        >
+            <div className="mb-8 flex flex-wrap items-end justify-between gap-4">
+                <div>
+                    <h2 className="text-3xl font-bold text-white mb-2">التحليلات 📊</h2>
+                    <p className="text-white/60">المبيعات والعناوين الأكثر طلباً (الطلبات الملغية مش محسوبة)</p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        value={filters.interval}
+                        onChange={(e) => setFilters({ ...filters, interval: e.target.value })}
+                        className="px-4 py-2 rounded-xl bg-gray-800 border border-white/20 text-white"
+                    >
+                        {Object.entries(intervalLabels).map(([interval, label]) => (
+                            <option key={interval} value={interval}>{label}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="date"
+                        value={filters.from}
+                        onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+                        className={inputClass}
+                    />
+                    <span className="text-white/60">إلى</span>
+                    <input
+                        type="date"
+                        value={filters.to}
+                        onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+                        className={inputClass}
+                    />
+                </div>
+            </div>
+
+            {loading && !sales ? (
+                <div className="text-white text-center py-8">جاري التحميل...</div>
+            ) : sales && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-8 text-center">
+                        {[
+                            ['الإيراد', `${formatNumber(sales.totals.revenue)} جنيه`],
+                            ['الطلبات', formatNumber(sales.totals.orders)],
+                            ['متوسط الطلب', `${formatNumber(sales.totals.averageOrderValue)} جنيه`],
+                            ['متوسط المساحة', `${formatNumber(sales.totals.averageOrderGB)} GB`],
+                            ['متوسط العناصر', formatNumber(sales.totals.averageItems)]
+                        ].map(([label, value]) => (
+                            <div key={label} className="bg-white/5 border border-white/10 rounded-xl p-4">
+                                <div className="text-2xl font-bold text-white">{value}</div>
+                                <div className="text-white/60 text-sm">{label}</div>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Sales per period */}
+                    <div className="mb-8 bg-white/5 border border-white/10 rounded-2xl p-4">
+                        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                            <div className="flex gap-2">
+                                {Object.entries(chartMetrics).map(([metric, label]) => (
+                                    <button
+                                        key={metric}
+                                        onClick={() => setChartMetric(metric)}
+                                        className={`px-3 py-1 rounded-lg text-sm border transition-colors ${chartMetric === metric
+                                            ? 'bg-blue-600 border-blue-400 text-white'
+                                            : 'bg-white/5 border-white/20 text-white/70'
+                                            }`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                            <button onClick={exportSeries} className={exportButtonClass}>⬇️ CSV</button>
+                        </div>
+                        {sales.series.length === 0 ? (
+                            <p className="text-white/40 text-center py-8">لا توجد طلبات في الفترة دي</p>
+                        ) : (
+                            <div className="flex items-end gap-1 h-56 overflow-x-auto" dir="ltr">
+                                {sales.series.map(row => (
+                                    <div
+                                        key={row.period}
+                                        className="flex-1 min-w-[18px] h-full flex flex-col justify-end items-center group"
+                                        title={`${row.period}: ${formatNumber(row.revenue)} جنيه · ${row.orders} طلب · ${row.sizeGB} GB`}
+                                    >
+                                        <span className="text-[10px] text-white/0 group-hover:text-white/80 transition-colors">{formatNumber(row[chartMetric])}</span>
+                                        <div
+                                            className="w-full rounded-t-md bg-gradient-to-t from-blue-600 to-cyan-400"
+                                            style={{ height: `${(row[chartMetric] / maxSeriesValue) * 100}%`, minHeight: row[chartMetric] ? '2px' : 0 }}
+                                        />
+                                        <span className="text-[10px] text-white/50 mt-1 whitespace-nowrap">{row.period.slice(5)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="grid lg:grid-cols-2 gap-6">
+                        {/* Category split */}
+                        <div className="bg-white/5 border border-white/10 rounded-2xl p-4">
+                            <div className="flex items-center justify-between mb-4">
+                                <h3 className="text-xl font-bold text-white">الأقسام</h3>
+                                <button onClick={exportCategories} className={exportButtonClass}>⬇️ CSV</button>
+                            </div>
+                            <div className="space-y-3">
+                                {categories.map(row => (
+                                    <div key={row.category}>
+                                        <div className="flex justify-between text-sm text-white/80 mb-1">
+                                            <span>{categoryLabels[row.category] || row.category}</span>
+                                            <span>
+                                                {formatNumber(row.revenue)} جنيه · {row.items} عنصر · {row.sizeGB} GB
+                                                <span className="text-white/40"> ({row.revenuePercent}%)</span>
+                                            </span>
+                                        </div>
+                                        <div className="h-3 bg-white/10 rounded-full overflow-hidden">
+                                            <div
+                                                className="h-full bg-gradient-to-l from-purple-500 to-blue-500 rounded-full"
+                                                style={{ width: `${(row.revenue / maxCategoryRevenue) * 100}%` }}
+                                            />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Top titles */}
+                        <div className="bg-white/5 border border-white/10 rounded-2xl p-4">
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                                <h3 className="text-xl font-bold text-white">الأكثر طلباً</h3>
+                                <div className="flex items-center gap-2">
+                                    <select
+                                        value={titleSort}
+                                        onChange={(e) => setTitleSort(e.target.value)}
+                                        className="px-3 py-1 rounded-lg bg-gray-800 border border-white/20 text-white text-sm"
+                                    >
+                                        {Object.entries(titleSortLabels).map(([sortBy, label]) => (
+                                            <option key={sortBy} value={sortBy}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <button onClick={exportTitles} className={exportButtonClass}>⬇️ CSV</button>
+                                </div>
+                            </div>
+                            {topTitles.length === 0 ? (
+                                <p className="text-white/40 text-center py-8">لا توجد بيانات</p>
+                            ) : (
+                                <table className="w-full text-sm text-white/80">
+                                    <thead>
+                                        <tr className="text-white/50 border-b border-white/10">
+                                            <th className="text-right py-2">#</th>
+                                            <th className="text-right py-2">الاسم</th>
+                                            <th className="text-right py-2">طلبات</th>
+                                            <th className="text-right py-2">GB</th>
+                                            <th className="text-right py-2">جنيه</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {topTitles.map((title, index) => (
+                                            <tr key={`${title.type}-${title.id}`} className="border-b border-white/5">
+                                                <td className="py-2 text-white/40">{index + 1}</td>
+                                                <td className="py-2">
+                                                    {title.name}
+                                                    <span className="text-white/40 text-xs mr-2">{categoryLabels[title.category] || title.category}</span>
+                                                </td>
+                                                <td className="py-2">{title.orders}</td>
+                                                <td className="py-2">{title.sizeGB}</td>
+                                                <td className="py-2">{formatNumber(title.revenue)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+            <ToastContainer />
+        </motion.div>
+    )
+}
+
+export default SalesAnalytics
@@ -1,67 +1,110 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useNavigate } from 'react-router-dom'
 import { useGames } from '../../hooks/useGames'
 import { useMovies } from '../../hooks/useMovies'
 import { useSelection } from '../../context/SelectionContext'
 import { trackWhatsAppClick } from '../../utils/analytics'
+import api from '../../services/api'
+import { parseSizeToGB, parseDriveList, planDrives, formatDrivePlan } from '../../utils/drivePlanner'
+
+// Why a promo code was rejected (reason codes from the backend)
+const promoErrors = {
+  not_found: 'الكود ده مش موجود',
+  inactive: 'الكود ده متوقف',
+  not_started: 'العرض لسه مبدأش',
+  expired: 'العرض انتهى',
+  usage_limit: 'الكود ده خلص',
+  no_eligible_items: 'الكود مش على الأقسام اللي اخترتها',
+  min_gb: 'محتاج مساحة أكبر عشان الكود يشتغل',
+  min_items: 'محتاج عناصر أكتر عشان الكود يشتغل'
+}
 
 function SelectionBar() {
   const navigate = useNavigate()
   const { selectedGames, selectedItems, clearAllSelection, totalSelectedCount } = useSelection()
   const { readyToPlayGames, repackGames, onlineGames } = useGames()
   const { movies, tvShows, anime } = useMovies()
-  const [maxSize, setMaxSize] = useState('')
+  const [drivesInput, setDrivesInput] = useState('')
+  const [overheadPercent, setOverheadPercent] = useState('7')
+  const [showPlan, setShowPlan] = useState(false)
+  const [customerPhone, setCustomerPhone] = useState('')
+  const [sending, setSending] = useState(false)
+  const [quote, setQuote] = useState(null)
+  const [shareStatus, setShareStatus] = useState('')
+  const [promoInput, setPromoInput] = useState('')
+  const [promoCode, setPromoCode] = useState('')
+  const [promoError, setPromoError] = useState('')
+
+  // Prices come from the backend pricing engine so the cart and orders always agree
+  useEffect(() => {
+    if (totalSelectedCount === 0) {
+      setQuote(null)
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const data = await api.getPricingQuote({ games: selectedGames, items: selectedItems, promoCode: promoCode || undefined })
+        if (!cancelled) setQuote(data)
+      } catch (err) {
+        console.error('Failed to get price quote:', err)
+        if (!cancelled) setQuote(null)
+      }
+    }, 300)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [selectedGames, selectedItems, totalSelectedCount, promoCode])
+
+  // A shared link is a snapshot, so a changed selection needs a new one
+  useEffect(() => {
+    setShareStatus('')
+  }, [selectedGames, selectedItems])
 
   if (totalSelectedCount === 0) {
     return null
   }
 
-  // Parse size string to GB number
-  const parseSizeToGB = (sizeStr) => {
-    if (!sizeStr) return 0
-    const match = sizeStr.match(/([\d.]+)\s*(GB|MB|gb|mb)/i)
-    if (!match) return 0
-    const value = parseFloat(match[1])
-    const unit = match[2].toUpperCase()
-    if (unit === 'MB') return value / 1024
-    return value
-  }
-
-  const calculateTotalSize = () => {
-    const allGames = [...readyToPlayGames, ...repackGames, ...onlineGames]
-    const selectedGamesList = selectedGames
-      .map(id => allGames.find(game => game.id === id))
-      .filter(Boolean)
-    return selectedGamesList.reduce((sum, game) => sum + parseSizeToGB(game.size), 0)
+  const parseUniqueId = (uniqueId) => {
+    const [type, id] = uniqueId.split('-')
+    return { type, id: parseInt(id) }
   }
 
-  const getSelectedGamesNames = () => {
+  const getSelectedGameRecords = () => {
     const allGames = [...readyToPlayGames, ...repackGames, ...onlineGames]
     return selectedGames
       .map(id => allGames.find(game => game.id === id))
       .filter(Boolean)
-      .map(game => `*${game.name}* - الحجم: *${game.size}*`)
-  }
-
-  const parseUniqueId = (uniqueId) => {
-    const [type, id] = uniqueId.split('-')
-    return { type, id: parseInt(id) }
   }
 
-  const getSelectedItemsNames = () => {
+  const getSelectedMediaRecords = () => {
     const allItems = [
       ...movies.map(item => ({ ...item, category: 'movies', type: 'فيلم' })),
       ...tvShows.map(item => ({ ...item, category: 'tvShows', type: 'مسلسل' })),
       ...anime.map(item => ({ ...item, category: 'anime', type: 'أنمي' }))
     ]
-    const selected = selectedItems
+    return selectedItems
       .map(uniqueId => {
         const { type, id } = parseUniqueId(uniqueId)
         return allItems.find(item => item.category === type && item.id === id)
       })
       .filter(Boolean)
-    return selected.map(item => {
+  }
+
+  const calculateTotalSize = () => {
+    return [...getSelectedGameRecords(), ...getSelectedMediaRecords()]
+      .reduce((sum, record) => sum + parseSizeToGB(record.size), 0)
+  }
+
+  const getSelectedGamesNames = () => {
+    return getSelectedGameRecords()
+      .map(game => `*${game.name}* - الحجم: *${game.size}*`)
+  }
+
+  const getSelectedItemsNames = () => {
+    return getSelectedMediaRecords().map(item => {
       const sizeText = item.size ? ` - الحجم: *${item.size}*` : ''
       if (item.type === 'فيلم') return `*${item.name}* (${item.year}) - ${item.type}${sizeText}`
       if (item.type === 'مسلسل') return `*${item.name}* (${item.year}) - ${item.type} - ${item.seasons} موسم${sizeText}`
@@ -69,95 +112,117 @@ function SelectionBar() {
     })
   }
 
-  const calculateTotalPrice = () => {
-    const allGames = [...readyToPlayGames, ...repackGames, ...onlineGames]
-    const allItems = [
-      ...movies.map(item => ({ ...item, category: 'movies', type: 'فيلم' })),
-      ...tvShows.map(item => ({ ...item, category: 'tvShows', type: 'مسلسل' })),
-      ...anime.map(item => ({ ...item, category: 'anime', type: 'أنمي' }))
+  // Split the selection across the customer's drives (null until they type at least one capacity)
+  const getDrivePlan = () => {
+    const drives = parseDriveList(drivesInput)
+    if (drives.length === 0) return null
+    const items = [
+      ...getSelectedGameRecords().map(game => ({ key: `game-${game.id}`, name: game.name, sizeGB: parseSizeToGB(game.size) })),
+      ...getSelectedMediaRecords().map(item => ({ key: `${item.category}-${item.id}`, name: item.name, sizeGB: parseSizeToGB(item.size) }))
     ]
+    return planDrives(items, drives, overheadPercent)
+  }
 
-    let total = 0
-    let gamesSizeForStoragePrice = 0
-
-    // Calculate Games
-    selectedGames.forEach(id => {
-      const game = allGames.find(g => g.id === id)
-      if (game) {
-        if (game.price && !isNaN(parseFloat(game.price))) {
-          total += parseFloat(game.price)
-        } else {
-          gamesSizeForStoragePrice += parseSizeToGB(game.size)
-        }
-      }
-    })
-
-    // Add storage-based price for games without manual price
-    if (gamesSizeForStoragePrice > 0) {
-      if (gamesSizeForStoragePrice <= 500) total += 250
-      else if (gamesSizeForStoragePrice <= 1000) total += 400
-      else total += 750
+  // Save the selection as an order so the message carries a code the Dashboard can track.
+  // Falls back to the plain message if the backend is unreachable.
+  const createOrder = async (channel) => {
+    try {
+      return await api.createOrder({
+        games: selectedGames,
+        items: selectedItems,
+        customer: { phone: customerPhone },
+        channel,
+        promoCode: promoCode || undefined
+      })
+    } catch (err) {
+      console.error('Failed to create order:', err)
+      return null
     }
+  }
 
-    // Calculate Movies/TV/Anime
-    const selectedItemsList = selectedItems
-      .map(uniqueId => {
-        const { type, id } = parseUniqueId(uniqueId)
-        return allItems.find(item => item.category === type && item.id === id)
-      })
-      .filter(Boolean)
+  const buildMessage = (order) => {
+    const gamesList = getSelectedGamesNames()
+    const itemsList = getSelectedItemsNames()
+    const allItems = [...gamesList, ...itemsList]
+    const totalGB = order ? order.totalSizeGB.toFixed(2) : calculateTotalSize().toFixed(2)
+    const estimatedPrice = order ? order.price : quote?.total
+    const codeLine = order ? `*رقم الطلب: ${order.code}*\nتابع حالة الطلب: ${window.location.origin}/order/${order.code}\n` : ''
+    const promotion = order ? order.promotion : quote?.promotion
+    const promoLine = promotion ? `\n*كود الخصم: ${promotion.code}* (وفرت ${promotion.discount} جنيه)` : ''
+    const priceLine = estimatedPrice !== undefined ? `\n*السعر: ${estimatedPrice} جنيه*${promoLine}` : ''
+    const plan = getDrivePlan()
+    const planText = plan ? `\n\n${formatDrivePlan(plan)}` : ''
+    return `ازيك ي بشمهندس اسلام\nيارب تكون بخير دى الالعاب/الافلام اللى محتاجها\n${codeLine}\n${allItems.join('\n')}\n\n*المساحة الإجمالية: ${totalGB} GB*${priceLine}${planText}`
+  }
 
-    const famousTitles = [
-      "breaking bad", "game of thrones", "the last of us", "better call saul",
-      "chernobyl", "stranger things", "attack on titan", "death note",
-      "one piece", "naruto", "demon slayer", "jujutsu kaisen", "the witcher", "succession"
-    ]
+  // Open the tab synchronously so popup blockers allow it, then point it at the chat once the order exists
+  const openChat = async (baseUrl, channel) => {
+    const chatWindow = window.open('', '_blank')
+    setSending(true)
+    const order = await createOrder(channel)
+    setSending(false)
+    const url = `${baseUrl}${encodeURIComponent(buildMessage(order))}`
+    if (chatWindow) chatWindow.location.href = url
+    else window.location.href = url
+  }
 
-    selectedItemsList.forEach(item => {
-      if (item.price && !isNaN(parseFloat(item.price))) {
-        total += parseFloat(item.price)
+  const applyPromoCode = async () => {
+    if (!promoInput.trim()) return
+    try {
+      const result = await api.validatePromotion(promoInput.trim(), { games: selectedGames, items: selectedItems })
+      if (result.valid) {
+        setPromoCode(result.promotion.code)
+        setPromoError('')
       } else {
-        const itemName = (item.name || item.title || '').toLowerCase()
-        const isFamousTitle = famousTitles.some(title => itemName.includes(title))
-        const ratingNum = parseFloat(item.rating || item.rate || 0)
-
-        if (isFamousTitle || ratingNum >= 9.0) {
-          total += 50
-        } else {
-          total += 30
-        }
+        setPromoError(promoErrors[result.reason] || 'الكود غير صالح')
       }
-    })
+    } catch (err) {
+      console.error('Failed to validate promo code:', err)
+      setPromoError('فشل التحقق من الكود')
+    }
+  }
 
-    return total
+  const removePromoCode = () => {
+    setPromoCode('')
+    setPromoInput('')
+    setPromoError('')
+  }
+
+  // Save the selection behind a short /cart link and share or copy it
+  const shareSelection = async () => {
+    setShareStatus('...')
+    try {
+      const cart = await api.createCart({ games: selectedGames, items: selectedItems })
+      const url = `${window.location.origin}${cart.path}`
+      if (navigator.share) {
+        await navigator.share({ title: 'اختياراتي من بتاع ألعاب', url })
+        setShareStatus('')
+      } else {
+        await navigator.clipboard.writeText(url)
+        setShareStatus('تم نسخ الرابط ✓')
+      }
+    } catch (err) {
+      // navigator.share throws AbortError when the customer closes the share sheet
+      if (err?.name === 'AbortError') return setShareStatus('')
+      console.error('Failed to share selection:', err)
+      setShareStatus('فشل إنشاء الرابط')
+    }
   }
 
   const sendAllToWhatsApp = () => {
     trackWhatsAppClick('selection_bar')
-    const gamesList = getSelectedGamesNames()
-    const itemsList = getSelectedItemsNames()
-    const allItems = [...gamesList, ...itemsList]
-    const totalGB = calculateTotalSize().toFixed(2)
-    const estimatedPrice = calculateTotalPrice()
-    let message = `ازيك ي بشمهندس اسلام\nيارب تكون بخير دى الالعاب/الافلام اللى محتاجها\n\n${allItems.join('\n')}\n\n*المساحة الإجمالية: ${totalGB} GB*\n*السعر التقريبي: ${estimatedPrice} جنيه*`
-    window.open(`https://wa.me/+201004694666?text=${encodeURIComponent(message)}`, '_blank')
+    openChat('https://wa.me/+201004694666?text=', 'whatsapp')
   }
 
   const sendAllToMessenger = () => {
-    const gamesList = getSelectedGamesNames()
-    const itemsList = getSelectedItemsNames()
-    const allItems = [...gamesList, ...itemsList]
-    const totalGB = calculateTotalSize().toFixed(2)
-    const estimatedPrice = calculateTotalPrice()
-    let message = `ازيك ي بشمهندس اسلام\nيارب تكون بخير دى الالعاب/الافلام اللى محتاجها\n\n${allItems.join('\n')}\n\n*المساحة الإجمالية: ${totalGB} GB*\n*السعر التقريبي: ${estimatedPrice} جنيه*`
-    window.open(`https://m.me/bta3al3ab96?text=${encodeURIComponent(message)}`, '_blank')
+    openChat('https://m.me/bta3al3ab96?text=', 'messenger')
   }
 
   const selectedGamesCount = selectedGames.length
   const selectedItemsCount = selectedItems.length
   const totalSizeGB = calculateTotalSize()
-  const maxSizeGB = maxSize ? parseFloat(maxSize) : null
-  const isOverLimit = maxSizeGB !== null && totalSizeGB > maxSizeGB
+  const drivePlan = getDrivePlan()
+  const isOverLimit = !!drivePlan && drivePlan.unfit.length > 0
 
   return (
     <motion.div
@@ -195,8 +260,18 @@ function SelectionBar() {
                       المساحة: {totalSizeGB.toFixed(1)} GB
                     </span>
                     <span className="text-[10px] sm:text-sm font-semibold bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400 px-2 py-0.5 rounded-full">
-                      السعر التقريبي: {calculateTotalPrice()} جنيه
+                      السعر: {quote ? `${quote.total} جنيه` : '...'}
                     </span>
+                    {quote?.discount > 0 && (
+                      <span className="text-[10px] sm:text-sm font-semibold text-purple-600 dark:text-purple-400">
+                        خصم {quote.tier.discountPercent}% (وفرت {quote.discount} جنيه)
+                      </span>
+                    )}
+                    {quote?.promotion && (
+                      <span className="text-[10px] sm:text-sm font-semibold text-purple-600 dark:text-purple-400">
+                        كود {quote.promotion.code}: وفرت {quote.promotion.discount} جنيه
+                      </span>
+                    )}
                   </div>
                 )}
               </div>
@@ -208,23 +283,137 @@ function SelectionBar() {
               >
                 إلغاء الاختيار
               </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={shareSelection}
+                className="px-2.5 py-1 text-[10px] sm:text-sm text-blue-600 dark:text-blue-400 border border-blue-100 dark:border-blue-900/30 rounded-lg"
+              >
+                {shareStatus || 'مشاركة 🔗'}
+              </motion.button>
             </div>
 
-            {selectedGamesCount > 0 && (
-              <div className="flex items-center space-x-2 space-x-reverse gap-2 w-full sm:w-auto">
-                <label htmlFor="maxSize" className="text-[10px] sm:text-sm font-medium text-gray-700 dark:text-gray-300">
-                  الحد الأقصى للحجم (GB):
-                </label>
-                <input
-                  id="maxSize"
-                  type="number"
-                  value={maxSize}
-                  onChange={(e) => setMaxSize(e.target.value)}
-                  placeholder="مثال: 500"
-                  className="w-20 sm:w-24 px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white/90 dark:bg-gray-800/90 text-gray-900 dark:text-white"
-                />
-              </div>
-            )}
+            <div className="flex flex-wrap items-center space-x-2 space-x-reverse gap-2 w-full sm:w-auto">
+              <label htmlFor="drives" className="text-[10px] sm:text-sm font-medium text-gray-700 dark:text-gray-300">
+                الهاردات/الفلاشات:
+              </label>
+              <input
+                id="drives"
+                type="text"
+                value={drivesInput}
+                onChange={(e) => setDrivesInput(e.target.value)}
+                placeholder="مثال: 500GB, 64GB, 1TB"
+                dir="ltr"
+                className="w-36 sm:w-44 px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white/90 dark:bg-gray-800/90 text-gray-900 dark:text-white"
+              />
+              <label htmlFor="overhead" className="text-[10px] sm:text-sm font-medium text-gray-700 dark:text-gray-300">
+                فاقد الفورمات %:
+              </label>
+              <input
+                id="overhead"
+                type="number"
+                min="0"
+                max="90"
+                value={overheadPercent}
+                onChange={(e) => setOverheadPercent(e.target.value)}
+                className="w-14 px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white/90 dark:bg-gray-800/90 text-gray-900 dark:text-white"
+              />
+              {drivePlan && (
+                <button
+                  onClick={() => setShowPlan(!showPlan)}
+                  className={`text-[10px] sm:text-sm font-semibold underline ${isOverLimit ? 'text-red-500' : 'text-blue-600 dark:text-blue-400'}`}
+                >
+                  {isOverLimit ? `${drivePlan.unfit.length} عنصر مش هيتسع` : 'كله هيتسع ✓'} · {showPlan ? 'إخفاء التقسيم' : 'عرض التقسيم'}
+                </button>
+              )}
+            </div>
+
+            <AnimatePresence>
+              {drivePlan && showPlan && (
+                <motion.div
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                  className="max-h-48 overflow-y-auto text-[10px] sm:text-xs space-y-2"
+                >
+                  {drivePlan.drives.map((drive, index) => (
+                    <div key={index} className="text-gray-800 dark:text-gray-200">
+                      <span className="font-bold">{index + 1}) {drive.label}</span>
+                      <span className="text-gray-500"> — {drive.usedGB.toFixed(1)} / {drive.usableGB.toFixed(1)} GB</span>
+                      <span className="block text-gray-600 dark:text-gray-400">
+                        {drive.items.length > 0 ? drive.items.map(item => item.name).join('، ') : 'فاضي'}
+                      </span>
+                    </div>
+                  ))}
+                  {drivePlan.unfit.length > 0 && (
+                    <div className="text-red-500">
+                      <span className="font-bold">مش هيتسعوا: </span>
+                      {drivePlan.unfit.map(item => `${item.name} (${item.sizeGB.toFixed(1)} GB)`).join('، ')}
+                    </div>
+                  )}
+                  {drivePlan.unsized.length > 0 && (
+                    <div className="text-gray-500">
+                      <span className="font-bold">حجمهم غير معروف: </span>
+                      {drivePlan.unsized.map(item => item.name).join('، ')}
+                    </div>
+                  )}
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            <div className="flex flex-wrap items-center space-x-2 space-x-reverse gap-2 w-full sm:w-auto">
+              <label htmlFor="promoCode" className="text-[10px] sm:text-sm font-medium text-gray-700 dark:text-gray-300">
+                كود خصم:
+              </label>
+              {promoCode ? (
+                <button
+                  onClick={removePromoCode}
+                  className="px-2 py-1 text-xs font-bold bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300 rounded-lg"
+                  title="إزالة الكود"
+                >
+                  {promoCode} ✕
+                </button>
+              ) : (
+                <>
+                  <input
+                    id="promoCode"
+                    type="text"
+                    value={promoInput}
+                    onChange={(e) => setPromoInput(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && applyPromoCode()}
+                    placeholder="EID2026"
+                    dir="ltr"
+                    className="w-24 sm:w-28 px-2 py-1 text-xs uppercase border border-gray-300 dark:border-gray-600 rounded-lg bg-white/90 dark:bg-gray-800/90 text-gray-900 dark:text-white"
+                  />
+                  <button
+                    onClick={applyPromoCode}
+                    className="px-2 py-1 text-xs font-bold text-purple-600 dark:text-purple-400 border border-purple-200 dark:border-purple-900/30 rounded-lg"
+                  >
+                    تطبيق
+                  </button>
+                </>
+              )}
+              {(promoError || (promoCode && quote?.promotionError)) && (
+                <span className="text-[10px] sm:text-xs text-red-500">
+                  {promoError || promoErrors[quote.promotionError]}
+                </span>
+              )}
+            </div>
+
+            <div className="flex items-center space-x-2 space-x-reverse gap-2 w-full sm:w-auto">
+              <label htmlFor="customerPhone" className="text-[10px] sm:text-sm font-medium text-gray-700 dark:text-gray-300">
+                رقم موبايلك (اختياري):
+              </label>
+              <input
+                id="customerPhone"
+                type="tel"
+                value={customerPhone}
+                onChange={(e) => setCustomerPhone(e.target.value)}
+                placeholder="01xxxxxxxxx"
+                dir="ltr"
+                className="w-28 sm:w-36 px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white/90 dark:bg-gray-800/90 text-gray-900 dark:text-white"
+              />
+            </div>
           </motion.div>
 
           {/* Action Buttons (Left side in RTL) */}
@@ -248,7 +437,8 @@ function SelectionBar() {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               onClick={sendAllToWhatsApp}
-              className="flex-1 sm:flex-none flex items-center justify-center space-x-2 space-x-reverse bg-gradient-to-r from-green-500 to-green-600 text-white px-3 sm:px-6 py-2 sm:py-2.5 rounded-xl text-[10px] sm:text-sm font-bold shadow-lg"
+              disabled={sending}
+              className="flex-1 sm:flex-none flex items-center justify-center space-x-2 space-x-reverse bg-gradient-to-r from-green-500 to-green-600 text-white px-3 sm:px-6 py-2 sm:py-2.5 rounded-xl text-[10px] sm:text-sm font-bold shadow-lg disabled:opacity-60"
             >
               <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413Z" /></svg>
               <span>واتساب</span>
@@ -257,7 +447,8 @@ function SelectionBar() {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               onClick={sendAllToMessenger}
-              className="flex-1 sm:flex-none flex items-center justify-center space-x-2 space-x-reverse bg-gradient-to-r from-blue-500 to-blue-600 text-white px-3 sm:px-6 py-2 sm:py-2.5 rounded-xl text-[10px] sm:text-sm font-bold shadow-lg"
+              disabled={sending}
+              className="flex-1 sm:flex-none flex items-center justify-center space-x-2 space-x-reverse bg-gradient-to-r from-blue-500 to-blue-600 text-white px-3 sm:px-6 py-2 sm:py-2.5 rounded-xl text-[10px] sm:text-sm font-bold shadow-lg disabled:opacity-60"
             >
               <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z" /></svg>
               <span>ماسنجر</span>
@@ -1,7 +1,22 @@
-import { createContext, useContext, useState } from 'react'
+import { createContext, useContext, useState, useEffect } from 'react'
 
 const SelectionContext = createContext()
 
+const STORAGE_KEY = 'selection'
+
+// Restore the selection saved by a previous visit
+const loadSavedSelection = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+    return {
+      games: Array.isArray(saved?.games) ? saved.games : [],
+      items: Array.isArray(saved?.items) ? saved.items : []
+    }
+  } catch {
+    return { games: [], items: [] }
+  }
+}
+
 export const useSelection = () => {
   const context = useContext(SelectionContext)
   if (!context) {
@@ -11,8 +26,16 @@ export const useSelection = () => {
 }
 
 export const SelectionProvider = ({ children }) => {
-  const [selectedGames, setSelectedGames] = useState([])
-  const [selectedItems, setSelectedItems] = useState([])
+  const [selectedGames, setSelectedGames] = useState(() => loadSavedSelection().games)
+  const [selectedItems, setSelectedItems] = useState(() => loadSavedSelection().items)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ games: selectedGames, items: selectedItems }))
+    } catch (err) {
+      console.error('Failed to save selection:', err)
+    }
+  }, [selectedGames, selectedItems])
 
   const toggleGame = (gameId) => {
     setSelectedGames(prev => {
@@ -47,6 +70,12 @@ export const SelectionProvider = ({ children }) => {
     setSelectedItems([])
   }
 
+  // Replace the whole selection (used when opening a shared /cart link)
+  const replaceSelection = ({ games = [], items = [] }) => {
+    setSelectedGames(games)
+    setSelectedItems(items)
+  }
+
   const totalSelectedCount = selectedGames.length + selectedItems.length
 
   return (
@@ -59,6 +88,7 @@ export const SelectionProvider = ({ children }) => {
         clearGamesSelection,
         clearItemsSelection,
         clearAllSelection,
+        replaceSelection,
         totalSelectedCount,
       }}
     >
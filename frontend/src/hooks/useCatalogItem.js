@@ -0,0 +1,38 @@
+import { useState, useEffect, useMemo } from 'react'
+import api from '../services/api'
+
+// Full record for a details modal. List endpoints only return slim records (short description,
+// no requirements/cast), so the rest is fetched when the modal opens; until then the list item is shown.
+// kind: 'games' | 'movies'
+export const useCatalogItem = (kind, item, enabled = true) => {
+  const [details, setDetails] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const id = item?.id
+
+  useEffect(() => {
+    setDetails(null)
+    if (!enabled || id === undefined || id === null) return
+
+    let cancelled = false
+    setLoading(true)
+    const request = kind === 'games' ? api.getGameItem(id) : api.getMovieItem(id)
+    request
+      .then(data => {
+        if (!cancelled) setDetails(data)
+      })
+      .catch(err => console.error('Error loading item details:', err))
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [kind, id, enabled])
+
+  const record = useMemo(() => {
+    if (!item || !details || String(details.id) !== String(id)) return item
+    // The list description is only a preview; keep the list's image URL instead of the inline base64
+    return { ...item, ...details, description: details.description, image: item.image || details.image }
+  }, [item, details, id])
+
+  return { item: record, loading }
+}
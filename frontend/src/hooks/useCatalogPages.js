@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import api from '../services/api'
+
+const PAGE_SIZE = 24
+
+const fetchPage = ({ kind, type }, params) =>
+  kind === 'games' ? api.getGamesPage(type, params) : api.getMoviesPage(type, params)
+
+// Infinite scroll over the paginated catalog endpoints (GET /api/games/:type, /api/movies/:type).
+// `sources` are shown one after another ("all games" = readyToPlay, then repack, then online),
+// e.g. [{ kind: 'games', type: 'repack' }]; `query` holds the FilterBar params (q, sort, genre, ...).
+// Filtering and sorting happen on the server, so changing `query` starts again from page 1.
+export const useCatalogPages = (sources, query, { pageSize = PAGE_SIZE } = {}) => {
+  const [pages, setPages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+  const generation = useRef(0)
+  const loadingMoreRef = useRef(false)
+  const sourcesKey = JSON.stringify(sources)
+  const queryKey = JSON.stringify(query)
+
+  useEffect(() => {
+    const requestId = ++generation.current
+    loadingMoreRef.current = false
+    setLoading(true)
+    setLoadingMore(false)
+    setError(null)
+
+    // First page of every source at once, so the total is known up front
+    Promise.all(sources.map(source => fetchPage(source, { ...query, page: 1, limit: pageSize })))
+      .then(results => {
+        if (requestId === generation.current) setPages(results)
+      })
+      .catch(err => {
+        if (requestId !== generation.current) return
+        console.error('Error loading catalog page:', err)
+        setError(err.message)
+        setPages([])
+      })
+      .finally(() => {
+        if (requestId === generation.current) setLoading(false)
+      })
+  }, [sourcesKey, queryKey, pageSize])
+
+  const loadMore = useCallback(async () => {
+    const index = pages.findIndex(page => page.hasMore)
+    if (index === -1 || loadingMoreRef.current) return
+
+    const requestId = generation.current
+    loadingMoreRef.current = true
+    setLoadingMore(true)
+    try {
+      const next = await fetchPage(sources[index], { ...query, page: pages[index].page + 1, limit: pageSize })
+      if (requestId !== generation.current) return
+      setPages(prev => prev.map((page, i) => (i === index ? { ...next, items: [...page.items, ...next.items] } : page)))
+    } catch (err) {
+      console.error('Error loading more catalog items:', err)
+    } finally {
+      if (requestId === generation.current) {
+        loadingMoreRef.current = false
+        setLoadingMore(false)
+      }
+    }
+  }, [pages, sourcesKey, queryKey, pageSize])
+
+  // A source's items only show once every source before it is fully loaded
+  const items = useMemo(() => {
+    const visible = []
+    for (const page of pages) {
+      visible.push(...page.items)
+      if (page.hasMore) break
+    }
+    return visible
+  }, [pages])
+
+  const total = pages.reduce((sum, page) => sum + page.total, 0)
+  const hasMore = pages.some(page => page.hasMore)
+
+  return { items, total, hasMore, loading, loadingMore, error, loadMore }
+}
@@ -0,0 +1,41 @@
+import { useState, useEffect, useRef } from 'react'
+import api from '../services/api'
+
+const SEARCH_DEBOUNCE_MS = 250
+
+// Debounced server-side catalog search (GET /api/search).
+// `results` is null until the server has answered for the current query (or when it fails),
+// so callers can keep showing a local filter in the meantime.
+export const useCatalogSearch = (query, { types, limit = 20, minLength = 2 } = {}) => {
+  const [results, setResults] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const latestRequest = useRef(0)
+  const typesKey = types ? types.join(',') : ''
+
+  useEffect(() => {
+    const trimmed = (query || '').trim()
+    const requestId = ++latestRequest.current
+    setResults(null)
+
+    if (trimmed.length < minLength) {
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    const timer = setTimeout(async () => {
+      try {
+        const data = await api.searchCatalog(trimmed, { types, limit })
+        if (requestId === latestRequest.current) setResults(data)
+      } catch (err) {
+        console.error('Catalog search failed:', err)
+      } finally {
+        if (requestId === latestRequest.current) setLoading(false)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [query, typesKey, limit, minLength])
+
+  return { results, loading }
+}
@@ -208,6 +208,7 @@ export const useGames = () => {
       setError(null)
 
       // 1. Try to load from LocalStorage first (Instant Load)
+      let hasCache = false
       if (!forceRefresh) {
         try {
           const savedReadyToPlay = JSON.parse(localStorage.getItem('readyToPlayGames') || 'null')
@@ -219,6 +220,7 @@ export const useGames = () => {
             setReadyToPlayGames(sortGamesAlphabetically(addImagesToGames(savedReadyToPlay)))
             setRepackGames(sortGamesAlphabetically(addImagesToGames(savedRepack)))
             setOnlineGames(sortGamesAlphabetically(addImagesToGames(savedOnline)))
+            hasCache = true
             setLoading(false) // Show cached data immediately
           }
         } catch (e) {
@@ -226,7 +228,15 @@ export const useGames = () => {
         }
       }
 
-      // 2. Fetch fresh data from API (Background Update)
+      // 2. Skip the download when the catalog hasn't changed since the cached copy
+      // (read the version before the data, so a stored version is never newer than its data)
+      const catalogVersion = await api.getCatalogVersion().then(v => String(v.version)).catch(() => null)
+      if (hasCache && catalogVersion && localStorage.getItem('gamesCatalogVersion') === catalogVersion) {
+        console.log('📦 Games cache is up to date')
+        return
+      }
+
+      // 3. Fetch fresh data from API (Background Update)
       const data = await api.getAllGames()
 
       // Add images to games and sort alphabetically
@@ -234,15 +244,17 @@ export const useGames = () => {
       const repackWithImages = addImagesToGames(data.repack || [])
       const onlineWithImages = addImagesToGames(data.online || [])
 
-      // 3. Update State
+      // 4. Update State
       setReadyToPlayGames(sortGamesAlphabetically(readyToPlayWithImages))
       setRepackGames(sortGamesAlphabetically(repackWithImages))
       setOnlineGames(sortGamesAlphabetically(onlineWithImages))
 
-      // 4. Update LocalStorage
+      // 5. Update LocalStorage
       localStorage.setItem('readyToPlayGames', JSON.stringify(readyToPlayWithImages))
       localStorage.setItem('repackGames', JSON.stringify(repackWithImages))
       localStorage.setItem('onlineGames', JSON.stringify(onlineWithImages))
+      if (catalogVersion) localStorage.setItem('gamesCatalogVersion', catalogVersion)
+      else localStorage.removeItem('gamesCatalogVersion')
 
     } catch (err) {
       console.error('Error loading games from API:', err)
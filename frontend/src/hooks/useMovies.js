@@ -112,6 +112,22 @@ export const MoviesProvider = ({ children }) => {
       setLoading(true)
       setError(null)
 
+      // Reuse the cached lists when the catalog hasn't changed since they were saved
+      // (read the version before the data, so a stored version is never newer than its data)
+      const catalogVersion = await api.getCatalogVersion().then(v => String(v.version)).catch(() => null)
+      if (!forceRefresh && catalogVersion && localStorage.getItem('moviesCatalogVersion') === catalogVersion) {
+        const savedMovies = getLocalData('movies_cache')
+        const savedTvShows = getLocalData('tvShows_cache')
+        const savedAnime = getLocalData('anime_cache')
+        if (savedMovies.length || savedTvShows.length || savedAnime.length) {
+          console.log('📦 Movies cache is up to date')
+          setMovies(normalize(savedMovies))
+          setTvShows(normalize(savedTvShows))
+          setAnime(normalize(savedAnime))
+          return
+        }
+      }
+
       console.log('🔄 Loading movies...')
       const data = await api.getAllMovies()
       console.log('✅ Movies data received:', {
@@ -131,6 +147,8 @@ export const MoviesProvider = ({ children }) => {
       localStorage.setItem('movies_cache', JSON.stringify(sortedMovies))
       localStorage.setItem('tvShows_cache', JSON.stringify(sortedTvShows))
       localStorage.setItem('anime_cache', JSON.stringify(sortedAnime))
+      if (catalogVersion) localStorage.setItem('moviesCatalogVersion', catalogVersion)
+      else localStorage.removeItem('moviesCatalogVersion')
     } catch (err) {
       console.error('❌ Error loading movies from API:', err)
       const isNetworkError =
@@ -2,6 +2,7 @@ import { useState, useMemo } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useSelection } from '../../context/SelectionContext'
 import { useGames } from '../../hooks/useGames'
+import { useCatalogSearch } from '../../hooks/useCatalogSearch'
 import ErrorModal from '../../components/ErrorModal/ErrorModal'
 import AutocompleteInput from '../../components/AutocompleteInput/AutocompleteInput'
 import GameResultBadge from '../../components/GameResultBadge/GameResultBadge'
@@ -11,6 +12,8 @@ import { trackWhatsAppClick } from '../../utils/analytics'
 import api from '../../services/api'
 import './CanIRunIt.css'
 
+const GAME_SEARCH_TYPES = ['games']
+
 function CanIRunIt() {
   const { selectedGames } = useSelection()
   const { readyToPlayGames, repackGames, onlineGames } = useGames()
@@ -39,15 +42,20 @@ function CanIRunIt() {
   // Game names for autocomplete
   const gameNames = useMemo(() => allGames.map(g => g.name).sort(), [allGames])
 
+  // Server-side typo-tolerant search; local substring match until it answers
+  const { results: searchResults } = useCatalogSearch(searchQuery, { types: GAME_SEARCH_TYPES, limit: 20 })
+
   // Filtered suggestions
   const filteredSuggestions = useMemo(() => {
     if (!searchQuery || searchQuery.length < 2) return []
     const q = searchQuery.toLowerCase()
-    return allGames
-      .filter(g => g.name.toLowerCase().includes(q))
+    const matches = searchResults
+      ? searchResults.map(result => allGames.find(g => String(g.id) === String(result.id))).filter(Boolean)
+      : allGames.filter(g => g.name.toLowerCase().includes(q))
+    return matches
       .filter(g => !searchSelectedGames.find(sg => sg.id === g.id))
       .slice(0, 8)
-  }, [searchQuery, allGames, searchSelectedGames])
+  }, [searchQuery, searchResults, allGames, searchSelectedGames])
 
   // Combined: games from both context selection AND direct search
   const combinedSelectedIds = useMemo(() => {
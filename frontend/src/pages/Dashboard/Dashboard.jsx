@@ -7,6 +7,15 @@ import BundleForm from '../../components/BundleForm/BundleForm'
 import UpcomingGameForm from '../../components/UpcomingGameForm/UpcomingGameForm'
 import ConfirmationDialog from '../../components/ConfirmationDialog/ConfirmationDialog'
 import SubscribersList from '../../components/SubscribersList/SubscribersList' // Import new component
+import AdminUsersList from '../../components/AdminUsersList/AdminUsersList'
+import AuditLogList from '../../components/AuditLogList/AuditLogList'
+import OrdersList from '../../components/OrdersList/OrdersList'
+import PricingEditor from '../../components/PricingEditor/PricingEditor'
+import PromotionsList from '../../components/PromotionsList/PromotionsList'
+import LibraryScanner from '../../components/LibraryScanner/LibraryScanner'
+import SalesAnalytics from '../../components/SalesAnalytics/SalesAnalytics'
+import BackupsPanel from '../../components/BackupsPanel/BackupsPanel'
+import JobsPanel from '../../components/JobsPanel/JobsPanel'
 import api from '../../services/api'
 import { useToast } from '../../hooks/useToast.jsx'
 import { useMovies } from '../../hooks/useMovies.js'
@@ -33,9 +42,15 @@ function Dashboard() {
   const [showUpcomingForm, setShowUpcomingForm] = useState(false)
 
   const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [currentUser, setCurrentUser] = useState(null)
+  const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [confirmDialog, setConfirmDialog] = useState({ isOpen: false, onConfirm: null, message: '', title: '' })
 
+  // Role-based UI: hide actions the logged-in account is not allowed to perform
+  const can = (permission) => !!currentUser?.permissions?.includes(permission)
+  const canEditCatalog = can('catalog:write')
+
   // DEBUG LOGS
   useEffect(() => {
     console.log(`🔍 [DEBUG] [TIMESTAMP: ${new Date().toISOString()}] Dashboard State Updated:`, {
@@ -57,7 +72,7 @@ function Dashboard() {
     try {
       console.log(`🔄 [${new Date().toISOString()}] Loading games from API (NO CACHE)...`)
       // Force fresh data by adding timestamp to prevent caching
-      const data = await api.getAllGames()
+      const data = await api.getAllGames({ view: 'full' })
       console.log(`✅ [${new Date().toISOString()}] Games loaded from MongoDB:`, {
         readyToPlay: data.readyToPlay?.length || 0,
         repack: data.repack?.length || 0,
@@ -85,7 +100,7 @@ function Dashboard() {
 
   const loadMovies = async () => {
     try {
-      const data = await api.getAllMovies()
+      const data = await api.getAllMovies({ view: 'full' })
       setMovies({
         movies: data.movies || [],
         tvShows: data.tvShows || [],
@@ -141,35 +156,42 @@ function Dashboard() {
 
 
   useEffect(() => {
-    // Check if already authenticated
-    const auth = localStorage.getItem('dashboard_auth')
-    if (auth === 'true') {
-      setIsAuthenticated(true)
-      console.log('🔓 [DEBUG] Already authenticated from localStorage')
-      loadGames()
-      loadMovies()
-      loadNews()
-    }
+    // Check if the stored session token is still valid
+    if (!api.getAuthToken()) return
+    api.getSession()
+      .then((session) => {
+        setCurrentUser(session.user)
+        setIsAuthenticated(true)
+        console.log('🔓 [DEBUG] Already authenticated from stored session')
+      })
+      .catch(() => {
+        api.logout()
+      })
   }, [])
 
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault()
-    // Simple password check
-    if (password === 'Eslam@bta3') {
+    try {
+      const session = await api.login(username, password)
+      setCurrentUser(session.user)
       setIsAuthenticated(true)
+      setPassword('')
       console.log('🔓 [DEBUG] Login successful, setting isAuthenticated to true')
-      localStorage.setItem('dashboard_auth', 'true')
-      loadGames()
-      loadMovies()
-      loadNews()
-    } else {
-      error('كلمة المرور غير صحيحة', 3000)
+    } catch (err) {
+      if (err.status === 401) {
+        error('اسم المستخدم أو كلمة المرور غير صحيحة', 3000)
+      } else if (err.status === 429) {
+        error(`محاولات دخول فاشلة كثيرة، حاول مرة أخرى بعد ${err.data?.retryAfter || 60} ثانية`, 5000)
+      } else {
+        error('فشل الاتصال بالسيرفر', 3000)
+      }
     }
   }
 
   const handleLogout = () => {
     setIsAuthenticated(false)
-    localStorage.removeItem('dashboard_auth')
+    setCurrentUser(null)
+    api.logout()
   }
 
   const handleSaveGame = async (gameData) => {
@@ -594,6 +616,28 @@ function Dashboard() {
           </motion.h2>
 
           <form onSubmit={handleLogin} className="space-y-6 relative z-10">
+            <div>
+              <motion.label
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: 0.5 }}
+                className="block text-sm font-semibold text-white/90 mb-3"
+              >
+                اسم المستخدم
+              </motion.label>
+              <motion.input
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.6 }}
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full px-5 py-4 rounded-2xl border-2 border-white/20 dark:border-gray-600/50 bg-white/10 dark:bg-gray-700/30 backdrop-blur-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300"
+                placeholder="أدخل اسم المستخدم"
+                autoComplete="username"
+                required
+              />
+            </div>
             <div>
               <motion.label
                 initial={{ opacity: 0, x: -20 }}
@@ -709,15 +753,22 @@ function Dashboard() {
               {activeSection === 'games' ? 'إدارة مكتبة الألعاب' : activeSection === 'movies' ? 'إدارة الأفلام والمسلسلات والأنمي' : 'إدارة أخبار الألعاب'}
             </motion.p>
           </div>
-          <motion.button
-            whileHover={{ scale: 1.1, y: -2 }}
-            whileTap={{ scale: 0.9 }}
-            onClick={handleLogout}
-            className="group relative px-6 py-3 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-2xl font-bold shadow-2xl hover:shadow-red-500/50 transition-all duration-300 overflow-hidden"
-          >
-            <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
-            <span className="relative z-10">تسجيل الخروج</span>
-          </motion.button>
+          <div className="flex items-center gap-4">
+            {currentUser && (
+              <span className="text-white/70 text-sm">
+                {currentUser.username} · {currentUser.role === 'owner' ? 'مالك' : currentUser.role === 'editor' ? 'محرر' : 'مشاهد'}
+              </span>
+            )}
+            <motion.button
+              whileHover={{ scale: 1.1, y: -2 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={handleLogout}
+              className="group relative px-6 py-3 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-2xl font-bold shadow-2xl hover:shadow-red-500/50 transition-all duration-300 overflow-hidden"
+            >
+              <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              <span className="relative z-10">تسجيل الخروج</span>
+            </motion.button>
+          </div>
         </motion.div>
 
         {/* Section Tabs (Games / Movies / Explore) */}
@@ -780,19 +831,197 @@ function Dashboard() {
             whileHover={{ scale: 1.05, y: -2 }}
             whileTap={{ scale: 0.95 }}
             onClick={() => {
-              setActiveSection('subscribers')
-              setActiveTab('subscribers')
+              setActiveSection('activity')
+              setActiveTab('activity')
+            }}
+            className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'activity'
+              ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+              : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+              }`}
+          >
+            {activeSection === 'activity' && (
+              <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+            )}
+            <span className="relative z-10">النشاط 🕓</span>
+          </motion.button>
+
+          <motion.button
+            whileHover={{ scale: 1.05, y: -2 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => {
+              setActiveSection('orders')
+              setActiveTab('orders')
             }}
-            className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'subscribers'
+            className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'orders'
               ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
               : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
               }`}
           >
-            {activeSection === 'subscribers' && (
+            {activeSection === 'orders' && (
               <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
             )}
-            <span className="relative z-10">المشتركين 📧</span>
+            <span className="relative z-10">الطلبات 📦</span>
           </motion.button>
+
+          {can('pricing:manage') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('pricing')
+                setActiveTab('pricing')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'pricing'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'pricing' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">الأسعار 💰</span>
+            </motion.button>
+          )}
+
+          {can('pricing:manage') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('promotions')
+                setActiveTab('promotions')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'promotions'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'promotions' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">العروض 🎁</span>
+            </motion.button>
+          )}
+
+          {can('catalog:write') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('library')
+                setActiveTab('library')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'library'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'library' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">المكتبة 💽</span>
+            </motion.button>
+          )}
+
+          {can('orders:manage') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('analytics')
+                setActiveTab('analytics')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'analytics'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'analytics' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">التحليلات 📊</span>
+            </motion.button>
+          )}
+
+          {can('subscribers:manage') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('subscribers')
+                setActiveTab('subscribers')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'subscribers'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'subscribers' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">المشتركين 📧</span>
+            </motion.button>
+          )}
+
+          {can('users:manage') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('users')
+                setActiveTab('users')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'users'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'users' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">المستخدمين 👥</span>
+            </motion.button>
+          )}
+
+          {can('system:manage') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('backups')
+                setActiveTab('backups')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'backups'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'backups' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">النسخ الاحتياطية 🗄️</span>
+            </motion.button>
+          )}
+
+          {can('system:manage') && (
+            <motion.button
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => {
+                setActiveSection('jobs')
+                setActiveTab('jobs')
+              }}
+              className={`group relative px-6 py-3 rounded-xl font-bold text-base transition-all overflow-hidden ${activeSection === 'jobs'
+                ? 'bg-gradient-to-r from-blue-500 via-purple-600 to-cyan-500 text-white shadow-xl shadow-blue-500/50'
+                : 'bg-white/10 dark:bg-gray-800/30 backdrop-blur-xl text-white/80 border border-white/20 dark:border-gray-700/30 hover:bg-white/20'
+                }`}
+            >
+              {activeSection === 'jobs' && (
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
+              )}
+              <span className="relative z-10">المهام المجدولة 🕒</span>
+            </motion.button>
+          )}
         </div>
 
         {/* Games Tabs */}
@@ -967,7 +1196,7 @@ function Dashboard() {
 
         {/* Add Button */}
         {/* Add Button */}
-        {activeSection === 'games' && (
+        {activeSection === 'games' && canEditCatalog && (
           <motion.button
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -992,7 +1221,7 @@ function Dashboard() {
           </motion.button>
         )}
 
-        {(activeSection === 'movies' || activeSection === 'tvShows' || activeSection === 'anime') && (
+        {(activeSection === 'movies' || activeSection === 'tvShows' || activeSection === 'anime') && canEditCatalog && (
           <motion.button
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -1017,7 +1246,7 @@ function Dashboard() {
           </motion.button>
         )}
 
-        {activeSection === 'news' && (
+        {activeSection === 'news' && canEditCatalog && (
           <motion.button
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -1154,26 +1383,28 @@ function Dashboard() {
                       )}
                     </div>
                   </div>
-                  <div className="flex gap-3">
-                    <motion.button
-                      whileHover={{ scale: 1.1, y: -2 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => handleEdit(game)}
-                      className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white rounded-xl font-bold shadow-lg hover:shadow-blue-500/50 transition-all duration-300 overflow-hidden relative"
-                    >
-                      <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
-                      <span className="relative z-10">تعديل</span>
-                    </motion.button>
-                    <motion.button
-                      whileHover={{ scale: 1.1, y: -2 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => handleDelete(game.id)}
-                      className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-xl font-bold shadow-lg hover:shadow-red-500/50 transition-all duration-300 overflow-hidden relative"
-                    >
-                      <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
-                      <span className="relative z-10">حذف</span>
-                    </motion.button>
-                  </div>
+                  {canEditCatalog && (
+                    <div className="flex gap-3">
+                      <motion.button
+                        whileHover={{ scale: 1.1, y: -2 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleEdit(game)}
+                        className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white rounded-xl font-bold shadow-lg hover:shadow-blue-500/50 transition-all duration-300 overflow-hidden relative"
+                      >
+                        <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
+                        <span className="relative z-10">تعديل</span>
+                      </motion.button>
+                      <motion.button
+                        whileHover={{ scale: 1.1, y: -2 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleDelete(game.id)}
+                        className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-xl font-bold shadow-lg hover:shadow-red-500/50 transition-all duration-300 overflow-hidden relative"
+                      >
+                        <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
+                        <span className="relative z-10">حذف</span>
+                      </motion.button>
+                    </div>
+                  )}
                 </div>
               </motion.div>
             ))}
@@ -1217,19 +1448,21 @@ function Dashboard() {
             {/* News Section */}
             {activeTab === 'news' && (
               <div>
-                <motion.button
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={() => {
-                    setEditingItem(null)
-                    setShowNewsForm(true)
-                  }}
-                  className="mb-8 px-8 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-bold shadow-lg flex items-center gap-2 mx-auto"
-                >
-                  <span>+</span> إضافة خبر جديد
-                </motion.button>
+                {canEditCatalog && (
+                  <motion.button
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => {
+                      setEditingItem(null)
+                      setShowNewsForm(true)
+                    }}
+                    className="mb-8 px-8 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-bold shadow-lg flex items-center gap-2 mx-auto"
+                  >
+                    <span>+</span> إضافة خبر جديد
+                  </motion.button>
+                )}
 
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                   {news.map((item, index) => (
@@ -1255,20 +1488,22 @@ function Dashboard() {
                       </div>
                       <div className="p-4">
                         <p className="text-white/60 text-sm line-clamp-3 mb-4">{item.description}</p>
-                        <div className="flex gap-2">
-                          <button
-                            onClick={() => handleEditNews(item)}
-                            className="flex-1 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
-                          >
-                            تعديل
-                          </button>
-                          <button
-                            onClick={() => handleDeleteNews(item.id)}
-                            className="flex-1 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
-                          >
-                            حذف
-                          </button>
-                        </div>
+                        {canEditCatalog && (
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleEditNews(item)}
+                              className="flex-1 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
+                            >
+                              تعديل
+                            </button>
+                            <button
+                              onClick={() => handleDeleteNews(item.id)}
+                              className="flex-1 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
+                            >
+                              حذف
+                            </button>
+                          </div>
+                        )}
                       </div>
                     </motion.div>
                   ))}
@@ -1279,19 +1514,21 @@ function Dashboard() {
             {/* Bundles Section */}
             {activeTab === 'bundles' && (
               <div>
-                <motion.button
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={() => {
-                    setEditingItem(null)
-                    setShowBundleForm(true)
-                  }}
-                  className="mb-8 px-8 py-3 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-xl font-bold shadow-lg flex items-center gap-2 mx-auto"
-                >
-                  <span>+</span> إضافة باقة جديدة
-                </motion.button>
+                {canEditCatalog && (
+                  <motion.button
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => {
+                      setEditingItem(null)
+                      setShowBundleForm(true)
+                    }}
+                    className="mb-8 px-8 py-3 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-xl font-bold shadow-lg flex items-center gap-2 mx-auto"
+                  >
+                    <span>+</span> إضافة باقة جديدة
+                  </motion.button>
+                )}
 
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                   {bundles.map((bundle, index) => (
@@ -1316,24 +1553,26 @@ function Dashboard() {
                           ))}
                         </div>
 
-                        <div className="flex gap-2 mt-4">
-                          <button
-                            onClick={() => handleEditBundle(bundle)}
-                            className="flex-1 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
-                          >
-                            تعديل
-                          </button>
-                          <button
-                            onClick={() => {
-                              if (window.confirm('مسح الباقة؟')) {
-                                api.deleteBundle(bundle.id).then(loadBundles)
-                              }
-                            }}
-                            className="flex-1 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
-                          >
-                            حذف
-                          </button>
-                        </div>
+                        {canEditCatalog && (
+                          <div className="flex gap-2 mt-4">
+                            <button
+                              onClick={() => handleEditBundle(bundle)}
+                              className="flex-1 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
+                            >
+                              تعديل
+                            </button>
+                            <button
+                              onClick={() => {
+                                if (window.confirm('مسح الباقة؟')) {
+                                  api.deleteBundle(bundle.id).then(loadBundles)
+                                }
+                              }}
+                              className="flex-1 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
+                            >
+                              حذف
+                            </button>
+                          </div>
+                        )}
                       </div>
                     </motion.div>
                   ))}
@@ -1344,19 +1583,21 @@ function Dashboard() {
             {/* Upcoming Games Section */}
             {activeTab === 'upcoming' && (
               <div>
-                <motion.button
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={() => {
-                    setEditingItem(null)
-                    setShowUpcomingForm(true)
-                  }}
-                  className="mb-8 px-8 py-3 bg-gradient-to-r from-purple-500 to-pink-500 text-white rounded-xl font-bold shadow-lg flex items-center gap-2 mx-auto"
-                >
-                  <span>+</span> إضافة لعبة منتظرة
-                </motion.button>
+                {canEditCatalog && (
+                  <motion.button
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => {
+                      setEditingItem(null)
+                      setShowUpcomingForm(true)
+                    }}
+                    className="mb-8 px-8 py-3 bg-gradient-to-r from-purple-500 to-pink-500 text-white rounded-xl font-bold shadow-lg flex items-center gap-2 mx-auto"
+                  >
+                    <span>+</span> إضافة لعبة منتظرة
+                  </motion.button>
+                )}
 
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                   {upcomingGames.map((game, index) => (
@@ -1384,24 +1625,26 @@ function Dashboard() {
                           </span>
                         </div>
 
-                        <div className="flex gap-2">
-                          <button
-                            onClick={() => handleEditUpcoming(game)}
-                            className="flex-1 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
-                          >
-                            تعديل
-                          </button>
-                          <button
-                            onClick={() => {
-                              if (window.confirm('مسح اللعبة المنتظرة؟')) {
-                                api.deleteUpcomingGame(game.id).then(loadUpcomingGames)
-                              }
-                            }}
-                            className="flex-1 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
-                          >
-                            حذف
-                          </button>
-                        </div>
+                        {canEditCatalog && (
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleEditUpcoming(game)}
+                              className="flex-1 bg-blue-500/20 hover:bg-blue-500 text-blue-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
+                            >
+                              تعديل
+                            </button>
+                            <button
+                              onClick={() => {
+                                if (window.confirm('مسح اللعبة المنتظرة؟')) {
+                                  api.deleteUpcomingGame(game.id).then(loadUpcomingGames)
+                                }
+                              }}
+                              className="flex-1 bg-red-500/20 hover:bg-red-500 text-red-200 hover:text-white py-2 rounded-lg transition-colors text-sm font-bold"
+                            >
+                              حذف
+                            </button>
+                          </div>
+                        )}
                       </div>
                     </motion.div>
                   ))}
@@ -1552,26 +1795,28 @@ function Dashboard() {
                       </span>
                     </div>
                   </div>
-                  <div className="flex gap-3">
-                    <motion.button
-                      whileHover={{ scale: 1.1, y: -2 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => handleEditMovie(item)}
-                      className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white rounded-xl font-bold shadow-lg hover:shadow-blue-500/50 transition-all duration-300 overflow-hidden relative"
-                    >
-                      <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
-                      <span className="relative z-10">تعديل</span>
-                    </motion.button>
-                    <motion.button
-                      whileHover={{ scale: 1.1, y: -2 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => handleDeleteMovie(item.id)}
-                      className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-xl font-bold shadow-lg hover:shadow-red-500/50 transition-all duration-300 overflow-hidden relative"
-                    >
-                      <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
-                      <span className="relative z-10">حذف</span>
-                    </motion.button>
-                  </div>
+                  {canEditCatalog && (
+                    <div className="flex gap-3">
+                      <motion.button
+                        whileHover={{ scale: 1.1, y: -2 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleEditMovie(item)}
+                        className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white rounded-xl font-bold shadow-lg hover:shadow-blue-500/50 transition-all duration-300 overflow-hidden relative"
+                      >
+                        <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
+                        <span className="relative z-10">تعديل</span>
+                      </motion.button>
+                      <motion.button
+                        whileHover={{ scale: 1.1, y: -2 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleDeleteMovie(item.id)}
+                        className="group/btn flex-1 px-4 py-3 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-xl font-bold shadow-lg hover:shadow-red-500/50 transition-all duration-300 overflow-hidden relative"
+                      >
+                        <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent transform -translate-x-full group-hover/btn:translate-x-full transition-transform duration-700"></div>
+                        <span className="relative z-10">حذف</span>
+                      </motion.button>
+                    </div>
+                  )}
                 </div>
               </motion.div>
             ))}
@@ -1647,11 +1892,56 @@ function Dashboard() {
         )}
       </div>
 
+      {/* Activity (Audit Log) Section */}
+      {activeSection === 'activity' && (
+        <AuditLogList />
+      )}
+
+      {/* Orders Section */}
+      {activeSection === 'orders' && (
+        <OrdersList canManage={can('orders:manage')} />
+      )}
+
+      {/* Pricing Section */}
+      {activeSection === 'pricing' && can('pricing:manage') && (
+        <PricingEditor />
+      )}
+
+      {/* Promotions Section */}
+      {activeSection === 'promotions' && can('pricing:manage') && (
+        <PromotionsList />
+      )}
+
+      {/* Library Scanner Section */}
+      {activeSection === 'library' && can('catalog:write') && (
+        <LibraryScanner />
+      )}
+
+      {/* Sales Analytics Section */}
+      {activeSection === 'analytics' && can('orders:manage') && (
+        <SalesAnalytics />
+      )}
+
       {/* Subscribers Section */}
-      {activeSection === 'subscribers' && (
+      {activeSection === 'subscribers' && can('subscribers:manage') && (
         <SubscribersList />
       )}
 
+      {/* Admin Users Section */}
+      {activeSection === 'users' && can('users:manage') && (
+        <AdminUsersList currentUser={currentUser} />
+      )}
+
+      {/* Backups Section */}
+      {activeSection === 'backups' && can('system:manage') && (
+        <BackupsPanel />
+      )}
+
+      {/* Scheduled Jobs Section */}
+      {activeSection === 'jobs' && can('system:manage') && (
+        <JobsPanel />
+      )}
+
       {/* Game Form Modal */}
       {showForm && (
         <GameForm
@@ -1,10 +1,11 @@
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useMemo } from 'react'
 import { motion } from 'framer-motion'
 import { useParams, Link, useLocation } from 'react-router-dom'
 import GameGrid from '../../components/GameGrid/GameGrid'
 import FilterBar from '../../components/FilterBar/FilterBar'
-import { useGames } from '../../hooks/useGames'
+import { useCatalogPages } from '../../hooks/useCatalogPages'
 import { useGameSelection } from '../../hooks/useGameSelection'
+import { gameImages } from '../../data/gameImages'
 import { useSelection } from '../../context/SelectionContext'
 import { useDarkMode } from '../../context/DarkModeContext'
 import './GamesPage.css'
@@ -12,33 +13,33 @@ import './GamesPage.css'
 function GamesPage() {
   const { category } = useParams()
   const location = useLocation()
-  const { readyToPlayGames, repackGames, onlineGames } = useGames()
   const { selectedGames, toggleGame } = useGameSelection()
   const { totalSelectedCount } = useSelection()
   const { isDark } = useDarkMode()
   const coverImage = isDark ? '/wallpaper_black.png' : '/wallpaper_white.png'
-  const [filteredGames, setFilteredGames] = useState([])
+  const [query, setQuery] = useState({})
 
-  // Get games based on category (already sorted alphabetically from useGames hook)
-  const games = useMemo(() => {
+  // Server categories behind each route ("all games" pages through them in order)
+  const sources = useMemo(() => {
     switch (category) {
       case 'all-games':
-        return [...readyToPlayGames, ...repackGames, ...onlineGames]
+        return ['readyToPlay', 'repack', 'online'].map(type => ({ kind: 'games', type }))
       case 'full-games':
-        return readyToPlayGames
+        return [{ kind: 'games', type: 'readyToPlay' }]
       case 'repack-games':
-        return repackGames
+        return [{ kind: 'games', type: 'repack' }]
       case 'online-games':
-        return onlineGames
+        return [{ kind: 'games', type: 'online' }]
       default:
         return []
     }
-  }, [category, readyToPlayGames, repackGames, onlineGames])
+  }, [category])
 
-  // Initialize filtered games with all games and reset when route changes
-  useEffect(() => {
-    setFilteredGames(games)
-  }, [location.pathname, games])
+  const { items, total, hasMore, loading, loadMore } = useCatalogPages(sources, query)
+  const games = useMemo(
+    () => items.map(game => ({ ...game, image: game.image || gameImages[game.name] || null })),
+    [items]
+  )
 
   // Get category info
   const getCategoryInfo = () => {
@@ -177,22 +178,30 @@ function GamesPage() {
               animate={{ opacity: 1, y: 0 }}
               className="text-3xl md:text-4xl font-bold text-gray-900 dark:text-white mb-2"
             >
-              جميع الألعاب ({filteredGames.length || games.length})
+              جميع الألعاب ({total})
             </motion.h2>
           </div>
 
           {/* Filter Bar */}
           <FilterBar
-            items={games}
-            onFilterChange={setFilteredGames}
+            onQueryChange={setQuery}
+            resultCount={total}
             type="games"
           />
 
-          <GameGrid
-            games={filteredGames.length > 0 ? filteredGames : games}
-            selectedGames={selectedGames}
-            onToggleGame={toggleGame}
-          />
+          {loading ? (
+            <div className="py-12 flex justify-center w-full">
+              <div className="w-10 h-10 border-4 border-blue-500/30 border-t-blue-500 rounded-full animate-spin"></div>
+            </div>
+          ) : (
+            <GameGrid
+              games={games}
+              selectedGames={selectedGames}
+              onToggleGame={toggleGame}
+              hasMore={hasMore}
+              onLoadMore={loadMore}
+            />
+          )}
         </div>
       </section>
 
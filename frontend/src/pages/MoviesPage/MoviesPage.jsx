@@ -1,8 +1,9 @@
 import { useState, useEffect, useMemo, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useParams, Link, useLocation } from 'react-router-dom'
-import { useMovies } from '../../hooks/useMovies'
+import { useCatalogPages } from '../../hooks/useCatalogPages'
 import { API_BASE_URL } from '../../services/api'
+import { movieImages } from '../../data/movieImages'
 import { useMovieSelection } from '../../hooks/useMovieSelection'
 import { useSelection } from '../../context/SelectionContext'
 import { useDarkMode } from '../../context/DarkModeContext'
@@ -11,11 +12,17 @@ import MovieDetailsModal from '../../components/MovieDetailsModal/MovieDetailsMo
 import FilterBar from '../../components/FilterBar/FilterBar'
 import './MoviesPage.css'
 
+// Route segment -> server type and the label used by the selection
+const MEDIA_TYPES = {
+  'movies': { type: 'movies', categoryType: 'فيلم' },
+  'tv-shows': { type: 'tvShows', categoryType: 'مسلسل' },
+  'anime': { type: 'anime', categoryType: 'أنمي' }
+}
+
 function MoviesPage() {
   const [selectedMovieForModal, setSelectedMovieForModal] = useState(null)
   const { type } = useParams()
   const location = useLocation()
-  const { movies, tvShows, anime, loading, error } = useMovies()
   const { selectedItems, toggleItem, isItemSelected } = useMovieSelection()
   const { totalSelectedCount } = useSelection()
   const { isDark } = useDarkMode()
@@ -26,26 +33,21 @@ function MoviesPage() {
   }
 
   const coverImage = getCoverImage()
-  const [filteredItems, setFilteredItems] = useState(null)
+  const [query, setQuery] = useState({})
+  const mediaType = MEDIA_TYPES[type]
 
-  // Get items based on type (already sorted alphabetically from useMovies hook)
-  const items = useMemo(() => {
-    switch (type) {
-      case 'movies':
-        return movies.map(item => ({ ...item, categoryType: 'فيلم' }))
-      case 'tv-shows':
-        return tvShows.map(item => ({ ...item, categoryType: 'مسلسل' }))
-      case 'anime':
-        return anime.map(item => ({ ...item, categoryType: 'أنمي' }))
-      default:
-        return []
-    }
-  }, [type, movies, tvShows, anime])
+  // Filtering, sorting and paging happen on the server
+  const sources = useMemo(() => (mediaType ? [{ kind: 'movies', type: mediaType.type }] : []), [mediaType])
+  const { items: pageItems, total, hasMore, loading, loadingMore, error, loadMore } = useCatalogPages(sources, query)
 
-  // Initialize filtered items with all items and reset when route changes
-  useEffect(() => {
-    setFilteredItems(null)
-  }, [location.pathname, items.length])
+  const items = useMemo(
+    () => pageItems.map(item => ({
+      ...item,
+      image: item.image || movieImages[item.name || item.title] || null,
+      categoryType: mediaType.categoryType
+    })),
+    [pageItems, mediaType]
+  )
 
   // Get type info
   const getTypeInfo = () => {
@@ -75,33 +77,12 @@ function MoviesPage() {
 
   const typeInfo = getTypeInfo()
 
-  // Infinite Scroll State
-  const [displayCount, setDisplayCount] = useState(12)
+  // Infinite Scroll: fetch the next page when the sentinel comes into view
   const loaderRef = useRef(null)
 
-  // Reset display count when the dataset identity changes (category or item count),
-  // not on every new array reference — that was causing the infinite scroll to flicker back.
-  useEffect(() => {
-    setDisplayCount(12)
-  }, [type, items.length])
-
-  // Native IntersectionObserver for Infinite Scroll
   useEffect(() => {
     const observer = new IntersectionObserver((entries) => {
-      const first = entries[0]
-      if (first.isIntersecting && !loading) {
-        // Load more items
-        const totalItems = (filteredItems && Array.isArray(filteredItems)) ? filteredItems.length : items.length
-        
-        console.log(`[DEBUG] Infinite Scroll Triggered. Current displayCount: ${displayCount}, Total items available: ${totalItems}`)
-        
-        setDisplayCount(prev => {
-          if (prev >= totalItems) return prev;
-          const next = Math.min(prev + 12, totalItems);
-          console.log(`[DEBUG] Incrementing displayCount from ${prev} to ${next}`)
-          return next;
-        })
-      }
+      if (entries[0].isIntersecting && !loadingMore) loadMore()
     }, { threshold: 0.1, rootMargin: '100px' })
 
     const currentLoader = loaderRef.current
@@ -114,25 +95,7 @@ function MoviesPage() {
         observer.unobserve(currentLoader)
       }
     }
-  }, [items.length, filteredItems?.length])
-
-  // Get visible items
-  // Logic to determine which items to show
-  // If filteredItems is null, it means no filter is applied (show all)
-  // If filteredItems is an empty array [], it means filter applied but no matches (show none)
-  const currentItems = (filteredItems !== null ? filteredItems : items)
-  const visibleItems = currentItems.slice(0, displayCount)
-
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-500 mx-auto mb-4"></div>
-          <p className="text-gray-600 dark:text-gray-400">جاري التحميل...</p>
-        </div>
-      </div>
-    )
-  }
+  }, [items.length, hasMore, loadingMore, loadMore])
 
   if (error) {
     return (
@@ -313,21 +276,27 @@ function MoviesPage() {
               animate={{ opacity: 1, y: 0 }}
               className="text-3xl md:text-4xl font-bold text-gray-900 dark:text-white mb-2"
             >
-              جميع العناصر ({currentItems.length})
+              جميع العناصر ({total})
             </motion.h2>
           </div>
 
           {/* Filter Bar */}
           <FilterBar
-            items={items}
-            onFilterChange={setFilteredItems}
+            onQueryChange={setQuery}
+            resultCount={total}
             type="media"
           />
 
+          {loading && (
+            <div className="py-12 flex justify-center w-full">
+              <div className="w-10 h-10 border-4 border-blue-500/30 border-t-blue-500 rounded-full animate-spin"></div>
+            </div>
+          )}
+
           {/* Items Grid */}
           <div className="grid grid-cols-2 gap-3 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 md:gap-6">
             <AnimatePresence mode="popLayout">
-              {visibleItems.map((item, index) => (
+              {items.map((item, index) => (
                 <MovieCard
                   key={`${item.id}-${index}`}
                   item={item}
@@ -340,13 +309,13 @@ function MoviesPage() {
           </div>
 
           {/* Sentinel / Loader Element */}
-          {displayCount < currentItems.length && (
+          {hasMore && (
             <div ref={loaderRef} className="py-8 flex justify-center w-full">
               <div className="w-8 h-8 border-4 border-blue-500/30 border-t-blue-500 rounded-full animate-spin"></div>
             </div>
           )}
 
-          {currentItems.length === 0 && (
+          {!loading && items.length === 0 && (
             <motion.div
               initial={{ opacity: 0, scale: 0.9 }}
               animate={{ opacity: 1, scale: 1 }}
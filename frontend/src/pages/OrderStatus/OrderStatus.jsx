@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { useParams } from 'react-router-dom'
+import api from '../../services/api'
+
+const STATUS_STEPS = ['new', 'copying', 'ready', 'delivered']
+
+const statusLabels = {
+  new: 'تم استلام الطلب',
+  copying: 'جاري النسخ',
+  ready: 'جاهز للاستلام',
+  delivered: 'تم التسليم',
+  cancelled: 'تم إلغاء الطلب'
+}
+
+const itemTypeLabels = {
+  game: 'لعبة',
+  movies: 'فيلم',
+  tvShows: 'مسلسل',
+  anime: 'أنمي'
+}
+
+const POLL_INTERVAL_MS = 30000 // Fallback when the live stream is unavailable
+
+function OrderStatus() {
+  const { code } = useParams()
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [notFound, setNotFound] = useState(false)
+
+  useEffect(() => {
+    let pollTimer = null
+    let events = null
+
+    const fetchStatus = async () => {
+      try {
+        const data = await api.getOrderStatus(code)
+        setOrder(data)
+        setNotFound(false)
+      } catch (err) {
+        console.error('Failed to load order status:', err)
+        setNotFound(true)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchStatus()
+
+    // Live updates: the backend pushes the order again whenever its status changes
+    if (typeof EventSource !== 'undefined') {
+      events = new EventSource(api.getOrderEventsUrl(code))
+      events.onmessage = (event) => {
+        try {
+          setOrder(JSON.parse(event.data))
+        } catch (err) {
+          console.error('Invalid order update:', err)
+        }
+      }
+      events.onerror = () => {
+        events.close()
+        if (!pollTimer) pollTimer = setInterval(fetchStatus, POLL_INTERVAL_MS)
+      }
+    } else {
+      pollTimer = setInterval(fetchStatus, POLL_INTERVAL_MS)
+    }
+
+    return () => {
+      events?.close()
+      if (pollTimer) clearInterval(pollTimer)
+    }
+  }, [code])
+
+  if (loading) {
+    return (
+      <div className="container-custom py-20 text-center text-gray-600 dark:text-gray-300">
+        جاري تحميل الطلب...
+      </div>
+    )
+  }
+
+  if (notFound || !order) {
+    return (
+      <div className="container-custom py-20 text-center">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">الطلب مش موجود 🤔</h1>
+        <p className="text-gray-600 dark:text-gray-400">اتأكد من رقم الطلب <span className="font-mono" dir="ltr">{code}</span> اللي في رسالة الواتساب</p>
+      </div>
+    )
+  }
+
+  const isCancelled = order.status === 'cancelled'
+  const currentStep = STATUS_STEPS.indexOf(order.status)
+
+  return (
+    <div className="container-custom py-12 md:py-20 max-w-3xl">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="glass rounded-3xl p-6 md:p-10 border border-white/20 dark:border-gray-700/40 shadow-2xl"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <div>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">رقم الطلب</p>
+            <h1 className="text-3xl md:text-4xl font-extrabold text-gradient font-mono" dir="ltr">#{order.code}</h1>
+          </div>
+          <span className={`px-4 py-2 rounded-full font-bold text-sm ${isCancelled
+            ? 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+            : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400'
+            }`}>
+            {statusLabels[order.status] || order.status}
+          </span>
+        </div>
+
+        {/* Progress */}
+        {!isCancelled && (
+          <div className="grid grid-cols-4 gap-2 mb-10">
+            {STATUS_STEPS.map((step, index) => (
+              <div key={step} className="text-center">
+                <div className={`h-2 rounded-full mb-2 transition-colors duration-500 ${index <= currentStep ? 'bg-gradient-to-r from-blue-500 to-purple-600' : 'bg-gray-200 dark:bg-gray-700'}`}></div>
+                <span className={`text-[10px] sm:text-xs font-semibold ${index <= currentStep ? 'text-gray-900 dark:text-white' : 'text-gray-400'}`}>
+                  {statusLabels[step]}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Totals */}
+        <div className="flex flex-wrap gap-3 mb-8">
+          <span className="px-4 py-2 rounded-xl bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300 font-semibold">
+            المساحة: {order.totalSizeGB} GB
+          </span>
+          <span className="px-4 py-2 rounded-xl bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400 font-semibold">
+            السعر: {order.price} جنيه
+          </span>
+          <span className="px-4 py-2 rounded-xl bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-300 font-semibold">
+            {order.items.length} عنصر
+          </span>
+        </div>
+
+        {/* Items */}
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">محتوى الطلب</h2>
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-10">
+          {order.items.map((item, index) => (
+            <li key={index} className="flex justify-between gap-4 py-3">
+              <span className="text-gray-900 dark:text-white">
+                {item.name}
+                {item.year && <span className="text-gray-500"> ({item.year})</span>}
+                <span className="text-xs text-gray-500 mr-2">{itemTypeLabels[item.type] || item.type}</span>
+              </span>
+              <span className="text-gray-500 dark:text-gray-400" dir="ltr">{item.size || '—'}</span>
+            </li>
+          ))}
+        </ul>
+
+        {/* History */}
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">تاريخ الطلب</h2>
+        <ol className="space-y-3">
+          {[...order.statusHistory].reverse().map((entry, index) => (
+            <li key={index} className="flex flex-wrap justify-between gap-2 text-sm">
+              <span className="font-semibold text-gray-900 dark:text-white">
+                {statusLabels[entry.status] || entry.status}
+                {entry.note && <span className="font-normal text-gray-500"> — {entry.note}</span>}
+              </span>
+              <span className="text-gray-500 dark:text-gray-400">{new Date(entry.at).toLocaleString('ar-EG')}</span>
+            </li>
+          ))}
+        </ol>
+      </motion.div>
+    </div>
+  )
+}
+
+export default OrderStatus
@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { useParams, Link } from 'react-router-dom'
+import api from '../../services/api'
+import { useSelection } from '../../context/SelectionContext'
+
+function SharedCart() {
+  const { code } = useParams()
+  const { replaceSelection } = useSelection()
+  const [cart, setCart] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [notFound, setNotFound] = useState(false)
+
+  useEffect(() => {
+    const restoreCart = async () => {
+      try {
+        const data = await api.getCart(code)
+        setCart(data)
+        replaceSelection({ games: data.games, items: data.items })
+      } catch (err) {
+        console.error('Failed to load shared cart:', err)
+        setNotFound(true)
+      } finally {
+        setLoading(false)
+      }
+    }
+    restoreCart()
+  }, [code])
+
+  if (loading) {
+    return (
+      <div className="container-custom py-20 text-center text-gray-600 dark:text-gray-300">
+        جاري تحميل السلة...
+      </div>
+    )
+  }
+
+  if (notFound || !cart) {
+    return (
+      <div className="container-custom py-20 text-center">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">الرابط ده مش شغال 🤔</h1>
+        <p className="text-gray-600 dark:text-gray-400">اتأكد من الرابط أو اطلب من صاحبه يبعته تاني</p>
+      </div>
+    )
+  }
+
+  const restoredCount = cart.games.length + cart.items.length
+
+  return (
+    <div className="container-custom py-12 md:py-20 max-w-2xl">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="glass rounded-3xl p-6 md:p-10 border border-white/20 dark:border-gray-700/40 shadow-2xl text-center"
+      >
+        <h1 className="text-3xl md:text-4xl font-extrabold text-gradient mb-4">تم استرجاع السلة 🛒</h1>
+        <p className="text-gray-700 dark:text-gray-300 mb-8">
+          {restoredCount > 0
+            ? <>تم إضافة <span className="font-bold">{restoredCount}</span> عنصر لاختياراتك، تقدر تبعتهم واتساب أو ماسنجر من الشريط اللي تحت</>
+            : 'كل العناصر اللي في الرابط ده اتشالت من الكتالوج'}
+        </p>
+
+        {cart.removed.length > 0 && (
+          <div className="text-right bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800/40 rounded-2xl p-4 mb-8">
+            <p className="font-bold text-red-700 dark:text-red-400 mb-2">العناصر دي مبقتش متاحة:</p>
+            <ul className="space-y-1 text-sm text-red-700/80 dark:text-red-300/80">
+              {cart.removed.map((item) => (
+                <li key={item.ref}>
+                  {item.name || item.ref}
+                  {item.size && <span className="text-red-500/60" dir="ltr"> ({item.size})</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-center gap-3">
+          <Link
+            to="/games/full-games"
+            className="px-6 py-3 rounded-xl bg-gradient-to-r from-blue-500 to-purple-600 text-white font-bold shadow-lg"
+          >
+            تصفح الألعاب
+          </Link>
+          <Link
+            to="/movies/movies"
+            className="px-6 py-3 rounded-xl bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-white font-bold"
+          >
+            تصفح الأفلام والمسلسلات
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  )
+}
+
+export default SharedCart
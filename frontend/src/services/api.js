@@ -24,12 +24,54 @@ console.log('🔗 API Base URL:', API_BASE_URL);
 console.log('🌍 Environment:', import.meta.env.MODE);
 console.log('📦 Production mode:', import.meta.env.PROD);
 
+const AUTH_TOKEN_KEY = 'dashboard_token';
+
+// List records link stored images as "/api/games/item/:id/image?v=..." (unless the server has
+// PUBLIC_API_URL); make those point at the API when it lives on another origin
+const API_ORIGIN = API_BASE_URL.replace(/\/api\/?$/, '');
+const resolveImage = (record) => (
+  typeof record?.image === 'string' && record.image.startsWith('/api/') ? { ...record, image: `${API_ORIGIN}${record.image}` } : record
+);
+// Works on { category: [...] } maps, plain lists and { items: [...] } pages
+const withImageUrls = (data) => {
+  if (!API_ORIGIN || !data) return data;
+  if (Array.isArray(data)) return data.map(resolveImage);
+  if (Array.isArray(data.items)) return { ...data, items: data.items.map(resolveImage) };
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, Array.isArray(value) ? value.map(resolveImage) : value]));
+};
+
+// "?a=1&b=2" from a filters object, skipping empty values ('' when nothing is set)
+const toQueryString = (filters = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return query ? `?${query}` : '';
+};
+
 class ApiService {
-  async request(endpoint, options = {}) {
+  // ============ AUTH TOKEN ============
+
+  getAuthToken() {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+  }
+
+  setAuthToken(token) {
+    if (token) {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+  }
+
+  // `revalidate: true` is for catalog reads: the server answers with ETags, so instead of a
+  // cache buster the browser revalidates its cached copy (a 304 when the catalog hasn't changed)
+  async request(endpoint, { revalidate = false, ...options } = {}) {
     // Add cache buster for GET requests
     const separator = endpoint.includes('?') ? '&' : '?';
-    const cacheBuster = options.method === 'GET' || !options.method ? `${separator}_t=${Date.now()}` : '';
+    const isGet = options.method === 'GET' || !options.method;
+    const cacheBuster = isGet && !revalidate ? `${separator}_t=${Date.now()}` : '';
     const url = `${API_BASE_URL}${endpoint}${cacheBuster}`;
+    if (revalidate) options.cache = 'no-cache';
 
     // Log request in development
     if (import.meta.env.DEV || import.meta.env.VITE_DEBUG === 'true') {
@@ -53,13 +95,15 @@ class ApiService {
       // #region agent log
       dbg('H1', 'api.request start', { endpoint, method: options.method || 'GET', url });
       // #endregion agent log
+      const authToken = this.getAuthToken();
       const response = await fetch(url, {
+        // Allow default browser caching behavior
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
           ...options.headers,
         },
-        // Allow default browser caching behavior
-        ...options,
       });
 
       // Log response status
@@ -92,7 +136,16 @@ class ApiService {
         });
 
         // Create a more detailed error message
-        const errorMessage = errorData?.message || errorData?.error || errorText || `${response.status} ${response.statusText}`;
+        let errorMessage = errorData?.message || errorData?.error || errorText || `${response.status} ${response.statusText}`;
+        // Validation errors list every problem ("name is required", ...)
+        if (Array.isArray(errorData?.details) && errorData.details.length) {
+          errorMessage = `${errorMessage}: ${errorData.details.join(' - ')}`;
+        }
+        // Session expired or revoked - drop the stored token so the Dashboard asks to log in again
+        if (response.status === 401) {
+          this.setAuthToken(null);
+        }
+
         const error = new Error(errorMessage);
         error.status = response.status;
         error.statusText = response.statusText;
@@ -151,14 +204,52 @@ class ApiService {
     }
   }
 
-  // Get all games
-  async getAllGames() {
-    return this.request('/games');
+  // ============ AUTH ============
+
+  // Log in to the Dashboard and store the session token
+  async login(username, password) {
+    const response = await this.request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+    this.setAuthToken(response?.token);
+    return response;
+  }
+
+  // Validate the stored session token
+  async getSession() {
+    return this.request('/auth/me');
+  }
+
+  // Forget the stored session token
+  logout() {
+    this.setAuthToken(null);
+  }
+
+  // Catalog version ({ version, updatedAt }); bumps on every catalog change
+  async getCatalogVersion() {
+    return this.request('/catalog/version');
+  }
+
+  // Get all games (slim list records; { view: 'full' } for every field, e.g. for editing)
+  async getAllGames({ view } = {}) {
+    return withImageUrls(await this.request(`/games${toQueryString({ view })}`, { revalidate: true }));
+  }
+
+  // Get one game with every field
+  async getGameItem(id) {
+    return this.request(`/games/item/${encodeURIComponent(id)}`, { revalidate: true });
   }
 
   // Get games by category
   async getGamesByCategory(category) {
-    return this.request(`/games/${category}`);
+    return withImageUrls(await this.request(`/games/${category}`));
+  }
+
+  // One page of a game category: { items, total, page, limit, hasMore }
+  // params: page, limit, sort (name|size|year|rating|createdAt), order, q, genre, minSize, maxSize, minYear, maxYear
+  async getGamesPage(category, params = {}) {
+    return withImageUrls(await this.request(`/games/${category}${toQueryString(params)}`, { revalidate: true }));
   }
 
   // Add a new game
@@ -196,14 +287,24 @@ class ApiService {
 
   // ============ MOVIES, TV SHOWS, ANIME ============
 
-  // Get all movies data
-  async getAllMovies() {
-    return this.request('/movies');
+  // Get all movies data (same views as getAllGames)
+  async getAllMovies({ view } = {}) {
+    return withImageUrls(await this.request(`/movies${toQueryString({ view })}`, { revalidate: true }));
+  }
+
+  // Get one movie/tv show/anime with every field
+  async getMovieItem(id) {
+    return this.request(`/movies/item/${encodeURIComponent(id)}`, { revalidate: true });
   }
 
   // Get movies by type (movies, tvShows, anime)
   async getMoviesByType(type) {
-    return this.request(`/movies/${type}`);
+    return withImageUrls(await this.request(`/movies/${type}`));
+  }
+
+  // One page of movies/tvShows/anime (same params as getGamesPage)
+  async getMoviesPage(type, params = {}) {
+    return withImageUrls(await this.request(`/movies/${type}${toQueryString(params)}`, { revalidate: true }));
   }
 
   // Add a new movie/tv show/anime
@@ -277,7 +378,7 @@ class ApiService {
 
   // Get all news
   async getNews() {
-    const response = await this.request('/news');
+    const response = await this.request('/news', { revalidate: true });
     return response || [];
   }
 
@@ -304,11 +405,19 @@ class ApiService {
     });
   }
 
+  // ============ SEARCH ============
+
+  // Typo-tolerant catalog search; types: games, movies, tvShows, anime, bundles (default: all)
+  async searchCatalog(query, { types, limit } = {}) {
+    const response = await this.request(`/search${toQueryString({ q: query, types: types?.join(','), limit })}`, { revalidate: true });
+    return response?.results || [];
+  }
+
   // ============ BUNDLES ============
 
   // Get all bundles
   async getBundles() {
-    const response = await this.request('/bundles');
+    const response = await this.request('/bundles', { revalidate: true });
     return response || [];
   }
 
@@ -339,7 +448,7 @@ class ApiService {
 
   // Get all upcoming games
   async getUpcomingGames() {
-    const response = await this.request('/upcoming-games');
+    const response = await this.request('/upcoming-games', { revalidate: true });
     return response || [];
   }
 
@@ -383,6 +492,280 @@ class ApiService {
       body: JSON.stringify({ email })
     });
   }
+
+  // ============ PRICING ============
+
+  // Get the pricing config (Dashboard)
+  async getPricing() {
+    return await this.request('/pricing');
+  }
+
+  // Save the pricing config (owner only)
+  async updatePricing(config) {
+    return await this.request('/pricing', {
+      method: 'PUT',
+      body: JSON.stringify(config)
+    });
+  }
+
+  // Price a selection: { games: [id], items: ["movies-123"], promoCode? }
+  async getPricingQuote(selection) {
+    return await this.request('/pricing/quote', {
+      method: 'POST',
+      body: JSON.stringify(selection)
+    });
+  }
+
+  // ============ PROMOTIONS ============
+
+  // Check a promo code against a selection: { games, items }
+  async validatePromotion(code, selection) {
+    return await this.request('/promotions/validate', {
+      method: 'POST',
+      body: JSON.stringify({ code, ...selection })
+    });
+  }
+
+  // Get all promo codes (Dashboard)
+  async getPromotions() {
+    const response = await this.request('/promotions');
+    return Array.isArray(response) ? response : [];
+  }
+
+  // Create a promo code
+  async addPromotion(promotion) {
+    return await this.request('/promotions', {
+      method: 'POST',
+      body: JSON.stringify(promotion)
+    });
+  }
+
+  // Update a promo code
+  async updatePromotion(id, promotion) {
+    return await this.request(`/promotions/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(promotion)
+    });
+  }
+
+  // Delete a promo code
+  async deletePromotion(id) {
+    return await this.request(`/promotions/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // ============ SHARED CARTS ============
+
+  // Save the selection and get a short /cart/:code link
+  async createCart(selection) {
+    return await this.request('/carts', {
+      method: 'POST',
+      body: JSON.stringify(selection)
+    });
+  }
+
+  // Load a saved selection (removed items are listed in `removed`)
+  async getCart(code) {
+    return await this.request(`/carts/${encodeURIComponent(code)}`);
+  }
+
+  // ============ ORDERS ============
+
+  // Create an order from the current selection (public)
+  async createOrder(order) {
+    return await this.request('/orders', {
+      method: 'POST',
+      body: JSON.stringify(order)
+    });
+  }
+
+  // Public status of a single order (items, totals, status history)
+  async getOrderStatus(code) {
+    return await this.request(`/orders/${encodeURIComponent(code)}/status`);
+  }
+
+  // Server-Sent Events URL that pushes status changes for an order
+  getOrderEventsUrl(code) {
+    return `${API_BASE_URL}/orders/${encodeURIComponent(code)}/events`;
+  }
+
+  // Get orders for the Dashboard, optionally filtered by status
+  async getOrders(status = '') {
+    const response = await this.request(`/orders${status ? `?status=${status}` : ''}`);
+    return Array.isArray(response) ? response : [];
+  }
+
+  // Change an order's status (new, copying, ready, delivered, cancelled)
+  async updateOrderStatus(code, status, note = '') {
+    return await this.request(`/orders/${code}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note })
+    });
+  }
+
+  // Copy manifest for an order as a Blob: html (printable checklist), csv, sh or robocopy
+  async getOrderManifest(code, format = 'html') {
+    const authToken = this.getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/orders/${encodeURIComponent(code)}/manifest?format=${format}`, {
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return await response.blob();
+  }
+
+  // ============ SALES ANALYTICS ============
+
+  // Revenue, orders and GB per period plus totals; filters: { interval, from, to }
+  async getSalesAnalytics(filters = {}) {
+    return await this.request(`/analytics/sales${toQueryString(filters)}`);
+  }
+
+  // Most ordered titles; filters: { sortBy: orders|gb|revenue, limit, from, to }
+  async getTopTitles(filters = {}) {
+    return await this.request(`/analytics/top-titles${toQueryString(filters)}`);
+  }
+
+  // Items, orders, GB and revenue per catalog category; filters: { from, to }
+  async getCategoryAnalytics(filters = {}) {
+    return await this.request(`/analytics/categories${toQueryString(filters)}`);
+  }
+
+  // ============ LIBRARY SCANNER ============
+
+  // Configured disk roots, the running scan (if any) and the latest reconciliation report
+  async getLibraryScan() {
+    return await this.request('/library/scan');
+  }
+
+  // Start scanning the shop's disks in the background (owner only)
+  async startLibraryScan(tolerancePercent) {
+    return await this.request('/library/scan', {
+      method: 'POST',
+      body: JSON.stringify({ tolerancePercent })
+    });
+  }
+
+  // Apply one report suggestion: action is "size", "location" or "clearLocation"
+  async applyLibraryFix(scanId, action, key) {
+    return await this.request('/library/fixes', {
+      method: 'POST',
+      body: JSON.stringify({ scanId, action, key })
+    });
+  }
+
+  // Add a folder found on disk to the catalog under the given category
+  async addUntrackedFolder(scanId, path, category, name) {
+    return await this.request('/library/untracked', {
+      method: 'POST',
+      body: JSON.stringify({ scanId, path, category, name })
+    });
+  }
+
+  // ============ BACKUPS ============
+
+  // Snapshots (newest first), the retention settings and the backup job's schedule (owner only)
+  async getBackups() {
+    return await this.request('/backups');
+  }
+
+  // Take a snapshot of every collection now
+  async createBackup() {
+    return await this.request('/backups', {
+      method: 'POST'
+    });
+  }
+
+  // Records a restore would insert/update/remove per collection; [] means the whole snapshot
+  async previewBackupRestore(id, collections = []) {
+    return await this.request(`/backups/${encodeURIComponent(id)}/preview${toQueryString({ collections: collections.join(',') })}`);
+  }
+
+  // Restore a snapshot (only `collections` when given); the server snapshots the current data first
+  async restoreBackup(id, collections = []) {
+    return await this.request(`/backups/${encodeURIComponent(id)}/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ collections })
+    });
+  }
+
+  // Snapshot file as a Blob (.ndjson or .ndjson.gz)
+  async downloadBackup(id) {
+    const authToken = this.getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/backups/${encodeURIComponent(id)}/download`, {
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return await response.blob();
+  }
+
+  // ============ SCHEDULED JOBS ============
+
+  // Every job with its schedule, next run and last run (owner only)
+  async getJobs() {
+    return await this.request('/jobs');
+  }
+
+  // One job with the last run's logs and the run history
+  async getJob(name) {
+    return await this.request(`/jobs/${encodeURIComponent(name)}`);
+  }
+
+  // Start a run now; it continues on the server, poll getJob() for the result
+  async runJob(name) {
+    return await this.request(`/jobs/${encodeURIComponent(name)}/run`, {
+      method: 'POST'
+    });
+  }
+
+  // Stop (paused = true) or restart a job's schedule
+  async setJobPaused(name, paused) {
+    return await this.request(`/jobs/${encodeURIComponent(name)}/${paused ? 'pause' : 'resume'}`, {
+      method: 'POST'
+    });
+  }
+
+  // ============ AUDIT LOG ============
+
+  // Get audit entries filtered by entity, id, actor and date range
+  async getAuditLog(filters = {}) {
+    return this.request(`/audit${toQueryString(filters)}`);
+  }
+
+  // ============ ADMIN USERS ============
+
+  // Get all Dashboard accounts (owner only)
+  async getAdminUsers() {
+    const response = await this.request('/admin-users');
+    return Array.isArray(response) ? response : [];
+  }
+
+  // Add a Dashboard account
+  async addAdminUser(user) {
+    return await this.request('/admin-users', {
+      method: 'POST',
+      body: JSON.stringify(user)
+    });
+  }
+
+  // Update a Dashboard account's role or password
+  async updateAdminUser(id, changes) {
+    return await this.request(`/admin-users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  // Delete a Dashboard account
+  async deleteAdminUser(id) {
+    return await this.request(`/admin-users/${id}`, {
+      method: 'DELETE'
+    });
+  }
 }
 
 export default new ApiService();
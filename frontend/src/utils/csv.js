@@ -0,0 +1,37 @@
+/**
+ * CSV export helpers for Dashboard tables
+ */
+
+const escapeCsv = (value) => {
+  const str = String(value ?? '')
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Build CSV text (UTF-8 BOM so Excel shows Arabic correctly)
+ * @param {Array<{key: string, label: string}>} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map(column => escapeCsv(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsv(row[column.key])).join(','))
+  ]
+  return `\uFEFF${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Download rows as a .csv file
+ * @param {string} fileName - Without extension
+ * @param {Array<{key: string, label: string}>} columns
+ * @param {object[]} rows
+ */
+export function downloadCsv(fileName, columns, rows) {
+  const url = URL.createObjectURL(new Blob([toCsv(columns, rows)], { type: 'text/csv;charset=utf-8' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${fileName}.csv`
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 60000)
+}
@@ -0,0 +1,105 @@
+/**
+ * Drive Planner Utility
+ * Splits the selected games/movies across the customer's flash drives / HDDs
+ * using Best-Fit Decreasing bin packing
+ */
+
+/**
+ * Parse a size string to GB ("50.6GB", "700MB", "1.5 TB", "64")
+ * Values without a unit are treated as GB
+ * @param {string|number} sizeStr - Size string
+ * @returns {number} Size in GB, or 0 if invalid
+ */
+export function parseSizeToGB(sizeStr) {
+  if (sizeStr === null || sizeStr === undefined || sizeStr === '') return 0
+  if (typeof sizeStr === 'number') return isNaN(sizeStr) ? 0 : sizeStr
+
+  const match = String(sizeStr).toLowerCase().replace(',', '.').match(/([\d.]+)\s*(tb|gb|mb|kb)?/)
+  if (!match) return 0
+
+  const value = parseFloat(match[1])
+  if (isNaN(value)) return 0
+
+  if (match[2] === 'tb') return value * 1024
+  if (match[2] === 'mb') return value / 1024
+  if (match[2] === 'kb') return value / (1024 * 1024)
+  return value
+}
+
+/**
+ * Parse a list of drive capacities typed by the customer ("500GB, 64, 1TB" or "500 GB 64 1TB")
+ * A unit after a space stays with its number, so "1.5 TB" is one drive
+ * @param {string} input - Comma/space separated capacities
+ * @returns {Array<{label: string, capacityGB: number}>}
+ */
+export function parseDriveList(input) {
+  if (!input) return []
+  return String(input)
+    .replace(/(\d)\s+(?=(tb|gb|mb|kb)\b)/gi, '$1')
+    .split(/[\s,،+]+/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(label => ({ label, capacityGB: parseSizeToGB(label) }))
+    .filter(drive => drive.capacityGB > 0)
+}
+
+/**
+ * Distribute items across drives
+ * Largest items are placed first, each into the drive whose remaining space fits it most tightly.
+ * @param {Array<{key: string, name: string, sizeGB: number}>} items - Selected items
+ * @param {Array<{label: string, capacityGB: number}>} drives - Drives in the order the customer typed them
+ * @param {number} overheadPercent - Space lost to formatting/file system, e.g. 7 for a "64GB" drive showing ~59.5GB
+ * @returns {{drives: Array<{label: string, capacityGB: number, usableGB: number, usedGB: number, freeGB: number, items: object[]}>, unfit: object[], unsized: object[]}}
+ */
+export function planDrives(items, drives, overheadPercent = 0) {
+  const overhead = Math.min(Math.max(Number(overheadPercent) || 0, 0), 90) / 100
+  const plan = drives.map(drive => {
+    const usableGB = drive.capacityGB * (1 - overhead)
+    return { ...drive, usableGB, usedGB: 0, freeGB: usableGB, items: [] }
+  })
+
+  // Items without a known size cannot be planned; they are reported separately
+  const unsized = items.filter(item => !(item.sizeGB > 0))
+  const sorted = items
+    .filter(item => item.sizeGB > 0)
+    .sort((a, b) => b.sizeGB - a.sizeGB)
+
+  const unfit = []
+  for (const item of sorted) {
+    let best = null
+    for (const drive of plan) {
+      if (drive.freeGB >= item.sizeGB && (!best || drive.freeGB < best.freeGB)) best = drive
+    }
+    if (!best) {
+      unfit.push(item)
+      continue
+    }
+    best.items.push(item)
+    best.usedGB += item.sizeGB
+    best.freeGB -= item.sizeGB
+  }
+
+  return { drives: plan, unfit, unsized }
+}
+
+/**
+ * Render a plan as WhatsApp/Messenger text
+ * @param {ReturnType<typeof planDrives>} plan
+ * @returns {string}
+ */
+export function formatDrivePlan(plan) {
+  const lines = ['*تقسيم الهاردات/الفلاشات:*']
+
+  plan.drives.forEach((drive, index) => {
+    lines.push(`*${index + 1}) ${drive.label}* - ${drive.usedGB.toFixed(1)} / ${drive.usableGB.toFixed(1)} GB`)
+    if (drive.items.length === 0) lines.push('   (فاضي)')
+    drive.items.forEach(item => lines.push(`   - ${item.name} (${item.sizeGB.toFixed(1)} GB)`))
+  })
+
+  if (plan.unfit.length > 0) {
+    lines.push('*مش هيتسعوا:*')
+    plan.unfit.forEach(item => lines.push(`   - ${item.name} (${item.sizeGB.toFixed(1)} GB)`))
+  }
+
+  return lines.join('\n')
+}
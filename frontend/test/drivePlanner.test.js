@@ -0,0 +1,68 @@
+/**
+ * Splitting a cart over the customer's drives
+ * Run: npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseSizeToGB, parseDriveList, planDrives } from '../src/utils/drivePlanner.js'
+
+const capacities = (input) => parseDriveList(input).map(drive => drive.capacityGB)
+const item = (key, size) => ({ key, name: key, sizeGB: parseSizeToGB(size) })
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`)
+
+test('size strings in MB, GB and TB', () => {
+  assert.equal(parseSizeToGB('700MB'), 700 / 1024)
+  assert.equal(parseSizeToGB('50.6GB'), 50.6)
+  assert.equal(parseSizeToGB('50,6 GB'), 50.6)
+  assert.equal(parseSizeToGB('1.5 TB'), 1536)
+  assert.equal(parseSizeToGB('64'), 64)
+  assert.equal(parseSizeToGB(32), 32)
+  assert.equal(parseSizeToGB('حجم غير معروف'), 0)
+  assert.equal(parseSizeToGB(null), 0)
+})
+
+test('drive lists split on commas, Arabic commas, plus signs, new lines and spaces', () => {
+  assert.deepEqual(capacities('500GB, 64, 1TB'), [500, 64, 1024])
+  assert.deepEqual(capacities('500 64 1TB'), [500, 64, 1024])
+  assert.deepEqual(capacities('64GB + 32GB\n16'), [64, 32, 16])
+  assert.deepEqual(capacities('500،64'), [500, 64])
+  // A unit after a space belongs to its number
+  assert.deepEqual(parseDriveList('1.5 TB  64 gb'), [
+    { label: '1.5TB', capacityGB: 1536 },
+    { label: '64gb', capacityGB: 64 }
+  ])
+  assert.deepEqual(capacities('hdd, 0'), [])
+  assert.deepEqual(parseDriveList(''), [])
+})
+
+test('largest items first, each into the drive it fits most tightly', () => {
+  const plan = planDrives(
+    [item('small', '700MB'), item('big', '50.6GB'), item('medium', '20GB')],
+    parseDriveList('64 32')
+  )
+  assert.deepEqual(plan.drives.map(drive => drive.items.map(placed => placed.key)), [['big'], ['medium', 'small']])
+  assert.equal(plan.drives[0].usedGB, 50.6)
+  near(plan.drives[1].freeGB, 32 - 20 - 700 / 1024)
+  assert.deepEqual(plan.unfit, [])
+})
+
+test('overhead shrinks every drive, so items that fit the label may not fit the drive', () => {
+  const drives = parseDriveList('64GB')
+  const items = [item('game', '60GB')]
+
+  assert.deepEqual(planDrives(items, drives).unfit, [])
+  const withOverhead = planDrives(items, drives, 7)
+  near(withOverhead.drives[0].usableGB, 59.52)
+  assert.deepEqual(withOverhead.unfit.map(unfit => unfit.key), ['game'])
+  // Overhead is kept between 0% and 90%
+  near(planDrives([], drives, 150).drives[0].usableGB, 6.4)
+  assert.equal(planDrives([], drives, -5).drives[0].usableGB, 64)
+})
+
+test('items without a size are reported apart from the ones that do not fit', () => {
+  const plan = planDrives([item('unknown', ''), item('huge', '2 TB'), item('ok', '10GB')], parseDriveList('1TB'))
+  assert.deepEqual(plan.unsized.map(unsized => unsized.key), ['unknown'])
+  assert.deepEqual(plan.unfit.map(unfit => unfit.key), ['huge'])
+  assert.deepEqual(plan.drives[0].items.map(placed => placed.key), ['ok'])
+})